@@ -0,0 +1,105 @@
+// Headless propagation benchmark: Kepler orbits propagated per second, in Node
+//
+//   node bench/propagation.mjs [asteroids] [frames] [workers]
+//
+// Generates a belt from the default populations (scaled to the requested count) and times
+//   separate - position and velocity solved separately per asteroid (the former Asteroid.update)
+//   shared   - Asteroid.update, one solve shared by position and velocity (the main-thread path)
+//   workers  - the Propagator's worker pool (worker_threads), waiting for every frame's results;
+//              each worker runs propagateElements over its range's typed arrays
+
+import { Worker } from 'node:worker_threads';
+import { availableParallelism } from 'node:os';
+import { DEFAULT_POPULATIONS, PROPAGATION_MAX_WORKERS } from '../js/constants.js';
+import { generateBelt } from '../js/populations.js';
+import { getPositionAtTime, getVelocityAtTime } from '../js/orbital.js';
+import { Propagator } from '../js/propagation.js';
+import { createRng } from '../js/utils.js';
+
+const count = parseInt(process.argv[2], 10) || 100000;
+const frames = parseInt(process.argv[3], 10) || 20;
+const workerCount = parseInt(process.argv[4], 10) ||
+    Math.max(1, Math.min(PROPAGATION_MAX_WORKERS, availableParallelism() - 1));
+
+// Simulation time advanced per frame (about a day)
+const FRAME_TIME = 1;
+
+/**
+ * Start propagation-worker.js on a worker thread, behind the browser Worker interface the
+ * Propagator uses
+ */
+function createNodeWorker() {
+    const worker = new Worker(new URL('../js/propagation-worker.js', import.meta.url));
+    return {
+        postMessage: (message, transfer) => worker.postMessage(message, transfer),
+        addEventListener: (type, listener) => {
+            worker.on(type, data => listener(type === 'message' ? { data } : data));
+        },
+        terminate: () => worker.terminate()
+    };
+}
+
+/**
+ * Belt of the default populations, scaled to a total count
+ */
+function createBelt(total) {
+    const defaultTotal = DEFAULT_POPULATIONS.reduce((sum, p) => sum + p.count, 0);
+    const populations = DEFAULT_POPULATIONS.map(p => ({
+        ...p,
+        count: Math.round(p.count * total / defaultTotal)
+    }));
+    return generateBelt(populations, createRng(1));
+}
+
+/**
+ * Time a number of frames after one untimed warm-up frame
+ * @param step - Propagates one frame to the given time (may return a promise)
+ * @returns Asteroids propagated per second
+ */
+async function measure(step, asteroids) {
+    await step(0);
+    const start = performance.now();
+    for (let frame = 1; frame <= frames; frame++) {
+        await step(frame * FRAME_TIME);
+    }
+    const seconds = (performance.now() - start) / 1000;
+    return asteroids * frames / seconds;
+}
+
+function report(name, rate) {
+    const perFrame = asteroids.length / rate * 1000;
+    console.log(`${name.padEnd(10)} ${(rate / 1e6).toFixed(2).padStart(8)} M/s  ${perFrame.toFixed(2).padStart(9)} ms/frame`);
+}
+
+const asteroids = createBelt(count);
+console.log(`${asteroids.length} asteroids, ${frames} frames, ${workerCount} workers`);
+
+report('separate', await measure(t => {
+    for (const asteroid of asteroids) {
+        const pos = getPositionAtTime(asteroid.orbit, t);
+        const vel = getVelocityAtTime(asteroid.orbit, t);
+        asteroid.x = pos.x;
+        asteroid.y = pos.y;
+        asteroid.vx = vel.vx;
+        asteroid.vy = vel.vy;
+        asteroid.time = t;
+    }
+}, asteroids.length));
+
+report('shared', await measure(t => {
+    for (const asteroid of asteroids) {
+        asteroid.update(t);
+    }
+}, asteroids.length));
+
+const pool = new Propagator(workerCount, createNodeWorker);
+pool.attach(asteroids);
+if (pool.usesWorkers()) {
+    report('workers', await measure(async (t) => {
+        pool.propagate(asteroids, t);
+        await pool.whenIdle();
+    }, asteroids.length));
+} else {
+    console.log('workers    skipped (belt below PROPAGATION_WORKER_MIN, or no workers started)');
+}
+pool.dispose();
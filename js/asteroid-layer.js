@@ -0,0 +1,305 @@
+// Asteroid layer: the bodies of the whole belt drawn in one pass (2D canvas backend and shared helpers)
+
+import {
+    COLORS, FILTER_DIM_ALPHA, DETAIL_RADIUS, SPRITE_CACHE_SIZE, SPRITE_MAX_RADIUS, DOT_COLOR_BITS,
+    SPRITE_COLOR_BITS
+} from './constants.js';
+import { parseColor } from './utils.js';
+
+// Colour used when an asteroid's colour can't be parsed
+const FALLBACK_RGB = parseColor(COLORS.asteroid);
+
+// Shading colours by asteroid, recomputed when its colour changes
+const shadeCache = new WeakMap();
+
+/**
+ * Colours an asteroid is drawn with: flat, and the ends of its shading gradient
+ * @returns { color, light, dark, rgb, lightRgb, darkRgb } with CSS strings and { r, g, b }
+ */
+export function asteroidShades(asteroid) {
+    let shades = shadeCache.get(asteroid);
+    if (!shades || shades.color !== asteroid.color) {
+        const light = asteroid.lightenColor(asteroid.color, 30);
+        const dark = asteroid.darkenColor(asteroid.color, 20);
+        shades = {
+            color: asteroid.color,
+            light,
+            dark,
+            rgb: parseColor(asteroid.color) || FALLBACK_RGB,
+            lightRgb: parseColor(light) || FALLBACK_RGB,
+            darkRgb: parseColor(dark) || FALLBACK_RGB
+        };
+        shadeCache.set(asteroid, shades);
+    }
+    return shades;
+}
+
+/**
+ * Colour reduced to a number of bits per channel
+ * @returns Integer identifying the reduced colour
+ */
+function quantizeColor({ r, g, b }, bits) {
+    const shift = 8 - bits;
+    return ((r >> shift) << (2 * bits)) | ((g >> shift) << bits) | (b >> shift);
+}
+
+/**
+ * CSS colour at the middle of the range a quantised colour stands for
+ * @param key - Result of quantizeColor
+ */
+function quantizedCss(key, bits) {
+    const mask = (1 << bits) - 1;
+    const shift = 8 - bits;
+    const channel = value => (value << shift) + ((1 << shift) >> 1);
+    return `rgb(${channel((key >> (2 * bits)) & mask)}, ${channel((key >> bits) & mask)}, ${channel(key & mask)})`;
+}
+
+/**
+ * Fill a disc shaded like a lit sphere: light up and to the left, dark at the rim
+ * @param ctx - Canvas context
+ * @param x - Centre x
+ * @param y - Centre y
+ * @param radius - Radius
+ * @param light - Colour at the highlight
+ * @param dark - Colour at the rim
+ */
+export function drawShadedDisc(ctx, x, y, radius, light, dark) {
+    const gradient = ctx.createRadialGradient(
+        x - radius * 0.3,
+        y - radius * 0.3,
+        0,
+        x, y, radius
+    );
+    gradient.addColorStop(0, light);
+    gradient.addColorStop(1, dark);
+
+    ctx.beginPath();
+    ctx.arc(x, y, radius, 0, Math.PI * 2);
+    ctx.fillStyle = gradient;
+    ctx.fill();
+}
+
+/**
+ * Create an off-screen canvas (an OffscreenCanvas where the browser has one)
+ */
+export function createCanvas(width, height) {
+    if (typeof OffscreenCanvas !== 'undefined') {
+        return new OffscreenCanvas(width, height);
+    }
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+}
+
+/**
+ * Asteroids in drawing order: smallest first, so larger bodies are drawn over smaller ones
+ * The order is kept between frames. A different array or a change of length sorts from scratch;
+ * otherwise radii that changed (merges) are fixed by an insertion sort, which is linear when
+ * the order is still sorted.
+ */
+export class DrawOrder {
+    constructor() {
+        this.source = null;
+        this.length = 0;
+        this.asteroids = [];
+    }
+
+    /**
+     * @param asteroids - Asteroids to draw (replaced, or appended to, when the belt changes)
+     * @returns The same asteroids sorted by radius
+     */
+    update(asteroids) {
+        if (asteroids !== this.source || asteroids.length !== this.length) {
+            this.source = asteroids;
+            this.length = asteroids.length;
+            this.asteroids = [...asteroids].sort((a, b) => a.radius - b.radius);
+            return this.asteroids;
+        }
+
+        const sorted = this.asteroids;
+        for (let i = 1; i < sorted.length; i++) {
+            const asteroid = sorted[i];
+            let j = i - 1;
+            if (sorted[j].radius <= asteroid.radius) continue;
+            while (j >= 0 && sorted[j].radius > asteroid.radius) {
+                sorted[j + 1] = sorted[j];
+                j--;
+            }
+            sorted[j + 1] = asteroid;
+        }
+        return sorted;
+    }
+}
+
+/**
+ * Canvas 2D backend
+ * Small dots are grouped by colour (quantised to DOT_COLOR_BITS per channel) and each group is
+ * filled as one path. Shaded asteroids are drawn from cached gradient sprites, keyed by colours
+ * quantised to SPRITE_COLOR_BITS and by size, so no gradient is built per asteroid per frame.
+ */
+export class CanvasAsteroidLayer {
+    constructor() {
+        this.name = 'canvas';
+        this.label = 'Canvas 2D';
+        this.order = new DrawOrder();
+        this.dpr = 1;
+
+        // Dot groups by quantised colour and opacity: { fillStyle, alpha, coords: [x, y, r, ...] }
+        this.dotGroups = new Map();
+
+        // Shaded asteroids of the current frame and their screen x, y, radius and opacity
+        this.shaded = [];
+        this.shadedCoords = [];
+
+        // Gradient sprites by quantised colours and radius
+        this.sprites = new Map();
+    }
+
+    /**
+     * @param width - Logical width of the view
+     * @param height - Logical height of the view
+     * @param dpr - Device pixels per logical pixel
+     */
+    resize(width, height, dpr) {
+        if (dpr !== this.dpr) this.sprites.clear();
+        this.dpr = dpr;
+    }
+
+    /**
+     * Draw every visible asteroid
+     * @param ctx - Canvas context to draw into
+     * @param asteroids - Asteroids
+     * @param camera - Camera
+     * @param skip - Asteroid left out (drawn separately on top), or null
+     * @param matches - Set of asteroids matching the filter, or null; the rest are dimmed
+     * @returns true (the 2D canvas is always available)
+     */
+    draw(ctx, asteroids, camera, skip = null, matches = null) {
+        const order = this.order.update(asteroids);
+        const cos = Math.cos(-camera.rotation);
+        const sin = Math.sin(-camera.rotation);
+        const zoom = camera.zoom;
+        const width = camera.canvas.width;
+        const height = camera.canvas.height;
+
+        for (const group of this.dotGroups.values()) {
+            group.coords.length = 0;
+        }
+        this.shaded.length = 0;
+        this.shadedCoords.length = 0;
+
+        // Same transform as camera.worldToScreen, inlined to avoid an object per asteroid
+        for (const asteroid of order) {
+            if (asteroid === skip) continue;
+
+            const dx = asteroid.x - camera.x;
+            const dy = asteroid.y - camera.y;
+            const x = (dx * cos - dy * sin) * zoom + width / 2;
+            const y = (dx * sin + dy * cos) * zoom + height / 2;
+            const radius = Math.max(1, asteroid.radius * zoom);
+            if (x < -radius || x > width + radius || y < -radius || y > height + radius) continue;
+
+            const dimmed = matches !== null && !matches.has(asteroid);
+            if (radius < DETAIL_RADIUS) {
+                this.dotGroup(asteroid, dimmed).coords.push(x, y, radius);
+            } else {
+                this.shaded.push(asteroid);
+                this.shadedCoords.push(x, y, radius, dimmed ? FILTER_DIM_ALPHA : 1);
+            }
+        }
+
+        for (const group of this.dotGroups.values()) {
+            const coords = group.coords;
+            if (coords.length === 0) continue;
+
+            ctx.globalAlpha = group.alpha;
+            ctx.fillStyle = group.fillStyle;
+            ctx.beginPath();
+            for (let i = 0; i < coords.length; i += 3) {
+                ctx.moveTo(coords[i] + coords[i + 2], coords[i + 1]);
+                ctx.arc(coords[i], coords[i + 1], coords[i + 2], 0, Math.PI * 2);
+            }
+            ctx.fill();
+        }
+
+        for (let i = 0; i < this.shaded.length; i++) {
+            const coords = this.shadedCoords;
+            ctx.globalAlpha = coords[4 * i + 3];
+            this.drawShaded(ctx, this.shaded[i], coords[4 * i], coords[4 * i + 1], coords[4 * i + 2]);
+        }
+
+        ctx.globalAlpha = 1;
+        return true;
+    }
+
+    /**
+     * Dot group for an asteroid's colour
+     */
+    dotGroup(asteroid, dimmed) {
+        const key = quantizeColor(asteroidShades(asteroid).rgb, DOT_COLOR_BITS) * 2 + (dimmed ? 1 : 0);
+        let group = this.dotGroups.get(key);
+        if (!group) {
+            group = {
+                fillStyle: quantizedCss(key >> 1, DOT_COLOR_BITS),
+                alpha: dimmed ? FILTER_DIM_ALPHA : 1,
+                coords: []
+            };
+            this.dotGroups.set(key, group);
+        }
+        return group;
+    }
+
+    /**
+     * Draw a shaded asteroid from its sprite (large ones directly)
+     */
+    drawShaded(ctx, asteroid, x, y, radius) {
+        const shades = asteroidShades(asteroid);
+        if (radius > SPRITE_MAX_RADIUS) {
+            drawShadedDisc(ctx, x, y, radius, shades.light, shades.dark);
+            return;
+        }
+
+        // Sprites come in half-pixel radius steps (whole pixels from 8 px) and are scaled to the exact size
+        const spriteRadius = radius < 8 ? Math.round(radius * 2) / 2 : Math.round(radius);
+        const sprite = this.getSprite(shades, spriteRadius);
+        const size = 2 * radius * (spriteRadius + 1) / spriteRadius;
+        ctx.drawImage(sprite, x - size / 2, y - size / 2, size, size);
+    }
+
+    /**
+     * Cached gradient sprite: a shaded disc with one pixel of margin, at device resolution
+     */
+    getSprite(shades, radius) {
+        const light = quantizeColor(shades.lightRgb, SPRITE_COLOR_BITS);
+        const dark = quantizeColor(shades.darkRgb, SPRITE_COLOR_BITS);
+        const key = `${light}|${dark}|${radius}`;
+        let sprite = this.sprites.get(key);
+        if (sprite) return sprite;
+
+        if (this.sprites.size >= SPRITE_CACHE_SIZE) this.sprites.clear();
+
+        const size = Math.ceil(2 * (radius + 1) * this.dpr);
+        sprite = createCanvas(size, size);
+        const ctx = sprite.getContext('2d');
+        ctx.scale(size / (2 * (radius + 1)), size / (2 * (radius + 1)));
+        drawShadedDisc(
+            ctx,
+            radius + 1,
+            radius + 1,
+            radius,
+            quantizedCss(light, SPRITE_COLOR_BITS),
+            quantizedCss(dark, SPRITE_COLOR_BITS)
+        );
+        this.sprites.set(key, sprite);
+        return sprite;
+    }
+
+    /**
+     * Release cached sprites
+     */
+    dispose() {
+        this.sprites.clear();
+        this.dotGroups.clear();
+    }
+}
@@ -8,98 +8,161 @@ import {
     MAX_ASTEROID_RADIUS,
     MIN_ECCENTRICITY,
     MAX_ECCENTRICITY,
+    SPHERE_OF_INFLUENCE_RADIUS,
+    DETAIL_RADIUS,
     COLORS
 } from './constants.js';
 
 import { randomRange, randomPowerLaw, generateAsteroidColor } from './utils.js';
-import { getPositionAtTime, getVelocityAtTime, generateOrbitPath, orbitalPeriod, computeOrbitFromStateVectors } from './orbital.js';
+import {
+    getStateAtTime,
+    generateOrbitPath,
+    orbitalPeriod,
+    computeOrbitFromStateVectors,
+    isClosedOrbit,
+    orbitDirection
+} from './orbital.js';
+import { drawShadedDisc } from './asteroid-layer.js';
+import { allocateSlot } from './belt-state.js';
 
 export class Asteroid {
     /**
-     * Create an asteroid with random orbital parameters
+     * Create an asteroid on a given orbit (see fromOrbit and random)
      * @param id - Unique identifier
+     * @param orbit - Orbital elements { a, e, omega, M0, t0, direction }
+     * @param radius - Visual radius
+     * @param color - Color string
      */
-    constructor(id) {
+    constructor(id, orbit, radius, color) {
         this.id = id;
 
-        // Generate random orbital elements
-        // Semi-major axis in AU, converted to pixels
-        const aAU = randomRange(BELT_INNER_RADIUS, BELT_OUTER_RADIUS);
-        this.orbit = {
-            a: aAU * AU_TO_PIXELS,
-            e: randomRange(MIN_ECCENTRICITY, MAX_ECCENTRICITY),
-            omega: randomRange(0, 2 * Math.PI), // Argument of periapsis
-            M0: randomRange(0, 2 * Math.PI)     // Mean anomaly at epoch
-        };
-
         // Visual properties
-        // Power law distribution: many small, few large
-        this.radius = randomPowerLaw(MIN_ASTEROID_RADIUS, MAX_ASTEROID_RADIUS, 3);
-        this.color = generateAsteroidColor(id);
+        this.radius = radius;
+        this.color = color;
 
-        // Pre-compute orbit path for rendering
-        this.orbitPath = generateOrbitPath(this.orbit);
+        // Catalog identity (null for generated asteroids)
+        this.designation = null;
+        this.magnitude = null; // Absolute magnitude H
 
-        // Current state (updated each frame)
-        this.x = 0;
-        this.y = 0;
-        this.vx = 0;
-        this.vy = 0;
+        // Label of the population this asteroid was generated in (null if none)
+        this.population = null;
 
-        // Calculate orbital period for info display
-        this.period = orbitalPeriod(this.orbit.a);
+        // Orbit path for rendering, generated when first asked for (see orbitPath): only the
+        // few asteroids drawn with their orbits ever need one
+        this.path = null;
+
+        // Orbit timeline: each segment holds the orbit from its start time until the next
+        // segment starts, so moving the clock back past a burn restores the orbit before it
+        this.segments = [];
+        this.changeOrbit(orbit, -Infinity);
+
+        // Orbit the asteroid was created with, for reverting all changes
+        this.originalOrbit = this.orbit;
+
+        // Current state (updated each frame), kept in a slot of a structure-of-arrays BeltState:
+        // one of a block shared by new asteroids until the propagator attaches it to the belt's
+        const { belt, slot } = allocateSlot();
+        this.belt = belt;
+        this.slot = slot;
+
+        // Trail of past positions (allocated while it is shown) and the per-asteroid toggle
+        this.trail = null;
+        this.showTrail = false;
     }
 
     /**
      * Create an asteroid with specific orbital parameters
      * @param id - Unique identifier
-     * @param orbit - Orbital elements { a, e, omega, M0 }
+     * @param orbit - Orbital elements { a, e, omega, M0, t0, direction }
      * @param radius - Visual radius
      * @param color - Color string
      */
     static fromOrbit(id, orbit, radius, color) {
-        const asteroid = new Asteroid(id);
-        asteroid.orbit = { ...orbit };
-        asteroid.radius = radius;
-        asteroid.color = color;
-        asteroid.orbitPath = generateOrbitPath(asteroid.orbit);
-        asteroid.period = orbitalPeriod(asteroid.orbit.a);
-        return asteroid;
+        return new Asteroid(id, orbit, radius, color);
     }
 
+    /**
+     * Create an asteroid with random orbital parameters
+     * @param id - Unique identifier
+     * @param rng - Random source returning [0, 1) (seeded for reproducible belts)
+     */
+    static random(id, rng = Math.random) {
+        // Semi-major axis in AU, converted to pixels
+        const aAU = randomRange(BELT_INNER_RADIUS, BELT_OUTER_RADIUS, rng);
+        const orbit = {
+            a: aAU * AU_TO_PIXELS,
+            e: randomRange(MIN_ECCENTRICITY, MAX_ECCENTRICITY, rng),
+            omega: randomRange(0, 2 * Math.PI, rng), // Argument of periapsis
+            M0: randomRange(0, 2 * Math.PI, rng),    // Mean anomaly at epoch
+            t0: 0,                              // Epoch
+            direction: 1                        // Prograde (counter-clockwise)
+        };
+
+        // Power law distribution: many small, few large
+        const radius = randomPowerLaw(MIN_ASTEROID_RADIUS, MAX_ASTEROID_RADIUS, 3, rng);
+        return new Asteroid(id, orbit, radius, generateAsteroidColor(id));
+    }
+
+    /**
+     * Polyline of the current orbit for rendering, generated on first use after an orbit change
+     */
+    get orbitPath() {
+        if (!this.path) this.path = generateOrbitPath(this.orbit);
+        return this.path;
+    }
+
+    // State accessors: position, velocity and the time they were computed for
+    get x() { return this.belt.x[this.slot]; }
+    set x(value) { this.belt.x[this.slot] = value; }
+    get y() { return this.belt.y[this.slot]; }
+    set y(value) { this.belt.y[this.slot] = value; }
+    get vx() { return this.belt.vx[this.slot]; }
+    set vx(value) { this.belt.vx[this.slot] = value; }
+    get vy() { return this.belt.vy[this.slot]; }
+    set vy(value) { this.belt.vy[this.slot] = value; }
+    get time() { return this.belt.time[this.slot]; }
+    set time(value) { this.belt.time[this.slot] = value; }
+
     /**
      * Update position and velocity for current time
      * @param t - Current simulation time
      */
     update(t) {
-        const pos = getPositionAtTime(this.orbit, t);
-        const vel = getVelocityAtTime(this.orbit, t);
+        if (this.segments.length > 1) {
+            this.followTimeline(t);
+        }
 
-        this.x = pos.x;
-        this.y = pos.y;
-        this.vx = vel.vx;
-        this.vy = vel.vy;
+        const state = getStateAtTime(this.orbit, t);
+        this.x = state.x;
+        this.y = state.y;
+        this.vx = state.vx;
+        this.vy = state.vy;
+        this.time = t;
     }
 
     /**
      * Apply a delta-v change and recalculate orbit
      * @param dvx - Delta-v x component
      * @param dvy - Delta-v y component
-     * @param t - Current time (to recalculate M0)
+     * @param t - Time of the burn (becomes the new orbit's epoch)
      */
-    applyDeltaV(dvx, dvy, t) {
+    applyDeltaV(dvx, dvy, t = this.time) {
+        // Make sure the pre-burn state matches the burn time
+        if (t !== this.time) {
+            this.update(t);
+        }
+
         const newVx = this.vx + dvx;
         const newVy = this.vy + dvy;
 
         const newOrbit = computeOrbitFromStateVectors(
             { x: this.x, y: this.y },
-            { vx: newVx, vy: newVy }
+            { vx: newVx, vy: newVy },
+            t
         );
 
         if (newOrbit) {
-            this.orbit = newOrbit;
-            this.orbitPath = generateOrbitPath(this.orbit);
-            this.period = orbitalPeriod(this.orbit.a);
+            this.changeOrbit(newOrbit, t);
             this.vx = newVx;
             this.vy = newVy;
         }
@@ -108,15 +171,120 @@ export class Asteroid {
     }
 
     /**
-     * Set orbit directly (used when applying projected orbit)
-     * @param orbit - New orbital elements
+     * Set orbit directly, for all time (discards the orbit timeline)
+     * @param orbit - New orbital elements; M0 is taken at the orbit's epoch t0
      */
     setOrbit(orbit) {
+        this.segments = [];
+        this.changeOrbit(orbit, -Infinity);
+    }
+
+    /**
+     * Switch to a new orbit from a given time on (a burn or a collision)
+     * Segments starting at or after that time belong to a future the clock was rewound from,
+     * and are discarded.
+     * @param orbit - New orbital elements
+     * @param t - Time of the change
+     */
+    changeOrbit(orbit, t) {
+        this.segments = this.segments.filter(segment => segment.start < t);
         this.orbit = { ...orbit };
-        this.orbitPath = generateOrbitPath(this.orbit);
+        this.path = null;
+        this.period = orbitalPeriod(this.orbit.a);
+        this.segments.push({ start: t, orbit: this.orbit });
+    }
+
+    /**
+     * Copy of the orbit timeline (segments are never modified, so they can be shared)
+     */
+    getTimeline() {
+        return this.segments.slice();
+    }
+
+    /**
+     * Replace the orbit timeline, e.g. to undo a change
+     * @param segments - Timeline from getTimeline
+     */
+    setTimeline(segments) {
+        this.segments = segments.slice();
+        this.orbit = null;
+        this.followTimeline(this.time);
+    }
+
+    /**
+     * Go back to the orbit the asteroid was created with, for all time
+     */
+    revertToOriginal() {
+        this.setTimeline([{ start: -Infinity, orbit: this.originalOrbit }]);
+    }
+
+    /**
+     * Check if the orbit timeline differs from the original orbit
+     */
+    isModified() {
+        return this.segments.length > 1 || this.segments[0].orbit !== this.originalOrbit;
+    }
+
+    /**
+     * Orbit the asteroid was (or will be) on at a time, according to its timeline
+     */
+    orbitAt(t) {
+        return this.segmentAt(t).orbit;
+    }
+
+    /**
+     * Timeline segment covering a time (the first one for times before any change)
+     */
+    segmentAt(t) {
+        for (let i = this.segments.length - 1; i > 0; i--) {
+            if (this.segments[i].start <= t) return this.segments[i];
+        }
+        return this.segments[0];
+    }
+
+    /**
+     * Make the segment covering a time the current orbit
+     */
+    followTimeline(t) {
+        const segment = this.segmentAt(t);
+        if (segment.orbit === this.orbit) return;
+
+        this.orbit = segment.orbit;
+        this.path = null;
         this.period = orbitalPeriod(this.orbit.a);
     }
 
+    /**
+     * Check if the asteroid is on an open orbit and has left the sun's sphere of influence
+     */
+    hasEscaped() {
+        return this.isOutsideSphereOfInfluence() && !isClosedOrbit(this.orbit);
+    }
+
+    /**
+     * Check if the asteroid is further from the sun than the sphere of influence
+     */
+    isOutsideSphereOfInfluence() {
+        const limit = SPHERE_OF_INFLUENCE_RADIUS * AU_TO_PIXELS;
+        return this.x * this.x + this.y * this.y > limit * limit;
+    }
+
+    /**
+     * Recompute the osculating orbit from the current state vectors
+     * Used when the state is integrated directly (N-body mode) rather than derived from the orbit.
+     */
+    refreshOsculatingOrbit() {
+        const orbit = computeOrbitFromStateVectors(
+            { x: this.x, y: this.y },
+            { vx: this.vx, vy: this.vy },
+            this.time
+        );
+
+        if (orbit) {
+            this.setOrbit(orbit);
+        }
+    }
+
     /**
      * Check if point is within asteroid (for selection)
      * @param wx - World x coordinate
@@ -156,11 +324,12 @@ export class Asteroid {
 
             // Velocity indicator
             const velScale = 50;
+            const velocity = camera.directionToScreen(this.vx, this.vy);
             ctx.beginPath();
             ctx.moveTo(screen.x, screen.y);
             ctx.lineTo(
-                screen.x + this.vx * velScale * camera.zoom,
-                screen.y + this.vy * velScale * camera.zoom
+                screen.x + velocity.x * velScale * camera.zoom,
+                screen.y + velocity.y * velScale * camera.zoom
             );
             ctx.strokeStyle = 'rgba(100, 255, 100, 0.7)';
             ctx.lineWidth = 2;
@@ -168,26 +337,21 @@ export class Asteroid {
         }
 
         // LOD: Simple dot for small/distant asteroids
-        if (screenRadius < 3) {
+        if (screenRadius < DETAIL_RADIUS) {
             ctx.beginPath();
             ctx.arc(screen.x, screen.y, screenRadius, 0, Math.PI * 2);
             ctx.fillStyle = this.color;
             ctx.fill();
         } else {
             // Detailed rendering for larger asteroids
-            const gradient = ctx.createRadialGradient(
-                screen.x - screenRadius * 0.3,
-                screen.y - screenRadius * 0.3,
-                0,
-                screen.x, screen.y, screenRadius
+            drawShadedDisc(
+                ctx,
+                screen.x,
+                screen.y,
+                screenRadius,
+                this.lightenColor(this.color, 30),
+                this.darkenColor(this.color, 20)
             );
-            gradient.addColorStop(0, this.lightenColor(this.color, 30));
-            gradient.addColorStop(1, this.darkenColor(this.color, 20));
-
-            ctx.beginPath();
-            ctx.arc(screen.x, screen.y, screenRadius, 0, Math.PI * 2);
-            ctx.fillStyle = gradient;
-            ctx.fill();
         }
     }
 
@@ -228,14 +392,15 @@ export class Asteroid {
      * @param centerX - Mini-map center X
      * @param centerY - Mini-map center Y
      * @param isSelected - Whether selected
+     * @param isMatch - Whether it matches the active filter
      */
-    renderMinimap(ctx, scale, centerX, centerY, isSelected = false) {
+    renderMinimap(ctx, scale, centerX, centerY, isSelected = false, isMatch = false) {
         const x = centerX + this.x * scale;
         const y = centerY + this.y * scale;
 
         ctx.beginPath();
-        ctx.arc(x, y, isSelected ? 3 : 1, 0, Math.PI * 2);
-        ctx.fillStyle = isSelected ? COLORS.selectionRing : COLORS.asteroid;
+        ctx.arc(x, y, isSelected ? 3 : isMatch ? 1.5 : 1, 0, Math.PI * 2);
+        ctx.fillStyle = isSelected ? COLORS.selectionRing : isMatch ? COLORS.filterMatch : COLORS.asteroid;
         ctx.fill();
     }
 
@@ -273,10 +438,15 @@ export class Asteroid {
     getInfo() {
         return {
             id: this.id,
-            semiMajorAxis: (this.orbit.a / AU_TO_PIXELS).toFixed(2),
+            designation: this.designation,
+            magnitude: this.magnitude,
+            population: this.population,
+            semiMajorAxis: isFinite(this.orbit.a) ? (this.orbit.a / AU_TO_PIXELS).toFixed(2) : '∞',
             eccentricity: this.orbit.e.toFixed(3),
-            period: this.period.toFixed(1),
-            radius: this.radius.toFixed(1)
+            period: isFinite(this.period) ? this.period.toFixed(1) : '∞',
+            radius: this.radius.toFixed(1),
+            direction: orbitDirection(this.orbit) === 1 ? 'Prograde' : 'Retrograde',
+            escaping: !isClosedOrbit(this.orbit)
         };
     }
 }
@@ -0,0 +1,88 @@
+// Structure-of-arrays belt state: positions, velocities and orbital elements in Float64Arrays
+
+import { BELT_STATE_BLOCK_SIZE } from './constants.js';
+import { orbitDirection } from './orbital.js';
+
+// Per-asteroid state, read and written through the Asteroid accessors
+export const STATE_FIELDS = ['x', 'y', 'vx', 'vy', 'time'];
+
+// Orbital elements propagated from; p is only used by parabolic orbits (a = Infinity)
+export const ELEMENT_FIELDS = ['a', 'e', 'p', 'omega', 'M0', 't0', 'direction'];
+
+/**
+ * One Float64Array per field, all views on a single buffer (so the block can be transferred at once)
+ * Field k occupies [k * count, (k + 1) * count) of the buffer.
+ * @param fields - Field names
+ * @param count - Entries per field
+ * @param buffer - Existing buffer of fields.length * count doubles (a new one by default)
+ * @returns { buffer, [field]: Float64Array }
+ */
+export function createFieldArrays(fields, count, buffer = new ArrayBuffer(fields.length * count * 8)) {
+    const arrays = { buffer };
+    fields.forEach((field, k) => {
+        arrays[field] = new Float64Array(buffer, k * count * 8, count);
+    });
+    return arrays;
+}
+
+export class BeltState {
+    /**
+     * @param count - Number of asteroids
+     * @param withElements - Whether to allocate the orbital element block (only propagated belts need it)
+     */
+    constructor(count, withElements = true) {
+        this.count = count;
+
+        const state = createFieldArrays(STATE_FIELDS, count);
+        this.x = state.x;
+        this.y = state.y;
+        this.vx = state.vx;
+        this.vy = state.vy;
+        this.time = state.time;
+
+        this.elements = withElements ? createFieldArrays(ELEMENT_FIELDS, count) : null;
+    }
+
+    /**
+     * Store an orbit's elements in a slot
+     */
+    setElements(slot, orbit) {
+        const elements = this.elements;
+        elements.a[slot] = orbit.a;
+        elements.e[slot] = orbit.e;
+        elements.p[slot] = orbit.p || 0;
+        elements.omega[slot] = orbit.omega;
+        elements.M0[slot] = orbit.M0;
+        elements.t0[slot] = orbit.t0 || 0;
+        elements.direction[slot] = orbitDirection(orbit);
+    }
+
+    /**
+     * Copy of the elements of a range of slots, in a buffer of its own
+     * @returns { buffer, [field]: Float64Array }
+     */
+    sliceElements(start, end) {
+        const slice = createFieldArrays(ELEMENT_FIELDS, end - start);
+        for (const field of ELEMENT_FIELDS) {
+            slice[field].set(this.elements[field].subarray(start, end));
+        }
+        return slice;
+    }
+}
+
+// Block that new asteroids get their state slots from until the propagator attaches them
+let sharedBlock = null;
+let sharedNext = 0;
+
+/**
+ * A state slot for a new asteroid, in a block shared with other new asteroids
+ * Slots are never handed out twice; a block is freed once every asteroid has moved to a belt.
+ * @returns { belt, slot }
+ */
+export function allocateSlot() {
+    if (!sharedBlock || sharedNext === sharedBlock.count) {
+        sharedBlock = new BeltState(BELT_STATE_BLOCK_SIZE, false);
+        sharedNext = 0;
+    }
+    return { belt: sharedBlock, slot: sharedNext++ };
+}
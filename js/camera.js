@@ -1,7 +1,8 @@
 // Camera system for zoom/pan and coordinate transforms
 
-import { MIN_ZOOM, MAX_ZOOM, ZOOM_SPEED } from './constants.js';
-import { clamp } from './utils.js';
+import { MIN_ZOOM, MAX_ZOOM, ZOOM_SPEED, CAMERA_TRANSITION_DURATION } from './constants.js';
+import { meanMotion, orbitDirection } from './orbital.js';
+import { clamp, rotate } from './utils.js';
 
 export class Camera {
     constructor(canvas) {
@@ -14,6 +15,19 @@ export class Camera {
         // Zoom level (1 = default)
         this.zoom = 1;
 
+        // View rotation (radians): a world direction at angle φ appears at φ - rotation on screen
+        this.rotation = 0;
+
+        // Body kept at the centre of the view (anything with x and y), or null
+        this.followTarget = null;
+        // Animated move onto a new follow target: { fromX, fromY, start } (wall-clock ms)
+        this.transition = null;
+
+        // Rotating reference frame, or null for the inertial frame:
+        // { type: 'body', body, offset } turns with a body's direction from the sun;
+        // { type: 'period', rate, offset } turns at a fixed rate (radians per time unit)
+        this.frame = null;
+
         // Pan state
         this.isPanning = false;
         this.hasDragged = false; // Track if mouse has moved during pan
@@ -36,7 +50,7 @@ export class Camera {
 
         // Mouse drag for pan
         this.canvas.addEventListener('mousedown', (e) => {
-            if (e.button === 0) { // Left button
+            if (e.button === 0 && !e.shiftKey) { // Left button (shift-drag draws a selection box)
                 this.isPanning = true;
                 this.hasDragged = false;
                 this.lastMouseX = e.clientX;
@@ -92,9 +106,13 @@ export class Camera {
         const dx = e.clientX - this.lastMouseX;
         const dy = e.clientY - this.lastMouseY;
 
-        // Move camera in opposite direction of drag
-        this.x -= dx / this.zoom;
-        this.y -= dy / this.zoom;
+        // Dragging the view takes over from following a body
+        if (this.hasDragged) this.stopFollowing();
+
+        // Move camera in opposite direction of drag (turned back into world directions)
+        const world = rotate(dx, dy, this.rotation);
+        this.x -= world.x / this.zoom;
+        this.y -= world.y / this.zoom;
 
         this.lastMouseX = e.clientX;
         this.lastMouseY = e.clientY;
@@ -104,8 +122,9 @@ export class Camera {
      * Convert world coordinates to screen coordinates
      */
     worldToScreen(worldX, worldY) {
-        const screenX = (worldX - this.x) * this.zoom + this.canvas.width / 2;
-        const screenY = (worldY - this.y) * this.zoom + this.canvas.height / 2;
+        const view = this.directionToScreen(worldX - this.x, worldY - this.y);
+        const screenX = view.x * this.zoom + this.canvas.width / 2;
+        const screenY = view.y * this.zoom + this.canvas.height / 2;
         return { x: screenX, y: screenY };
     }
 
@@ -113,9 +132,19 @@ export class Camera {
      * Convert screen coordinates to world coordinates
      */
     screenToWorld(screenX, screenY) {
-        const worldX = (screenX - this.canvas.width / 2) / this.zoom + this.x;
-        const worldY = (screenY - this.canvas.height / 2) / this.zoom + this.y;
-        return { x: worldX, y: worldY };
+        const world = rotate(
+            (screenX - this.canvas.width / 2) / this.zoom,
+            (screenY - this.canvas.height / 2) / this.zoom,
+            this.rotation
+        );
+        return { x: world.x + this.x, y: world.y + this.y };
+    }
+
+    /**
+     * Turn a world-space direction or vector into screen orientation (no scaling)
+     */
+    directionToScreen(dx, dy) {
+        return rotate(dx, dy, -this.rotation);
     }
 
     /**
@@ -128,35 +157,149 @@ export class Camera {
                screenY <= this.canvas.height + margin;
     }
 
+    /**
+     * World positions of the screen corners (clockwise from top left)
+     */
+    getVisibleCorners() {
+        const { width, height } = this.canvas;
+        return [
+            this.screenToWorld(0, 0),
+            this.screenToWorld(width, 0),
+            this.screenToWorld(width, height),
+            this.screenToWorld(0, height)
+        ];
+    }
+
     /**
      * Get the visible world bounds
+     * With a rotated view this is the axis-aligned box around the turned screen.
      */
     getVisibleBounds() {
-        const topLeft = this.screenToWorld(0, 0);
-        const bottomRight = this.screenToWorld(this.canvas.width, this.canvas.height);
+        const corners = this.getVisibleCorners();
+        const xs = corners.map(c => c.x);
+        const ys = corners.map(c => c.y);
+        const minX = Math.min(...xs);
+        const minY = Math.min(...ys);
+        const maxX = Math.max(...xs);
+        const maxY = Math.max(...ys);
 
-        return {
-            minX: topLeft.x,
-            minY: topLeft.y,
-            maxX: bottomRight.x,
-            maxY: bottomRight.y,
-            width: bottomRight.x - topLeft.x,
-            height: bottomRight.y - topLeft.y
-        };
+        return { minX, minY, maxX, maxY, width: maxX - minX, height: maxY - minY };
     }
 
     /**
      * Center camera on a world position
+     * This stops following a body.
      */
     centerOn(worldX, worldY) {
+        this.stopFollowing();
         this.x = worldX;
         this.y = worldY;
     }
 
     /**
-     * Reset camera to default view
+     * Keep a body at the centre of the view, gliding over to it first
+     * @param target - Body with x and y (an asteroid)
+     * @param now - Wall-clock time (ms) the move starts
+     */
+    follow(target, now) {
+        if (target === this.followTarget) return;
+        this.followTarget = target;
+        this.transition = { fromX: this.x, fromY: this.y, start: now };
+    }
+
+    stopFollowing() {
+        this.followTarget = null;
+        this.transition = null;
+    }
+
+    /**
+     * Turn the view with a rotating reference frame, or return to the inertial frame
+     * The frame starts from the current rotation so the view doesn't jump.
+     * @param frame - { type: 'body', body }, { type: 'period', period } (time units) or null
+     * @param time - Current simulation time
+     */
+    setFrame(frame, time) {
+        if (!frame) {
+            this.frame = null;
+            this.rotation = 0;
+            return;
+        }
+        if (frame.type === 'body') {
+            this.frame = { type: 'body', body: frame.body, offset: 0 };
+        } else {
+            this.frame = { type: 'period', rate: 2 * Math.PI / frame.period, offset: 0 };
+        }
+        this.frame.offset = this.rotation - this.frameAngle(time);
+    }
+
+    /**
+     * Angle of the rotating frame at a time, before its offset
+     */
+    frameAngle(time) {
+        if (this.frame.type === 'body') {
+            return Math.atan2(this.frame.body.y, this.frame.body.x);
+        }
+        return this.frame.rate * time;
+    }
+
+    /**
+     * Angular rate of the view's frame (radians per time unit, 0 when inertial)
+     * For a body frame this is the body's mean motion, which trails use to place past samples.
+     */
+    getFrameRate() {
+        if (!this.frame) return 0;
+        if (this.frame.type === 'body') {
+            const orbit = this.frame.body.orbit;
+            return orbit ? meanMotion(orbit) * orbitDirection(orbit) : 0;
+        }
+        return this.frame.rate;
+    }
+
+    /**
+     * Advance the rotating frame and follow mode; called once per frame
+     * In a rotating frame the view centre turns about the sun with the frame, so bodies at rest
+     * in the frame stay put on screen.
+     * @param now - Wall-clock time (ms)
+     * @param time - Current simulation time
+     */
+    update(now, time) {
+        if (this.frame) {
+            const rotation = this.frame.offset + this.frameAngle(time);
+            const delta = rotation - this.rotation;
+            const centre = rotate(this.x, this.y, delta);
+            this.x = centre.x;
+            this.y = centre.y;
+            if (this.transition) {
+                const from = rotate(this.transition.fromX, this.transition.fromY, delta);
+                this.transition.fromX = from.x;
+                this.transition.fromY = from.y;
+            }
+            this.rotation = rotation;
+        }
+
+        const target = this.followTarget;
+        if (!target) return;
+
+        if (this.transition) {
+            // Ease in and out between where the view was and where the target is now
+            const progress = clamp((now - this.transition.start) / CAMERA_TRANSITION_DURATION, 0, 1);
+            const eased = progress * progress * (3 - 2 * progress);
+            this.x = this.transition.fromX + (target.x - this.transition.fromX) * eased;
+            this.y = this.transition.fromY + (target.y - this.transition.fromY) * eased;
+            if (progress === 1) this.transition = null;
+        } else {
+            this.x = target.x;
+            this.y = target.y;
+        }
+    }
+
+    /**
+     * Reset camera to default view: centred on the sun, unrotated, following nothing
      */
     reset() {
+        this.stopFollowing();
+        this.frame = null;
+        this.rotation = 0;
         this.x = 0;
         this.y = 0;
         this.zoom = 1;
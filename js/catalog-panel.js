@@ -0,0 +1,72 @@
+// Catalog import report UI
+
+import { CATALOG_MAX_ASTEROIDS } from './constants.js';
+import { escapeHtml } from './utils.js';
+
+// Invalid lines listed individually; the rest are only counted
+const MAX_LISTED_ERRORS = 200;
+
+export class CatalogPanel {
+    /**
+     * @param panel - Floating panel element with #catalog-summary, #catalog-errors and #catalog-close
+     */
+    constructor(panel) {
+        this.panel = panel;
+        this.summary = panel.querySelector('#catalog-summary');
+        this.errorList = panel.querySelector('#catalog-errors');
+
+        panel.querySelector('#catalog-close').addEventListener('click', () => this.hide());
+    }
+
+    /**
+     * Show the outcome of a catalog import
+     * @param filename - Imported file name
+     * @param result - Result of parseCatalog
+     */
+    show(filename, result) {
+        const format = result.format === 'sbdb' ? 'JPL SBDB CSV' : 'MPCORB';
+
+        this.summary.innerHTML = `
+            <div class="info-row">
+                <span class="info-label">File:</span>
+                <span class="info-value">${escapeHtml(filename)}</span>
+            </div>
+            <div class="info-row">
+                <span class="info-label">Format:</span>
+                <span class="info-value">${format}</span>
+            </div>
+            <div class="info-row">
+                <span class="info-label">Imported:</span>
+                <span class="info-value">${result.records.length}</span>
+            </div>
+            <div class="info-row ${result.errors.length > 0 ? 'escape' : ''}">
+                <span class="info-label">Invalid lines:</span>
+                <span class="info-value">${result.errors.length}</span>
+            </div>
+            ${result.truncated ? `<p class="hint">Stopped after ${CATALOG_MAX_ASTEROIDS} asteroids</p>` : ''}
+        `;
+
+        this.errorList.innerHTML = '';
+        for (const error of result.errors.slice(0, MAX_LISTED_ERRORS)) {
+            const row = document.createElement('div');
+            row.className = 'catalog-error';
+            row.textContent = `Line ${error.line}: ${error.message}`;
+            this.errorList.appendChild(row);
+        }
+        if (result.errors.length > MAX_LISTED_ERRORS) {
+            const more = document.createElement('div');
+            more.className = 'hint';
+            more.textContent = `…and ${result.errors.length - MAX_LISTED_ERRORS} more`;
+            this.errorList.appendChild(more);
+        }
+
+        this.panel.hidden = false;
+    }
+
+    /**
+     * Hide the report
+     */
+    hide() {
+        this.panel.hidden = true;
+    }
+}
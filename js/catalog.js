@@ -0,0 +1,334 @@
+// Import of real asteroid catalogs: MPCORB fixed-width records and JPL SBDB CSV exports
+//
+// The simulation is 2D, so inclination is dropped and the longitude of perihelion
+// ϖ = Ω + ω stands in for the argument of periapsis. Orbits inclined more than 90°
+// are retrograde in projection, where the perihelion direction is Ω − ω.
+
+import {
+    AU_TO_PIXELS,
+    MIN_ASTEROID_RADIUS,
+    MAX_ASTEROID_RADIUS,
+    CATALOG_ALBEDO,
+    CATALOG_MIN_DIAMETER_KM,
+    CATALOG_MAX_DIAMETER_KM,
+    CATALOG_MAX_ASTEROIDS
+} from './constants.js';
+import { Asteroid } from './asteroid.js';
+import { TIME_UNITS_PER_DAY, J2000_JD } from './clock.js';
+import { degToRad, normalizeAngle, clamp, generateAsteroidColor } from './utils.js';
+
+const MJD_OFFSET = 2400000.5;
+
+// Element columns an SBDB export must contain (plus 'epoch' or 'epoch_mjd')
+const SBDB_REQUIRED_COLUMNS = ['a', 'e', 'om', 'w', 'ma'];
+
+/**
+ * Parse a required numeric field, throwing a descriptive error if it is missing or malformed
+ */
+function parseNumber(text, name) {
+    const trimmed = (text ?? '').trim();
+    const value = Number(trimmed);
+    if (trimmed === '' || !Number.isFinite(value)) {
+        throw new Error(`${name} is ${trimmed === '' ? 'missing' : `not a number ('${trimmed}')`}`);
+    }
+    return value;
+}
+
+/**
+ * Parse an optional numeric field (null if blank)
+ */
+function parseOptionalNumber(text, name) {
+    return (text ?? '').trim() === '' ? null : parseNumber(text, name);
+}
+
+/**
+ * Decode one character of a packed MPC date (1-9, then A = 10 ... V = 31)
+ */
+function unpackDigit(ch) {
+    if (ch >= '1' && ch <= '9') return ch.charCodeAt(0) - 48;
+    if (ch >= 'A' && ch <= 'V') return ch.charCodeAt(0) - 55;
+    return NaN;
+}
+
+/**
+ * Convert a packed MPC epoch (e.g. 'K24AH' = 2024 Oct 17) to a Julian date
+ */
+function unpackEpoch(packed) {
+    const centuries = { I: 1800, J: 1900, K: 2000 };
+    const century = centuries[packed[0]];
+    const year = century + parseInt(packed.slice(1, 3), 10);
+    const month = unpackDigit(packed[3]);
+    const day = unpackDigit(packed[4]);
+
+    if (packed.length !== 5 || century === undefined || !Number.isFinite(year) ||
+        !(month >= 1 && month <= 12) || !(day >= 1 && day <= 31)) {
+        throw new Error(`epoch '${packed}' is not a packed MPC date`);
+    }
+
+    return Date.UTC(year, month - 1, day) / 86400000 + 2440587.5;
+}
+
+/**
+ * Check elements describe a usable conic and build the record
+ */
+function makeRecord(designation, H, diameter, a, e, inclination, node, peri, M, epochJD) {
+    if (!(e >= 0) || e === 1) {
+        throw new Error(`eccentricity ${e} is not elliptical or hyperbolic`);
+    }
+    if ((e < 1 && !(a > 0)) || (e > 1 && !(a < 0))) {
+        throw new Error(`semi-major axis ${a} does not match eccentricity ${e}`);
+    }
+
+    const retrograde = inclination !== null && inclination > 90;
+
+    return {
+        designation,
+        H,
+        diameter,
+        a,
+        e,
+        omega: normalizeAngle(degToRad(retrograde ? node - peri : node + peri)),
+        M0: degToRad(M),
+        direction: retrograde ? -1 : 1,
+        epochJD
+    };
+}
+
+/**
+ * Parse one MPCORB record (columns as in the MPC's MPCORB.DAT format description)
+ */
+function parseMpcorbLine(line) {
+    if (line.length < 103) {
+        throw new Error(`record is ${line.length} characters, expected at least 103`);
+    }
+
+    const packed = line.slice(0, 7).trim();
+    const readable = line.slice(166, 194).trim();
+
+    return makeRecord(
+        readable || packed,
+        parseOptionalNumber(line.slice(8, 13), 'H'),
+        null,
+        parseNumber(line.slice(92, 103), 'a'),
+        parseNumber(line.slice(70, 79), 'e'),
+        parseNumber(line.slice(59, 68), 'Incl.'),
+        parseNumber(line.slice(48, 57), 'Node'),
+        parseNumber(line.slice(37, 46), 'Peri'),
+        parseNumber(line.slice(26, 35), 'M'),
+        unpackEpoch(line.slice(20, 25).trim())
+    );
+}
+
+/**
+ * Split a CSV line, honouring double-quoted fields
+ */
+function splitCsvLine(line) {
+    const fields = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const ch = line[i];
+        if (quoted) {
+            if (ch === '"' && line[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (ch === '"') {
+                quoted = false;
+            } else {
+                field += ch;
+            }
+        } else if (ch === '"') {
+            quoted = true;
+        } else if (ch === ',') {
+            fields.push(field);
+            field = '';
+        } else {
+            field += ch;
+        }
+    }
+
+    fields.push(field);
+    return fields;
+}
+
+/**
+ * Parse one SBDB CSV row given the header's column indices
+ */
+function parseSbdbRow(fields, columns) {
+    const get = (name) => columns[name] === undefined ? undefined : fields[columns[name]];
+
+    const designation = (get('full_name') || get('name') || get('pdes') || '').trim();
+    const epochJD = columns.epoch !== undefined
+        ? parseNumber(get('epoch'), 'epoch')
+        : parseNumber(get('epoch_mjd'), 'epoch_mjd') + MJD_OFFSET;
+
+    return makeRecord(
+        designation || null,
+        parseOptionalNumber(get('h'), 'H'),
+        parseOptionalNumber(get('diameter'), 'diameter'),
+        parseNumber(get('a'), 'a'),
+        parseNumber(get('e'), 'e'),
+        parseOptionalNumber(get('i'), 'i'),
+        parseNumber(get('om'), 'om'),
+        parseNumber(get('w'), 'w'),
+        parseNumber(get('ma'), 'ma'),
+        epochJD
+    );
+}
+
+/**
+ * Parse an MPCORB file (optional header up to a line of dashes)
+ */
+function parseMpcorb(lines, result) {
+    const separator = lines.findIndex(line => line.startsWith('-----'));
+    const start = separator >= 0 ? separator + 1 : 0;
+
+    for (let i = start; i < lines.length; i++) {
+        if (lines[i].trim() === '') continue;
+        if (!addRecord(result, () => parseMpcorbLine(lines[i]), i + 1)) break;
+    }
+}
+
+/**
+ * Parse an SBDB CSV export
+ * @param headerIndex - Index of the header line
+ */
+function parseSbdb(lines, headerIndex, result) {
+    const header = splitCsvLine(lines[headerIndex]).map(name => name.trim().toLowerCase());
+    const columns = {};
+    header.forEach((name, index) => { columns[name] = index; });
+
+    const missing = SBDB_REQUIRED_COLUMNS.filter(name => columns[name] === undefined);
+    if (columns.epoch === undefined && columns.epoch_mjd === undefined) missing.push('epoch');
+    if (missing.length > 0) {
+        result.errors.push({ line: headerIndex + 1, message: `header is missing column(s): ${missing.join(', ')}` });
+        return;
+    }
+
+    for (let i = headerIndex + 1; i < lines.length; i++) {
+        if (lines[i].trim() === '') continue;
+        if (!addRecord(result, () => parseSbdbRow(splitCsvLine(lines[i]), columns), i + 1)) break;
+    }
+}
+
+/**
+ * Parse one line into the result, recording any error against its line number
+ * @returns false once CATALOG_MAX_ASTEROIDS records have been read
+ */
+function addRecord(result, parse, lineNumber) {
+    if (result.records.length >= CATALOG_MAX_ASTEROIDS) {
+        result.truncated = true;
+        return false;
+    }
+
+    try {
+        result.records.push(parse());
+    } catch (err) {
+        result.errors.push({ line: lineNumber, message: err.message });
+    }
+    return true;
+}
+
+/**
+ * Parse a catalog file, detecting its format
+ * @param text - File contents
+ * @returns { format: 'mpcorb' | 'sbdb', records, errors: [{ line, message }], truncated }
+ *          Records hold a (AU), e, omega and M0 (radians), direction, epochJD, and
+ *          designation, H, diameter (each may be null)
+ */
+export function parseCatalog(text) {
+    const lines = text.split(/\r?\n/);
+    const firstIndex = Math.max(0, lines.findIndex(line => line.trim() !== ''));
+
+    // SBDB exports start with a comma-separated header naming the element columns
+    const header = splitCsvLine(lines[firstIndex]).map(name => name.trim().toLowerCase());
+    const format = header.length > 1 && SBDB_REQUIRED_COLUMNS.some(name => header.includes(name))
+        ? 'sbdb'
+        : 'mpcorb';
+
+    const result = { format, records: [], errors: [], truncated: false };
+    if (format === 'sbdb') {
+        parseSbdb(lines, firstIndex, result);
+    } else {
+        parseMpcorb(lines, result);
+    }
+
+    return result;
+}
+
+/**
+ * Estimated diameter (km) from absolute magnitude for an assumed albedo
+ */
+export function diameterFromMagnitude(H) {
+    return 1329 / Math.sqrt(CATALOG_ALBEDO) * Math.pow(10, -H / 5);
+}
+
+/**
+ * Map a diameter to a visual radius: logarithmic between the catalog diameter limits
+ */
+function radiusFromDiameter(diameter) {
+    const t = (Math.log10(diameter) - Math.log10(CATALOG_MIN_DIAMETER_KM)) /
+        (Math.log10(CATALOG_MAX_DIAMETER_KM) - Math.log10(CATALOG_MIN_DIAMETER_KM));
+    return MIN_ASTEROID_RADIUS + (MAX_ASTEROID_RADIUS - MIN_ASTEROID_RADIUS) * clamp(t, 0, 1);
+}
+
+/**
+ * Inverse of radiusFromDiameter: the diameter (km) a visual radius stands for
+ */
+export function diameterFromRadius(radius) {
+    const t = clamp((radius - MIN_ASTEROID_RADIUS) / (MAX_ASTEROID_RADIUS - MIN_ASTEROID_RADIUS), 0, 1);
+    return Math.pow(10, Math.log10(CATALOG_MIN_DIAMETER_KM) +
+        t * (Math.log10(CATALOG_MAX_DIAMETER_KM) - Math.log10(CATALOG_MIN_DIAMETER_KM)));
+}
+
+/**
+ * Simulation time of a Julian date (time 0 is J2000.0)
+ */
+export function timeFromJulianDate(jd) {
+    return (jd - J2000_JD) * TIME_UNITS_PER_DAY;
+}
+
+/**
+ * Create asteroids from catalog records
+ * Each orbit's epoch is the record's epoch on the simulation clock (0 = J2000.0), so the
+ * asteroids line up with the planets when the simulation is started at the returned time.
+ * @param records - Records from parseCatalog
+ * @param startId - Id of the first asteroid
+ * @returns { asteroids, time } where time is the catalog's most common epoch
+ */
+export function catalogToAsteroids(records, startId) {
+    const epochCounts = new Map();
+    let referenceEpoch = J2000_JD;
+    let bestCount = 0;
+    for (const record of records) {
+        const count = (epochCounts.get(record.epochJD) || 0) + 1;
+        epochCounts.set(record.epochJD, count);
+        if (count > bestCount) {
+            referenceEpoch = record.epochJD;
+            bestCount = count;
+        }
+    }
+
+    const asteroids = records.map((record, index) => {
+        const id = startId + index;
+        const orbit = {
+            a: record.a * AU_TO_PIXELS,
+            e: record.e,
+            omega: record.omega,
+            M0: record.M0,
+            t0: timeFromJulianDate(record.epochJD),
+            direction: record.direction
+        };
+
+        const diameter = record.H !== null ? diameterFromMagnitude(record.H) : record.diameter;
+        const radius = diameter !== null ? radiusFromDiameter(diameter) : MIN_ASTEROID_RADIUS;
+
+        const asteroid = Asteroid.fromOrbit(id, orbit, radius, generateAsteroidColor(id));
+        asteroid.designation = record.designation;
+        asteroid.magnitude = record.H;
+        return asteroid;
+    });
+
+    return { asteroids, time: timeFromJulianDate(referenceEpoch) };
+}
@@ -0,0 +1,78 @@
+// Simulation clock: conversions between time units, days, years and calendar dates
+
+import { AU_TO_PIXELS } from './constants.js';
+import { orbitalPeriod } from './orbital.js';
+
+// Simulation time units per day: a 1 AU orbit takes one sidereal year
+export const TIME_UNITS_PER_DAY = orbitalPeriod(AU_TO_PIXELS) / 365.25636;
+
+// Julian year, used for elapsed-time display
+export const DAYS_PER_YEAR = 365.25;
+
+// Simulation time 0 is J2000.0 (2000-01-01 12:00), the epoch of the planets' positions
+export const J2000_JD = 2451545.0;
+const J2000_UNIX_MS = Date.UTC(2000, 0, 1, 12);
+const MS_PER_DAY = 86400000;
+
+/**
+ * Days since J2000.0 at a simulation time
+ */
+export function daysFromTime(t) {
+    return t / TIME_UNITS_PER_DAY;
+}
+
+/**
+ * Simulation time of a number of days since J2000.0
+ */
+export function timeFromDays(days) {
+    return days * TIME_UNITS_PER_DAY;
+}
+
+/**
+ * Calendar date and time (UTC, ignoring the TT offset) of a simulation time
+ * @returns 'YYYY-MM-DD HH:MM', or an empty string outside the representable range
+ */
+export function formatDate(t) {
+    const date = new Date(J2000_UNIX_MS + daysFromTime(t) * MS_PER_DAY);
+    if (isNaN(date.getTime())) return '';
+    const [day, clock] = date.toISOString().split('T');
+    return `${day} ${clock.slice(0, 5)}`;
+}
+
+/**
+ * Elapsed time since J2000.0 in days and years
+ * @returns e.g. 'Day 1234.5 · Year 3.38'
+ */
+export function formatElapsed(t) {
+    const days = daysFromTime(t);
+    return `Day ${days.toFixed(1)} · Year ${(days / DAYS_PER_YEAR).toFixed(2)}`;
+}
+
+/**
+ * Parse a time typed by the user
+ * Accepts a calendar date ('2031-07-04' or '2031-07-04 18:30', UTC), a day number since J2000.0
+ * ('1234.5') or a number of years with a 'y' suffix ('12.5y').
+ * @returns Simulation time, or null if the text isn't understood
+ */
+export function parseTime(text) {
+    const trimmed = text.trim();
+
+    const date = /^(-?\d{1,6})-(\d{2})-(\d{2})(?:[ T](\d{2}):(\d{2}))?$/.exec(trimmed);
+    if (date) {
+        const [, year, month, day, hours = '0', minutes = '0'] = date;
+        // setUTCFullYear rather than Date.UTC, which maps years 0-99 to 1900-1999
+        const parsed = new Date(0);
+        parsed.setUTCFullYear(Number(year), Number(month) - 1, Number(day));
+        parsed.setUTCHours(Number(hours), Number(minutes));
+        const ms = parsed.getTime();
+        return isNaN(ms) ? null : timeFromDays((ms - J2000_UNIX_MS) / MS_PER_DAY);
+    }
+
+    const years = /^(-?\d+(?:\.\d*)?)\s*y$/i.exec(trimmed);
+    if (years) {
+        return timeFromDays(Number(years[1]) * DAYS_PER_YEAR);
+    }
+
+    const days = Number(trimmed);
+    return trimmed !== '' && Number.isFinite(days) ? timeFromDays(days) : null;
+}
@@ -0,0 +1,60 @@
+// Collision event log UI
+
+import { DELTA_V_SCALE } from './constants.js';
+
+export class CollisionPanel {
+    /**
+     * @param panel - Panel element (hidden while collisions are off)
+     * @param listElement - Container for the event rows
+     * @param clearButton - Button that empties the log
+     * @param onClear - Called when the log is cleared
+     */
+    constructor(panel, listElement, clearButton, onClear) {
+        this.panel = panel;
+        this.list = listElement;
+        this.clearButton = clearButton;
+
+        this.clearButton.addEventListener('click', () => {
+            if (onClear) onClear();
+        });
+    }
+
+    /**
+     * Show or hide the panel
+     */
+    setVisible(visible) {
+        this.panel.hidden = !visible;
+    }
+
+    /**
+     * Rebuild the event list
+     * @param log - Collision events, most recent first
+     */
+    refresh(log) {
+        this.list.innerHTML = '';
+        this.clearButton.disabled = log.length === 0;
+
+        if (log.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'hint';
+            empty.textContent = 'No collisions yet';
+            this.list.appendChild(empty);
+            return;
+        }
+
+        for (const event of log) {
+            const row = document.createElement('div');
+            row.className = `collision-event ${event.type}`;
+
+            const outcome = event.type === 'merge'
+                ? `merged into #${event.resultIds[0]}`
+                : (event.resultIds.length > 0
+                    ? `shattered → ${event.resultIds.map(id => '#' + id).join(' ')}`
+                    : 'shattered to dust');
+
+            row.textContent = `t=${(event.time / 1000).toFixed(2)}  #${event.ids[0]} + #${event.ids[1]} ` +
+                `@ ${(event.relativeSpeed / DELTA_V_SCALE).toFixed(2)} km/s: ${outcome}`;
+            this.list.appendChild(row);
+        }
+    }
+}
@@ -0,0 +1,263 @@
+// Asteroid–asteroid collisions: detection through the selection spatial index, merging and fragmentation
+
+import {
+    MIN_ASTEROID_RADIUS,
+    COLLISION_DISRUPTION_ENERGY,
+    COLLISION_STRENGTH_EXPONENT,
+    COLLISION_MAX_FRAGMENTS,
+    COLLISION_SIZE_SCALE,
+    COLLISION_EJECTA_SPEED,
+    COLLISION_LOG_SIZE
+} from './constants.js';
+import { Asteroid } from './asteroid.js';
+import { computeOrbitFromStateVectors } from './orbital.js';
+import { magnitude } from './utils.js';
+
+/**
+ * Physical radius of an asteroid drawn with a given radius, used for contact and mass
+ */
+function physicalRadius(radius) {
+    return radius * COLLISION_SIZE_SCALE;
+}
+
+/**
+ * Mass of an asteroid drawn with a given radius, in arbitrary units (uniform density, so ∝ r³
+ * of the physical radius)
+ */
+function massOf(radius) {
+    const r = physicalRadius(radius);
+    return r * r * r;
+}
+
+/**
+ * Specific impact energy needed to shatter a body of the given (combined) radius
+ */
+function disruptionEnergy(radius) {
+    return COLLISION_DISRUPTION_ENERGY * Math.pow(radius / MIN_ASTEROID_RADIUS, COLLISION_STRENGTH_EXPONENT);
+}
+
+/**
+ * Key of an unordered pair of asteroids
+ */
+function pairKey(a, b) {
+    return a.id < b.id ? `${a.id}:${b.id}` : `${b.id}:${a.id}`;
+}
+
+export class CollisionSystem {
+    constructor() {
+        this.enabled = false;
+
+        // Keys of the pairs found overlapping at the last step; null until a step has been
+        // checked, so bodies overlapping when collisions are turned on don't count as impacts
+        this.contacts = null;
+
+        // Most recent events first: { time, type, ids, relativeSpeed, x, y, resultIds }
+        this.log = [];
+    }
+
+    /**
+     * Turn collision handling on or off
+     * Pairs already overlapping when it is turned on are left alone until they separate.
+     */
+    setEnabled(enabled) {
+        if (enabled && !this.enabled) this.resetContacts();
+        this.enabled = enabled;
+    }
+
+    /**
+     * Forget which pairs overlap, e.g. for a new belt: the next step only records them
+     */
+    resetContacts() {
+        this.contacts = null;
+    }
+
+    /**
+     * Find pairs that have come into contact since the last step and are approaching each other
+     * Pairs still overlapping from the last step (or from before collisions were checked) are
+     * not new impacts. Each asteroid takes part in at most one collision per step.
+     * @param asteroids - All asteroids
+     * @param index - Spatial index of the asteroids, updated for this step
+     * @returns Array of [a, b] pairs
+     */
+    detect(asteroids, index) {
+        const contacts = new Set();
+        const involved = new Set();
+        const pairs = [];
+
+        for (const a of asteroids) {
+            // Bodies whose drawn discs overlap a's, then those actually touching it
+            for (const b of index.queryCircle(a.x, a.y, a.radius)) {
+                if (b === a) continue;
+                const reach = physicalRadius(a.radius + b.radius);
+                if ((b.x - a.x) ** 2 + (b.y - a.y) ** 2 > reach * reach) continue;
+
+                const key = pairKey(a, b);
+                if (this.contacts === null || this.contacts.has(key)) {
+                    contacts.add(key);
+                    continue;
+                }
+
+                // Left for the next step, when the body it already collided with is gone
+                if (involved.has(a) || involved.has(b)) continue;
+                contacts.add(key);
+
+                // Bodies already separating (e.g. fresh fragments) don't collide again
+                const closing = (b.x - a.x) * (b.vx - a.vx) + (b.y - a.y) * (b.vy - a.vy);
+                if (closing >= 0) continue;
+
+                pairs.push([a, b]);
+                involved.add(a);
+                involved.add(b);
+            }
+        }
+
+        this.contacts = contacts;
+        return pairs;
+    }
+
+    /**
+     * Work out the outcome of a collision and record it in the log
+     * Impacts below the combined body's disruption energy merge into the larger body;
+     * more energetic ones shatter both.
+     * @param a - First asteroid
+     * @param b - Second asteroid
+     * @param t - Simulation time
+     * @param nextId - Function returning a fresh asteroid id
+     * @param rng - Random source returning [0, 1), for fragment sizes and directions
+     * @returns { type: 'merge', survivor, orbit, radius, removed } or
+     *          { type: 'fragment', fragments, removed }
+     */
+    resolve(a, b, t, nextId, rng) {
+        const ma = massOf(a.radius);
+        const mb = massOf(b.radius);
+        const total = ma + mb;
+
+        // Centre of mass state (momentum conserving)
+        const x = (a.x * ma + b.x * mb) / total;
+        const y = (a.y * ma + b.y * mb) / total;
+        const vx = (a.vx * ma + b.vx * mb) / total;
+        const vy = (a.vy * ma + b.vy * mb) / total;
+
+        const relativeSpeed = magnitude(a.vx - b.vx, a.vy - b.vy);
+        const specificEnergy = 0.5 * (ma * mb / total) * relativeSpeed * relativeSpeed / total;
+        // Drawn radius of the combined body
+        const radius = Math.cbrt(total) / COLLISION_SIZE_SCALE;
+        const impact = specificEnergy / disruptionEnergy(radius);
+
+        let result = null;
+        if (impact < 1) {
+            result = this.merge(a, b, { x, y }, { vx, vy }, radius, t);
+        }
+        if (!result) {
+            result = this.fragment(a, b, { x, y }, { vx, vy }, radius, relativeSpeed, impact, t, nextId, rng);
+        }
+
+        this.log.unshift({
+            time: t,
+            type: result.type,
+            ids: [a.id, b.id],
+            relativeSpeed,
+            x,
+            y,
+            resultIds: result.type === 'merge' ? [result.survivor.id] : result.fragments.map(f => f.id)
+        });
+        if (this.log.length > COLLISION_LOG_SIZE) this.log.length = COLLISION_LOG_SIZE;
+
+        return result;
+    }
+
+    /**
+     * Merge two asteroids into the larger one
+     * @returns Merge result, or null if the merged body has no Kepler orbit
+     */
+    merge(a, b, position, velocity, radius, t) {
+        const orbit = computeOrbitFromStateVectors(position, velocity, t);
+        if (!orbit) return null;
+
+        const survivor = a.radius >= b.radius ? a : b;
+        const absorbed = survivor === a ? b : a;
+
+        return { type: 'merge', survivor, orbit, radius, removed: [absorbed] };
+    }
+
+    /**
+     * Shatter two asteroids into fragments flying apart from the centre of mass
+     * The largest remnant keeps 1 - impact/2 of the mass (none at twice the disruption energy);
+     * the rest is split between smaller pieces. Pieces below MIN_ASTEROID_RADIUS are lost as dust.
+     * @param impact - Specific impact energy as a multiple of the disruption energy (≥ 1)
+     * @param rng - Random source returning [0, 1)
+     */
+    fragment(a, b, position, velocity, radius, relativeSpeed, impact, t, nextId, rng) {
+        // More energetic impacts break into more pieces
+        const count = Math.min(COLLISION_MAX_FRAGMENTS, 1 + Math.ceil(impact));
+
+        const largest = Math.max(0, 1 - impact / 2);
+        const shares = [largest];
+        const rest = [];
+        for (let i = 1; i < count; i++) {
+            rest.push(0.5 + rng());
+        }
+        const restTotal = rest.reduce((sum, s) => sum + s, 0);
+        for (const share of rest) {
+            shares.push((1 - largest) * share / restTotal);
+        }
+
+        const pieces = [];
+        const offset = rng() * 2 * Math.PI;
+        for (let i = 0; i < count; i++) {
+            const pieceRadius = radius * Math.cbrt(shares[i]);
+            if (pieceRadius < MIN_ASTEROID_RADIUS) continue;
+
+            const angle = offset + i * 2 * Math.PI / count;
+            pieces.push({
+                radius: pieceRadius,
+                mass: massOf(pieceRadius),
+                dirX: Math.cos(angle),
+                dirY: Math.sin(angle),
+                color: (i % 2 === 0 ? a : b).color
+            });
+        }
+
+        // Remove the ejecta's net momentum so the fragments keep the centre of mass velocity
+        const ejectaSpeed = COLLISION_EJECTA_SPEED * relativeSpeed;
+        let px = 0;
+        let py = 0;
+        let massTotal = 0;
+        for (const piece of pieces) {
+            px += piece.mass * piece.dirX * ejectaSpeed;
+            py += piece.mass * piece.dirY * ejectaSpeed;
+            massTotal += piece.mass;
+        }
+        const driftX = massTotal > 0 ? px / massTotal : 0;
+        const driftY = massTotal > 0 ? py / massTotal : 0;
+
+        const fragments = [];
+        for (const piece of pieces) {
+            const orbit = computeOrbitFromStateVectors(
+                {
+                    x: position.x + piece.dirX * (radius + piece.radius),
+                    y: position.y + piece.dirY * (radius + piece.radius)
+                },
+                {
+                    vx: velocity.vx + piece.dirX * ejectaSpeed - driftX,
+                    vy: velocity.vy + piece.dirY * ejectaSpeed - driftY
+                },
+                t
+            );
+            if (!orbit) continue;
+
+            const fragment = Asteroid.fromOrbit(nextId(), orbit, piece.radius, piece.color);
+            fragment.update(t);
+            fragments.push(fragment);
+        }
+
+        return { type: 'fragment', fragments, removed: [a, b] };
+    }
+
+    /**
+     * Forget all logged events
+     */
+    clearLog() {
+        this.log = [];
+    }
+}
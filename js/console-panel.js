@@ -0,0 +1,171 @@
+// Scripting console UI: type commands against the scripting API and see their results
+
+import { CONSOLE_HISTORY_KEY, CONSOLE_HISTORY_SIZE, CONSOLE_OUTPUT_LINES } from './constants.js';
+
+export class ConsolePanel {
+    /**
+     * @param panel - Floating panel element
+     * @param evaluate - Runs a command and returns its value (or a promise of it)
+     */
+    constructor(panel, evaluate) {
+        this.panel = panel;
+        this.output = panel.querySelector('#console-output');
+        this.input = panel.querySelector('#console-input');
+        this.evaluate = evaluate;
+
+        // Commands run, oldest first, and the one being browsed (history.length: the new line)
+        this.history = this.loadHistory();
+        this.historyIndex = this.history.length;
+        this.draft = '';
+
+        panel.querySelector('#console-close').addEventListener('click', () => this.close());
+        panel.querySelector('#console-clear').addEventListener('click', () => {
+            this.output.innerHTML = '';
+        });
+
+        this.input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && !e.shiftKey) {
+                e.preventDefault();
+                this.run(this.input.value);
+            } else if (e.key === 'ArrowUp' && !this.input.value.slice(0, this.input.selectionStart).includes('\n')) {
+                e.preventDefault();
+                this.browse(-1);
+            } else if (e.key === 'ArrowDown' && !this.input.value.slice(this.input.selectionEnd).includes('\n')) {
+                e.preventDefault();
+                this.browse(1);
+            } else if (e.key === 'Escape') {
+                this.close();
+            }
+            // Keys typed here are not simulation shortcuts
+            e.stopPropagation();
+        });
+    }
+
+    /**
+     * Show or hide the panel, focusing the command line when shown
+     */
+    toggle() {
+        if (this.isOpen()) {
+            this.close();
+        } else {
+            this.panel.hidden = false;
+            this.input.focus();
+        }
+    }
+
+    close() {
+        this.panel.hidden = true;
+        this.input.blur();
+    }
+
+    isOpen() {
+        return !this.panel.hidden;
+    }
+
+    /**
+     * Run a command, echo it and print its result (awaited if it is a promise)
+     * @param source - Command text
+     */
+    async run(source) {
+        const command = source.trim();
+        if (!command) return;
+
+        this.remember(command);
+        this.input.value = '';
+        this.print(command, 'command');
+
+        try {
+            const value = await this.evaluate(command);
+            if (value !== undefined) this.print(formatValue(value), 'result');
+        } catch (err) {
+            this.print(err instanceof Error ? `${err.name}: ${err.message}` : String(err), 'error');
+        }
+    }
+
+    /**
+     * Add a line to the output, dropping the oldest beyond CONSOLE_OUTPUT_LINES
+     * @param kind - 'command', 'result' or 'error'
+     */
+    print(text, kind) {
+        const line = document.createElement('pre');
+        line.className = `console-line ${kind}`;
+        line.textContent = text;
+        this.output.appendChild(line);
+
+        while (this.output.childElementCount > CONSOLE_OUTPUT_LINES) {
+            this.output.firstElementChild.remove();
+        }
+        this.output.scrollTop = this.output.scrollHeight;
+    }
+
+    /**
+     * Add a command to the history (dropping an identical previous one) and store it
+     */
+    remember(command) {
+        if (this.history[this.history.length - 1] !== command) {
+            this.history.push(command);
+            if (this.history.length > CONSOLE_HISTORY_SIZE) this.history.shift();
+        }
+        this.historyIndex = this.history.length;
+        this.draft = '';
+
+        try {
+            localStorage.setItem(CONSOLE_HISTORY_KEY, JSON.stringify(this.history));
+        } catch {
+            // Storage full or unavailable: the history still lasts for this page
+        }
+    }
+
+    loadHistory() {
+        try {
+            const history = JSON.parse(localStorage.getItem(CONSOLE_HISTORY_KEY));
+            return Array.isArray(history) ? history.filter(item => typeof item === 'string') : [];
+        } catch {
+            return [];
+        }
+    }
+
+    /**
+     * Step through the history, keeping the line being typed to come back to
+     * @param direction - -1 for older, 1 for newer
+     */
+    browse(direction) {
+        const index = Math.min(Math.max(this.historyIndex + direction, 0), this.history.length);
+        if (index === this.historyIndex) return;
+
+        if (this.historyIndex === this.history.length) this.draft = this.input.value;
+        this.historyIndex = index;
+        this.input.value = index === this.history.length ? this.draft : this.history[index];
+        this.input.setSelectionRange(this.input.value.length, this.input.value.length);
+    }
+}
+
+/**
+ * Readable text for a command's value
+ * Strings are shown as they are; objects other than plain ones and arrays (asteroids, the API)
+ * are named rather than expanded, since they reference the whole simulation.
+ */
+function formatValue(value) {
+    if (typeof value === 'string') return value;
+    if (typeof value === 'function') return `ƒ ${value.name || 'anonymous'}()`;
+    if (typeof value !== 'object' || value === null) return String(value);
+
+    const named = nameOf(value);
+    if (named !== null) return named;
+
+    return JSON.stringify(value, (key, item) => {
+        if (typeof item === 'number' && !Number.isFinite(item)) return String(item);
+        if (typeof item !== 'object' || item === null) return item;
+        return nameOf(item) ?? item;
+    }, 2);
+}
+
+/**
+ * 'Asteroid #12' for an object of a class, or null for plain objects and arrays
+ */
+function nameOf(item) {
+    if (Array.isArray(item)) return null;
+    const name = item.constructor ? item.constructor.name : 'Object';
+    if (name === 'Object') return null;
+    return 'id' in item ? `${name} #${item.id}` : name;
+}
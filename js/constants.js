@@ -11,9 +11,6 @@ export const AU_TO_PIXELS = 150;
 export const BELT_INNER_RADIUS = 2.0;
 export const BELT_OUTER_RADIUS = 3.5;
 
-// Number of asteroids to generate
-export const ASTEROID_COUNT = 1000;
-
 // Asteroid size range (pixels at zoom 1)
 export const MIN_ASTEROID_RADIUS = 2;
 export const MAX_ASTEROID_RADIUS = 20;
@@ -22,14 +19,49 @@ export const MAX_ASTEROID_RADIUS = 20;
 export const MIN_ECCENTRICITY = 0.0;
 export const MAX_ECCENTRICITY = 0.3;
 
+// Populations generated for a new belt (editable at runtime in the populations panel)
+// Distances in AU, angles in degrees. Types:
+//   belt     - uniform semi-major axis and eccentricity ranges
+//   resonant - p:q mean-motion resonance with Jupiter, phase-locked so the resonant angle
+//              librates about 0 (Hilda-like: aphelia avoid Jupiter)
+//   trojan   - around Jupiter's L4 and L5 points
+//   family   - collisional family clustered around central elements
+// A null colour keeps the natural grey-brown palette.
+export const DEFAULT_POPULATIONS = [
+    {
+        type: 'belt', label: 'Main belt', count: 820, color: null,
+        aMin: BELT_INNER_RADIUS, aMax: BELT_OUTER_RADIUS, eMin: MIN_ECCENTRICITY, eMax: MAX_ECCENTRICITY
+    },
+    {
+        type: 'resonant', label: 'Hildas (3:2)', count: 60, color: '#6fa8dc',
+        p: 3, q: 2, aSpread: 0.03, eMin: 0.1, eMax: 0.3, libration: 20
+    },
+    {
+        type: 'trojan', label: 'Jupiter Trojans', count: 80, color: '#93c47d',
+        aSpread: 0.04, eMax: 0.1, libration: 25
+    },
+    {
+        type: 'family', label: 'Collisional family', count: 40, color: '#e69138',
+        a: 3.01, e: 0.07, omega: 0, aSpread: 0.02, eSpread: 0.01, omegaSpread: 10
+    }
+];
+
 // Orbit path resolution (points per orbit)
 export const ORBIT_PATH_POINTS = 100;
 
+// Sphere of influence (in AU) - escaping asteroids are removed beyond this
+export const SPHERE_OF_INFLUENCE_RADIUS = 12;
+
+// How far out open (hyperbolic/parabolic) orbit paths are drawn (in AU)
+export const ORBIT_PATH_MAX_RADIUS = SPHERE_OF_INFLUENCE_RADIUS;
+
 // Camera settings
 export const MIN_ZOOM = 0.1;
 export const MAX_ZOOM = 50;
 export const ZOOM_SPEED = 0.001;
 export const PAN_SPEED = 1;
+export const CAMERA_TRANSITION_DURATION = 600; // ms to glide onto a newly followed body
+export const DEFAULT_FRAME_PERIOD = 11.862;    // Years per turn of the rotating frame (Jupiter's period)
 
 // Mini-map settings
 export const MINIMAP_SIZE = 200;
@@ -38,16 +70,111 @@ export const MINIMAP_PADDING = 10;
 // Selection settings
 export const CLICK_TOLERANCE = 8; // pixels
 
+// Spatial index (selection, collisions and culling)
+export const SPATIAL_CELL_SIZE = 16;       // Finest grid cell width in world units (pixels at zoom 1)
+export const SPATIAL_CULL_FRACTION = 0.1;  // Views covering less of the belt's extent draw only the asteroids the index finds in them
+
+// How close (in pixels) a click must be to an orbit path to place a maneuver node
+export const ORBIT_CLICK_TOLERANCE = 6;
+
 // Kepler equation solver
 export const KEPLER_MAX_ITERATIONS = 50;
 export const KEPLER_TOLERANCE = 1e-8;
 
+// Trajectories with |energy| * r / μ below this are treated as parabolic
+export const PARABOLIC_TOLERANCE = 1e-6;
+
+// Kepler propagation in Web Workers
+export const PROPAGATION_MAX_WORKERS = 4;     // Workers started at most (one per spare core)
+export const PROPAGATION_WORKER_MIN = 5000;   // Smaller belts are propagated on the main thread, exactly in step
+export const BELT_STATE_BLOCK_SIZE = 4096;    // Slots per shared state block for asteroids not yet in a belt
+
+// N-body (perturbed) propagation
+export const NBODY_TIME_STEP = 2;              // Largest integrator step (time units)
+export const NBODY_MAX_STEPS_PER_FRAME = 20;   // Simulation slows down rather than exceed this
+
+// Planets on Kepler orbits (semi-major axis in AU, angles in radians, mass as a fraction of the sun's)
+// Mean anomalies are the J2000 values; omega is the longitude of perihelion.
+export const PLANETS = [
+    { name: 'Mars', a: 1.524, e: 0.0934, omega: 5.865, M0: 0.339, massRatio: 3.227e-7, radius: 6, color: '#dd6644' },
+    { name: 'Jupiter', a: 5.203, e: 0.0484, omega: 0.257, M0: 0.343, massRatio: 9.546e-4, radius: 16, color: '#d8b080' }
+];
+
+// Planet masses are multiplied by this in N-body mode so resonance gaps open in minutes, not hours
+export const PLANET_MASS_SCALE = 10;
+
+// Mean-motion resonances with Jupiter (asteroid orbits : Jupiter orbits) marked on the histogram
+export const KIRKWOOD_RESONANCES = [[3, 1], [5, 2], [7, 3], [2, 1]];
+
+// Semi-major axis histogram overlay (range in AU)
+export const HISTOGRAM_MIN_AU = 1.8;
+export const HISTOGRAM_MAX_AU = 3.7;
+export const HISTOGRAM_BINS = 76;
+
+// Collisions
+// Specific impact energy (reduced-mass kinetic energy per unit total mass, sim velocity²)
+// needed to shatter bodies of MIN_ASTEROID_RADIUS; larger bodies are stronger (∝ r^1.5)
+export const COLLISION_DISRUPTION_ENERGY = 0.005;
+export const COLLISION_STRENGTH_EXPONENT = 1.5;
+export const COLLISION_MAX_FRAGMENTS = 4;
+// Physical size of an asteroid as a fraction of its drawn radius: drawn radii are exaggerated
+// (up to MAX_ASTEROID_RADIUS world units, a sizeable fraction of an AU) so bodies stay visible,
+// and contact at that size would grind the belt down within a few orbits
+export const COLLISION_SIZE_SCALE = 0.02;
+export const COLLISION_EJECTA_SPEED = 0.3;   // Fragment ejection speed as a fraction of the impact speed
+export const COLLISION_LOG_SIZE = 50;        // Most recent events kept in the log
+export const IMPACT_EFFECT_DURATION = 800;   // ms
+
+// Catalog import (MPCORB / JPL SBDB)
+export const CATALOG_MAX_ASTEROIDS = 5000;     // Further records are ignored
+export const CATALOG_ALBEDO = 0.14;            // Assumed geometric albedo for H → diameter
+export const CATALOG_MIN_DIAMETER_KM = 1;      // Drawn at MIN_ASTEROID_RADIUS
+export const CATALOG_MAX_DIAMETER_KM = 1000;   // Drawn at MAX_ASTEROID_RADIUS
+export const ASTEROID_DENSITY = 2000;          // kg/m³, for group mass estimates
+
+// Undo history of orbit changes
+export const HISTORY_SIZE = 100; // Oldest changes beyond this can no longer be undone
+
+// Close approaches
+export const MOID_SAMPLES = 72;            // True anomaly grid per orbit before refining the MOID
+export const ENCOUNTER_SCAN_STEPS = 64;    // Distance samples per orbital period when scanning for approaches
+export const ENCOUNTER_THRESHOLD = 0.05;   // AU, default distance counted as a close approach
+export const ENCOUNTER_WINDOW = 10;        // Years, default prediction window
+export const ENCOUNTER_MAX_RESULTS = 100;  // Nearest approaches kept in the list
+
+// Orbit trails
+export const TRAIL_CAPACITY = 256;     // Samples per trail (ring buffer size)
+export const TRAIL_LENGTH = 365;       // Days of history shown by default
+export const TRAIL_FADE_STEPS = 8;     // Opacity bands from the tail to the head
+export const TRAIL_ALPHA = 0.8;        // Opacity at the head
+
+// Filter highlighting
+export const FILTER_DIM_ALPHA = 0.2; // Opacity of asteroids that don't match the filter
+
+// Asteroid rendering backends
+export const RENDER_BACKEND = 'webgl';  // Preferred backend; falls back to 'canvas' without WebGL2
+export const DETAIL_RADIUS = 3;         // Screen radius (px) from which asteroids are shaded rather than flat dots
+export const SPRITE_CACHE_SIZE = 2048;  // Shaded sprites kept by the 2D backend before the cache is emptied
+export const SPRITE_MAX_RADIUS = 64;    // Larger asteroids are shaded directly instead of from a sprite
+export const SPRITE_COLOR_BITS = 5;     // Bits per channel of the colours sprites are shared by
+export const DOT_COLOR_BITS = 4;        // Bits per channel small dots are grouped by when drawn in 2D
+
+// Persistence
+export const AUTOSAVE_KEY = 'asteroid-belt-autosave';
+export const AUTOSAVE_INTERVAL = 10000; // ms
+
+// Scripting console
+export const CONSOLE_HISTORY_KEY = 'asteroid-belt-console-history';
+export const CONSOLE_HISTORY_SIZE = 100;   // Commands kept for the up/down keys
+export const CONSOLE_OUTPUT_LINES = 200;   // Older output lines are dropped
+
 // Delta-V settings
 export const MAX_DELTA_V = 5; // km/s equivalent in sim units
 export const DELTA_V_SCALE = 0.1; // Convert slider to velocity units
 
 // Time settings
 export const TIME_SCALE = 0.001; // How fast simulation runs
+export const FRAME_STEP_DURATION = 1000 / 60; // ms of simulated wall-clock time per frame step
 
 // Colors
 export const COLORS = {
@@ -61,5 +188,28 @@ export const COLORS = {
     minimapBackground: 'rgba(10, 10, 30, 0.8)',
     minimapViewport: 'rgba(255, 255, 255, 0.5)',
     minimapBorder: 'rgba(100, 150, 255, 0.5)',
-    selectionRing: '#44aaff'
+    selectionRing: '#44aaff',
+    groupRing: 'rgba(68, 170, 255, 0.6)',
+    selectionBox: 'rgba(68, 170, 255, 0.8)',
+    selectionBoxFill: 'rgba(68, 170, 255, 0.08)',
+    filterMatch: 'rgba(120, 255, 160, 0.8)',
+    encounterLine: 'rgba(255, 90, 90, 0.5)',
+    encounterActive: 'rgba(255, 130, 110, 1)',
+    targetRing: '#ff66aa',
+    targetOrbit: 'rgba(255, 100, 170, 0.4)',
+    transferArc: 'rgba(255, 255, 120, 0.9)',
+    maneuverNode: '#ffffff',
+    planetOrbit: 'rgba(200, 170, 130, 0.25)',
+    histogramBar: 'rgba(120, 170, 255, 0.8)',
+    resonanceMarker: 'rgba(255, 120, 90, 0.9)',
+    impactMerge: '255, 200, 100',     // RGB, alpha fades with the effect
+    impactFragment: '255, 90, 60',
+    // Colours for successive maneuver legs (cycled)
+    maneuverLegs: [
+        'rgba(255, 150, 50, 0.8)',
+        'rgba(120, 255, 140, 0.8)',
+        'rgba(255, 100, 200, 0.8)',
+        'rgba(100, 220, 255, 0.8)',
+        'rgba(255, 240, 90, 0.8)'
+    ]
 };
@@ -1,8 +1,16 @@
 // Delta-V control panel and orbit projection
 
-import { COLORS, AU_TO_PIXELS, MAX_DELTA_V, DELTA_V_SCALE } from './constants.js';
-import { computeOrbitFromStateVectors, generateOrbitPath, orbitalPeriod } from './orbital.js';
-import { degToRad, radToDeg, magnitude } from './utils.js';
+import { MU, COLORS, AU_TO_PIXELS, MAX_DELTA_V, DELTA_V_SCALE } from './constants.js';
+import {
+    computeOrbitFromStateVectors,
+    generateOrbitPath,
+    orbitalPeriod,
+    isClosedOrbit,
+    isParabolicOrbit,
+    semiLatusRectum,
+    orbitDirection
+} from './orbital.js';
+import { degToRad, radToDeg, magnitude, escapeHtml } from './utils.js';
 
 export class DeltaVPanel {
     constructor(panelElement, onProjectionChange, onApply) {
@@ -15,6 +23,7 @@ export class DeltaVPanel {
         this.direction = 0; // radians
         this.projectedOrbit = null;
         this.projectedPath = null;
+        this.projectedBurn = null; // { dvx, dvy } behind projectedOrbit
 
         // Selected asteroid reference
         this.asteroid = null;
@@ -61,12 +70,35 @@ export class DeltaVPanel {
         this.radialOutBtn.addEventListener('click', () => this.setRadialOut());
 
         // Apply button
-        this.applyButton.addEventListener('click', () => {
-            if (this.asteroid && this.projectedOrbit && this.onApply) {
-                this.onApply(this.asteroid, this.projectedOrbit);
-                this.reset();
-            }
-        });
+        this.applyButton.addEventListener('click', () => this.apply());
+    }
+
+    /**
+     * Apply the projected burn to the asteroid
+     * @returns Whether a burn was applied
+     */
+    apply() {
+        // Recompute from the latest state so the burn happens where the asteroid is now
+        this.updateProjection();
+        if (!this.asteroid || !this.projectedOrbit || !this.onApply) return false;
+
+        this.onApply(this.asteroid, this.projectedOrbit, this.projectedBurn);
+        this.reset();
+        return true;
+    }
+
+    /**
+     * Set the delta-v as if by the sliders and update the projection
+     * @param magnitude - Delta-v in km/s (clamped to the slider's range)
+     * @param direction - World-space direction in radians
+     */
+    setDeltaV(magnitude, direction) {
+        this.magnitude = Math.min(Math.max(magnitude, 0), parseFloat(this.magnitudeSlider.max));
+        this.magnitudeSlider.value = this.magnitude;
+        this.magnitudeValue.textContent = this.magnitude.toFixed(2);
+        this.direction = direction;
+        this.updateDirectionDisplay();
+        this.updateProjection();
     }
 
     /**
@@ -142,21 +174,23 @@ export class DeltaVPanel {
         const newVx = this.asteroid.vx + dvx;
         const newVy = this.asteroid.vy + dvy;
 
-        // Compute new orbit from state vectors
+        // Compute new orbit from state vectors, with the epoch at the state's time
         const newOrbit = computeOrbitFromStateVectors(
             { x: this.asteroid.x, y: this.asteroid.y },
-            { vx: newVx, vy: newVy }
+            { vx: newVx, vy: newVy },
+            this.asteroid.time
         );
 
-        if (newOrbit && newOrbit.a > 0 && newOrbit.e < 1) {
+        if (newOrbit) {
             this.projectedOrbit = newOrbit;
             this.projectedPath = generateOrbitPath(newOrbit);
+            this.projectedBurn = { dvx, dvy };
             this.updateProjectedInfo(newOrbit);
         } else {
-            // Escape trajectory or invalid orbit
+            // Degenerate (radial) trajectory
             this.projectedOrbit = null;
             this.projectedPath = null;
-            this.updateProjectedInfo(null, true);
+            this.updateProjectedInfo(null);
         }
 
         if (this.onProjectionChange) {
@@ -214,7 +248,24 @@ export class DeltaVPanel {
         const info = this.asteroid.getInfo();
         const velocity = magnitude(this.asteroid.vx, this.asteroid.vy);
 
-        this.infoSection.innerHTML = `
+        const population = info.population === null ? '' : `
+            <div class="info-row">
+                <span class="info-label">Population:</span>
+                <span class="info-value">${escapeHtml(info.population)}</span>
+            </div>`;
+
+        const identity = info.designation === null ? '' : `
+            <div class="info-row">
+                <span class="info-label">Designation:</span>
+                <span class="info-value">${escapeHtml(info.designation)}</span>
+            </div>
+            ${info.magnitude === null ? '' : `
+            <div class="info-row">
+                <span class="info-label">Abs. magnitude H:</span>
+                <span class="info-value">${info.magnitude.toFixed(2)}</span>
+            </div>`}`;
+
+        this.infoSection.innerHTML = identity + population + `
             <div class="info-row">
                 <span class="info-label">Semi-major axis:</span>
                 <span class="info-value">${info.semiMajorAxis} AU</span>
@@ -225,7 +276,11 @@ export class DeltaVPanel {
             </div>
             <div class="info-row">
                 <span class="info-label">Period:</span>
-                <span class="info-value">${(info.period / 1000).toFixed(1)} units</span>
+                <span class="info-value">${info.escaping ? 'Escaping' : (info.period / 1000).toFixed(1) + ' units'}</span>
+            </div>
+            <div class="info-row">
+                <span class="info-label">Direction:</span>
+                <span class="info-value">${info.direction}</span>
             </div>
             <div class="info-row">
                 <span class="info-label">Velocity:</span>
@@ -237,21 +292,19 @@ export class DeltaVPanel {
     /**
      * Update projected orbit info display
      */
-    updateProjectedInfo(orbit, escape = false) {
+    updateProjectedInfo(orbit) {
         if (!orbit) {
-            if (escape) {
-                this.projectedInfoSection.innerHTML = `
-                    <div class="info-row escape">
-                        <span class="info-value">Escape trajectory!</span>
-                    </div>
-                `;
-            } else {
-                this.projectedInfoSection.innerHTML = '';
-            }
+            this.projectedInfoSection.innerHTML = '';
             this.applyButton.disabled = true;
             return;
         }
 
+        if (!isClosedOrbit(orbit)) {
+            this.updateEscapeInfo(orbit);
+            this.applyButton.disabled = false;
+            return;
+        }
+
         const semiMajorAU = (orbit.a / AU_TO_PIXELS).toFixed(2);
         const period = orbitalPeriod(orbit.a);
 
@@ -268,11 +321,58 @@ export class DeltaVPanel {
                 <span class="info-label">New period:</span>
                 <span class="info-value">${(period / 1000).toFixed(1)} units</span>
             </div>
+            ${this.directionChangeRow(orbit)}
         `;
 
         this.applyButton.disabled = false;
     }
 
+    /**
+     * Show projected info for a hyperbolic or parabolic escape trajectory
+     */
+    updateEscapeInfo(orbit) {
+        const parabolic = isParabolicOrbit(orbit);
+        const periapsisAU = (semiLatusRectum(orbit) / (1 + orbit.e) / AU_TO_PIXELS).toFixed(2);
+
+        // Hyperbolic excess velocity: v∞² = -μ / a (zero for a parabola)
+        const vInfinity = parabolic ? 0 : Math.sqrt(-MU / orbit.a);
+
+        this.projectedInfoSection.innerHTML = `
+            <div class="info-row escape">
+                <span class="info-value">Escape trajectory (${parabolic ? 'parabolic' : 'hyperbolic'})</span>
+            </div>
+            <div class="info-row projected">
+                <span class="info-label">New eccentricity:</span>
+                <span class="info-value">${orbit.e.toFixed(3)}</span>
+            </div>
+            <div class="info-row projected">
+                <span class="info-label">Periapsis:</span>
+                <span class="info-value">${periapsisAU} AU</span>
+            </div>
+            <div class="info-row projected">
+                <span class="info-label">Excess velocity:</span>
+                <span class="info-value">${vInfinity.toFixed(3)}</span>
+            </div>
+            ${this.directionChangeRow(orbit)}
+        `;
+    }
+
+    /**
+     * Warning row shown when a burn reverses the direction of motion
+     */
+    directionChangeRow(orbit) {
+        const direction = orbitDirection(orbit);
+        if (!this.asteroid || direction === orbitDirection(this.asteroid.orbit)) {
+            return '';
+        }
+
+        return `
+            <div class="info-row escape">
+                <span class="info-value">Orbit becomes ${direction === 1 ? 'prograde' : 'retrograde'}</span>
+            </div>
+        `;
+    }
+
     /**
      * Get current delta-v direction for rendering indicator
      */
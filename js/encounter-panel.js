@@ -0,0 +1,154 @@
+// Close-approach list UI: predicted encounters of the selected asteroid, sortable by column
+
+import { AU_TO_PIXELS, DELTA_V_SCALE, ENCOUNTER_THRESHOLD, ENCOUNTER_WINDOW } from './constants.js';
+import { formatDate } from './clock.js';
+
+// Sort keys of the table columns
+const SORT_VALUES = {
+    time: encounter => encounter.time,
+    other: encounter => encounter.other.id,
+    distance: encounter => encounter.distance,
+    speed: encounter => encounter.speed
+};
+
+export class EncounterPanel {
+    /**
+     * @param section - Element containing the encounter controls and table
+     * @param handlers - { onPredict(thresholdAU, windowYears), onSelectEncounter(encounter) }
+     */
+    constructor(section, handlers) {
+        this.thresholdInput = section.querySelector('#encounter-threshold');
+        this.windowInput = section.querySelector('#encounter-window');
+        this.predictButton = section.querySelector('#encounter-predict');
+        this.table = section.querySelector('#encounter-table');
+        this.list = section.querySelector('#encounter-list');
+        this.status = section.querySelector('#encounter-status');
+        this.handlers = handlers;
+
+        this.thresholdInput.value = ENCOUNTER_THRESHOLD;
+        this.windowInput.value = ENCOUNTER_WINDOW;
+
+        // Asteroid the predictions are for, its encounters and the one picked in the list
+        this.subject = null;
+        this.encounters = [];
+        this.active = null;
+        this.sortKey = 'time';
+        this.ascending = true;
+
+        this.predictButton.addEventListener('click', () => {
+            const threshold = parseFloat(this.thresholdInput.value);
+            const window = parseFloat(this.windowInput.value);
+            if (!(threshold > 0) || !(window > 0)) return;
+            this.handlers.onPredict(threshold, window);
+        });
+
+        for (const header of this.table.querySelectorAll('th[data-sort]')) {
+            header.addEventListener('click', () => this.sortBy(header.dataset.sort));
+        }
+
+        this.clear('Press Predict to search the next years for close approaches');
+    }
+
+    /**
+     * Show a new set of predictions
+     * @param subject - Asteroid the predictions are for
+     * @param encounters - Result of predictEncounters
+     */
+    setEncounters(subject, encounters) {
+        this.subject = subject;
+        this.encounters = encounters;
+        this.active = null;
+        this.setStatus(encounters.length === 0
+            ? 'No close approaches in the window'
+            : `${encounters.length} close approach${encounters.length === 1 ? '' : 'es'} (two-body prediction)`);
+        this.render();
+    }
+
+    /**
+     * Drop the predictions
+     * @param message - Shown in place of the list
+     */
+    clear(message) {
+        this.subject = null;
+        this.encounters = [];
+        this.active = null;
+        this.setStatus(message);
+        this.render();
+    }
+
+    /**
+     * Whether the current predictions depend on an asteroid's orbit
+     */
+    involves(asteroid) {
+        return asteroid === this.subject || this.encounters.some(encounter => encounter.other === asteroid);
+    }
+
+    setStatus(message) {
+        this.status.textContent = message;
+    }
+
+    /**
+     * Sort by a column; clicking the current column reverses the order
+     * @param key - 'time', 'other', 'distance' or 'speed'
+     */
+    sortBy(key) {
+        if (key === this.sortKey) {
+            this.ascending = !this.ascending;
+        } else {
+            this.sortKey = key;
+            this.ascending = true;
+        }
+        this.render();
+    }
+
+    /**
+     * Rebuild the table rows in the current sort order
+     */
+    render() {
+        for (const header of this.table.querySelectorAll('th[data-sort]')) {
+            const sorted = header.dataset.sort === this.sortKey;
+            header.classList.toggle('sorted', sorted);
+            header.dataset.order = sorted ? (this.ascending ? 'asc' : 'desc') : '';
+        }
+
+        this.table.hidden = this.encounters.length === 0;
+        this.list.innerHTML = '';
+
+        const value = SORT_VALUES[this.sortKey];
+        const sign = this.ascending ? 1 : -1;
+        const sorted = [...this.encounters].sort((a, b) => sign * (value(a) - value(b)));
+        for (const encounter of sorted) {
+            this.list.appendChild(this.createRow(encounter));
+        }
+    }
+
+    /**
+     * Create the row for one encounter; clicking it highlights the encounter and shows it
+     */
+    createRow(encounter) {
+        const row = document.createElement('tr');
+        row.className = 'encounter-row';
+        row.classList.toggle('active', encounter === this.active);
+
+        const other = encounter.other;
+        const cells = [
+            formatDate(encounter.time).split(' ')[0],
+            other.designation === null ? `#${other.id}` : other.designation,
+            (encounter.distance / AU_TO_PIXELS).toFixed(4),
+            (encounter.speed / DELTA_V_SCALE).toFixed(2)
+        ];
+        for (const text of cells) {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            row.appendChild(cell);
+        }
+
+        row.title = `MOID ${(encounter.moid / AU_TO_PIXELS).toFixed(4)} AU`;
+        row.addEventListener('click', () => {
+            this.active = encounter;
+            this.render();
+            this.handlers.onSelectEncounter(encounter);
+        });
+        return row;
+    }
+}
@@ -0,0 +1,339 @@
+// Close approaches: minimum orbit intersection distance (MOID) and predicted encounters
+
+import { MOID_SAMPLES, ENCOUNTER_SCAN_STEPS } from './constants.js';
+import {
+    isClosedOrbit,
+    semiLatusRectum,
+    orbitalPeriod,
+    trueAnomalyLimit,
+    getPositionFromTrueAnomaly,
+    getPositionAtTime,
+    getVelocityAtTime
+} from './orbital.js';
+import { magnitude, normalizeAngle } from './utils.js';
+
+// Golden-section ratio
+const GOLDEN = (Math.sqrt(5) - 1) / 2;
+
+// True anomaly tolerance when refining the MOID (radians)
+const MOID_TOLERANCE = 1e-8;
+
+/**
+ * Minimise a unimodal function on an interval by golden-section search
+ * @param f - Function to minimise
+ * @param lo - Lower end of the interval
+ * @param hi - Upper end of the interval
+ * @param tolerance - Stop once the bracket is this narrow
+ * @returns { x, value }
+ */
+function goldenSection(f, lo, hi, tolerance) {
+    let x1 = hi - GOLDEN * (hi - lo);
+    let x2 = lo + GOLDEN * (hi - lo);
+    let f1 = f(x1);
+    let f2 = f(x2);
+    while (hi - lo > tolerance) {
+        if (f1 < f2) {
+            hi = x2;
+            x2 = x1;
+            f2 = f1;
+            x1 = hi - GOLDEN * (hi - lo);
+            f1 = f(x1);
+        } else {
+            lo = x1;
+            x1 = x2;
+            f1 = f2;
+            x2 = lo + GOLDEN * (hi - lo);
+            f2 = f(x2);
+        }
+    }
+    const x = (lo + hi) / 2;
+    return { x, value: f(x) };
+}
+
+/**
+ * True anomaly interval refined around a MOID grid sample
+ * Closed orbits wrap around freely; open ones stay within their drawn branch.
+ * @returns [lo, hi]
+ */
+function refineBracket(orbit, centre, cell, limit) {
+    if (isClosedOrbit(orbit)) {
+        return [centre - 2 * cell, centre + 2 * cell];
+    }
+    return [Math.max(-limit, centre - 2 * cell), Math.min(limit, centre + 2 * cell)];
+}
+
+/**
+ * Periapsis and apoapsis distances of an orbit
+ * @param orbit - Orbital elements
+ * @returns { q, Q } with Q = Infinity for open orbits
+ */
+export function apsides(orbit) {
+    return {
+        q: semiLatusRectum(orbit) / (1 + orbit.e),
+        Q: isClosedOrbit(orbit) ? orbit.a * (1 + orbit.e) : Infinity
+    };
+}
+
+/**
+ * Distance from the sun of an orbit in a given direction
+ * @param orbit - Orbital elements
+ * @param phi - Polar angle
+ * @param limit - True anomaly limit of the orbit (trueAnomalyLimit)
+ * @returns Radius, or null if the orbit doesn't reach that direction
+ */
+function radiusAtAngle(orbit, phi, limit) {
+    // Retrograde orbits run the other way round the same curve, so the sign of θ doesn't matter
+    const theta = Math.abs(normalizeAngle(phi - orbit.omega + Math.PI) - Math.PI);
+    if (theta > limit) return null;
+    return semiLatusRectum(orbit) / (1 + orbit.e * Math.cos(theta));
+}
+
+/**
+ * Point where two orbits cross, if they do
+ * Every orbit lies in the same plane around the sun, so the orbits cross wherever the difference
+ * of their radii in the same direction changes sign.
+ * @returns { x, y } or null
+ */
+function findCrossing(orbitA, limitA, orbitB, limitB, samples) {
+    const gap = phi => {
+        const rA = radiusAtAngle(orbitA, phi, limitA);
+        const rB = radiusAtAngle(orbitB, phi, limitB);
+        return rA === null || rB === null ? null : rA - rB;
+    };
+
+    let prevPhi = 0;
+    let prev = gap(0);
+    for (let k = 1; k <= samples; k++) {
+        const phi = k / samples * 2 * Math.PI;
+        const current = gap(phi);
+        if (prev !== null && current !== null && (prev < 0) !== (current < 0)) {
+            // Bisect the sign change
+            let lo = prevPhi;
+            let hi = phi;
+            const loNegative = prev < 0;
+            for (let i = 0; i < 60; i++) {
+                const mid = (lo + hi) / 2;
+                if ((gap(mid) < 0) === loNegative) {
+                    lo = mid;
+                } else {
+                    hi = mid;
+                }
+            }
+            const crossing = (lo + hi) / 2;
+            const r = radiusAtAngle(orbitA, crossing, limitA);
+            return { x: r * Math.cos(crossing), y: r * Math.sin(crossing) };
+        }
+        prevPhi = phi;
+        prev = current;
+    }
+    return null;
+}
+
+/**
+ * Minimum orbit intersection distance between two orbits
+ * Crossing orbits have a MOID of zero. Otherwise both orbits are sampled on a true anomaly grid
+ * and the closest pair of points is refined around the best grid cell. Open orbits are limited
+ * to the part drawn on screen.
+ * @param orbitA - First orbit
+ * @param orbitB - Second orbit
+ * @param samples - Grid points per orbit
+ * @returns { distance, pointA, pointB }
+ */
+export function computeMoid(orbitA, orbitB, samples = MOID_SAMPLES) {
+    const limitA = trueAnomalyLimit(orbitA);
+    const limitB = trueAnomalyLimit(orbitB);
+
+    const crossing = findCrossing(orbitA, limitA, orbitB, limitB, samples * 4);
+    if (crossing) {
+        return { distance: 0, pointA: crossing, pointB: crossing };
+    }
+
+    const pointsB = [];
+    for (let j = 0; j < samples; j++) {
+        pointsB.push(getPositionFromTrueAnomaly(orbitB, -limitB + (j + 0.5) / samples * 2 * limitB));
+    }
+
+    let bestI = 0;
+    let bestJ = 0;
+    let bestD2 = Infinity;
+    for (let i = 0; i < samples; i++) {
+        const a = getPositionFromTrueAnomaly(orbitA, -limitA + (i + 0.5) / samples * 2 * limitA);
+        for (let j = 0; j < samples; j++) {
+            const dx = a.x - pointsB[j].x;
+            const dy = a.y - pointsB[j].y;
+            const d2 = dx * dx + dy * dy;
+            if (d2 < bestD2) {
+                bestD2 = d2;
+                bestI = i;
+                bestJ = j;
+            }
+        }
+    }
+
+    // Refine around the best grid cell: for each θA on orbit A, the nearest point of orbit B
+    // (golden-section in θB), minimised over θA (golden-section again)
+    const cellA = limitA / samples;
+    const cellB = limitB / samples;
+    const centreA = -limitA + (bestI + 0.5) * 2 * cellA;
+    const centreB = -limitB + (bestJ + 0.5) * 2 * cellB;
+    let thetaB = centreB;
+    const nearestOnB = thetaA => {
+        const a = getPositionFromTrueAnomaly(orbitA, thetaA);
+        const result = goldenSection(
+            theta => {
+                const b = getPositionFromTrueAnomaly(orbitB, theta);
+                return (a.x - b.x) * (a.x - b.x) + (a.y - b.y) * (a.y - b.y);
+            },
+            ...refineBracket(orbitB, centreB, cellB, limitB),
+            MOID_TOLERANCE
+        );
+        thetaB = result.x;
+        return result.value;
+    };
+    const refined = goldenSection(
+        nearestOnB,
+        ...refineBracket(orbitA, centreA, cellA, limitA),
+        MOID_TOLERANCE
+    );
+    const thetaA = refined.x;
+    nearestOnB(thetaA);
+    if (refined.value < bestD2) {
+        bestD2 = refined.value;
+    }
+
+    return {
+        distance: Math.sqrt(bestD2),
+        pointA: getPositionFromTrueAnomaly(orbitA, thetaA),
+        pointB: getPositionFromTrueAnomaly(orbitB, thetaB)
+    };
+}
+
+/**
+ * Times within a window when two bodies on Kepler orbits pass within a distance of each other
+ * Samples the separation (ENCOUNTER_SCAN_STEPS per period of the faster orbit) and refines each
+ * sampled local minimum by golden-section search.
+ * @param orbitA - First orbit
+ * @param orbitB - Second orbit
+ * @param startTime - Start of the window
+ * @param endTime - End of the window
+ * @param threshold - Largest separation reported (world units)
+ * @returns Array of { time, distance, speed, pointA, pointB }, in time order
+ */
+export function findCloseApproaches(orbitA, orbitB, startTime, endTime, threshold) {
+    const separation = t => {
+        const a = getPositionAtTime(orbitA, t);
+        const b = getPositionAtTime(orbitB, t);
+        return magnitude(a.x - b.x, a.y - b.y);
+    };
+
+    const span = Math.min(orbitalPeriod(orbitA.a), orbitalPeriod(orbitB.a), endTime - startTime);
+    const steps = Math.max(2, Math.ceil((endTime - startTime) / (span / ENCOUNTER_SCAN_STEPS)));
+    const step = (endTime - startTime) / steps;
+
+    const distances = [];
+    for (let i = 0; i <= steps; i++) {
+        distances.push(separation(startTime + i * step));
+    }
+
+    const approaches = [];
+    for (let i = 1; i < steps; i++) {
+        if (distances[i] > distances[i - 1] || distances[i] > distances[i + 1]) continue;
+
+        const time = goldenSection(
+            separation,
+            startTime + (i - 1) * step,
+            startTime + (i + 1) * step,
+            step * 1e-6
+        ).x;
+        const distance = separation(time);
+        if (distance > threshold) continue;
+
+        const va = getVelocityAtTime(orbitA, time);
+        const vb = getVelocityAtTime(orbitB, time);
+        approaches.push({
+            time,
+            distance,
+            speed: magnitude(va.vx - vb.vx, va.vy - vb.vy),
+            pointA: getPositionAtTime(orbitA, time),
+            pointB: getPositionAtTime(orbitB, time)
+        });
+    }
+
+    return approaches;
+}
+
+/**
+ * Orbit-space index: asteroids sorted by periapsis distance
+ * Two orbits can only come within d of each other if their radial ranges [q, Q] overlap
+ * within d, so a query scans the prefix with q ≤ Q + d and checks the apoapsis.
+ */
+export class OrbitIndex {
+    /**
+     * @param asteroids - Asteroids to index
+     * @param orbitOf - Orbit to index each asteroid by
+     */
+    constructor(asteroids, orbitOf = asteroid => asteroid.orbit) {
+        this.entries = asteroids
+            .map(asteroid => {
+                const orbit = orbitOf(asteroid);
+                return { asteroid, orbit, ...apsides(orbit) };
+            })
+            .sort((a, b) => a.q - b.q);
+    }
+
+    /**
+     * Entries whose radial range comes within a distance of [q, Q]
+     * @returns Array of { asteroid, orbit, q, Q }
+     */
+    query(q, Q, distance) {
+        // First entry with periapsis beyond Q + distance
+        let lo = 0;
+        let hi = this.entries.length;
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            if (this.entries[mid].q <= Q + distance) {
+                lo = mid + 1;
+            } else {
+                hi = mid;
+            }
+        }
+
+        const found = [];
+        for (let i = 0; i < lo; i++) {
+            if (this.entries[i].Q >= q - distance) found.push(this.entries[i]);
+        }
+        return found;
+    }
+}
+
+/**
+ * Upcoming close approaches between one asteroid and the rest of the belt
+ * Candidates come from the orbit index and are then screened by MOID, since two bodies can't
+ * pass closer than their orbits do; only the survivors are propagated through the window.
+ * @param asteroid - Asteroid to predict encounters for
+ * @param orbit - Its orbit
+ * @param index - OrbitIndex of the belt
+ * @param startTime - Start of the window
+ * @param duration - Length of the window
+ * @param threshold - Largest separation reported (world units)
+ * @param maxResults - Keep only this many of the closest approaches
+ * @returns Array of { other, time, distance, speed, moid, pointA, pointB }, in time order
+ */
+export function predictEncounters(asteroid, orbit, index, startTime, duration, threshold, maxResults = Infinity) {
+    const { q, Q } = apsides(orbit);
+    const encounters = [];
+
+    for (const entry of index.query(q, Q, threshold)) {
+        if (entry.asteroid === asteroid) continue;
+
+        const moid = computeMoid(orbit, entry.orbit).distance;
+        if (moid > threshold) continue;
+
+        for (const approach of findCloseApproaches(orbit, entry.orbit, startTime, startTime + duration, threshold)) {
+            encounters.push({ other: entry.asteroid, moid, ...approach });
+        }
+    }
+
+    encounters.sort((a, b) => a.distance - b.distance);
+    return encounters.slice(0, maxResults).sort((a, b) => a.time - b.time);
+}
@@ -0,0 +1,138 @@
+// Filter panel UI: element ranges, match count and stepping through the matches
+
+import { FILTER_FIELDS, isFilterActive } from './filter.js';
+
+export class FilterPanel {
+    /**
+     * @param panel - Floating panel element
+     * @param handlers - { onChange(filter or null), onStep(direction), onSelectAll }
+     */
+    constructor(panel, handlers) {
+        this.panel = panel;
+        this.fields = panel.querySelector('#filter-fields');
+        this.status = panel.querySelector('#filter-status');
+        this.prevButton = panel.querySelector('#filter-prev');
+        this.nextButton = panel.querySelector('#filter-next');
+        this.selectAllButton = panel.querySelector('#filter-select-all');
+        this.handlers = handlers;
+
+        // Number inputs by field key: { min, max }
+        this.inputs = new Map();
+        for (const field of FILTER_FIELDS) {
+            this.fields.appendChild(this.createRow(field));
+        }
+
+        panel.querySelector('#filter-close').addEventListener('click', () => this.close());
+        panel.querySelector('#filter-clear').addEventListener('click', () => this.clear());
+        this.prevButton.addEventListener('click', () => this.handlers.onStep(-1));
+        this.nextButton.addEventListener('click', () => this.handlers.onStep(1));
+        this.selectAllButton.addEventListener('click', () => this.handlers.onSelectAll());
+
+        this.refresh(null, 0, -1);
+    }
+
+    /**
+     * Create the min/max inputs for one field
+     */
+    createRow(field) {
+        const row = document.createElement('div');
+        row.className = 'filter-row';
+
+        const label = document.createElement('span');
+        label.className = 'filter-label';
+        label.textContent = field.label;
+
+        const min = this.createInput(field, 'min');
+        const max = this.createInput(field, 'max');
+        this.inputs.set(field.key, { min, max });
+
+        const dash = document.createElement('span');
+        dash.textContent = '–';
+
+        row.append(label, min, dash, max);
+        return row;
+    }
+
+    /**
+     * Create one bound input; empty means unbounded
+     */
+    createInput(field, bound) {
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.step = String(field.step);
+        input.placeholder = bound;
+        input.addEventListener('input', () => this.handlers.onChange(this.getFilter()));
+        return input;
+    }
+
+    /**
+     * Current filter from the inputs
+     * @returns { [key]: { min, max } }, or null if every input is empty
+     */
+    getFilter() {
+        const filter = {};
+        for (const [key, { min, max }] of this.inputs) {
+            filter[key] = { min: parseBound(min.value), max: parseBound(max.value) };
+        }
+        return isFilterActive(filter) ? filter : null;
+    }
+
+    /**
+     * Empty every input and drop the filter
+     */
+    clear() {
+        for (const { min, max } of this.inputs.values()) {
+            min.value = '';
+            max.value = '';
+        }
+        this.handlers.onChange(null);
+    }
+
+    /**
+     * Show the match count and the position of the current result
+     * @param count - Number of matches, or null without a filter
+     * @param total - Number of asteroids
+     * @param index - Index of the selected asteroid among the matches, or -1
+     */
+    refresh(count, total, index) {
+        const active = count !== null;
+        let text;
+        if (!active) {
+            text = 'No filter';
+        } else if (index >= 0) {
+            text = `${index + 1} of ${count} matches (${total} asteroids)`;
+        } else {
+            text = `${count} of ${total} match`;
+        }
+        // Called every frame, so only touch the DOM when something changed
+        if (this.status.textContent !== text) this.status.textContent = text;
+
+        const canStep = active && count > 0;
+        this.prevButton.disabled = !canStep;
+        this.nextButton.disabled = !canStep;
+        this.selectAllButton.disabled = !active || count < 2;
+    }
+
+    /**
+     * Show or hide the panel
+     */
+    toggle() {
+        this.panel.hidden = !this.panel.hidden;
+    }
+
+    close() {
+        this.panel.hidden = true;
+    }
+
+    isOpen() {
+        return !this.panel.hidden;
+    }
+}
+
+/**
+ * Parse a bound input: a number, or null if empty or invalid
+ */
+function parseBound(text) {
+    const value = parseFloat(text);
+    return Number.isFinite(value) ? value : null;
+}
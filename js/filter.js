@@ -0,0 +1,106 @@
+// Asteroid query: filter the belt by ranges of orbital elements, size and id
+
+import { AU_TO_PIXELS } from './constants.js';
+import { isClosedOrbit } from './orbital.js';
+import { TIME_UNITS_PER_DAY, DAYS_PER_YEAR } from './clock.js';
+import { normalizeAngle, radToDeg } from './utils.js';
+
+/**
+ * Filterable quantities, in the units shown in the filter panel
+ * value() returns null when the quantity is undefined for an asteroid (a and period of open
+ * orbits), which never matches a range on that field.
+ */
+export const FILTER_FIELDS = [
+    {
+        key: 'a',
+        label: 'a (AU)',
+        step: 0.01,
+        value: asteroid => isClosedOrbit(asteroid.orbit) ? asteroid.orbit.a / AU_TO_PIXELS : null
+    },
+    {
+        key: 'e',
+        label: 'e',
+        step: 0.01,
+        value: asteroid => asteroid.orbit.e
+    },
+    {
+        key: 'omega',
+        label: 'ω (°)',
+        step: 1,
+        value: asteroid => radToDeg(normalizeAngle(asteroid.orbit.omega)),
+        // Angles wrap: 350–10 means the 20° either side of 0
+        wraps: true
+    },
+    {
+        key: 'period',
+        label: 'Period (yr)',
+        step: 0.1,
+        value: asteroid => isFinite(asteroid.period)
+            ? asteroid.period / (TIME_UNITS_PER_DAY * DAYS_PER_YEAR)
+            : null
+    },
+    {
+        key: 'radius',
+        label: 'Radius',
+        step: 0.5,
+        value: asteroid => asteroid.radius
+    },
+    {
+        key: 'id',
+        label: 'ID',
+        step: 1,
+        value: asteroid => asteroid.id
+    }
+];
+
+/**
+ * Whether a filter restricts anything
+ * @param filter - { [key]: { min, max } } with null (or missing) for an open bound
+ */
+export function isFilterActive(filter) {
+    if (!filter) return false;
+    return FILTER_FIELDS.some(field => {
+        const range = filter[field.key];
+        return !!range && (range.min !== null || range.max !== null);
+    });
+}
+
+/**
+ * Whether a value lies within a range (inclusive)
+ * @param wraps - For angles, a range with min > max runs through 360° → 0°
+ */
+function inRange(value, range, wraps) {
+    const { min, max } = range;
+    if (wraps && min !== null && max !== null && min > max) {
+        return value >= min || value <= max;
+    }
+    return (min === null || value >= min) && (max === null || value <= max);
+}
+
+/**
+ * Whether an asteroid satisfies every range of a filter
+ * @param asteroid - Asteroid
+ * @param filter - { [key]: { min, max } }
+ */
+export function matchesFilter(asteroid, filter) {
+    for (const field of FILTER_FIELDS) {
+        const range = filter[field.key];
+        if (!range || (range.min === null && range.max === null)) continue;
+
+        const value = field.value(asteroid);
+        if (value === null || !inRange(value, range, field.wraps)) return false;
+    }
+    return true;
+}
+
+/**
+ * Asteroids matching a filter
+ * @param asteroids - Asteroids to search
+ * @param filter - { [key]: { min, max } }
+ * @returns Matching asteroids ordered by id, the order results are stepped through in
+ */
+export function applyFilter(asteroids, filter) {
+    return asteroids
+        .filter(asteroid => matchesFilter(asteroid, filter))
+        .sort((a, b) => a.id - b.id);
+}
@@ -0,0 +1,55 @@
+// Multi-selection panel: aggregate statistics and a burn applied to every selected asteroid
+
+import { DELTA_V_SCALE } from './constants.js';
+
+export class GroupPanel {
+    /**
+     * @param panel - Panel element (shown while more than one asteroid is selected)
+     * @param onApply - Called with (prograde, radial) in velocity units to burn every selected asteroid
+     * @param onClear - Called to deselect everything
+     */
+    constructor(panel, onApply, onClear) {
+        this.panel = panel;
+        this.stats = panel.querySelector('#group-stats');
+        this.progradeInput = panel.querySelector('#group-prograde');
+        this.radialInput = panel.querySelector('#group-radial');
+        this.applyButton = panel.querySelector('#group-apply');
+
+        this.applyButton.addEventListener('click', () => {
+            const prograde = parseFloat(this.progradeInput.value) || 0;
+            const radial = parseFloat(this.radialInput.value) || 0;
+            if (prograde === 0 && radial === 0) return;
+            onApply(prograde * DELTA_V_SCALE, radial * DELTA_V_SCALE);
+        });
+        panel.querySelector('#group-clear').addEventListener('click', () => onClear());
+    }
+
+    /**
+     * Show the statistics of a selection, or hide the panel for a single asteroid or none
+     * @param stats - Result of groupStatistics
+     */
+    refresh(stats) {
+        this.panel.hidden = stats.count < 2;
+        if (this.panel.hidden) return;
+
+        const meanA = stats.meanA === null ? '—' : `${stats.meanA.toFixed(3)} AU`;
+        this.stats.innerHTML = `
+            <div class="info-row">
+                <span class="info-label">Selected:</span>
+                <span class="info-value">${stats.count}</span>
+            </div>
+            <div class="info-row">
+                <span class="info-label">Mean semi-major axis:</span>
+                <span class="info-value">${meanA}</span>
+            </div>
+            <div class="info-row">
+                <span class="info-label">Mean eccentricity:</span>
+                <span class="info-value">${stats.meanE.toFixed(3)}</span>
+            </div>
+            <div class="info-row">
+                <span class="info-label">Total mass (est.):</span>
+                <span class="info-value">${stats.totalMass.toExponential(2)} kg</span>
+            </div>
+        `;
+    }
+}
@@ -0,0 +1,46 @@
+// Multi-selection statistics: mean elements and estimated mass of a group of asteroids
+
+import { AU_TO_PIXELS, ASTEROID_DENSITY } from './constants.js';
+import { isClosedOrbit } from './orbital.js';
+import { diameterFromMagnitude, diameterFromRadius } from './catalog.js';
+
+/**
+ * Estimated mass (kg) of an asteroid as a sphere of ASTEROID_DENSITY
+ * Catalog asteroids use the diameter from their absolute magnitude; generated ones the diameter
+ * their visual radius stands for on the catalog scale.
+ */
+export function estimateMass(asteroid) {
+    const diameterKm = asteroid.magnitude !== null
+        ? diameterFromMagnitude(asteroid.magnitude)
+        : diameterFromRadius(asteroid.radius);
+    const radiusM = diameterKm * 500;
+    return ASTEROID_DENSITY * 4 / 3 * Math.PI * radiusM * radiusM * radiusM;
+}
+
+/**
+ * Aggregate statistics of a group of asteroids
+ * @param asteroids - Selected asteroids
+ * @returns { count, meanA (AU, bound orbits only; null if none), meanE, totalMass (kg) }
+ */
+export function groupStatistics(asteroids) {
+    let sumA = 0;
+    let bound = 0;
+    let sumE = 0;
+    let totalMass = 0;
+
+    for (const asteroid of asteroids) {
+        if (isClosedOrbit(asteroid.orbit)) {
+            sumA += asteroid.orbit.a / AU_TO_PIXELS;
+            bound++;
+        }
+        sumE += asteroid.orbit.e;
+        totalMass += estimateMass(asteroid);
+    }
+
+    return {
+        count: asteroids.length,
+        meanA: bound > 0 ? sumA / bound : null,
+        meanE: asteroids.length > 0 ? sumE / asteroids.length : 0,
+        totalMass
+    };
+}
@@ -0,0 +1,74 @@
+// Undo history list UI
+
+import { DELTA_V_SCALE } from './constants.js';
+import { formatDate } from './clock.js';
+import { magnitude } from './utils.js';
+
+export class HistoryPanel {
+    /**
+     * @param section - Element containing the history list and its buttons
+     * @param handlers - { onUndo, onRedo, onRevert, onSelectAsteroids(ids) }
+     */
+    constructor(section, handlers) {
+        this.list = section.querySelector('#history-list');
+        this.undoButton = section.querySelector('#history-undo');
+        this.redoButton = section.querySelector('#history-redo');
+        this.revertButton = section.querySelector('#history-revert');
+        this.handlers = handlers;
+
+        this.undoButton.addEventListener('click', () => this.handlers.onUndo());
+        this.redoButton.addEventListener('click', () => this.handlers.onRedo());
+        this.revertButton.addEventListener('click', () => this.handlers.onRevert());
+    }
+
+    /**
+     * Rebuild the list: undone entries (which can be redone) on top, then applied ones, newest first
+     * @param history - OrbitHistory
+     * @param selected - Primary selected asteroid (its changes are highlighted) or null
+     */
+    refresh(history, selected) {
+        this.undoButton.disabled = !history.canUndo();
+        this.redoButton.disabled = !history.canRedo();
+        this.revertButton.disabled = !selected || !selected.isModified();
+
+        this.list.innerHTML = '';
+
+        if (!history.canUndo() && !history.canRedo()) {
+            const empty = document.createElement('div');
+            empty.className = 'hint';
+            empty.textContent = 'No orbit changes yet';
+            this.list.appendChild(empty);
+            return;
+        }
+
+        for (const entry of history.undone) {
+            this.list.appendChild(this.createRow(entry, selected, true));
+        }
+        for (let i = history.done.length - 1; i >= 0; i--) {
+            this.list.appendChild(this.createRow(history.done[i], selected, false));
+        }
+    }
+
+    /**
+     * Create the row for one entry; clicking it selects the asteroids it changed
+     */
+    createRow(entry, selected, undone) {
+        const ids = entry.changes.map(change => change.asteroidId);
+
+        const row = document.createElement('div');
+        row.className = 'history-entry';
+        row.classList.toggle('undone', undone);
+        row.classList.toggle('current', !!selected && ids.includes(selected.id));
+
+        // Group burns share one prograde/radial burn, so the first change's delta-v stands for all
+        const first = entry.changes[0];
+        const burn = first.burn
+            ? ` Δv ${(magnitude(first.burn.dvx, first.burn.dvy) / DELTA_V_SCALE).toFixed(2)} km/s`
+            : '';
+        const who = ids.length === 1 ? `#${ids[0]}` : `${ids.length} asteroids`;
+        row.textContent = `${formatDate(entry.time)}  ${who} ${entry.label}${burn}`;
+        row.title = undone ? 'Undone (Ctrl+Shift+Z to redo)' : 'Click to select';
+        row.addEventListener('click', () => this.handlers.onSelectAsteroids(ids));
+        return row;
+    }
+}
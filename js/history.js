@@ -0,0 +1,92 @@
+// Undo/redo history of orbit changes: applied burns, executed maneuver nodes, group burns and reverts
+//
+// Each change keeps the asteroid's whole orbit timeline before and after it, so undoing
+// restores exactly what the change replaced, including segments a burn in the past discarded.
+// An entry holds one change per asteroid it affected and is undone as a whole.
+
+import { HISTORY_SIZE } from './constants.js';
+
+let nextChangeId = 1;
+
+export class OrbitHistory {
+    constructor() {
+        // Entries that can be undone, oldest first: { id, label, time, changes } where each change is
+        // { asteroidId, oldOrbit, newOrbit, burn: { dvx, dvy } | null, before, after }
+        this.done = [];
+
+        // Undone entries that can be redone, most recently undone last
+        this.undone = [];
+    }
+
+    /**
+     * Record changes that have just been made
+     * Making a change discards anything that could be redone.
+     * @param label - How the entry is listed
+     * @param time - Simulation time of the changes
+     * @param changes - One { asteroidId, oldOrbit, newOrbit, burn, before, after } per asteroid
+     * @returns The recorded entry
+     */
+    record(label, time, changes) {
+        const entry = { id: nextChangeId++, label, time, changes };
+        this.done.push(entry);
+        if (this.done.length > HISTORY_SIZE) this.done.shift();
+        this.undone = [];
+        return entry;
+    }
+
+    /**
+     * Take the most recent entry off the history
+     * @returns The entry to reverse, or null if there is none
+     */
+    undo() {
+        const entry = this.done.pop();
+        if (!entry) return null;
+        this.undone.push(entry);
+        return entry;
+    }
+
+    /**
+     * Put the most recently undone entry back
+     * @returns The entry to make again, or null if there is none
+     */
+    redo() {
+        const entry = this.undone.pop();
+        if (!entry) return null;
+        this.done.push(entry);
+        return entry;
+    }
+
+    /**
+     * Check if there is a change to undo
+     */
+    canUndo() {
+        return this.done.length > 0;
+    }
+
+    /**
+     * Check if there is a change to redo
+     */
+    canRedo() {
+        return this.undone.length > 0;
+    }
+
+    /**
+     * Drop every change to asteroids that no longer exist, and entries left empty
+     * @param ids - Set of removed asteroid ids
+     */
+    forgetAsteroids(ids) {
+        const forget = (entries) => entries
+            .map(entry => ({ ...entry, changes: entry.changes.filter(c => !ids.has(c.asteroidId)) }))
+            .filter(entry => entry.changes.length > 0);
+        this.done = forget(this.done);
+        this.undone = forget(this.undone);
+    }
+
+    /**
+     * Empty the history
+     */
+    clear() {
+        this.done = [];
+        this.undone = [];
+    }
+}
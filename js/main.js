@@ -1,13 +1,58 @@
 // Main entry point and game loop
 
-import { ASTEROID_COUNT, TIME_SCALE, COLORS, AU_TO_PIXELS, BELT_OUTER_RADIUS } from './constants.js';
-import { Asteroid } from './asteroid.js';
+import {
+    TIME_SCALE,
+    FRAME_STEP_DURATION,
+    COLORS,
+    AU_TO_PIXELS,
+    CLICK_TOLERANCE,
+    ORBIT_CLICK_TOLERANCE,
+    PLANETS,
+    KIRKWOOD_RESONANCES,
+    AUTOSAVE_INTERVAL,
+    ENCOUNTER_MAX_RESULTS,
+    TRAIL_CAPACITY,
+    TRAIL_LENGTH,
+    DEFAULT_FRAME_PERIOD,
+    RENDER_BACKEND
+} from './constants.js';
 import { Sun } from './sun.js';
 import { Camera } from './camera.js';
 import { Renderer } from './renderer.js';
 import { Minimap } from './minimap.js';
 import { SelectionManager } from './selection.js';
 import { DeltaVPanel } from './deltav-panel.js';
+import { burnComponentsFromVector } from './maneuver.js';
+import { ManeuverPanel } from './maneuver-panel.js';
+import { HistoryPanel } from './history-panel.js';
+import { groupStatistics } from './group.js';
+import { GroupPanel } from './group-panel.js';
+import { OrbitIndex, predictEncounters } from './encounters.js';
+import { EncounterPanel } from './encounter-panel.js';
+import { applyFilter } from './filter.js';
+import { FilterPanel } from './filter-panel.js';
+import { TransferPanel } from './transfer-panel.js';
+import { planHohmannTransfer, planBiEllipticTransfer } from './transfer.js';
+import { PorkchopPanel } from './porkchop-panel.js';
+import { computeOrbitFromStateVectors, getPositionAtTime, semiMajorAxisFromState } from './orbital.js';
+import { Trail } from './trail.js';
+import { TIME_UNITS_PER_DAY, DAYS_PER_YEAR, daysFromTime, parseTime } from './clock.js';
+import { parseCatalog, catalogToAsteroids } from './catalog.js';
+import { CatalogPanel } from './catalog-panel.js';
+import { PopulationPanel } from './population-panel.js';
+import { randomSeed } from './utils.js';
+import { CollisionPanel } from './collision-panel.js';
+import { SimulationCore } from './simulation-core.js';
+import { ScriptingApi } from './scripting.js';
+import { ConsolePanel } from './console-panel.js';
+import {
+    serializeSimulation,
+    saveToLocalStorage,
+    loadFromLocalStorage,
+    clearLocalStorage,
+    downloadSnapshot,
+    readSnapshotFile
+} from './persistence.js';
 
 class Simulation {
     constructor() {
@@ -17,32 +62,124 @@ class Simulation {
 
         // Initialize components
         this.camera = new Camera(this.mainCanvas);
-        this.renderer = new Renderer(this.mainCanvas);
+        // A ?renderer=canvas URL parameter forces the 2D backend
+        this.renderer = new Renderer(
+            this.mainCanvas,
+            new URLSearchParams(window.location.search).get('renderer') || RENDER_BACKEND
+        );
         this.sun = new Sun();
+
+        // Everything simulated (belt, clock, propagation, maneuvers, history, collisions) is in
+        // the core; this class is its browser UI. A ?seed= URL parameter reproduces a belt exactly.
+        this.urlSeed = new URLSearchParams(window.location.search).get('seed');
+        this.core = new SimulationCore({ seed: this.urlSeed || randomSeed() });
+
+        // Scripting API, also for the browser's own console
+        this.api = new ScriptingApi(this);
+        window.belt = this.api;
+
         this.minimap = new Minimap(this.minimapCanvas, this.camera);
-        this.selectionManager = new SelectionManager();
+        this.selectionManager = new SelectionManager(this.core.index);
 
         // Delta-V panel
         this.projectedOrbitPath = null;
         this.deltaVPanel = new DeltaVPanel(
             document.getElementById('deltav-panel'),
             (path) => { this.projectedOrbitPath = path; },
-            (asteroid, orbit) => this.applyOrbitChange(asteroid, orbit)
+            (asteroid, orbit, burn) => this.core.applyManeuver(asteroid, orbit, burn, 'Burn')
         );
 
-        // Generate asteroids
-        this.asteroids = this.generateAsteroids();
+        // Undo history of burns, group burns and reverts
+        this.historyPanel = new HistoryPanel(document.getElementById('history-section'), {
+            onUndo: () => this.undo(),
+            onRedo: () => this.redo(),
+            onRevert: () => this.revertSelected(),
+            onSelectAsteroids: (ids) => {
+                const wanted = new Set(ids);
+                this.selectionManager.selectMany(this.asteroids.filter(a => wanted.has(a.id)));
+            }
+        });
+        this.refreshHistory();
+
+        // Predicted close approaches of the selected asteroid
+        this.encounterPanel = new EncounterPanel(document.getElementById('encounter-section'), {
+            onPredict: (threshold, years) => this.predictEncounters(threshold, years),
+            onSelectEncounter: (encounter) => {
+                const { pointA, pointB } = encounter;
+                this.camera.centerOn((pointA.x + pointB.x) / 2, (pointA.y + pointB.y) / 2);
+            }
+        });
+
+        // Maneuver nodes of the selected asteroid
+        this.maneuverPanel = new ManeuverPanel(
+            document.getElementById('maneuver-node-list'),
+            document.getElementById('maneuver-clear'),
+            () => this.pruneManeuverPlans()
+        );
+
+        // Transfer calculator between the selected asteroid and a target
+        this.transferPanel = new TransferPanel(
+            document.getElementById('transfer-section'),
+            (kind, intermediateRadius) => this.planTransfer(kind, intermediateRadius),
+            (source, target) => this.porkchopPanel.open(source, target, this.time)
+        );
+
+        // Porkchop plot of Lambert rendezvous windows; the chosen transfer arc is drawn in the main view
+        this.transferArc = null;
+        this.porkchopPanel = new PorkchopPanel(
+            document.getElementById('porkchop-panel'),
+            (selection) => this.planLambertDeparture(selection),
+            () => { this.transferArc = null; }
+        );
+
+        // Seed of the belt
+        this.seedInput = document.getElementById('seed-input');
+        this.seedInput.value = this.seed;
 
         // Time tracking
-        this.time = 0;
         this.lastFrameTime = 0;
         this.fps = 60;
         this.timeScale = TIME_SCALE; // Adjustable time scale
+        this.paused = false;
+
+        // Propagation: 'kepler' (analytic) or 'nbody' (integrated with perturbations)
+        this.nbodyToggle = document.getElementById('nbody-toggle');
+        this.nbodyToggle.addEventListener('change', () => {
+            this.setPropagationMode(this.nbodyToggle.checked ? 'nbody' : 'kepler');
+        });
+
+        // Asteroid collisions (off by default) and their event log
+        this.collisionToggle = document.getElementById('collision-toggle');
+        this.collisionToggle.addEventListener('change', () => {
+            this.setCollisionsEnabled(this.collisionToggle.checked);
+        });
+        this.collisionPanel = new CollisionPanel(
+            document.getElementById('collision-panel'),
+            document.getElementById('collision-log'),
+            document.getElementById('collision-clear'),
+            () => {
+                this.collisions.clearLog();
+                this.collisionPanel.refresh(this.collisions.log);
+            }
+        );
+
+        // Camera follow mode and rotating reference frames
+        this.setupViewControls();
+
+        // Trails of where asteroids have been: all of them, or those toggled one by one
+        this.trailsEnabled = false;
+        this.trailLength = TRAIL_LENGTH * TIME_UNITS_PER_DAY;
+        this.setupTrailControls();
+
+        // Semi-major axis histogram overlay (shows Kirkwood gaps forming)
+        this.showHistogram = false;
+        this.resonances = this.computeResonances();
 
         // Time scale slider
         this.timeScaleSlider = document.getElementById('time-scale');
         this.timeScaleValue = document.getElementById('time-scale-value');
         this.setupTimeScaleSlider();
+        this.setupTimeControls();
 
         // Set up event handlers
         this.setupEventListeners();
@@ -54,40 +191,177 @@ class Simulation {
             } else {
                 this.deltaVPanel.hide();
             }
+            this.maneuverPanel.setPlan(asteroid ? this.getManeuverPlan(asteroid) : null);
+            this.transferPanel.setAsteroids(asteroid, this.selectionManager.getTarget());
+            if (this.porkchopPanel.isOpen()) this.porkchopPanel.close();
+            this.selectedTrailToggle.checked = !!asteroid && asteroid.showTrail;
+
+            // Follow mode and a co-rotating frame move on to the new selection
+            if (this.camera.followTarget) this.setFollow(true);
+            if (this.camera.frame && this.camera.frame.type === 'body') this.setFrame('body');
+
+            if (asteroid !== this.encounterPanel.subject) {
+                this.encounterPanel.clear('Press Predict to search the next years for close approaches');
+            }
+            this.refreshHistory();
+            this.api.notify('select', asteroid ? asteroid.id : null);
         };
 
-        // Start the simulation
-        this.start();
-    }
+        // Several selected asteroids: statistics and a shared burn
+        this.groupPanel = new GroupPanel(
+            document.getElementById('group-panel'),
+            (prograde, radial) => this.applyGroupManeuver(prograde, radial),
+            () => this.selectionManager.deselect()
+        );
+        this.selectionManager.onGroupChange = () => this.refreshGroup();
 
-    /**
-     * Generate the asteroid belt
-     */
-    generateAsteroids() {
-        const asteroids = [];
+        this.selectionManager.onTargetChange = (target) => {
+            this.transferPanel.setAsteroids(this.selectionManager.getSelected(), target);
+            if (this.porkchopPanel.isOpen()) this.porkchopPanel.close();
+            this.api.notify('target', target ? target.id : null);
+        };
 
-        for (let i = 0; i < ASTEROID_COUNT; i++) {
-            asteroids.push(new Asteroid(i));
-        }
+        // Population settings; regenerating replaces the belt
+        this.populationPanel = new PopulationPanel(
+            document.getElementById('population-panel'),
+            (populations) => {
+                this.core.populations = populations;
+                this.newBelt();
+            }
+        );
+        this.populationPanel.setPopulations(this.populations);
+        this.populationPanel.updateCounts(this.asteroids);
+        document.getElementById('population-open').addEventListener('click', () => this.populationPanel.toggle());
+
+        // Filter by element ranges; matches are recomputed every frame as orbits change
+        this.filter = null;
+        this.filterMatches = [];
+        this.filterPanel = new FilterPanel(document.getElementById('filter-panel'), {
+            onChange: (filter) => { this.filter = filter; },
+            onStep: (direction) => this.stepFilterMatch(direction),
+            onSelectAll: () => this.selectionManager.selectMany(this.filterMatches)
+        });
+        document.getElementById('filter-open').addEventListener('click', () => this.filterPanel.toggle());
 
-        return asteroids;
+        // Catalog import report
+        this.catalogPanel = new CatalogPanel(document.getElementById('catalog-panel'));
+
+        // Follow what the simulation does
+        this.core.on('reset', () => this.afterReset());
+        this.core.on('history', () => this.refreshHistory());
+        this.core.on('orbitchange', (asteroid) => {
+            this.deltaVPanel.updateAsteroidInfo();
+            if (this.encounterPanel.involves(asteroid)) {
+                this.encounterPanel.clear('Orbits changed: predict again');
+            }
+        });
+        this.core.on('nodes', () => {
+            this.pruneManeuverPlans();
+            this.maneuverPanel.refresh();
+        });
+        this.core.on('collision', (event, result, reach) => {
+            this.renderer.addImpactEffect(event.x, event.y, reach, result.type, this.lastFrameTime);
+            this.collisionPanel.refresh(this.collisions.log);
+        });
+        this.core.on('remove', (removed, gone) => {
+            this.selectionManager.forget(gone);
+            if (removed.some(asteroid => this.encounterPanel.involves(asteroid))) {
+                this.encounterPanel.clear('An asteroid in the list is gone: predict again');
+            }
+            this.populationPanel.updateCounts(this.asteroids);
+        });
+
+        // In-page console for the scripting API
+        this.consolePanel = new ConsolePanel(
+            document.getElementById('console-panel'),
+            (source) => this.api.evaluate(source)
+        );
+        document.getElementById('console-open').addEventListener('click', () => this.consolePanel.toggle());
+
+        // Save/load: continue from the autosave if there is one
+        this.saveStatus = document.getElementById('save-status');
+        this.setupPersistence();
+        this.restoreAutosave();
+
+        // Start the simulation
+        this.start();
     }
 
+    // Simulation state, kept by the core
+    get asteroids() { return this.core.asteroids; }
+    get planets() { return this.core.planets; }
+    get time() { return this.core.time; }
+    get rewindLimit() { return this.core.rewindLimit; }
+    get rng() { return this.core.rng; }
+    get propagationMode() { return this.core.propagationMode; }
+    get maneuverPlans() { return this.core.maneuverPlans; }
+    get history() { return this.core.history; }
+    get collisions() { return this.core.collisions; }
+    get seed() { return this.core.seed; }
+    get populations() { return this.core.populations; }
+    get nextAsteroidId() { return this.core.nextAsteroidId; }
+
     /**
      * Set up keyboard and mouse event listeners
      */
     setupEventListeners() {
-        // Click on main canvas for selection
+        // Click on main canvas for selection (shift-click adds or removes an asteroid)
         this.mainCanvas.addEventListener('click', (e) => {
+            if (this.boxSelected) {
+                this.boxSelected = false;
+                return;
+            }
+
             // Only handle if not dragging (to distinguish click from pan)
             if (!this.camera.hasDragged) {
                 const rect = this.mainCanvas.getBoundingClientRect();
                 const x = e.clientX - rect.left;
                 const y = e.clientY - rect.top;
-                this.selectionManager.handleClick(x, y, this.camera);
+
+                // Clicking the selected asteroid's orbit places a maneuver node
+                if (!e.shiftKey && this.tryPlaceManeuverNode(x, y)) return;
+
+                this.selectionManager.handleClick(x, y, this.camera, e.shiftKey);
             }
         });
 
+        // Shift-drag draws a selection box (the camera doesn't pan while shift is held)
+        this.selectionBox = null; // { x1, y1, x2, y2 } in screen coordinates while dragging
+        this.boxSelected = false; // Swallows the click that ends a box drag
+        this.mainCanvas.addEventListener('mousedown', (e) => {
+            this.boxSelected = false;
+            if (e.button !== 0 || !e.shiftKey) return;
+
+            const rect = this.mainCanvas.getBoundingClientRect();
+            const x = e.clientX - rect.left;
+            const y = e.clientY - rect.top;
+            this.selectionBox = { x1: x, y1: y, x2: x, y2: y };
+        });
+        window.addEventListener('mousemove', (e) => {
+            if (!this.selectionBox) return;
+            const rect = this.mainCanvas.getBoundingClientRect();
+            this.selectionBox.x2 = e.clientX - rect.left;
+            this.selectionBox.y2 = e.clientY - rect.top;
+        });
+        window.addEventListener('mouseup', () => {
+            const box = this.selectionBox;
+            if (!box) return;
+            this.selectionBox = null;
+
+            // A box that barely moved is a shift-click, handled by the click listener
+            if (Math.abs(box.x2 - box.x1) > 3 || Math.abs(box.y2 - box.y1) > 3) {
+                this.selectionManager.handleBoxSelect(box.x1, box.y1, box.x2, box.y2, this.camera, true);
+                this.boxSelected = true;
+            }
+        });
+
+        // Right-click to pick a transfer target
+        this.mainCanvas.addEventListener('contextmenu', (e) => {
+            e.preventDefault();
+            const rect = this.mainCanvas.getBoundingClientRect();
+            this.selectionManager.handleTargetClick(e.clientX - rect.left, e.clientY - rect.top, this.camera);
+        });
+
         // Double-click to center on asteroid
         this.mainCanvas.addEventListener('dblclick', (e) => {
             const rect = this.mainCanvas.getBoundingClientRect();
@@ -99,17 +373,36 @@ class Simulation {
             const asteroid = this.selectionManager.findAsteroidAt(world.x, world.y, 10 / this.camera.zoom);
 
             if (asteroid) {
-                this.camera.centerOn(asteroid.x, asteroid.y);
                 this.selectionManager.select(asteroid);
+                this.camera.follow(asteroid, performance.now());
             }
         });
 
         // Keyboard shortcuts
         window.addEventListener('keydown', (e) => {
+            // Don't treat typing in text fields as shortcuts
+            if (e.target.tagName === 'INPUT' && (e.target.type === 'text' || e.target.type === 'number')) return;
+
+            // Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS) undo and redo orbit changes
+            if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'z') {
+                e.preventDefault();
+                if (e.shiftKey) {
+                    this.redo();
+                } else {
+                    this.undo();
+                }
+                return;
+            }
+
             switch (e.key) {
                 case 'r':
                 case 'R':
                     this.camera.reset();
+                    this.frameSelect.value = 'inertial';
+                    break;
+                case 'l':
+                case 'L':
+                    this.setFollow(!this.camera.followTarget);
                     break;
                 case 'Escape':
                     this.selectionManager.deselect();
@@ -118,6 +411,47 @@ class Simulation {
                     // Toggle time pause (optional feature)
                     this.paused = !this.paused;
                     break;
+                case ',':
+                case '.':
+                    this.stepTime(e.key === '.' ? 1 : -1, this.frameStep());
+                    break;
+                case '<':
+                case '>':
+                    this.stepTime(e.key === '>' ? 1 : -1, TIME_UNITS_PER_DAY);
+                    break;
+                case 'c':
+                case 'C':
+                    this.setCollisionsEnabled(!this.collisions.enabled);
+                    break;
+                case 'p':
+                case 'P':
+                    this.populationPanel.toggle();
+                    break;
+                case 't':
+                case 'T':
+                    this.setTrailsEnabled(!this.trailsEnabled);
+                    break;
+                case 'f':
+                case 'F':
+                    this.filterPanel.toggle();
+                    break;
+                case '[':
+                case ']':
+                    this.stepFilterMatch(e.key === ']' ? 1 : -1);
+                    break;
+                case 'h':
+                case 'H':
+                    this.showHistogram = !this.showHistogram;
+                    break;
+                case 'n':
+                case 'N':
+                    this.setPropagationMode(this.propagationMode === 'nbody' ? 'kepler' : 'nbody');
+                    break;
+                case '`':
+                    // Opening the console shouldn't type the backtick into it
+                    e.preventDefault();
+                    this.consolePanel.toggle();
+                    break;
             }
         });
     }
@@ -126,24 +460,25 @@ class Simulation {
      * Set up time scale slider
      */
     setupTimeScaleSlider() {
-        // Slider value 0-100 maps to time scale with exponential curve
-        // 0 = paused, 10 = 1x, 50 = 10x, 100 = 100x
+        // Slider value -100-100 maps to time scale with exponential curve
+        // 0 = paused, 10 = 1x, 50 = 10x, 100 = 100x; negative values run time backwards
         const updateTimeScale = () => {
             const val = parseFloat(this.timeScaleSlider.value);
             if (val === 0) {
                 this.timeScale = 0;
                 this.timeScaleValue.textContent = 'Paused';
             } else {
-                // Exponential mapping: 10^((val-10)/45) gives ~1x at val=10, ~100x at val=100
-                const multiplier = Math.pow(10, (val - 10) / 45);
-                this.timeScale = TIME_SCALE * multiplier;
+                // Exponential mapping: 10^((|val|-10)/45) gives ~1x at val=10, ~100x at val=100
+                const multiplier = Math.pow(10, (Math.abs(val) - 10) / 45);
+                this.timeScale = Math.sign(val) * TIME_SCALE * multiplier;
 
+                const sign = val < 0 ? '-' : '';
                 if (multiplier < 0.1) {
-                    this.timeScaleValue.textContent = multiplier.toFixed(2) + 'x';
+                    this.timeScaleValue.textContent = sign + multiplier.toFixed(2) + 'x';
                 } else if (multiplier < 10) {
-                    this.timeScaleValue.textContent = multiplier.toFixed(1) + 'x';
+                    this.timeScaleValue.textContent = sign + multiplier.toFixed(1) + 'x';
                 } else {
-                    this.timeScaleValue.textContent = Math.round(multiplier) + 'x';
+                    this.timeScaleValue.textContent = sign + Math.round(multiplier) + 'x';
                 }
             }
         };
@@ -153,11 +488,576 @@ class Simulation {
     }
 
     /**
-     * Apply an orbit change to an asteroid
+     * Set up the frame-step buttons and the jump-to-time field
+     */
+    setupTimeControls() {
+        document.getElementById('time-step-back').addEventListener('click', () => {
+            this.stepTime(-1, this.frameStep());
+        });
+        document.getElementById('time-step-forward').addEventListener('click', () => {
+            this.stepTime(1, this.frameStep());
+        });
+
+        const jumpInput = document.getElementById('time-jump');
+        jumpInput.addEventListener('keydown', (e) => {
+            if (e.key !== 'Enter') return;
+
+            const t = parseTime(jumpInput.value);
+            if (t === null) {
+                this.showSaveStatus(`Can't read '${jumpInput.value}' as a time`, true);
+            } else if (this.jumpToTime(t)) {
+                jumpInput.value = '';
+                jumpInput.blur();
+            }
+        });
+    }
+
+    /**
+     * Set up the follow toggle and the reference frame controls
+     */
+    setupViewControls() {
+        this.followToggle = document.getElementById('follow-toggle');
+        this.followToggle.addEventListener('change', () => this.setFollow(this.followToggle.checked));
+
+        this.frameSelect = document.getElementById('frame-select');
+        this.framePeriodInput = document.getElementById('frame-period');
+        this.framePeriodInput.value = DEFAULT_FRAME_PERIOD;
+        this.frameSelect.addEventListener('change', () => this.setFrame(this.frameSelect.value));
+        this.framePeriodInput.addEventListener('change', () => {
+            if (this.frameSelect.value === 'period') this.setFrame('period');
+        });
+
+        this.backendSelect = document.getElementById('render-backend');
+        this.backendSelect.value = this.renderer.getBackend();
+        this.backendSelect.addEventListener('change', () => {
+            this.backendSelect.value = this.renderer.setBackend(this.backendSelect.value);
+        });
+    }
+
+    /**
+     * Keep the selected asteroid centred (gliding over to it), or stop following
+     */
+    setFollow(enabled) {
+        const selected = this.selectionManager.getSelected();
+        if (enabled && selected) {
+            this.camera.follow(selected, performance.now());
+        } else {
+            this.camera.stopFollowing();
+        }
+        this.followToggle.checked = !!this.camera.followTarget;
+    }
+
+    /**
+     * Switch the view's reference frame
+     * Without a selection, 'body' falls back to the inertial frame.
+     * @param mode - 'inertial', 'body' (co-rotating with the selected asteroid) or 'period'
+     */
+    setFrame(mode) {
+        const selected = this.selectionManager.getSelected();
+        const years = parseFloat(this.framePeriodInput.value);
+
+        if (mode === 'body' && selected) {
+            this.camera.setFrame({ type: 'body', body: selected }, this.time);
+        } else if (mode === 'period' && years > 0) {
+            const period = years * DAYS_PER_YEAR * TIME_UNITS_PER_DAY;
+            this.camera.setFrame({ type: 'period', period }, this.time);
+        } else {
+            this.camera.setFrame(null, this.time);
+            mode = 'inertial';
+        }
+        this.frameSelect.value = mode;
+    }
+
+    /**
+     * Set up the global trail toggle, the trail length and the selection's own toggle
+     */
+    setupTrailControls() {
+        this.trailToggle = document.getElementById('trail-toggle');
+        this.trailToggle.addEventListener('change', () => this.setTrailsEnabled(this.trailToggle.checked));
+
+        const lengthInput = document.getElementById('trail-length');
+        lengthInput.value = TRAIL_LENGTH;
+        lengthInput.addEventListener('change', () => {
+            const days = parseFloat(lengthInput.value);
+            if (days > 0) this.trailLength = days * TIME_UNITS_PER_DAY;
+        });
+
+        // Applies to every selected asteroid
+        this.selectedTrailToggle = document.getElementById('trail-selected');
+        this.selectedTrailToggle.addEventListener('change', () => {
+            for (const asteroid of this.selectionManager.getGroup()) {
+                asteroid.showTrail = this.selectedTrailToggle.checked;
+            }
+        });
+    }
+
+    /**
+     * Show or hide every asteroid's trail
+     * Asteroids with their own trail toggled on keep it either way.
+     */
+    setTrailsEnabled(enabled) {
+        this.trailsEnabled = enabled;
+        this.trailToggle.checked = enabled;
+    }
+
+    /**
+     * Add the current positions to the trails on display, and free the hidden ones
+     * Trails are only recorded while shown, so a trail starts when it is switched on.
+     */
+    recordTrails() {
+        const interval = this.trailLength / TRAIL_CAPACITY;
+        for (const asteroid of this.asteroids) {
+            if (this.trailsEnabled || asteroid.showTrail) {
+                if (!asteroid.trail) asteroid.trail = new Trail();
+                asteroid.trail.record(asteroid.x, asteroid.y, this.time, interval, this.trailLength);
+            } else if (asteroid.trail) {
+                asteroid.trail = null;
+            }
+        }
+    }
+
+    /**
+     * Simulation time covered by one frame at the current speed (1x when stopped)
+     */
+    frameStep() {
+        return FRAME_STEP_DURATION * (Math.abs(this.timeScale) || TIME_SCALE);
+    }
+
+    /**
+     * Pause and move the clock by a fixed amount
+     * @param direction - 1 for forward, -1 for backward
+     * @param amount - Simulation time to step
+     */
+    stepTime(direction, amount) {
+        this.paused = true;
+        const t = this.core.time + direction * amount;
+        if (!this.core.setTime(t)) {
+            this.showSaveStatus(`Can't step in time (${this.core.timeTravelBlocker(t)})`, true);
+        }
+    }
+
+    /**
+     * SimulationCore.setTime, with the reason shown when the jump can't be made
+     */
+    jumpToTime(t) {
+        if (!this.core.setTime(t)) {
+            this.showSaveStatus(`Can't jump in time (${this.core.timeTravelBlocker(t)})`, true);
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Set up export/import/new-belt buttons and periodic autosave
+     */
+    setupPersistence() {
+        const fileInput = document.getElementById('save-import-file');
+
+        document.getElementById('save-export').addEventListener('click', () => {
+            const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+            downloadSnapshot(serializeSimulation(this), `asteroid-belt-${stamp}.json`);
+        });
+
+        document.getElementById('save-import').addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', () => {
+            const file = fileInput.files[0];
+            fileInput.value = '';
+            if (!file) return;
+
+            readSnapshotFile(file)
+                .then(snapshot => {
+                    this.loadSnapshot(snapshot);
+                    this.showSaveStatus(`Loaded ${file.name}`);
+                })
+                .catch(err => this.showSaveStatus(`Import failed: ${err.message}`, true));
+        });
+
+        document.getElementById('save-new').addEventListener('click', () => this.newBelt());
+
+        const catalogInput = document.getElementById('catalog-file');
+        document.getElementById('catalog-import').addEventListener('click', () => catalogInput.click());
+        catalogInput.addEventListener('change', () => {
+            const file = catalogInput.files[0];
+            catalogInput.value = '';
+            if (file) this.importCatalog(file);
+        });
+        this.seedInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') this.newBelt();
+        });
+
+        setInterval(() => this.autosave(), AUTOSAVE_INTERVAL);
+        window.addEventListener('beforeunload', () => this.autosave());
+    }
+
+    /**
+     * Write the current state to localStorage
+     */
+    autosave() {
+        if (!saveToLocalStorage(serializeSimulation(this))) {
+            this.showSaveStatus('Autosave failed', true);
+        }
+    }
+
+    /**
+     * Load the autosave, falling back to the freshly generated belt if it is unreadable
+     * An explicit ?seed= in the URL takes precedence over the autosave.
+     */
+    restoreAutosave() {
+        if (this.urlSeed) return;
+
+        try {
+            const snapshot = loadFromLocalStorage();
+            if (snapshot) this.loadSnapshot(snapshot);
+        } catch (err) {
+            clearLocalStorage();
+            this.showSaveStatus(`Autosave discarded: ${err.message}`, true);
+        }
+    }
+
+    /**
+     * Show a short message next to the save buttons
+     * @param text - Message
+     * @param isError - Style as an error
+     */
+    showSaveStatus(text, isError = false) {
+        this.saveStatus.textContent = text;
+        this.saveStatus.classList.toggle('error', isError);
+    }
+
+    /**
+     * Replace the whole simulation state with a validated snapshot
+     * @param snapshot - Result of deserializeSnapshot
+     */
+    loadSnapshot(snapshot) {
+        this.seedInput.value = snapshot.seed ?? '';
+        this.core.load(snapshot);
+        this.populationPanel.setPopulations(this.populations);
+        // Bring the toggles in line with the loaded settings
+        this.setPropagationMode(this.propagationMode);
+        this.setCollisionsEnabled(this.collisions.enabled);
+
+        if (Number.isFinite(snapshot.timeScaleSetting)) {
+            this.timeScaleSlider.value = snapshot.timeScaleSetting;
+            this.timeScaleSlider.dispatchEvent(new Event('input'));
+        }
+        this.paused = !!snapshot.paused;
+
+        if (snapshot.camera) {
+            this.camera.centerOn(snapshot.camera.x, snapshot.camera.y);
+            this.camera.setZoom(snapshot.camera.zoom);
+        }
+
+        const group = snapshot.groupIds.map(id => this.core.getAsteroid(id));
+        this.selectionManager.setGroup(group, this.core.getAsteroid(snapshot.selectedId) ?? group[0] ?? null);
+        if (snapshot.targetId !== null) this.selectionManager.setTarget(this.core.getAsteroid(snapshot.targetId));
+    }
+
+    /**
+     * Discard the current state (and autosave) and generate the belt for the seed field
+     * An empty seed field picks a random seed. The seed is put in the URL so the page can be shared.
+     */
+    newBelt() {
+        const seed = this.seedInput.value.trim() || randomSeed();
+        this.seedInput.value = seed;
+        window.history.replaceState(null, '', `?seed=${encodeURIComponent(seed)}`);
+
+        this.core.generate(seed);
+
+        clearLocalStorage();
+        this.showSaveStatus(`Generated belt ${this.seed}`);
+    }
+
+    /**
+     * Replace the belt with asteroids from an MPCORB or SBDB catalog file
+     * The clock is set to the catalog's epoch so the planets are in their real positions.
+     * @param file - File from an <input type="file">
+     */
+    importCatalog(file) {
+        file.text().then(text => {
+            const result = parseCatalog(text);
+            this.catalogPanel.show(file.name, result);
+            if (result.records.length === 0) {
+                this.showSaveStatus(`No valid records in ${file.name}`, true);
+                return;
+            }
+
+            const { asteroids, time } = catalogToAsteroids(result.records, 0);
+            this.seedInput.value = '';
+            window.history.replaceState(null, '', window.location.pathname);
+
+            this.core.replaceAsteroids(asteroids, time);
+            this.core.seed = null;
+            this.showSaveStatus(`Imported ${asteroids.length} asteroids from ${file.name}`);
+        }).catch(err => this.showSaveStatus(`Catalog import failed: ${err.message}`, true));
+    }
+
+    /**
+     * Drop everything the UI tied to the old belt after the core replaced it
      */
-    applyOrbitChange(asteroid, newOrbit) {
-        asteroid.setOrbit(newOrbit);
-        this.deltaVPanel.updateAsteroidInfo();
+    afterReset() {
+        this.selectionManager.deselect();
+        this.selectionManager.setTarget(null);
+        if (this.porkchopPanel.isOpen()) this.porkchopPanel.close();
+        this.transferArc = null;
+
+        this.collisionPanel.refresh(this.collisions.log);
+        this.populationPanel.updateCounts(this.asteroids);
+    }
+
+    /**
+     * Turn collision handling on or off
+     */
+    setCollisionsEnabled(enabled) {
+        this.collisions.setEnabled(enabled);
+        this.collisionToggle.checked = enabled;
+        this.collisionPanel.setVisible(enabled);
+        if (enabled) this.collisionPanel.refresh(this.collisions.log);
+    }
+
+    /**
+     * Semi-major axes (AU) of Jupiter's mean-motion resonances
+     * An asteroid in p:q resonance completes p orbits per q of Jupiter's, so a = a_J (q/p)^(2/3).
+     */
+    computeResonances() {
+        const jupiter = PLANETS.find(p => p.name === 'Jupiter');
+        if (!jupiter) return [];
+
+        return KIRKWOOD_RESONANCES.map(([p, q]) => ({
+            label: `${p}:${q}`,
+            a: jupiter.a * Math.pow(q / p, 2 / 3)
+        }));
+    }
+
+    /**
+     * Switch between analytic Kepler propagation and N-body integration
+     * @param mode - 'kepler' or 'nbody'
+     */
+    setPropagationMode(mode) {
+        this.core.setPropagationMode(mode);
+        this.nbodyToggle.checked = mode === 'nbody';
+    }
+
+    /**
+     * Apply the same prograde/radial burn to every selected asteroid, as one undoable entry
+     * Each asteroid burns in its own frame at its current state.
+     * @param prograde - Prograde delta-v (velocity units)
+     * @param radial - Radial-out delta-v (velocity units)
+     */
+    applyGroupManeuver(prograde, radial) {
+        const group = this.selectionManager.getGroup();
+        if (group.length === 0) return;
+
+        this.core.applyGroupManeuver(group, prograde, radial);
+        this.refreshGroup();
+    }
+
+    /**
+     * Put the selected asteroid back on the orbit it was created with (undoable)
+     */
+    revertSelected() {
+        const asteroid = this.selectionManager.getSelected();
+        if (asteroid) this.core.revertAsteroid(asteroid);
+    }
+
+    /**
+     * Undo the most recent history entry
+     */
+    undo() {
+        const entry = this.core.undo();
+        if (!entry) return;
+        this.refreshGroup();
+        this.showSaveStatus(`Undid ${this.describeEntry(entry)}`);
+    }
+
+    /**
+     * Redo the most recently undone history entry
+     */
+    redo() {
+        const entry = this.core.redo();
+        if (!entry) return;
+        this.refreshGroup();
+        this.showSaveStatus(`Redid ${this.describeEntry(entry)}`);
+    }
+
+    /**
+     * Short description of a history entry for status messages
+     */
+    describeEntry(entry) {
+        const ids = entry.changes.map(change => change.asteroidId);
+        return `${entry.label.toLowerCase()} of ${ids.length === 1 ? '#' + ids[0] : ids.length + ' asteroids'}`;
+    }
+
+    /**
+     * Predict the selected asteroid's close approaches with the rest of the belt
+     * In N-body mode the prediction starts from every asteroid's osculating orbit.
+     * @param threshold - Largest separation to report, in AU
+     * @param years - Length of the prediction window
+     */
+    predictEncounters(threshold, years) {
+        const selected = this.selectionManager.getSelected();
+        if (!selected) return;
+
+        const orbitOf = (asteroid) => this.core.currentOrbit(asteroid);
+
+        const index = new OrbitIndex(this.asteroids, orbitOf);
+        const encounters = predictEncounters(
+            selected,
+            orbitOf(selected),
+            index,
+            this.time,
+            years * DAYS_PER_YEAR * TIME_UNITS_PER_DAY,
+            threshold * AU_TO_PIXELS,
+            ENCOUNTER_MAX_RESULTS
+        );
+        this.encounterPanel.setEncounters(selected, encounters);
+    }
+
+    /**
+     * Update the multi-selection panel
+     */
+    refreshGroup() {
+        this.groupPanel.refresh(groupStatistics(this.selectionManager.getGroup()));
+    }
+
+    /**
+     * Recompute the filter matches and update the panel's count
+     * The filter only applies while its panel is open.
+     * @returns Set of matching asteroids, or null without an active filter
+     */
+    refreshFilter() {
+        const active = this.filter !== null && this.filterPanel.isOpen();
+        this.filterMatches = active ? applyFilter(this.asteroids, this.filter) : [];
+        const index = this.filterMatches.indexOf(this.selectionManager.getSelected());
+        this.filterPanel.refresh(active ? this.filterMatches.length : null, this.asteroids.length, index);
+        return active ? new Set(this.filterMatches) : null;
+    }
+
+    /**
+     * Select the next or previous filter match and centre the camera on it
+     * @param direction - 1 for the next match (by id), -1 for the previous one
+     */
+    stepFilterMatch(direction) {
+        const matches = this.filterMatches;
+        if (matches.length === 0) return;
+
+        // From an asteroid outside the results, continue from where its id would sort
+        const selected = this.selectionManager.getSelected();
+        let index = matches.indexOf(selected);
+        if (index >= 0) {
+            index = (index + direction + matches.length) % matches.length;
+        } else if (direction > 0) {
+            index = selected ? matches.findIndex(a => a.id > selected.id) : 0;
+            if (index < 0) index = 0;
+        } else {
+            index = selected ? matches.findLastIndex(a => a.id < selected.id) : matches.length - 1;
+            if (index < 0) index = matches.length - 1;
+        }
+
+        // While following, the camera glides on to the new selection instead
+        const asteroid = matches[index];
+        if (!this.camera.followTarget) this.camera.centerOn(asteroid.x, asteroid.y);
+        this.selectionManager.select(asteroid);
+    }
+
+    /**
+     * Redraw the history list
+     */
+    refreshHistory() {
+        this.historyPanel.refresh(this.history, this.selectionManager.getSelected());
+    }
+
+    /**
+     * Get an asteroid's maneuver plan, creating an empty one if needed
+     * Empty plans are only kept while their asteroid is selected.
+     */
+    getManeuverPlan(asteroid) {
+        const plan = this.core.getManeuverPlan(asteroid);
+        this.pruneManeuverPlans();
+        return plan;
+    }
+
+    /**
+     * Drop empty plans that are not being edited
+     */
+    pruneManeuverPlans() {
+        this.core.pruneManeuverPlans(this.selectionManager.getSelected());
+    }
+
+    /**
+     * Place a maneuver node if a click lands on the selected asteroid's orbit
+     * (but not on an asteroid)
+     * @returns True if a node was placed
+     */
+    tryPlaceManeuverNode(screenX, screenY) {
+        const selected = this.selectionManager.getSelected();
+        if (!selected) return false;
+
+        const world = this.camera.screenToWorld(screenX, screenY);
+        if (this.selectionManager.findAsteroidAt(world.x, world.y, CLICK_TOLERANCE / this.camera.zoom)) {
+            return false;
+        }
+
+        const plan = this.getManeuverPlan(selected);
+        const node = plan.addNodeAtPosition(
+            world.x,
+            world.y,
+            ORBIT_CLICK_TOLERANCE / this.camera.zoom,
+            this.time
+        );
+        if (!node) return false;
+
+        this.maneuverPanel.refresh();
+        return true;
+    }
+
+    /**
+     * Replace the selected asteroid's maneuver nodes with a transfer onto the target's orbit
+     * @param kind - 'hohmann' or 'bielliptic'
+     * @param intermediateRadius - Far apsis of the bi-elliptic transfer's first leg
+     */
+    planTransfer(kind, intermediateRadius) {
+        const selected = this.selectionManager.getSelected();
+        const target = this.selectionManager.getTarget();
+        if (!selected || !target) return;
+
+        const plan = this.getManeuverPlan(selected);
+        if (kind === 'hohmann') {
+            planHohmannTransfer(plan, target.orbit, this.time);
+        } else {
+            planBiEllipticTransfer(plan, target.orbit, intermediateRadius, this.time);
+        }
+        this.maneuverPanel.refresh();
+    }
+
+    /**
+     * Set up the departure burn of a Lambert transfer picked on the porkchop plot
+     * Replaces the selected asteroid's maneuver nodes and draws the transfer arc.
+     * @param selection - { departureTime, tof, transfer }
+     */
+    planLambertDeparture({ departureTime, tof, transfer }) {
+        const selected = this.selectionManager.getSelected();
+        if (!selected) return;
+
+        const state = {
+            x: transfer.r1.x,
+            y: transfer.r1.y,
+            vx: transfer.vSource.vx,
+            vy: transfer.vSource.vy
+        };
+        const burn = burnComponentsFromVector(state, transfer.departureBurn.dvx, transfer.departureBurn.dvy);
+
+        const plan = this.getManeuverPlan(selected);
+        plan.clear();
+        plan.addNode(departureTime, burn.prograde, burn.radial);
+        this.maneuverPanel.refresh();
+
+        // Sample the transfer orbit from departure to arrival
+        const transferOrbit = computeOrbitFromStateVectors(transfer.r1, transfer.v1, departureTime);
+        const samples = 100 * (transfer.revolutions + 1);
+        this.transferArc = [];
+        for (let i = 0; i <= samples; i++) {
+            this.transferArc.push(getPositionAtTime(transferOrbit, departureTime + tof * i / samples));
+        }
     }
 
     /**
@@ -165,7 +1065,6 @@ class Simulation {
      */
     start() {
         this.lastFrameTime = performance.now();
-        this.paused = false;
         requestAnimationFrame((t) => this.gameLoop(t));
     }
 
@@ -178,13 +1077,14 @@ class Simulation {
         this.fps = 1000 / deltaTime;
         this.lastFrameTime = timestamp;
 
-        // Update simulation time
-        if (!this.paused) {
-            this.time += deltaTime * this.timeScale;
-        }
+        // Advance simulation time and update
+        this.update(this.paused ? 0 : deltaTime * this.timeScale);
 
-        // Update
-        this.update();
+        // Move the view after the bodies it follows or turns with
+        this.camera.update(timestamp, this.time);
+        this.followToggle.checked = !!this.camera.followTarget;
+        // The renderer drops to the 2D canvas by itself if the WebGL context is lost
+        this.backendSelect.value = this.renderer.getBackend();
 
         // Render
         this.render();
@@ -194,27 +1094,24 @@ class Simulation {
     }
 
     /**
-     * Update simulation state
+     * Advance the simulation and bring the panels up to date
+     * @param dt - Simulation time to advance (integrated N-body states can't run backwards)
      */
-    update() {
-        // Update all asteroid positions
-        for (const asteroid of this.asteroids) {
-            asteroid.update(this.time);
-        }
+    update(dt) {
+        // What the panels show is kept exactly up to date
+        const selection = this.selectionManager;
+        this.core.step(dt, [selection.getSelected(), selection.getTarget(), ...selection.getGroup()]);
 
-        // Update quadtree for selection
-        const worldRadius = BELT_OUTER_RADIUS * AU_TO_PIXELS * 2;
-        this.selectionManager.rebuildQuadtree(this.asteroids, {
-            minX: -worldRadius,
-            minY: -worldRadius,
-            width: worldRadius * 2,
-            height: worldRadius * 2
-        });
+        this.recordTrails();
 
         // Update delta-v panel info if asteroid selected
         if (this.selectionManager.getSelected()) {
             this.deltaVPanel.updateAsteroidInfo();
+            this.maneuverPanel.updateCountdowns(this.time);
+            this.transferPanel.update();
         }
+
+        this.api.notify('frame', daysFromTime(this.time));
     }
 
     /**
@@ -222,6 +1119,7 @@ class Simulation {
      */
     render() {
         const selectedAsteroid = this.selectionManager.getSelected();
+        const targetAsteroid = this.selectionManager.getTarget();
 
         // Clear main canvas
         this.renderer.clear();
@@ -229,6 +1127,11 @@ class Simulation {
         // Render belt boundaries
         this.renderer.renderBeltBoundaries(this.camera);
 
+        // Render planet orbits
+        for (const planet of this.planets) {
+            this.renderer.renderOrbitPath(planet.orbitPath, this.camera, COLORS.planetOrbit, false);
+        }
+
         // Render selected asteroid's orbit
         if (selectedAsteroid) {
             this.renderer.renderOrbitPath(
@@ -239,6 +1142,30 @@ class Simulation {
             );
         }
 
+        // Render target's orbit
+        if (targetAsteroid) {
+            this.renderer.renderOrbitPath(
+                targetAsteroid.orbitPath,
+                this.camera,
+                COLORS.targetOrbit,
+                false
+            );
+        }
+
+        // Render planned maneuver legs and nodes
+        const plan = selectedAsteroid ? this.maneuverPlans.get(selectedAsteroid) : null;
+        if (plan) {
+            for (let i = 1; i < plan.legs.length; i++) {
+                this.renderer.renderOrbitPath(plan.legs[i].path, this.camera, plan.legs[i].color, true);
+            }
+            this.renderer.renderManeuverNodes(plan, this.camera);
+        }
+
+        // Render the chosen Lambert transfer arc
+        if (this.transferArc) {
+            this.renderer.renderOrbitPath(this.transferArc, this.camera, COLORS.transferArc, false);
+        }
+
         // Render projected orbit (if any)
         if (this.projectedOrbitPath) {
             this.renderer.renderOrbitPath(
@@ -249,11 +1176,43 @@ class Simulation {
             );
         }
 
-        // Render sun
+        // Render trails
+        this.renderer.renderTrails(
+            this.asteroids,
+            this.camera,
+            this.time,
+            this.trailLength,
+            this.camera.getFrameRate()
+        );
+
+        // Render predicted close approaches of the selected asteroid
+        if (this.encounterPanel.encounters.length > 0) {
+            this.renderer.renderEncounters(this.encounterPanel.encounters, this.camera, this.encounterPanel.active);
+        }
+
+        // Render sun and planets
         this.sun.render(this.renderer.getContext(), this.camera);
+        for (const planet of this.planets) {
+            planet.render(this.renderer.getContext(), this.camera);
+        }
 
         // Render asteroids
-        this.renderer.renderAsteroids(this.asteroids, this.camera, selectedAsteroid);
+        const matches = this.refreshFilter();
+        this.renderer.renderAsteroids(
+            this.asteroids,
+            this.camera,
+            selectedAsteroid,
+            targetAsteroid,
+            this.selectionManager.getGroup(),
+            matches,
+            this.selectionManager.index
+        );
+        if (this.selectionBox) {
+            this.renderer.renderSelectionBox(this.selectionBox);
+        }
+
+        // Render collision flashes
+        this.renderer.renderImpactEffects(this.camera, this.lastFrameTime);
 
         // Render delta-v direction indicator
         if (selectedAsteroid && this.deltaVPanel.getMagnitude() > 0) {
@@ -266,11 +1225,24 @@ class Simulation {
         }
 
         // Render UI elements
-        this.renderer.renderInfo(this.asteroids.length, this.fps);
+        this.renderer.renderInfo(this.asteroids.length, this.fps, this.propagationMode);
+        this.renderer.renderTimeHud(
+            this.time,
+            this.paused ? 0 : this.timeScale,
+            this.core.timeTravelBlocker(this.time - this.frameStep())
+        );
         this.renderer.renderHelp();
+        if (this.showHistogram) {
+            // Osculating values from the current state, so gaps show up in N-body mode too
+            const values = this.asteroids.map(asteroid => semiMajorAxisFromState(
+                { x: asteroid.x, y: asteroid.y },
+                { vx: asteroid.vx, vy: asteroid.vy }
+            ) / AU_TO_PIXELS);
+            this.renderer.renderSemiMajorAxisHistogram(values, this.resonances);
+        }
 
         // Render minimap
-        this.minimap.render(this.asteroids, this.sun, selectedAsteroid);
+        this.minimap.render(this.asteroids, this.sun, selectedAsteroid, this.planets, matches);
     }
 }
 
@@ -0,0 +1,135 @@
+// Maneuver node list UI
+
+import { DELTA_V_SCALE } from './constants.js';
+
+export class ManeuverPanel {
+    /**
+     * @param listElement - Container for the node rows
+     * @param clearButton - Button that removes every node
+     * @param onChange - Called after any node is edited or removed
+     */
+    constructor(listElement, clearButton, onChange) {
+        this.list = listElement;
+        this.clearButton = clearButton;
+        this.onChange = onChange;
+
+        // Plan being displayed (or null)
+        this.plan = null;
+
+        // Countdown elements keyed by node id
+        this.countdowns = new Map();
+
+        this.clearButton.addEventListener('click', () => {
+            if (!this.plan) return;
+            this.plan.clear();
+            this.refresh();
+            if (this.onChange) this.onChange();
+        });
+    }
+
+    /**
+     * Show the nodes of a plan (or nothing)
+     * @param plan - ManeuverPlan or null
+     */
+    setPlan(plan) {
+        this.plan = plan;
+        this.refresh();
+    }
+
+    /**
+     * Rebuild the node list
+     */
+    refresh() {
+        this.list.innerHTML = '';
+        this.countdowns.clear();
+
+        const nodes = this.plan ? this.plan.nodes : [];
+        this.clearButton.disabled = nodes.length === 0;
+
+        nodes.forEach((node, index) => {
+            this.list.appendChild(this.createRow(node, index));
+        });
+    }
+
+    /**
+     * Create the editable row for one node
+     */
+    createRow(node, index) {
+        const row = document.createElement('div');
+        row.className = 'maneuver-node';
+
+        const header = document.createElement('div');
+        header.className = 'maneuver-node-header';
+
+        const title = document.createElement('span');
+        title.className = 'maneuver-node-title';
+        title.style.color = this.plan.legs[index + 1].color;
+        title.textContent = `Node ${index + 1}`;
+
+        const countdown = document.createElement('span');
+        countdown.className = 'maneuver-node-countdown';
+        this.countdowns.set(node.id, countdown);
+
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'maneuver-node-remove';
+        removeBtn.textContent = '×';
+        removeBtn.title = 'Remove node';
+        removeBtn.addEventListener('click', () => {
+            this.plan.removeNode(node);
+            this.refresh();
+            if (this.onChange) this.onChange();
+        });
+
+        header.append(title, countdown, removeBtn);
+
+        const inputs = document.createElement('div');
+        inputs.className = 'maneuver-node-inputs';
+
+        const prograde = this.createInput('Prograde', node.prograde / DELTA_V_SCALE);
+        const radial = this.createInput('Radial', node.radial / DELTA_V_SCALE);
+
+        const update = () => {
+            const p = parseFloat(prograde.input.value) || 0;
+            const r = parseFloat(radial.input.value) || 0;
+            this.plan.updateNode(node, p * DELTA_V_SCALE, r * DELTA_V_SCALE);
+            if (this.onChange) this.onChange();
+        };
+        prograde.input.addEventListener('input', update);
+        radial.input.addEventListener('input', update);
+
+        inputs.append(prograde.label, radial.label);
+        row.append(header, inputs);
+        return row;
+    }
+
+    /**
+     * Create a labelled number input for a burn component (km/s)
+     */
+    createInput(text, value) {
+        const label = document.createElement('label');
+        label.textContent = text + ' ';
+
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.step = '0.05';
+        input.value = value.toFixed(2);
+
+        label.appendChild(input);
+        return { label, input };
+    }
+
+    /**
+     * Update the time-to-burn display of every node
+     * @param now - Current simulation time
+     */
+    updateCountdowns(now) {
+        if (!this.plan) return;
+
+        for (const node of this.plan.nodes) {
+            const el = this.countdowns.get(node.id);
+            if (el) {
+                el.textContent = `in ${((node.time - now) / 1000).toFixed(2)} units`;
+            }
+        }
+    }
+}
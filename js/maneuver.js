@@ -0,0 +1,230 @@
+// Maneuver nodes: planned burns at future points along an asteroid's orbit
+
+import { COLORS } from './constants.js';
+import {
+    computeOrbitFromStateVectors,
+    generateOrbitPath,
+    getStateAtTime,
+    getPositionFromTrueAnomaly,
+    timeAtTrueAnomaly,
+    trueAnomalyFromPosition
+} from './orbital.js';
+import { normalize, dot, distance } from './utils.js';
+
+// Nodes closer together than this (in time) are treated as the same node
+const NODE_TIME_EPSILON = 1e-6;
+
+let nextNodeId = 1;
+
+/**
+ * Unit vectors of the burn frame at a state vector
+ * Prograde points along the velocity, radial is perpendicular to it, away from the sun
+ * @param x - Position X
+ * @param y - Position Y
+ * @param vx - Velocity X
+ * @param vy - Velocity Y
+ * @returns { prograde: { x, y }, radial: { x, y } }
+ */
+export function getBurnFrame(x, y, vx, vy) {
+    const prograde = normalize(vx, vy);
+    let radial = { x: prograde.y, y: -prograde.x };
+
+    if (dot(radial.x, radial.y, x, y) < 0) {
+        radial = { x: -radial.x, y: -radial.y };
+    }
+
+    return { prograde, radial };
+}
+
+/**
+ * Convert prograde/radial burn components to a world-space delta-v
+ * @param state - { x, y, vx, vy } at the burn
+ * @param prograde - Prograde component
+ * @param radial - Radial-out component
+ * @returns { dvx, dvy }
+ */
+export function burnVectorFromComponents(state, prograde, radial) {
+    const frame = getBurnFrame(state.x, state.y, state.vx, state.vy);
+    return {
+        dvx: frame.prograde.x * prograde + frame.radial.x * radial,
+        dvy: frame.prograde.y * prograde + frame.radial.y * radial
+    };
+}
+
+/**
+ * Convert a world-space delta-v to prograde/radial burn components
+ * @param state - { x, y, vx, vy } at the burn
+ * @param dvx - Delta-v X
+ * @param dvy - Delta-v Y
+ * @returns { prograde, radial }
+ */
+export function burnComponentsFromVector(state, dvx, dvy) {
+    const frame = getBurnFrame(state.x, state.y, state.vx, state.vy);
+    return {
+        prograde: dot(dvx, dvy, frame.prograde.x, frame.prograde.y),
+        radial: dot(dvx, dvy, frame.radial.x, frame.radial.y)
+    };
+}
+
+/**
+ * A chain of maneuver nodes for one asteroid
+ * Each node's resulting orbit is the leg the next node is placed on.
+ */
+export class ManeuverPlan {
+    /**
+     * @param asteroid - Asteroid the plan belongs to
+     */
+    constructor(asteroid) {
+        this.asteroid = asteroid;
+        this.nodes = [];    // Sorted by time
+        this.legs = [];     // { orbit, path, startTime, endTime, color }
+        this.recompute();
+    }
+
+    /**
+     * Add a node at a given time
+     * @param time - Burn time
+     * @param prograde - Prograde delta-v (velocity units)
+     * @param radial - Radial-out delta-v (velocity units)
+     * @returns The new node (or an existing node at the same time)
+     */
+    addNode(time, prograde = 0, radial = 0) {
+        const existing = this.nodes.find(n => Math.abs(n.time - time) < NODE_TIME_EPSILON);
+        if (existing) return existing;
+
+        const node = {
+            id: nextNodeId++,
+            time,
+            prograde,
+            radial,
+            position: null, // Filled in by recompute()
+            burn: null,
+            orbit: null
+        };
+
+        this.nodes.push(node);
+        this.nodes.sort((a, b) => a.time - b.time);
+        this.recompute();
+        return node;
+    }
+
+    /**
+     * Add a node where a world position lies on one of the plan's legs
+     * @param worldX - World X coordinate
+     * @param worldY - World Y coordinate
+     * @param tolerance - Hit distance in world units
+     * @param now - Current simulation time (nodes are only placed in the future)
+     * @returns The new node, or null if the position is not on a future part of a leg
+     */
+    addNodeAtPosition(worldX, worldY, tolerance, now) {
+        const leg = this.findLegAt(worldX, worldY, tolerance);
+        if (!leg) return null;
+
+        const theta = trueAnomalyFromPosition(leg.orbit, worldX, worldY);
+        const time = timeAtTrueAnomaly(leg.orbit, theta, Math.max(leg.startTime, now));
+
+        if (time === null || time >= leg.endTime) {
+            return null;
+        }
+
+        return this.addNode(time);
+    }
+
+    /**
+     * Find the leg whose path passes within tolerance of a world position
+     * Later legs take priority, since they are drawn on top.
+     */
+    findLegAt(worldX, worldY, tolerance) {
+        for (let i = this.legs.length - 1; i >= 0; i--) {
+            const leg = this.legs[i];
+            const theta = trueAnomalyFromPosition(leg.orbit, worldX, worldY);
+            const point = getPositionFromTrueAnomaly(leg.orbit, theta);
+
+            // Open orbits have no point in directions beyond their asymptotes
+            if (!isFinite(point.x) || !isFinite(point.y)) continue;
+            if (dot(point.x, point.y, worldX, worldY) <= 0) continue;
+
+            if (distance(point.x, point.y, worldX, worldY) <= tolerance) {
+                return leg;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Change a node's burn
+     */
+    updateNode(node, prograde, radial) {
+        node.prograde = prograde;
+        node.radial = radial;
+        this.recompute();
+    }
+
+    /**
+     * Remove a node
+     */
+    removeNode(node) {
+        this.nodes = this.nodes.filter(n => n !== node);
+        this.recompute();
+    }
+
+    /**
+     * Remove all nodes
+     */
+    clear() {
+        this.nodes = [];
+        this.recompute();
+    }
+
+    /**
+     * Check if the plan has no nodes
+     */
+    isEmpty() {
+        return this.nodes.length === 0;
+    }
+
+    /**
+     * Recompute every node's burn and resulting orbit, starting from the asteroid's current orbit
+     * Call whenever the asteroid's orbit or any node changes.
+     */
+    recompute() {
+        const palette = COLORS.maneuverLegs;
+        let orbit = this.asteroid.orbit;
+
+        this.legs = [{
+            orbit,
+            path: this.asteroid.orbitPath,
+            startTime: this.asteroid.time,
+            endTime: Infinity,
+            color: COLORS.orbitPath
+        }];
+
+        for (let i = 0; i < this.nodes.length; i++) {
+            const node = this.nodes[i];
+            const state = getStateAtTime(orbit, node.time);
+            const pos = { x: state.x, y: state.y };
+
+            node.position = pos;
+            node.burn = burnVectorFromComponents(state, node.prograde, node.radial);
+
+            // A degenerate (radial) result leaves the orbit unchanged
+            const next = computeOrbitFromStateVectors(
+                pos,
+                { vx: state.vx + node.burn.dvx, vy: state.vy + node.burn.dvy },
+                node.time
+            );
+            node.orbit = next || orbit;
+
+            this.legs[this.legs.length - 1].endTime = node.time;
+            this.legs.push({
+                orbit: node.orbit,
+                path: generateOrbitPath(node.orbit),
+                startTime: node.time,
+                endTime: Infinity,
+                color: palette[i % palette.length]
+            });
+
+            orbit = node.orbit;
+        }
+    }
+}
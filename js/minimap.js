@@ -1,6 +1,6 @@
 // Mini-map rendering and navigation
 
-import { MINIMAP_SIZE, COLORS, AU_TO_PIXELS, BELT_OUTER_RADIUS } from './constants.js';
+import { MINIMAP_SIZE, COLORS, AU_TO_PIXELS, BELT_OUTER_RADIUS, PLANETS, FILTER_DIM_ALPHA } from './constants.js';
 
 export class Minimap {
     constructor(canvas, mainCamera) {
@@ -8,8 +8,9 @@ export class Minimap {
         this.ctx = canvas.getContext('2d');
         this.mainCamera = mainCamera;
 
-        // Mini-map shows the entire asteroid belt
-        this.worldRadius = BELT_OUTER_RADIUS * AU_TO_PIXELS * 1.2;
+        // Mini-map shows the entire asteroid belt and every planet's aphelion
+        const outermost = Math.max(BELT_OUTER_RADIUS, ...PLANETS.map(p => p.a * (1 + p.e)));
+        this.worldRadius = outermost * AU_TO_PIXELS * 1.1;
         this.scale = MINIMAP_SIZE / (this.worldRadius * 2);
 
         this.centerX = MINIMAP_SIZE / 2;
@@ -73,8 +74,10 @@ export class Minimap {
      * @param asteroids - Array of asteroids
      * @param sun - Sun object
      * @param selectedAsteroid - Currently selected asteroid
+     * @param planets - Planets to draw with their orbits
+     * @param matches - Set of asteroids matching the filter, or null without one; the rest are dimmed
      */
-    render(asteroids, sun, selectedAsteroid) {
+    render(asteroids, sun, selectedAsteroid, planets = [], matches = null) {
         const ctx = this.ctx;
 
         // Background
@@ -89,15 +92,32 @@ export class Minimap {
         // Sun
         sun.renderMinimap(ctx, this.scale, this.centerX, this.centerY);
 
-        // Asteroids
+        // Planets
+        for (const planet of planets) {
+            planet.renderMinimap(ctx, this.scale, this.centerX, this.centerY);
+        }
+
+        // Asteroids, as one path (the selected one and filter matches are drawn on top)
+        ctx.beginPath();
         for (const asteroid of asteroids) {
-            asteroid.renderMinimap(
-                ctx,
-                this.scale,
-                this.centerX,
-                this.centerY,
-                asteroid === selectedAsteroid
-            );
+            if (asteroid === selectedAsteroid || (matches && matches.has(asteroid))) continue;
+            const x = this.centerX + asteroid.x * this.scale;
+            const y = this.centerY + asteroid.y * this.scale;
+            ctx.moveTo(x + 1, y);
+            ctx.arc(x, y, 1, 0, Math.PI * 2);
+        }
+        ctx.fillStyle = COLORS.asteroid;
+        if (matches) ctx.globalAlpha = FILTER_DIM_ALPHA;
+        ctx.fill();
+        ctx.globalAlpha = 1;
+        if (matches) {
+            for (const asteroid of matches) {
+                if (asteroid === selectedAsteroid) continue;
+                asteroid.renderMinimap(ctx, this.scale, this.centerX, this.centerY, false, true);
+            }
+        }
+        if (selectedAsteroid) {
+            selectedAsteroid.renderMinimap(ctx, this.scale, this.centerX, this.centerY, true);
         }
 
         // Viewport rectangle
@@ -105,26 +125,36 @@ export class Minimap {
     }
 
     /**
-     * Render the viewport indicator rectangle
+     * Render the viewport indicator (turned with the main view when it is rotated)
      */
     renderViewport() {
         const ctx = this.ctx;
-        const bounds = this.mainCamera.getVisibleBounds();
-
-        const topLeft = this.worldToMinimap(bounds.minX, bounds.minY);
-        const bottomRight = this.worldToMinimap(bounds.maxX, bounds.maxY);
-
-        const width = bottomRight.x - topLeft.x;
-        const height = bottomRight.y - topLeft.y;
-
-        // Clamp to minimap bounds
-        const x = Math.max(0, Math.min(MINIMAP_SIZE - 2, topLeft.x));
-        const y = Math.max(0, Math.min(MINIMAP_SIZE - 2, topLeft.y));
-        const w = Math.min(MINIMAP_SIZE - x, Math.max(4, width));
-        const h = Math.min(MINIMAP_SIZE - y, Math.max(4, height));
-
+        const corners = this.mainCamera.getVisibleCorners().map(c => this.worldToMinimap(c.x, c.y));
+
+        // Keep a tiny viewport visible when zoomed far in
+        const centre = this.worldToMinimap(this.mainCamera.x, this.mainCamera.y);
+        const size = Math.hypot(corners[2].x - corners[0].x, corners[2].y - corners[0].y);
+        const grow = size < 4 ? 4 / Math.max(size, 1e-9) : 1;
+
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(0, 0, MINIMAP_SIZE, MINIMAP_SIZE);
+        ctx.clip();
+
+        ctx.beginPath();
+        corners.forEach((corner, i) => {
+            const x = centre.x + (corner.x - centre.x) * grow;
+            const y = centre.y + (corner.y - centre.y) * grow;
+            if (i === 0) {
+                ctx.moveTo(x, y);
+            } else {
+                ctx.lineTo(x, y);
+            }
+        });
+        ctx.closePath();
         ctx.strokeStyle = COLORS.minimapViewport;
         ctx.lineWidth = 2;
-        ctx.strokeRect(x, y, w, h);
+        ctx.stroke();
+        ctx.restore();
     }
 }
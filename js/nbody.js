@@ -0,0 +1,153 @@
+// Perturbed propagation: Wisdom–Holman style symplectic integrator
+//
+// Asteroids are massless test particles in heliocentric coordinates. Each step is
+// kick–drift–kick: a half-step kick from the massive bodies' attraction, an exact
+// Kepler drift around the sun, then another half kick. With no massive bodies
+// this reduces to pure Keplerian propagation.
+
+import { NBODY_TIME_STEP, NBODY_MAX_STEPS_PER_FRAME } from './constants.js';
+import { computeOrbitFromStateVectors, getStateAtTime } from './orbital.js';
+
+export class NBodyIntegrator {
+    constructor() {
+        // Massive perturbers: { mu, indirect, getPosition(t) -> { x, y } }
+        // 'indirect' adds the sun's reflex acceleration (needed in heliocentric coordinates)
+        this.bodies = [];
+    }
+
+    /**
+     * Add a massive body that perturbs the asteroids
+     * @param body - { mu, indirect, getPosition(t) }
+     */
+    addBody(body) {
+        this.bodies.push(body);
+    }
+
+    /**
+     * Remove a massive body
+     */
+    removeBody(body) {
+        this.bodies = this.bodies.filter(b => b !== body);
+    }
+
+    /**
+     * Perturbing acceleration at a position (excluding the sun's central attraction)
+     * @param x - Position X
+     * @param y - Position Y
+     * @param bodyPositions - Positions of the massive bodies at the kick time
+     * @returns { ax, ay }
+     */
+    perturbation(x, y, bodyPositions) {
+        let ax = 0;
+        let ay = 0;
+
+        for (let i = 0; i < this.bodies.length; i++) {
+            const body = this.bodies[i];
+            const p = bodyPositions[i];
+
+            // Direct attraction towards the body
+            const dx = p.x - x;
+            const dy = p.y - y;
+            const d2 = dx * dx + dy * dy;
+            const d3 = d2 * Math.sqrt(d2);
+            ax += body.mu * dx / d3;
+            ay += body.mu * dy / d3;
+
+            // Indirect term: the sun is pulled towards the body too
+            if (body.indirect) {
+                const r2 = p.x * p.x + p.y * p.y;
+                const r3 = r2 * Math.sqrt(r2);
+                ax -= body.mu * p.x / r3;
+                ay -= body.mu * p.y / r3;
+            }
+        }
+
+        return { ax, ay };
+    }
+
+    /**
+     * Apply a velocity kick from the massive bodies
+     */
+    kick(asteroids, t, dt) {
+        if (this.bodies.length === 0) return;
+
+        const bodyPositions = this.bodies.map(b => b.getPosition(t));
+
+        for (const asteroid of asteroids) {
+            const { ax, ay } = this.perturbation(asteroid.x, asteroid.y, bodyPositions);
+            asteroid.vx += ax * dt;
+            asteroid.vy += ay * dt;
+        }
+    }
+
+    /**
+     * Move every asteroid along its osculating Kepler orbit
+     */
+    drift(asteroids, t, dt) {
+        for (const asteroid of asteroids) {
+            const orbit = computeOrbitFromStateVectors(
+                { x: asteroid.x, y: asteroid.y },
+                { vx: asteroid.vx, vy: asteroid.vy },
+                t
+            );
+
+            // Radial trajectories have no Kepler orbit; coast in a straight line
+            if (!orbit) {
+                asteroid.x += asteroid.vx * dt;
+                asteroid.y += asteroid.vy * dt;
+                continue;
+            }
+
+            const state = getStateAtTime(orbit, t + dt);
+            asteroid.x = state.x;
+            asteroid.y = state.y;
+            asteroid.vx = state.vx;
+            asteroid.vy = state.vy;
+        }
+    }
+
+    /**
+     * Advance all asteroids by one kick–drift–kick step
+     * @param asteroids - Asteroids whose state (x, y, vx, vy) is integrated in place
+     * @param t - Time at the start of the step
+     * @param dt - Step size (may be negative)
+     */
+    step(asteroids, t, dt) {
+        this.kick(asteroids, t, dt / 2);
+        this.drift(asteroids, t, dt);
+        this.kick(asteroids, t + dt, dt / 2);
+    }
+
+    /**
+     * Integrate from one time to another in equal steps no larger than NBODY_TIME_STEP
+     * Stops early if that would take more than NBODY_MAX_STEPS_PER_FRAME steps.
+     * @param asteroids - Asteroids to integrate
+     * @param from - Current time of the asteroids' state
+     * @param to - Requested time
+     * @returns The time actually reached
+     */
+    advance(asteroids, from, to) {
+        const span = to - from;
+        if (span === 0) return from;
+
+        let steps = Math.ceil(Math.abs(span) / NBODY_TIME_STEP);
+        let dt = span / steps;
+
+        if (steps > NBODY_MAX_STEPS_PER_FRAME) {
+            steps = NBODY_MAX_STEPS_PER_FRAME;
+            dt = Math.sign(span) * NBODY_TIME_STEP;
+        }
+
+        let t = from;
+        for (let i = 0; i < steps; i++) {
+            this.step(asteroids, t, dt);
+            t += dt;
+        }
+
+        for (const asteroid of asteroids) {
+            asteroid.time = t;
+        }
+
+        return t;
+    }
+}
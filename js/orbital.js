@@ -1,7 +1,64 @@
 // Keplerian orbital mechanics calculations
 
-import { MU, KEPLER_MAX_ITERATIONS, KEPLER_TOLERANCE, ORBIT_PATH_POINTS } from './constants.js';
-import { normalizeAngle, magnitude, cross, dot } from './utils.js';
+import {
+    MU,
+    AU_TO_PIXELS,
+    KEPLER_MAX_ITERATIONS,
+    KEPLER_TOLERANCE,
+    PARABOLIC_TOLERANCE,
+    ORBIT_PATH_POINTS,
+    ORBIT_PATH_MAX_RADIUS
+} from './constants.js';
+import { normalizeAngle, magnitude, cross, dot, clamp } from './utils.js';
+
+/**
+ * Check whether an orbit is closed (elliptical)
+ * Open orbits are hyperbolic (a < 0, e > 1) or parabolic (a = Infinity, e = 1, with p set)
+ * @param orbit - Orbital elements
+ */
+export function isClosedOrbit(orbit) {
+    return orbit.e < 1 && orbit.a > 0 && isFinite(orbit.a);
+}
+
+/**
+ * Check whether an orbit is parabolic
+ * @param orbit - Orbital elements
+ */
+export function isParabolicOrbit(orbit) {
+    return !isFinite(orbit.a);
+}
+
+/**
+ * Direction of motion around the sun: 1 = prograde (counter-clockwise), -1 = retrograde
+ * Orbits without a direction are treated as prograde
+ * @param orbit - Orbital elements
+ */
+export function orbitDirection(orbit) {
+    return orbit.direction === -1 ? -1 : 1;
+}
+
+/**
+ * Semi-latus rectum p of any conic section
+ * @param orbit - Orbital elements
+ */
+export function semiLatusRectum(orbit) {
+    if (isParabolicOrbit(orbit)) {
+        return orbit.p;
+    }
+    return orbit.a * (1 - orbit.e * orbit.e);
+}
+
+/**
+ * Mean motion of an orbit
+ * For parabolic orbits this is the rate of Barker's mean anomaly, 2 * sqrt(μ / p³)
+ * @param orbit - Orbital elements
+ */
+export function meanMotion(orbit) {
+    if (isParabolicOrbit(orbit)) {
+        return 2 * Math.sqrt(MU / Math.pow(orbit.p, 3));
+    }
+    return Math.sqrt(MU / Math.pow(Math.abs(orbit.a), 3));
+}
 
 /**
  * Solve Kepler's equation M = E - e*sin(E) for eccentric anomaly E
@@ -38,6 +95,42 @@ export function solveKeplerEquation(M, e) {
     return E;
 }
 
+/**
+ * Solve the hyperbolic Kepler equation M = e*sinh(H) - H for hyperbolic anomaly H
+ * Uses Newton-Raphson iteration
+ * @param M - Hyperbolic mean anomaly
+ * @param e - Eccentricity (> 1)
+ * @returns Hyperbolic anomaly H
+ */
+export function solveHyperbolicKeplerEquation(M, e) {
+    // Initial guess (good for both small and large |M|)
+    let H = Math.asinh(M / e);
+
+    for (let i = 0; i < KEPLER_MAX_ITERATIONS; i++) {
+        const f = e * Math.sinh(H) - H - M;
+        const fPrime = e * Math.cosh(H) - 1;
+
+        const deltaH = f / fPrime;
+        H -= deltaH;
+
+        if (Math.abs(deltaH) < KEPLER_TOLERANCE * Math.max(1, Math.abs(H))) {
+            break;
+        }
+    }
+
+    return H;
+}
+
+/**
+ * Solve Barker's equation M = D + D³/3 for D = tan(θ/2) (parabolic orbits)
+ * Closed-form solution of the cubic
+ * @param M - Parabolic mean anomaly
+ * @returns D = tan(θ/2)
+ */
+export function solveBarkerEquation(M) {
+    return 2 * Math.sinh(Math.asinh(1.5 * M) / 3);
+}
+
 /**
  * Calculate true anomaly from eccentric anomaly
  * @param E - Eccentric anomaly (radians)
@@ -53,23 +146,40 @@ export function trueAnomalyFromEccentric(E, e) {
     return 2 * Math.atan2(sqrtOnePlusE * sinHalfE, sqrtOneMinusE * cosHalfE);
 }
 
+/**
+ * Calculate true anomaly from hyperbolic anomaly
+ * @param H - Hyperbolic anomaly
+ * @param e - Eccentricity (> 1)
+ * @returns True anomaly θ in (-θ∞, θ∞)
+ */
+export function trueAnomalyFromHyperbolic(H, e) {
+    return 2 * Math.atan(Math.sqrt((e + 1) / (e - 1)) * Math.tanh(H / 2));
+}
+
 /**
  * Calculate mean anomaly at a given time
- * @param orbit - Orbital elements object
+ * @param orbit - Orbital elements object (M0 is the mean anomaly at epoch t0)
  * @param t - Time
  * @returns Mean anomaly M (radians)
  */
 export function meanAnomalyAtTime(orbit, t) {
-    const n = Math.sqrt(MU / Math.pow(orbit.a, 3)); // Mean motion
-    return normalizeAngle(orbit.M0 + n * t);
+    const n = meanMotion(orbit);
+    const t0 = orbit.t0 || 0;
+    const M = orbit.M0 + n * (t - t0);
+
+    // Open orbits never repeat, so their mean anomaly is not wrapped
+    return isClosedOrbit(orbit) ? normalizeAngle(M) : M;
 }
 
 /**
  * Calculate orbital period
  * @param a - Semi-major axis
- * @returns Orbital period
+ * @returns Orbital period (Infinity for open orbits)
  */
 export function orbitalPeriod(a) {
+    if (!(a > 0) || !isFinite(a)) {
+        return Infinity;
+    }
     return 2 * Math.PI * Math.sqrt(Math.pow(a, 3) / MU);
 }
 
@@ -80,14 +190,15 @@ export function orbitalPeriod(a) {
  * @returns { x, y } position in world coordinates
  */
 export function getPositionFromTrueAnomaly(orbit, theta) {
-    const { a, e, omega } = orbit;
+    const { e, omega } = orbit;
 
     // Distance from focus
-    const r = a * (1 - e * e) / (1 + e * Math.cos(theta));
+    const r = semiLatusRectum(orbit) / (1 + e * Math.cos(theta));
 
     // Position in orbital plane (before rotation by argument of periapsis)
+    // Retrograde orbits advance clockwise, so true anomaly is measured the other way
     const xOrbital = r * Math.cos(theta);
-    const yOrbital = r * Math.sin(theta);
+    const yOrbital = orbitDirection(orbit) * r * Math.sin(theta);
 
     // Rotate by argument of periapsis
     const cosOmega = Math.cos(omega);
@@ -101,48 +212,38 @@ export function getPositionFromTrueAnomaly(orbit, theta) {
 
 /**
  * Get position at a given time
- * @param orbit - Orbital elements { a, e, omega, M0 }
+ * @param orbit - Orbital elements { a, e, omega, M0, t0 }
  * @param t - Time
  * @returns { x, y } position in world coordinates
  */
 export function getPositionAtTime(orbit, t) {
-    const M = meanAnomalyAtTime(orbit, t);
-    const E = solveKeplerEquation(M, orbit.e);
-    const theta = trueAnomalyFromEccentric(E, orbit.e);
-
+    const theta = getTrueAnomalyAtTime(orbit, t);
     return getPositionFromTrueAnomaly(orbit, theta);
 }
 
 /**
  * Get velocity at a given time
- * @param orbit - Orbital elements { a, e, omega, M0 }
+ * @param orbit - Orbital elements { a, e, omega, M0, t0 }
  * @param t - Time
  * @returns { vx, vy } velocity in world coordinates
  */
 export function getVelocityAtTime(orbit, t) {
-    const { a, e, omega } = orbit;
-
-    const M = meanAnomalyAtTime(orbit, t);
-    const E = solveKeplerEquation(M, orbit.e);
-    const theta = trueAnomalyFromEccentric(E, orbit.e);
-
-    // Distance
-    const r = a * (1 - e * e) / (1 + e * Math.cos(theta));
+    const { e, omega } = orbit;
 
-    // Vis-viva equation: v² = μ(2/r - 1/a)
-    const vMag = Math.sqrt(MU * (2 / r - 1 / a));
+    const theta = getTrueAnomalyAtTime(orbit, t);
 
-    // Semi-latus rectum
-    const p = a * (1 - e * e);
+    // Semi-latus rectum (valid for every conic section)
+    const p = semiLatusRectum(orbit);
 
     // Velocity components in orbital frame
     const h = Math.sqrt(MU * p); // Specific angular momentum
     const vr = MU / h * e * Math.sin(theta); // Radial velocity
     const vTheta = MU / h * (1 + e * Math.cos(theta)); // Tangential velocity
 
-    // Convert to Cartesian in orbital frame
+    // Convert to Cartesian in orbital frame (mirrored for retrograde orbits)
+    const direction = orbitDirection(orbit);
     const vxOrbital = vr * Math.cos(theta) - vTheta * Math.sin(theta);
-    const vyOrbital = vr * Math.sin(theta) + vTheta * Math.cos(theta);
+    const vyOrbital = direction * (vr * Math.sin(theta) + vTheta * Math.cos(theta));
 
     // Rotate by argument of periapsis
     const cosOmega = Math.cos(omega);
@@ -154,13 +255,57 @@ export function getVelocityAtTime(orbit, t) {
     };
 }
 
+/**
+ * Get position and velocity at a given time from a single solve of Kepler's equation
+ * Gives the same results as getPositionAtTime and getVelocityAtTime, at half the cost.
+ * @param orbit - Orbital elements { a, e, omega, M0, t0 }
+ * @param t - Time
+ * @param out - Object the state is written into (a new one by default), so hot loops needn't allocate
+ * @returns out, with { x, y, vx, vy } in world coordinates
+ */
+export function getStateAtTime(orbit, t, out = {}) {
+    const { e, omega } = orbit;
+
+    const theta = getTrueAnomalyAtTime(orbit, t);
+    const cosTheta = Math.cos(theta);
+    const sinTheta = Math.sin(theta);
+    const p = semiLatusRectum(orbit);
+    const direction = orbitDirection(orbit);
+
+    // Position in orbital plane (mirrored for retrograde orbits)
+    const r = p / (1 + e * cosTheta);
+    const xOrbital = r * cosTheta;
+    const yOrbital = direction * r * sinTheta;
+
+    // Velocity in orbital plane from its radial and tangential components
+    const h = Math.sqrt(MU * p);
+    const vr = MU / h * e * sinTheta;
+    const vTheta = MU / h * (1 + e * cosTheta);
+    const vxOrbital = vr * cosTheta - vTheta * sinTheta;
+    const vyOrbital = direction * (vr * sinTheta + vTheta * cosTheta);
+
+    // Rotate by argument of periapsis
+    const cosOmega = Math.cos(omega);
+    const sinOmega = Math.sin(omega);
+
+    out.x = xOrbital * cosOmega - yOrbital * sinOmega;
+    out.y = xOrbital * sinOmega + yOrbital * cosOmega;
+    out.vx = vxOrbital * cosOmega - vyOrbital * sinOmega;
+    out.vy = vxOrbital * sinOmega + vyOrbital * cosOmega;
+    return out;
+}
+
 /**
  * Compute orbital elements from position and velocity vectors
+ * Closed orbits get { a, e, omega, M0, t0, direction }; hyperbolic orbits have
+ * a < 0 and e > 1, parabolic orbits have a = Infinity, e = 1 and a semi-latus
+ * rectum p. direction is the sign of the angular momentum (-1 = retrograde).
  * @param r - Position { x, y }
  * @param v - Velocity { vx, vy }
- * @returns Orbital elements { a, e, omega, M0 } or null if escape trajectory
+ * @param t - Time at which the state vectors apply (becomes the epoch t0)
+ * @returns Orbital elements, or null for degenerate (radial) trajectories
  */
-export function computeOrbitFromStateVectors(r, v) {
+export function computeOrbitFromStateVectors(r, v, t = 0) {
     const rx = r.x;
     const ry = r.y;
     const vx = v.vx;
@@ -172,16 +317,16 @@ export function computeOrbitFromStateVectors(r, v) {
     // Specific angular momentum (scalar, z-component of cross product)
     const h = cross(rx, ry, vx, vy);
 
-    // Specific orbital energy
-    const energy = vMag * vMag / 2 - MU / rMag;
-
-    // Check for escape trajectory
-    if (energy >= 0) {
-        return null; // Parabolic or hyperbolic - not a closed orbit
+    // Radial trajectories have no conic section to describe them
+    if (rMag === 0 || h === 0) {
+        return null;
     }
 
-    // Semi-major axis
-    const a = -MU / (2 * energy);
+    // Direction of motion: counter-clockwise (prograde) or clockwise (retrograde)
+    const direction = h > 0 ? 1 : -1;
+
+    // Specific orbital energy
+    const energy = vMag * vMag / 2 - MU / rMag;
 
     // Eccentricity vector
     // e = (v × h) / μ - r / |r|
@@ -192,7 +337,7 @@ export function computeOrbitFromStateVectors(r, v) {
     const ex = (term1 * rx - rdotv * vx) / MU;
     const ey = (term1 * ry - rdotv * vy) / MU;
 
-    const e = magnitude(ex, ey);
+    let e = magnitude(ex, ey);
 
     // Argument of periapsis
     let omega = Math.atan2(ey, ex);
@@ -201,8 +346,8 @@ export function computeOrbitFromStateVectors(r, v) {
     // True anomaly
     let theta;
     if (e < 1e-10) {
-        // Circular orbit - use position angle
-        theta = Math.atan2(ry, rx) - omega;
+        // Circular orbit - use position angle, measured in the direction of motion
+        theta = normalizeAngle(direction * (Math.atan2(ry, rx) - omega));
     } else {
         // cos(θ) = (e · r) / (|e| |r|)
         const cosTheta = dot(ex, ey, rx, ry) / (e * rMag);
@@ -214,6 +359,33 @@ export function computeOrbitFromStateVectors(r, v) {
         }
     }
 
+    // Parabolic trajectory: mean anomaly from Barker's equation
+    // Classified by energy rather than e, since e → 1 for any near-radial trajectory
+    if (Math.abs(energy) * rMag / MU < PARABOLIC_TOLERANCE) {
+        const p = h * h / MU;
+        const D = Math.tan(theta / 2);
+        const M0 = D + D * D * D / 3;
+
+        return { a: Infinity, e: 1, p, omega, M0, t0: t, direction };
+    }
+
+    // Semi-major axis (negative for hyperbolic trajectories)
+    const a = -MU / (2 * energy);
+
+    // Hyperbolic trajectory: true anomaly lies in (-θ∞, θ∞)
+    if (energy > 0) {
+        e = Math.max(e, 1 + PARABOLIC_TOLERANCE);
+        const signedTheta = theta > Math.PI ? theta - 2 * Math.PI : theta;
+        const tanhHalfH = Math.sqrt((e - 1) / (e + 1)) * Math.tan(signedTheta / 2);
+        const H = 2 * Math.atanh(clamp(tanhHalfH, -1 + 1e-15, 1 - 1e-15));
+        const M0 = e * Math.sinh(H) - H;
+
+        return { a, e, omega, M0, t0: t, direction };
+    }
+
+    // Keep rounding from pushing a bound orbit onto the open branch
+    e = Math.min(e, 1 - PARABOLIC_TOLERANCE);
+
     // Eccentric anomaly from true anomaly
     const tanHalfTheta = Math.tan(theta / 2);
     const sqrtRatio = Math.sqrt((1 - e) / (1 + e));
@@ -223,18 +395,68 @@ export function computeOrbitFromStateVectors(r, v) {
     const M = E - e * Math.sin(E);
     const M0 = normalizeAngle(M);
 
-    return { a, e, omega, M0 };
+    return { a, e, omega, M0, t0: t, direction };
+}
+
+/**
+ * Largest true anomaly at which an orbit is within a given distance of the sun
+ * @param orbit - Orbital elements
+ * @param maxRadius - Distance limit (world units)
+ * @returns True anomaly limit in [0, π]; π means the whole orbit is inside
+ */
+export function trueAnomalyAtRadius(orbit, maxRadius) {
+    const e = orbit.e;
+    const p = semiLatusRectum(orbit);
+
+    if (e === 0) {
+        return Math.PI;
+    }
+
+    // r = p / (1 + e cos θ)  =>  cos θ = (p / r - 1) / e
+    const cosTheta = (p / maxRadius - 1) / e;
+    if (cosTheta <= -1) {
+        return Math.PI;
+    }
+    return Math.acos(clamp(cosTheta, -1, 1));
+}
+
+/**
+ * Range of true anomaly [-limit, limit] an orbit covers within a given distance of the sun
+ * @param orbit - Orbital elements
+ * @param maxRadius - Cut-off distance for open orbits (world units)
+ * @returns π for closed orbits; for open orbits, stays just inside the asymptote where r → ∞
+ */
+export function trueAnomalyLimit(orbit, maxRadius = ORBIT_PATH_MAX_RADIUS * AU_TO_PIXELS) {
+    if (isClosedOrbit(orbit)) {
+        return Math.PI;
+    }
+    // θ∞ = acos(-1/e)
+    const asymptote = isParabolicOrbit(orbit) ? Math.PI : Math.acos(-1 / orbit.e);
+    return Math.min(trueAnomalyAtRadius(orbit, maxRadius), asymptote - 1e-6);
 }
 
 /**
  * Generate pre-computed orbit path for rendering
+ * Open orbits only have one visible branch, drawn out to maxRadius
  * @param orbit - Orbital elements
  * @param numPoints - Number of points (default from constants)
+ * @param maxRadius - Cut-off distance for open orbits (world units)
  * @returns Array of { x, y } points
  */
-export function generateOrbitPath(orbit, numPoints = ORBIT_PATH_POINTS) {
+export function generateOrbitPath(orbit, numPoints = ORBIT_PATH_POINTS, maxRadius = ORBIT_PATH_MAX_RADIUS * AU_TO_PIXELS) {
     const path = [];
 
+    if (!isClosedOrbit(orbit)) {
+        const thetaMax = trueAnomalyLimit(orbit, maxRadius);
+
+        for (let i = 0; i <= numPoints; i++) {
+            const theta = -thetaMax + (i / numPoints) * 2 * thetaMax;
+            path.push(getPositionFromTrueAnomaly(orbit, theta));
+        }
+
+        return path;
+    }
+
     for (let i = 0; i <= numPoints; i++) {
         const theta = (i / numPoints) * 2 * Math.PI;
         const pos = getPositionFromTrueAnomaly(orbit, theta);
@@ -252,6 +474,264 @@ export function generateOrbitPath(orbit, numPoints = ORBIT_PATH_POINTS) {
  */
 export function getTrueAnomalyAtTime(orbit, t) {
     const M = meanAnomalyAtTime(orbit, t);
+
+    if (isParabolicOrbit(orbit)) {
+        return 2 * Math.atan(solveBarkerEquation(M));
+    }
+
+    if (orbit.e > 1) {
+        const H = solveHyperbolicKeplerEquation(M, orbit.e);
+        return trueAnomalyFromHyperbolic(H, orbit.e);
+    }
+
     const E = solveKeplerEquation(M, orbit.e);
     return trueAnomalyFromEccentric(E, orbit.e);
 }
+
+/**
+ * Mean anomaly corresponding to a true anomaly
+ * @param orbit - Orbital elements
+ * @param theta - True anomaly (radians)
+ * @returns Mean anomaly (in [0, 2π) for closed orbits, null if unreachable on an open orbit)
+ */
+export function meanAnomalyFromTrueAnomaly(orbit, theta) {
+    const e = orbit.e;
+
+    if (isParabolicOrbit(orbit)) {
+        const D = Math.tan(theta / 2);
+        return D + D * D * D / 3;
+    }
+
+    if (e > 1) {
+        // Only the branch between the asymptotes is ever visited
+        const signedTheta = Math.atan2(Math.sin(theta), Math.cos(theta));
+        if (Math.abs(signedTheta) >= Math.acos(-1 / e)) {
+            return null;
+        }
+        const H = 2 * Math.atanh(Math.sqrt((e - 1) / (e + 1)) * Math.tan(signedTheta / 2));
+        return e * Math.sinh(H) - H;
+    }
+
+    const E = 2 * Math.atan(Math.sqrt((1 - e) / (1 + e)) * Math.tan(theta / 2));
+    return normalizeAngle(E - e * Math.sin(E));
+}
+
+/**
+ * Find the first time at or after a given time when the orbit reaches a true anomaly
+ * @param orbit - Orbital elements
+ * @param theta - True anomaly (radians)
+ * @param after - Earliest acceptable time
+ * @returns Time, or null if an open orbit never reaches theta after that time
+ */
+export function timeAtTrueAnomaly(orbit, theta, after) {
+    const M = meanAnomalyFromTrueAnomaly(orbit, theta);
+    if (M === null) return null;
+
+    const n = meanMotion(orbit);
+    const t0 = orbit.t0 || 0;
+    let t = t0 + (M - orbit.M0) / n;
+
+    if (!isClosedOrbit(orbit)) {
+        return t >= after ? t : null;
+    }
+
+    // Shift by whole periods so the result is the next pass after 'after'
+    const period = 2 * Math.PI / n;
+    t += Math.ceil((after - t) / period) * period;
+    return t;
+}
+
+/**
+ * True anomaly of the orbit point in the direction of a world position
+ * @param orbit - Orbital elements
+ * @param x - World X coordinate
+ * @param y - World Y coordinate
+ * @returns True anomaly in [0, 2π)
+ */
+export function trueAnomalyFromPosition(orbit, x, y) {
+    return normalizeAngle(orbitDirection(orbit) * (Math.atan2(y, x) - orbit.omega));
+}
+
+/**
+ * Orbital speed from the vis-viva equation: v² = μ(2/r - 1/a)
+ * @param r - Distance from the sun
+ * @param a - Semi-major axis (negative for hyperbolic orbits, Infinity for parabolic)
+ * @returns Speed
+ */
+export function orbitalSpeed(r, a) {
+    return Math.sqrt(MU * (2 / r - 1 / a));
+}
+
+/**
+ * Osculating semi-major axis from a state vector (vis-viva solved for a)
+ * @param position - { x, y }
+ * @param velocity - { vx, vy }
+ * @returns Semi-major axis (negative for hyperbolic, Infinity for parabolic)
+ */
+export function semiMajorAxisFromState(position, velocity) {
+    const r = magnitude(position.x, position.y);
+    const v = magnitude(velocity.vx, velocity.vy);
+    return 1 / (2 / r - v * v / MU);
+}
+
+/**
+ * Stumpff function C(z)
+ */
+function stumpffC(z) {
+    if (z > 1e-6) {
+        return (1 - Math.cos(Math.sqrt(z))) / z;
+    }
+    if (z < -1e-6) {
+        return (Math.cosh(Math.sqrt(-z)) - 1) / -z;
+    }
+    return 1 / 2 - z / 24 + z * z / 720;
+}
+
+/**
+ * Stumpff function S(z)
+ */
+function stumpffS(z) {
+    if (z > 1e-6) {
+        const sz = Math.sqrt(z);
+        return (sz - Math.sin(sz)) / (sz * sz * sz);
+    }
+    if (z < -1e-6) {
+        const sz = Math.sqrt(-z);
+        return (Math.sinh(sz) - sz) / (sz * sz * sz);
+    }
+    return 1 / 6 - z / 120 + z * z / 5040;
+}
+
+/**
+ * Solve Lambert's problem in 2D: the velocities needed to get from r1 to r2 in a given time
+ * Uses the universal-variable formulation with bisection on z (= ψ).
+ * Multi-revolution transfers have two solutions ('left' = fewer-energy branch at small z,
+ * 'right' = large z); zero-revolution transfers have one.
+ * @param r1 - Departure position { x, y }
+ * @param r2 - Arrival position { x, y }
+ * @param tof - Time of flight (> 0)
+ * @param options - { revolutions = 0, direction = 1 (prograde) or -1, branch = 'left' | 'right' }
+ * @returns { v1: { vx, vy }, v2: { vx, vy } } or null if there is no solution
+ */
+export function solveLambert(r1, r2, tof, options = {}) {
+    const { revolutions = 0, direction = 1, branch = 'left' } = options;
+
+    // Retrograde transfers are prograde transfers in the mirrored plane
+    if (direction === -1) {
+        const mirrored = solveLambert(
+            { x: r1.x, y: -r1.y },
+            { x: r2.x, y: -r2.y },
+            tof,
+            { revolutions, direction: 1, branch }
+        );
+        if (!mirrored) return null;
+        return {
+            v1: { vx: mirrored.v1.vx, vy: -mirrored.v1.vy },
+            v2: { vx: mirrored.v2.vx, vy: -mirrored.v2.vy }
+        };
+    }
+
+    if (!(tof > 0)) return null;
+
+    const r1Mag = magnitude(r1.x, r1.y);
+    const r2Mag = magnitude(r2.x, r2.y);
+
+    // Transfer angle, measured counter-clockwise
+    const dTheta = normalizeAngle(Math.atan2(cross(r1.x, r1.y, r2.x, r2.y), dot(r1.x, r1.y, r2.x, r2.y)));
+    const cosDTheta = Math.cos(dTheta);
+
+    // Collinear positions do not define a transfer plane
+    if (1 - cosDTheta < 1e-12 || Math.abs(Math.sin(dTheta)) < 1e-12) {
+        return null;
+    }
+
+    const A = Math.sin(dTheta) * Math.sqrt(r1Mag * r2Mag / (1 - cosDTheta));
+    const sqrtMu = Math.sqrt(MU);
+
+    const yOf = (z) => r1Mag + r2Mag + A * (z * stumpffS(z) - 1) / Math.sqrt(stumpffC(z));
+
+    // Time of flight as a function of z (NaN where y < 0, i.e. no valid transfer)
+    const timeOf = (z) => {
+        const y = yOf(z);
+        if (y < 0) return NaN;
+        const C = stumpffC(z);
+        const chi = Math.sqrt(y / C);
+        return (chi * chi * chi * stumpffS(z) + A * Math.sqrt(y)) / sqrtMu;
+    };
+
+    // Find z in [lo, hi] where the time of flight matches, given t increases with z when rising
+    const bisect = (lo, hi, rising) => {
+        for (let i = 0; i < 200; i++) {
+            const mid = (lo + hi) / 2;
+            const t = timeOf(mid);
+            // Invalid (y < 0) regions sit at the low-z end of the rising branch
+            const tooShort = isNaN(t) ? rising : t < tof;
+            if (tooShort === rising) {
+                lo = mid;
+            } else {
+                hi = mid;
+            }
+            if (hi - lo < 1e-12 * Math.max(1, Math.abs(mid))) break;
+        }
+        return (lo + hi) / 2;
+    };
+
+    let z;
+    if (revolutions === 0) {
+        // Single revolution: t(z) rises monotonically up to z = 4π²
+        const hi = 4 * Math.PI * Math.PI - 1e-9;
+        let lo = -4 * Math.PI * Math.PI;
+        while (timeOf(lo) > tof && lo > -1e6) {
+            lo *= 2; // Extend into very hyperbolic transfers
+        }
+        if (!(timeOf(hi) > tof) && !isNaN(timeOf(hi))) {
+            return null;
+        }
+        z = bisect(lo, hi, true);
+    } else {
+        // N revolutions: t(z) is U-shaped on ((2πN)², (2π(N+1))²)
+        const lo = Math.pow(2 * Math.PI * revolutions, 2) + 1e-9;
+        const hi = Math.pow(2 * Math.PI * (revolutions + 1), 2) - 1e-9;
+
+        const timeOrInf = (zz) => {
+            const t = timeOf(zz);
+            return isNaN(t) ? Infinity : t;
+        };
+
+        // Golden-section search for the minimum time of flight
+        const ratio = (Math.sqrt(5) - 1) / 2;
+        let a = lo;
+        let b = hi;
+        let c = b - ratio * (b - a);
+        let d = a + ratio * (b - a);
+        for (let i = 0; i < 100; i++) {
+            if (timeOrInf(c) < timeOrInf(d)) {
+                b = d;
+            } else {
+                a = c;
+            }
+            c = b - ratio * (b - a);
+            d = a + ratio * (b - a);
+        }
+        const zMin = (a + b) / 2;
+
+        if (timeOrInf(zMin) > tof) {
+            return null;
+        }
+
+        z = branch === 'right' ? bisect(zMin, hi, true) : bisect(lo, zMin, false);
+    }
+
+    const y = yOf(z);
+    if (!(y > 0)) return null;
+
+    // Lagrange coefficients
+    const f = 1 - y / r1Mag;
+    const g = A * Math.sqrt(y / MU);
+    const gDot = 1 - y / r2Mag;
+
+    return {
+        v1: { vx: (r2.x - f * r1.x) / g, vy: (r2.y - f * r1.y) / g },
+        v2: { vx: (gDot * r2.x - r1.x) / g, vy: (gDot * r2.y - r1.y) / g }
+    };
+}
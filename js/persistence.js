@@ -0,0 +1,376 @@
+// Saving and loading the simulation as versioned JSON
+//
+// Snapshots are plain objects that survive JSON.stringify: non-finite numbers (the Infinity
+// semi-major axis of parabolic orbits, the -Infinity start of an orbit timeline) are stored as
+// null. Older snapshots are upgraded step by step through MIGRATIONS before use.
+
+import { AUTOSAVE_KEY } from './constants.js';
+import { computeOrbitFromStateVectors } from './orbital.js';
+import { isValidPopulation } from './populations.js';
+
+export const SCHEMA_VERSION = 9;
+
+// Upgrades keyed by the version they upgrade from; each returns data for version + 1
+const MIGRATIONS = {
+    // v2 records the belt's generation seed; older belts have none
+    1: (data) => ({ ...data, version: 2, seed: null }),
+    // v3 keeps catalog designations and absolute magnitudes
+    2: (data) => ({
+        ...data,
+        version: 3,
+        asteroids: (data.asteroids || []).map(a => ({ ...a, designation: null, magnitude: null }))
+    }),
+    // v4 records population configs and each asteroid's population
+    3: (data) => ({
+        ...data,
+        version: 4,
+        populations: null,
+        asteroids: (data.asteroids || []).map(a => ({ ...a, population: null }))
+    }),
+    // v5 keeps each asteroid's original orbit for reverting; older saves only know the current one
+    4: (data) => ({
+        ...data,
+        version: 5,
+        asteroids: (data.asteroids || []).map(a => ({ ...a, originalOrbit: a.orbit }))
+    }),
+    // v6 keeps each asteroid's orbit timeline; older saves only know the current orbit
+    5: (data) => ({
+        ...data,
+        version: 6,
+        asteroids: (data.asteroids || []).map(({ orbit, ...a }) => ({ ...a, segments: [{ start: null, orbit }] }))
+    }),
+    // v7 records the time of the last collision, which the clock can't be moved back past
+    6: (data) => ({ ...data, version: 7, rewindLimit: null }),
+    // v8 records where the random stream (collision outcomes) had got to
+    7: (data) => ({ ...data, version: 8, rngState: null }),
+    // v9 keeps the whole selection group; older saves only know the primary selection
+    8: (data) => ({ ...data, version: 9, groupIds: data.selectedId != null ? [data.selectedId] : [] })
+};
+
+/**
+ * Encode orbital elements for JSON
+ */
+function encodeOrbit(orbit) {
+    const encoded = {
+        a: isFinite(orbit.a) ? orbit.a : null,
+        e: orbit.e,
+        omega: orbit.omega,
+        M0: orbit.M0,
+        t0: orbit.t0 || 0,
+        direction: orbit.direction || 1
+    };
+    if (orbit.p !== undefined) encoded.p = orbit.p;
+    return encoded;
+}
+
+/**
+ * Decode orbital elements from JSON, checking every field
+ * @param data - Encoded orbit
+ * @param where - Description used in error messages
+ */
+function decodeOrbit(data, where) {
+    if (!data || typeof data !== 'object') {
+        throw new Error(`${where}: missing orbit`);
+    }
+
+    const orbit = {
+        a: data.a === null ? Infinity : data.a,
+        e: data.e,
+        omega: data.omega,
+        M0: data.M0,
+        t0: data.t0 ?? 0,
+        direction: data.direction ?? 1
+    };
+    if (data.p !== undefined) orbit.p = data.p;
+
+    for (const key of ['e', 'omega', 'M0', 't0']) {
+        if (!Number.isFinite(orbit[key])) {
+            throw new Error(`${where}: orbit field '${key}' is not a number`);
+        }
+    }
+    if (typeof orbit.a !== 'number' || Number.isNaN(orbit.a)) {
+        throw new Error(`${where}: orbit field 'a' is not a number`);
+    }
+    // Parabolic orbits (a stored as null) are sized by their semi-latus rectum alone
+    if (!Number.isFinite(orbit.a) && !(Number.isFinite(orbit.p) && orbit.p > 0)) {
+        throw new Error(`${where}: orbit field 'p' is not a positive number`);
+    }
+    if (orbit.direction !== 1 && orbit.direction !== -1) {
+        throw new Error(`${where}: orbit direction must be 1 or -1`);
+    }
+
+    return orbit;
+}
+
+/**
+ * Encode an orbit timeline for JSON (the first segment's start, -Infinity, is stored as null)
+ * @param segments - Timeline from Asteroid.getTimeline
+ */
+function encodeTimeline(segments) {
+    return segments.map(segment => ({
+        start: isFinite(segment.start) ? segment.start : null,
+        orbit: encodeOrbit(segment.orbit)
+    }));
+}
+
+/**
+ * Decode an orbit timeline from JSON: a first segment from the beginning of time, then
+ * segments with increasing start times
+ * @param data - Encoded timeline
+ * @param where - Description used in error messages
+ */
+function decodeTimeline(data, where) {
+    if (!Array.isArray(data) || data.length === 0) {
+        throw new Error(`${where}: missing orbit timeline`);
+    }
+
+    const segments = [];
+    for (const [index, segment] of data.entries()) {
+        if (!segment || typeof segment !== 'object') {
+            throw new Error(`${where}: orbit timeline segment ${index} is not an object`);
+        }
+        const start = index === 0 ? -Infinity : segment.start;
+        if (index === 0 ? segment.start !== null : !(Number.isFinite(start) && start > segments[index - 1].start)) {
+            throw new Error(`${where}: orbit timeline segment ${index} is out of order`);
+        }
+        segments.push({ start, orbit: decodeOrbit(segment.orbit, `${where} (segment ${index})`) });
+    }
+    return segments;
+}
+
+/**
+ * Upgrade snapshot data to the current schema version
+ * @param data - Parsed snapshot of any known version
+ * @returns Data at SCHEMA_VERSION
+ */
+export function migrate(data) {
+    if (!data || typeof data !== 'object' || !Number.isInteger(data.version)) {
+        throw new Error('Not a simulation snapshot (no schema version)');
+    }
+    if (data.version > SCHEMA_VERSION) {
+        throw new Error(`Snapshot version ${data.version} is newer than supported version ${SCHEMA_VERSION}`);
+    }
+
+    let migrated = data;
+    while (migrated.version < SCHEMA_VERSION) {
+        const upgrade = MIGRATIONS[migrated.version];
+        if (!upgrade) {
+            throw new Error(`No migration from snapshot version ${migrated.version}`);
+        }
+        migrated = upgrade(migrated);
+    }
+
+    return migrated;
+}
+
+/**
+ * Capture the full simulation state
+ * In N-body mode each asteroid's orbit is the osculating orbit of its integrated state.
+ * @param sim - Simulation
+ * @returns Snapshot object (JSON-safe)
+ */
+export function serializeSimulation(sim) {
+    const selected = sim.selectionManager.getSelected();
+    const target = sim.selectionManager.getTarget();
+
+    const asteroids = sim.asteroids.map(asteroid => {
+        // Integrated states have no timeline to replay, only their osculating orbit
+        const segments = sim.propagationMode === 'nbody'
+            ? [{
+                start: -Infinity,
+                orbit: computeOrbitFromStateVectors(
+                    { x: asteroid.x, y: asteroid.y },
+                    { vx: asteroid.vx, vy: asteroid.vy },
+                    asteroid.time
+                ) || asteroid.orbit
+            }]
+            : asteroid.getTimeline();
+
+        return {
+            id: asteroid.id,
+            radius: asteroid.radius,
+            color: asteroid.color,
+            designation: asteroid.designation,
+            magnitude: asteroid.magnitude,
+            population: asteroid.population,
+            segments: encodeTimeline(segments),
+            originalOrbit: encodeOrbit(asteroid.originalOrbit)
+        };
+    });
+
+    const maneuvers = [];
+    for (const [asteroid, plan] of sim.maneuverPlans) {
+        if (plan.isEmpty()) continue;
+        maneuvers.push({
+            asteroidId: asteroid.id,
+            nodes: plan.nodes.map(node => ({
+                time: node.time,
+                prograde: node.prograde,
+                radial: node.radial
+            }))
+        });
+    }
+
+    return {
+        version: SCHEMA_VERSION,
+        savedAt: new Date().toISOString(),
+        seed: sim.seed,
+        rngState: sim.rng.state(),
+        populations: sim.populations,
+        time: sim.time,
+        rewindLimit: isFinite(sim.rewindLimit) ? sim.rewindLimit : null,
+        timeScaleSetting: parseFloat(sim.timeScaleSlider.value),
+        paused: sim.paused,
+        propagationMode: sim.propagationMode,
+        collisionsEnabled: sim.collisions.enabled,
+        camera: { x: sim.camera.x, y: sim.camera.y, zoom: sim.camera.zoom },
+        nextAsteroidId: sim.nextAsteroidId,
+        asteroids,
+        selectedId: selected ? selected.id : null,
+        groupIds: sim.selectionManager.getGroup().map(asteroid => asteroid.id),
+        targetId: target ? target.id : null,
+        maneuvers
+    };
+}
+
+/**
+ * Migrate and validate snapshot data
+ * @param data - Parsed snapshot (any supported version)
+ * @returns Snapshot at SCHEMA_VERSION with decoded orbits (a may be Infinity) and timelines
+ */
+export function deserializeSnapshot(data) {
+    const snapshot = migrate(data);
+
+    if (!Number.isFinite(snapshot.time)) {
+        throw new Error('Snapshot time is not a number');
+    }
+    if (!Array.isArray(snapshot.asteroids)) {
+        throw new Error('Snapshot has no asteroid list');
+    }
+
+    const ids = new Set();
+    const asteroids = snapshot.asteroids.map((asteroid, index) => {
+        const where = `Asteroid ${index}`;
+        if (!Number.isInteger(asteroid.id) || ids.has(asteroid.id)) {
+            throw new Error(`${where}: missing or duplicate id`);
+        }
+        if (!(asteroid.radius > 0)) {
+            throw new Error(`${where}: radius must be positive`);
+        }
+        ids.add(asteroid.id);
+
+        return {
+            id: asteroid.id,
+            radius: asteroid.radius,
+            color: typeof asteroid.color === 'string' ? asteroid.color : '#888899',
+            designation: typeof asteroid.designation === 'string' ? asteroid.designation : null,
+            magnitude: Number.isFinite(asteroid.magnitude) ? asteroid.magnitude : null,
+            population: typeof asteroid.population === 'string' ? asteroid.population : null,
+            segments: decodeTimeline(asteroid.segments, where),
+            originalOrbit: decodeOrbit(asteroid.originalOrbit, `${where} (original orbit)`)
+        };
+    });
+
+    const maneuvers = (snapshot.maneuvers || []).filter(m => ids.has(m.asteroidId)).map(m => ({
+        asteroidId: m.asteroidId,
+        nodes: (m.nodes || []).filter(n =>
+            Number.isFinite(n.time) && Number.isFinite(n.prograde) && Number.isFinite(n.radial)
+        )
+    }));
+
+    const maxId = asteroids.reduce((max, a) => Math.max(max, a.id), -1);
+
+    // The primary selection is always part of the group
+    const selectedId = ids.has(snapshot.selectedId) ? snapshot.selectedId : null;
+    const groupIds = new Set(Array.isArray(snapshot.groupIds) ? snapshot.groupIds.filter(id => ids.has(id)) : []);
+    if (selectedId !== null) groupIds.add(selectedId);
+
+    return {
+        ...snapshot,
+        asteroids,
+        maneuvers,
+        seed: typeof snapshot.seed === 'string' ? snapshot.seed : null,
+        rngState: Number.isInteger(snapshot.rngState) && snapshot.rngState >= 0 && snapshot.rngState < 2 ** 32
+            ? snapshot.rngState
+            : null,
+        // Invalid population configs fall back to the defaults (null)
+        populations: Array.isArray(snapshot.populations) && snapshot.populations.every(isValidPopulation)
+            ? snapshot.populations
+            : null,
+        nextAsteroidId: Math.max(snapshot.nextAsteroidId || 0, maxId + 1),
+        rewindLimit: Number.isFinite(snapshot.rewindLimit) ? Math.min(snapshot.rewindLimit, snapshot.time) : -Infinity,
+        selectedId,
+        groupIds: [...groupIds],
+        targetId: ids.has(snapshot.targetId) ? snapshot.targetId : null
+    };
+}
+
+/**
+ * Parse snapshot JSON text
+ * @param text - JSON text
+ * @returns Validated snapshot (see deserializeSnapshot)
+ */
+export function parseSnapshot(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (err) {
+        throw new Error(`Invalid JSON: ${err.message}`);
+    }
+    return deserializeSnapshot(data);
+}
+
+/**
+ * Save a snapshot to localStorage
+ * @returns Whether the save succeeded (storage may be full or unavailable)
+ */
+export function saveToLocalStorage(snapshot) {
+    try {
+        localStorage.setItem(AUTOSAVE_KEY, JSON.stringify(snapshot));
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Load the autosaved snapshot
+ * @returns Validated snapshot, or null if there is none
+ */
+export function loadFromLocalStorage() {
+    const text = localStorage.getItem(AUTOSAVE_KEY);
+    return text ? parseSnapshot(text) : null;
+}
+
+/**
+ * Delete the autosaved snapshot
+ */
+export function clearLocalStorage() {
+    localStorage.removeItem(AUTOSAVE_KEY);
+}
+
+/**
+ * Offer a snapshot as a JSON file download
+ * @param snapshot - Snapshot object
+ * @param filename - Suggested file name
+ */
+export function downloadSnapshot(snapshot, filename) {
+    const blob = new Blob([JSON.stringify(snapshot, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Read and validate a snapshot file chosen by the user
+ * @param file - File from an <input type="file">
+ * @returns Promise of the validated snapshot
+ */
+export function readSnapshotFile(file) {
+    return file.text().then(parseSnapshot);
+}
@@ -0,0 +1,104 @@
+// Planets on fixed Kepler orbits around the sun
+// In N-body mode they are registered with the integrator as perturbing bodies.
+
+import { MU, AU_TO_PIXELS, PLANET_MASS_SCALE, COLORS } from './constants.js';
+import { getPositionAtTime, generateOrbitPath, orbitalPeriod } from './orbital.js';
+
+export class Planet {
+    /**
+     * @param definition - { name, a (AU), e, omega, M0, massRatio, radius, color } (see PLANETS)
+     */
+    constructor(definition) {
+        this.name = definition.name;
+        this.color = definition.color;
+        this.radius = definition.radius; // Visual radius in world units
+
+        this.orbit = {
+            a: definition.a * AU_TO_PIXELS,
+            e: definition.e,
+            omega: definition.omega,
+            M0: definition.M0,
+            t0: 0,
+            direction: 1
+        };
+        this.orbitPath = generateOrbitPath(this.orbit);
+        this.period = orbitalPeriod(this.orbit.a);
+
+        // Gravitational parameter and indirect term for the N-body integrator
+        this.mu = MU * definition.massRatio * PLANET_MASS_SCALE;
+        this.indirect = true;
+
+        this.x = 0;
+        this.y = 0;
+        this.update(0);
+    }
+
+    /**
+     * Position at a given time (used by the integrator for kicks)
+     * @param t - Simulation time
+     */
+    getPosition(t) {
+        return getPositionAtTime(this.orbit, t);
+    }
+
+    /**
+     * Move the planet to its position at a given time
+     * @param t - Simulation time
+     */
+    update(t) {
+        const pos = this.getPosition(t);
+        this.x = pos.x;
+        this.y = pos.y;
+    }
+
+    /**
+     * Render the planet
+     * @param ctx - Canvas context
+     * @param camera - Camera for coordinate transformation
+     */
+    render(ctx, camera) {
+        const screen = camera.worldToScreen(this.x, this.y);
+        const screenRadius = Math.max(3, this.radius * camera.zoom);
+        if (!camera.isVisible(screen.x, screen.y, screenRadius + 80)) return;
+
+        const gradient = ctx.createRadialGradient(
+            screen.x - screenRadius * 0.3,
+            screen.y - screenRadius * 0.3,
+            0,
+            screen.x, screen.y, screenRadius
+        );
+        gradient.addColorStop(0, '#ffffff');
+        gradient.addColorStop(0.3, this.color);
+        gradient.addColorStop(1, '#332211');
+
+        ctx.beginPath();
+        ctx.arc(screen.x, screen.y, screenRadius, 0, Math.PI * 2);
+        ctx.fillStyle = gradient;
+        ctx.fill();
+
+        ctx.fillStyle = this.color;
+        ctx.font = '12px monospace';
+        ctx.fillText(this.name, screen.x + screenRadius + 4, screen.y - screenRadius);
+    }
+
+    /**
+     * Render on mini-map
+     * @param ctx - Canvas context
+     * @param scale - Mini-map scale factor
+     * @param centerX - Mini-map center X
+     * @param centerY - Mini-map center Y
+     */
+    renderMinimap(ctx, scale, centerX, centerY) {
+        // Faint orbit ring
+        ctx.beginPath();
+        ctx.arc(centerX, centerY, this.orbit.a * scale, 0, Math.PI * 2);
+        ctx.strokeStyle = COLORS.planetOrbit;
+        ctx.lineWidth = 1;
+        ctx.stroke();
+
+        ctx.beginPath();
+        ctx.arc(centerX + this.x * scale, centerY + this.y * scale, 3, 0, Math.PI * 2);
+        ctx.fillStyle = this.color;
+        ctx.fill();
+    }
+}
@@ -0,0 +1,161 @@
+// Population settings UI: edit the belt's population configs and regenerate
+
+import { DEFAULT_POPULATIONS } from './constants.js';
+import { POPULATION_TYPES } from './populations.js';
+
+// Shown in the colour picker for populations using the natural palette
+const NATURAL_COLOR = '#8c8070';
+
+export class PopulationPanel {
+    /**
+     * @param panel - Floating panel element
+     * @param onRegenerate - Called with the edited population configs
+     */
+    constructor(panel, onRegenerate) {
+        this.panel = panel;
+        this.list = panel.querySelector('#population-list');
+        this.onRegenerate = onRegenerate;
+
+        // Working copy being edited
+        this.populations = [];
+
+        // Member counts of the current belt, by label
+        this.counts = new Map();
+
+        panel.querySelector('#population-close').addEventListener('click', () => this.close());
+        panel.querySelector('#population-regenerate').addEventListener('click', () => {
+            this.onRegenerate(structuredClone(this.populations));
+        });
+        panel.querySelector('#population-add-family').addEventListener('click', () => {
+            const family = DEFAULT_POPULATIONS.find(p => p.type === 'family');
+            this.populations.push({ ...structuredClone(family), label: `Family ${this.populations.length + 1}` });
+            this.render();
+        });
+        panel.querySelector('#population-reset').addEventListener('click', () => {
+            this.setPopulations(DEFAULT_POPULATIONS);
+        });
+    }
+
+    /**
+     * Replace the configs being edited
+     */
+    setPopulations(populations) {
+        this.populations = structuredClone(populations);
+        this.render();
+    }
+
+    /**
+     * Count the current belt's members per population
+     * @param asteroids - All asteroids
+     */
+    updateCounts(asteroids) {
+        this.counts.clear();
+        for (const asteroid of asteroids) {
+            if (asteroid.population === null) continue;
+            this.counts.set(asteroid.population, (this.counts.get(asteroid.population) || 0) + 1);
+        }
+        if (this.isOpen()) this.render();
+    }
+
+    /**
+     * Show or hide the panel
+     */
+    toggle() {
+        if (this.isOpen()) {
+            this.close();
+        } else {
+            this.panel.hidden = false;
+            this.render();
+        }
+    }
+
+    close() {
+        this.panel.hidden = true;
+    }
+
+    isOpen() {
+        return !this.panel.hidden;
+    }
+
+    /**
+     * Rebuild the population list
+     */
+    render() {
+        this.list.innerHTML = '';
+        this.populations.forEach((population, index) => {
+            this.list.appendChild(this.createRow(population, index));
+        });
+    }
+
+    /**
+     * Create the editor for one population
+     */
+    createRow(population, index) {
+        const row = document.createElement('div');
+        row.className = 'population';
+
+        const header = document.createElement('div');
+        header.className = 'population-header';
+
+        const color = document.createElement('input');
+        color.type = 'color';
+        color.value = population.color || NATURAL_COLOR;
+        color.title = population.color ? 'Colour' : 'Natural colours (pick to override)';
+        color.addEventListener('input', () => { population.color = color.value; });
+
+        const label = document.createElement('input');
+        label.type = 'text';
+        label.className = 'population-label';
+        label.value = population.label;
+        label.addEventListener('input', () => { population.label = label.value; });
+
+        const type = document.createElement('span');
+        type.className = 'population-type';
+        const current = this.counts.get(population.label);
+        type.textContent = POPULATION_TYPES[population.type].name + (current !== undefined ? ` · ${current} now` : '');
+
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'maneuver-node-remove';
+        removeBtn.textContent = '×';
+        removeBtn.title = 'Remove population';
+        removeBtn.addEventListener('click', () => {
+            this.populations.splice(index, 1);
+            this.render();
+        });
+
+        header.append(color, label, type, removeBtn);
+
+        const fields = document.createElement('div');
+        fields.className = 'population-fields';
+        fields.appendChild(this.createField(population, 'count', 'Count', 10, 0));
+        for (const [key, text, step] of POPULATION_TYPES[population.type].fields) {
+            fields.appendChild(this.createField(population, key, text, step));
+        }
+
+        row.append(header, fields);
+        return row;
+    }
+
+    /**
+     * Create a labelled number input bound to one config field
+     */
+    createField(population, key, text, step, min = null) {
+        const label = document.createElement('label');
+        label.textContent = text + ' ';
+
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.step = String(step);
+        if (min !== null) input.min = String(min);
+        input.value = population[key];
+        input.addEventListener('input', () => {
+            const value = parseFloat(input.value);
+            if (Number.isFinite(value)) {
+                population[key] = key === 'count' ? Math.max(0, Math.round(value)) : value;
+            }
+        });
+
+        label.appendChild(input);
+        return label;
+    }
+}
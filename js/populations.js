@@ -0,0 +1,192 @@
+// Belt generation from population configs (see DEFAULT_POPULATIONS)
+
+import {
+    AU_TO_PIXELS,
+    MIN_ASTEROID_RADIUS,
+    MAX_ASTEROID_RADIUS,
+    PLANETS
+} from './constants.js';
+import { Asteroid } from './asteroid.js';
+import {
+    randomRange,
+    randomPowerLaw,
+    randomGaussian,
+    degToRad,
+    normalizeAngle,
+    clamp,
+    hexToHsl,
+    generateAsteroidColor
+} from './utils.js';
+
+// Editable parameters of each population type: [key, label, step]
+export const POPULATION_TYPES = {
+    belt: {
+        name: 'Belt',
+        fields: [['aMin', 'a min (AU)', 0.05], ['aMax', 'a max (AU)', 0.05], ['eMin', 'e min', 0.01], ['eMax', 'e max', 0.01]]
+    },
+    resonant: {
+        name: 'Resonant',
+        fields: [
+            ['p', 'p (orbits)', 1], ['q', 'q (Jupiter orbits)', 1], ['aSpread', 'a spread (AU)', 0.01],
+            ['eMin', 'e min', 0.01], ['eMax', 'e max', 0.01], ['libration', 'Libration (°)', 1]
+        ]
+    },
+    trojan: {
+        name: 'Trojan',
+        fields: [['aSpread', 'a spread (AU)', 0.01], ['eMax', 'e max', 0.01], ['libration', 'Libration (°)', 1]]
+    },
+    family: {
+        name: 'Family',
+        fields: [
+            ['a', 'a (AU)', 0.01], ['e', 'e', 0.01], ['omega', 'ϖ (°)', 1],
+            ['aSpread', 'a spread (AU)', 0.005], ['eSpread', 'e spread', 0.005], ['omegaSpread', 'ϖ spread (°)', 1]
+        ]
+    }
+};
+
+// Largest eccentricity generated for any population (keeps orbits well bound)
+const MAX_GENERATED_ECCENTRICITY = 0.9;
+
+/**
+ * Jupiter's semi-major axis (AU) and mean longitude at time 0 (radians), or null without Jupiter
+ */
+function jupiterElements() {
+    const jupiter = PLANETS.find(p => p.name === 'Jupiter');
+    return jupiter ? { a: jupiter.a, lambda: jupiter.omega + jupiter.M0 } : null;
+}
+
+/**
+ * Orbital elements (a in AU, angles in radians) for one member of a population
+ * @returns { a, e, omega, M0 } or null if the population can't be generated
+ */
+function sampleElements(population, rng) {
+    switch (population.type) {
+        case 'belt': {
+            return {
+                a: randomRange(population.aMin, population.aMax, rng),
+                e: randomRange(population.eMin, population.eMax, rng),
+                omega: randomRange(0, 2 * Math.PI, rng),
+                M0: randomRange(0, 2 * Math.PI, rng)
+            };
+        }
+
+        case 'resonant': {
+            const jupiter = jupiterElements();
+            const { p, q } = population;
+            if (!jupiter || !(p > q && q > 0)) return null;
+
+            // Resonant angle φ = p λ_J − q λ − (p − q) ϖ, librating about 0
+            const lambda = randomRange(0, 2 * Math.PI, rng);
+            const phi = degToRad(randomRange(-population.libration, population.libration, rng));
+            const order = p - q;
+            const branch = Math.floor(rng() * order);
+            const omega = (p * jupiter.lambda - q * lambda - phi + 2 * Math.PI * branch) / order;
+
+            return {
+                a: jupiter.a * Math.pow(q / p, 2 / 3) + randomRange(-population.aSpread, population.aSpread, rng),
+                e: randomRange(population.eMin, population.eMax, rng),
+                omega,
+                M0: lambda - omega
+            };
+        }
+
+        case 'trojan': {
+            const jupiter = jupiterElements();
+            if (!jupiter) return null;
+
+            // Lead (L4) or trail (L5) Jupiter by 60°
+            const side = rng() < 0.5 ? 1 : -1;
+            const lambda = jupiter.lambda + side * Math.PI / 3 +
+                degToRad(randomRange(-population.libration, population.libration, rng));
+            const omega = randomRange(0, 2 * Math.PI, rng);
+
+            return {
+                a: jupiter.a + randomRange(-population.aSpread, population.aSpread, rng),
+                e: randomRange(0, population.eMax, rng),
+                omega,
+                M0: lambda - omega
+            };
+        }
+
+        case 'family': {
+            return {
+                a: population.a + population.aSpread * randomGaussian(rng),
+                e: population.e + population.eSpread * randomGaussian(rng),
+                omega: degToRad(population.omega + population.omegaSpread * randomGaussian(rng)),
+                M0: randomRange(0, 2 * Math.PI, rng)
+            };
+        }
+
+        default:
+            return null;
+    }
+}
+
+/**
+ * Asteroid colour for a population: natural palette, or the population colour with some variation
+ */
+function populationColor(population, id, rng) {
+    if (!population.color) return generateAsteroidColor(id);
+
+    const { h, s, l } = hexToHsl(population.color);
+    const lightness = clamp(l + Math.round(randomRange(-10, 10, rng)), 10, 90);
+    return `hsl(${h}, ${s}%, ${lightness}%)`;
+}
+
+/**
+ * Generate the members of one population
+ * @param population - Population config
+ * @param startId - Id of the first asteroid
+ * @param rng - Random source returning [0, 1)
+ * @returns Array of Asteroid (empty if the config can't be generated)
+ */
+export function generatePopulation(population, startId, rng) {
+    const asteroids = [];
+
+    for (let i = 0; i < population.count; i++) {
+        const elements = sampleElements(population, rng);
+        if (!elements || !(elements.a > 0)) continue;
+
+        const id = startId + asteroids.length;
+        const orbit = {
+            a: elements.a * AU_TO_PIXELS,
+            e: clamp(elements.e, 0, MAX_GENERATED_ECCENTRICITY),
+            omega: normalizeAngle(elements.omega),
+            M0: normalizeAngle(elements.M0),
+            t0: 0,
+            direction: 1
+        };
+        const radius = randomPowerLaw(MIN_ASTEROID_RADIUS, MAX_ASTEROID_RADIUS, 3, rng);
+
+        const asteroid = Asteroid.fromOrbit(id, orbit, radius, populationColor(population, id, rng));
+        asteroid.population = population.label;
+        asteroids.push(asteroid);
+    }
+
+    return asteroids;
+}
+
+/**
+ * Generate a whole belt from a list of populations
+ * @param populations - Population configs
+ * @param rng - Random source returning [0, 1)
+ * @returns Array of Asteroid with consecutive ids
+ */
+export function generateBelt(populations, rng) {
+    const asteroids = [];
+    for (const population of populations) {
+        asteroids.push(...generatePopulation(population, asteroids.length, rng));
+    }
+    return asteroids;
+}
+
+/**
+ * Check a population config loaded from outside (e.g. a snapshot)
+ * @returns Whether every field the type needs is present and numeric
+ */
+export function isValidPopulation(population) {
+    const type = POPULATION_TYPES[population?.type];
+    if (!type || typeof population.label !== 'string' || !(population.count >= 0)) return false;
+    if (population.color !== null && !/^#[0-9a-f]{6}$/i.test(population.color)) return false;
+    return type.fields.every(([key]) => Number.isFinite(population[key]));
+}
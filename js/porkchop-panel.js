@@ -0,0 +1,362 @@
+// Porkchop plot panel: pick rendezvous windows between the selected asteroid and the target
+
+import { DELTA_V_SCALE, COLORS } from './constants.js';
+import { orbitalPeriod } from './orbital.js';
+import { computePorkchop, lambertTransfer } from './porkchop.js';
+import { hohmannTransfer } from './transfer.js';
+import { clamp } from './utils.js';
+
+// Plot margins (pixels) for the axis labels
+const PLOT_LEFT = 34;
+const PLOT_BOTTOM = 22;
+const PLOT_TOP = 6;
+const PLOT_RIGHT = 6;
+
+// Contour levels as multiples of the minimum delta-v
+const CONTOUR_LEVELS = [1.1, 1.25, 1.5, 2, 3];
+
+export class PorkchopPanel {
+    /**
+     * @param panelElement - Panel container
+     * @param onSelect - Called with ({ departureTime, tof, transfer }) when a cell is clicked
+     * @param onClose - Called when the panel is closed
+     */
+    constructor(panelElement, onSelect, onClose) {
+        this.panel = panelElement;
+        this.onSelect = onSelect;
+        this.onClose = onClose;
+
+        this.canvas = document.getElementById('porkchop-canvas');
+        this.ctx = this.canvas.getContext('2d');
+        this.infoSection = document.getElementById('porkchop-info');
+        this.spanInput = document.getElementById('porkchop-span');
+        this.tofMinInput = document.getElementById('porkchop-tof-min');
+        this.tofMaxInput = document.getElementById('porkchop-tof-max');
+        this.revolutionsInput = document.getElementById('porkchop-revs');
+
+        this.source = null;
+        this.target = null;
+        this.startTime = 0;
+        this.result = null;
+        this.selectedCell = null;
+
+        document.getElementById('porkchop-compute').addEventListener('click', () => this.compute());
+        document.getElementById('porkchop-close').addEventListener('click', () => this.close());
+
+        this.canvas.addEventListener('click', (e) => this.handleClick(e));
+        this.canvas.addEventListener('mousemove', (e) => this.handleHover(e));
+
+        this.panel.hidden = true;
+    }
+
+    /**
+     * Open the panel for a source/target pair, with windows sized from their orbits
+     * @param source - Departing asteroid
+     * @param target - Target asteroid
+     * @param now - Current simulation time (earliest departure)
+     */
+    open(source, target, now) {
+        this.source = source;
+        this.target = target;
+        this.startTime = now;
+
+        // Departure window: one synodic period (capped); flight times around the Hohmann time
+        const p1 = orbitalPeriod(source.orbit.a);
+        const p2 = orbitalPeriod(target.orbit.a);
+        const synodic = Math.abs(1 / (1 / p1 - 1 / p2));
+        const span = Math.min(isFinite(synodic) ? synodic : p1, 3 * Math.max(p1, p2));
+        const hohmannTime = hohmannTransfer(source.orbit.a, target.orbit.a).transferTime;
+
+        this.spanInput.value = (span / 1000).toFixed(2);
+        this.tofMinInput.value = (hohmannTime * 0.3 / 1000).toFixed(2);
+        this.tofMaxInput.value = (hohmannTime * 2 / 1000).toFixed(2);
+
+        this.panel.hidden = false;
+        this.compute();
+    }
+
+    /**
+     * Close the panel
+     */
+    close() {
+        this.panel.hidden = true;
+        this.result = null;
+        this.selectedCell = null;
+        if (this.onClose) this.onClose();
+    }
+
+    /**
+     * Check if the panel is showing
+     */
+    isOpen() {
+        return !this.panel.hidden;
+    }
+
+    /**
+     * Run the Lambert sweep with the current settings and redraw
+     */
+    compute() {
+        if (!this.source || !this.target) return;
+
+        const tofMin = Math.max(0.001, parseFloat(this.tofMinInput.value) || 0) * 1000;
+        const tofMax = Math.max(tofMin + 1, (parseFloat(this.tofMaxInput.value) || 0) * 1000);
+
+        this.result = computePorkchop(this.source.orbit, this.target.orbit, {
+            departureStart: this.startTime,
+            departureSpan: Math.max(1, (parseFloat(this.spanInput.value) || 0) * 1000),
+            tofMin,
+            tofMax,
+            maxRevolutions: clamp(parseInt(this.revolutionsInput.value, 10) || 0, 0, 3)
+        });
+        this.selectedCell = null;
+
+        this.draw();
+        this.showCellInfo(this.result.best ? this.result.best : null, 'Best');
+    }
+
+    /**
+     * Plot area in canvas pixels
+     */
+    getPlotArea() {
+        return {
+            x: PLOT_LEFT,
+            y: PLOT_TOP,
+            width: this.canvas.width - PLOT_LEFT - PLOT_RIGHT,
+            height: this.canvas.height - PLOT_TOP - PLOT_BOTTOM
+        };
+    }
+
+    /**
+     * Colour for a delta-v value (blue = cheapest, red = 4× the minimum)
+     */
+    colorFor(dv, minDv) {
+        if (!isFinite(dv)) return '#111118';
+        const t = clamp((dv - minDv) / (minDv * 3), 0, 1);
+        return `hsl(${240 * (1 - t)}, 80%, ${25 + 20 * (1 - t)}%)`;
+    }
+
+    /**
+     * Draw cells, contour lines, axes and markers
+     */
+    draw() {
+        const ctx = this.ctx;
+        const { steps, deltaV, best } = this.result;
+        const area = this.getPlotArea();
+        const cellW = area.width / steps;
+        const cellH = area.height / steps;
+
+        ctx.fillStyle = COLORS.background;
+        ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+
+        if (!best) {
+            ctx.fillStyle = '#8899aa';
+            ctx.font = '12px monospace';
+            ctx.fillText('No transfers found', area.x + 10, area.y + area.height / 2);
+            return;
+        }
+
+        // Cells (time of flight increases upwards)
+        for (let j = 0; j < steps; j++) {
+            for (let i = 0; i < steps; i++) {
+                ctx.fillStyle = this.colorFor(deltaV[j * steps + i], best.deltaV);
+                ctx.fillRect(
+                    area.x + i * cellW,
+                    area.y + area.height - (j + 1) * cellH,
+                    Math.ceil(cellW),
+                    Math.ceil(cellH)
+                );
+            }
+        }
+
+        this.drawContours(area, cellW, cellH);
+        this.drawAxes(area);
+
+        // Best and selected cells
+        this.drawMarker(area, cellW, cellH, best.i, best.j, '#ffffff');
+        if (this.selectedCell) {
+            this.drawMarker(area, cellW, cellH, this.selectedCell.i, this.selectedCell.j, COLORS.projectedOrbit);
+        }
+    }
+
+    /**
+     * Draw iso-delta-v lines with marching squares over cell centres
+     */
+    drawContours(area, cellW, cellH) {
+        const ctx = this.ctx;
+        const { steps, deltaV, best } = this.result;
+
+        const px = (i) => area.x + (i + 0.5) * cellW;
+        const py = (j) => area.y + area.height - (j + 0.5) * cellH;
+
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.45)';
+        ctx.lineWidth = 1;
+
+        for (const factor of CONTOUR_LEVELS) {
+            const level = best.deltaV * factor;
+            ctx.beginPath();
+
+            for (let j = 0; j < steps - 1; j++) {
+                for (let i = 0; i < steps - 1; i++) {
+                    // Corners in order: bottom-left, bottom-right, top-right, top-left
+                    const corners = [
+                        { x: px(i), y: py(j), v: deltaV[j * steps + i] },
+                        { x: px(i + 1), y: py(j), v: deltaV[j * steps + i + 1] },
+                        { x: px(i + 1), y: py(j + 1), v: deltaV[(j + 1) * steps + i + 1] },
+                        { x: px(i), y: py(j + 1), v: deltaV[(j + 1) * steps + i] }
+                    ];
+                    if (corners.some(c => !isFinite(c.v))) continue;
+
+                    // Edge crossings by linear interpolation
+                    const points = [];
+                    for (let k = 0; k < 4; k++) {
+                        const a = corners[k];
+                        const b = corners[(k + 1) % 4];
+                        if ((a.v < level) !== (b.v < level)) {
+                            const t = (level - a.v) / (b.v - a.v);
+                            points.push({ x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t });
+                        }
+                    }
+
+                    for (let k = 0; k + 1 < points.length; k += 2) {
+                        ctx.moveTo(points[k].x, points[k].y);
+                        ctx.lineTo(points[k + 1].x, points[k + 1].y);
+                    }
+                }
+            }
+
+            ctx.stroke();
+        }
+    }
+
+    /**
+     * Draw axis labels (departure offset horizontally, time of flight vertically)
+     */
+    drawAxes(area) {
+        const ctx = this.ctx;
+        const { departures, tofs } = this.result;
+
+        ctx.strokeStyle = 'rgba(100, 150, 255, 0.5)';
+        ctx.strokeRect(area.x, area.y, area.width, area.height);
+
+        ctx.fillStyle = '#8899aa';
+        ctx.font = '10px monospace';
+
+        const spanUnits = (departures[departures.length - 1] - departures[0]) / 1000;
+        ctx.fillText('+0', area.x, area.y + area.height + 12);
+        ctx.fillText(`+${spanUnits.toFixed(1)}`, area.x + area.width - 28, area.y + area.height + 12);
+        ctx.fillText('departure', area.x + area.width / 2 - 24, area.y + area.height + 12);
+
+        ctx.fillText((tofs[tofs.length - 1] / 1000).toFixed(1), 2, area.y + 10);
+        ctx.fillText((tofs[0] / 1000).toFixed(1), 2, area.y + area.height);
+        ctx.save();
+        ctx.translate(12, area.y + area.height / 2 + 10);
+        ctx.rotate(-Math.PI / 2);
+        ctx.fillText('TOF', 0, 0);
+        ctx.restore();
+    }
+
+    /**
+     * Draw a crosshair marker on a cell
+     */
+    drawMarker(area, cellW, cellH, i, j, color) {
+        const ctx = this.ctx;
+        const x = area.x + (i + 0.5) * cellW;
+        const y = area.y + area.height - (j + 0.5) * cellH;
+
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        ctx.arc(x, y, 4, 0, Math.PI * 2);
+        ctx.moveTo(x - 8, y);
+        ctx.lineTo(x + 8, y);
+        ctx.moveTo(x, y - 8);
+        ctx.lineTo(x, y + 8);
+        ctx.stroke();
+    }
+
+    /**
+     * Grid cell under a mouse event, or null
+     */
+    cellAt(e) {
+        if (!this.result) return null;
+
+        const rect = this.canvas.getBoundingClientRect();
+        const x = (e.clientX - rect.left) * this.canvas.width / rect.width;
+        const y = (e.clientY - rect.top) * this.canvas.height / rect.height;
+        const area = this.getPlotArea();
+        const steps = this.result.steps;
+
+        const i = Math.floor((x - area.x) / area.width * steps);
+        const j = Math.floor((area.y + area.height - y) / area.height * steps);
+        if (i < 0 || j < 0 || i >= steps || j >= steps) return null;
+
+        return { i, j, deltaV: this.result.deltaV[j * steps + i] };
+    }
+
+    /**
+     * Show the figures for a cell
+     */
+    showCellInfo(cell, label) {
+        if (!cell || !isFinite(cell.deltaV)) {
+            this.infoSection.innerHTML = '';
+            return;
+        }
+
+        const departIn = (this.result.departures[cell.i] - this.startTime) / 1000;
+        const tof = this.result.tofs[cell.j] / 1000;
+
+        this.infoSection.innerHTML = `
+            <div class="info-row">
+                <span class="info-label">${label}:</span>
+                <span class="info-value">${(cell.deltaV / DELTA_V_SCALE).toFixed(2)} km/s</span>
+            </div>
+            <div class="info-row">
+                <span class="info-label">Depart in / TOF:</span>
+                <span class="info-value">${departIn.toFixed(2)} / ${tof.toFixed(2)} units</span>
+            </div>
+        `;
+    }
+
+    handleHover(e) {
+        const cell = this.cellAt(e);
+        if (cell) {
+            this.showCellInfo(cell, 'Delta-v');
+        }
+    }
+
+    /**
+     * Clicking a cell sets up that transfer
+     */
+    handleClick(e) {
+        const cell = this.cellAt(e);
+        if (!cell || !isFinite(cell.deltaV)) return;
+
+        const departureTime = this.result.departures[cell.i];
+        const tof = this.result.tofs[cell.j];
+        const maxRevolutions = clamp(parseInt(this.revolutionsInput.value, 10) || 0, 0, 3);
+        const transfer = lambertTransfer(this.source.orbit, this.target.orbit, departureTime, tof, maxRevolutions);
+        if (!transfer) return;
+
+        this.selectedCell = cell;
+        this.draw();
+
+        this.infoSection.innerHTML = `
+            <div class="info-row projected">
+                <span class="info-label">Departure burn:</span>
+                <span class="info-value">${(transfer.departureDeltaV / DELTA_V_SCALE).toFixed(2)} km/s</span>
+            </div>
+            <div class="info-row projected">
+                <span class="info-label">Arrival burn:</span>
+                <span class="info-value">${(transfer.arrivalDeltaV / DELTA_V_SCALE).toFixed(2)} km/s</span>
+            </div>
+            <div class="info-row projected">
+                <span class="info-label">Revolutions:</span>
+                <span class="info-value">${transfer.revolutions}</span>
+            </div>
+        `;
+
+        if (this.onSelect) {
+            this.onSelect({ departureTime, tof, transfer });
+        }
+    }
+}
@@ -0,0 +1,111 @@
+// Porkchop plot computation: rendezvous delta-v over departure time × time of flight
+
+import { solveLambert, getPositionAtTime, getVelocityAtTime, orbitDirection } from './orbital.js';
+import { magnitude } from './utils.js';
+
+/**
+ * Cheapest Lambert transfer from one orbit to another for a departure time and time of flight
+ * Tries every revolution count up to maxRevolutions (both branches for multi-revolution).
+ * @param sourceOrbit - Orbit of the departing asteroid
+ * @param targetOrbit - Orbit of the target asteroid
+ * @param departureTime - Departure time
+ * @param tof - Time of flight
+ * @param maxRevolutions - Largest number of full revolutions to consider
+ * @returns { r1, r2, v1, v2, vSource, departureBurn, arrivalBurn, departureDeltaV, arrivalDeltaV,
+ *          totalDeltaV, revolutions } or null if no transfer exists
+ */
+export function lambertTransfer(sourceOrbit, targetOrbit, departureTime, tof, maxRevolutions = 0) {
+    const r1 = getPositionAtTime(sourceOrbit, departureTime);
+    const vSource = getVelocityAtTime(sourceOrbit, departureTime);
+    const r2 = getPositionAtTime(targetOrbit, departureTime + tof);
+    const vTarget = getVelocityAtTime(targetOrbit, departureTime + tof);
+
+    // Transfer in the source's direction of motion
+    const direction = orbitDirection(sourceOrbit);
+
+    let best = null;
+
+    for (let revolutions = 0; revolutions <= maxRevolutions; revolutions++) {
+        const branches = revolutions === 0 ? ['left'] : ['left', 'right'];
+
+        for (const branch of branches) {
+            const solution = solveLambert(r1, r2, tof, { revolutions, direction, branch });
+            if (!solution) continue;
+
+            const departureBurn = {
+                dvx: solution.v1.vx - vSource.vx,
+                dvy: solution.v1.vy - vSource.vy
+            };
+            const arrivalBurn = {
+                dvx: vTarget.vx - solution.v2.vx,
+                dvy: vTarget.vy - solution.v2.vy
+            };
+            const departureDeltaV = magnitude(departureBurn.dvx, departureBurn.dvy);
+            const arrivalDeltaV = magnitude(arrivalBurn.dvx, arrivalBurn.dvy);
+            const totalDeltaV = departureDeltaV + arrivalDeltaV;
+
+            if (!isFinite(totalDeltaV)) continue;
+
+            if (!best || totalDeltaV < best.totalDeltaV) {
+                best = {
+                    r1,
+                    r2,
+                    v1: solution.v1,
+                    v2: solution.v2,
+                    vSource,
+                    departureBurn,
+                    arrivalBurn,
+                    departureDeltaV,
+                    arrivalDeltaV,
+                    totalDeltaV,
+                    revolutions
+                };
+            }
+        }
+    }
+
+    return best;
+}
+
+/**
+ * Sweep departure time × time of flight and record the total rendezvous delta-v
+ * @param sourceOrbit - Orbit of the departing asteroid
+ * @param targetOrbit - Orbit of the target asteroid
+ * @param options - { departureStart, departureSpan, tofMin, tofMax, steps, maxRevolutions }
+ * @returns { departures, tofs, deltaV (Float64Array, row = tof index, column = departure index;
+ *           Infinity where there is no transfer), best: { i, j, deltaV } | null }
+ */
+export function computePorkchop(sourceOrbit, targetOrbit, options) {
+    const {
+        departureStart,
+        departureSpan,
+        tofMin,
+        tofMax,
+        steps = 40,
+        maxRevolutions = 1
+    } = options;
+
+    const departures = [];
+    const tofs = [];
+    for (let i = 0; i < steps; i++) {
+        departures.push(departureStart + departureSpan * i / (steps - 1));
+        tofs.push(tofMin + (tofMax - tofMin) * i / (steps - 1));
+    }
+
+    const deltaV = new Float64Array(steps * steps);
+    let best = null;
+
+    for (let j = 0; j < steps; j++) {
+        for (let i = 0; i < steps; i++) {
+            const transfer = lambertTransfer(sourceOrbit, targetOrbit, departures[i], tofs[j], maxRevolutions);
+            const dv = transfer ? transfer.totalDeltaV : Infinity;
+            deltaV[j * steps + i] = dv;
+
+            if (isFinite(dv) && (!best || dv < best.deltaV)) {
+                best = { i, j, deltaV: dv };
+            }
+        }
+    }
+
+    return { departures, tofs, steps, deltaV, best };
+}
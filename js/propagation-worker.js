@@ -0,0 +1,24 @@
+// Propagation worker: advances one range of the belt's orbits per request (see Propagator)
+
+import { ELEMENT_FIELDS, STATE_FIELDS, createFieldArrays } from './belt-state.js';
+import { propagateElements } from './propagation.js';
+
+// In a browser the worker's global scope receives the messages; in Node (the benchmark) it is
+// worker_threads' parentPort
+const port = typeof self !== 'undefined' ? self : (await import('node:worker_threads')).parentPort;
+
+// Elements of this worker's range
+let elements = null;
+
+port.addEventListener('message', ({ data }) => {
+    if (data.type === 'elements') {
+        elements = createFieldArrays(ELEMENT_FIELDS, data.count, data.buffer);
+        return;
+    }
+
+    if (data.type === 'propagate') {
+        const { t, count, generation, version, buffer } = data;
+        propagateElements(elements, createFieldArrays(STATE_FIELDS, count, buffer), count, t);
+        port.postMessage({ generation, version, count, buffer }, [buffer]);
+    }
+});
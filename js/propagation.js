@@ -0,0 +1,295 @@
+// Kepler propagation of the whole belt: a typed-array kernel, run in Web Workers at high counts
+
+import { PROPAGATION_MAX_WORKERS, PROPAGATION_WORKER_MIN } from './constants.js';
+import { getStateAtTime } from './orbital.js';
+import { BeltState, STATE_FIELDS, createFieldArrays } from './belt-state.js';
+
+/**
+ * Propagate orbits to a time, writing position, velocity and time (what each worker runs)
+ * One Kepler solve per orbit, shared between position and velocity; nothing is allocated per orbit.
+ * It is no faster than Asteroid.update on one thread; it exists because a worker only has the
+ * elements and state of its range, as typed arrays that can be transferred.
+ * @param elements - Element arrays { a, e, p, omega, M0, t0, direction }
+ * @param state - State arrays { x, y, vx, vy, time }, indexed like the elements
+ * @param count - Number of orbits
+ * @param t - Time
+ */
+export function propagateElements(elements, state, count, t) {
+    const { a, e, p, omega, M0, t0, direction } = elements;
+    const { x, y, vx, vy, time } = state;
+    const orbit = { a: 0, e: 0, p: 0, omega: 0, M0: 0, t0: 0, direction: 1 };
+    const out = { x: 0, y: 0, vx: 0, vy: 0 };
+
+    for (let i = 0; i < count; i++) {
+        orbit.a = a[i];
+        orbit.e = e[i];
+        orbit.p = p[i];
+        orbit.omega = omega[i];
+        orbit.M0 = M0[i];
+        orbit.t0 = t0[i];
+        orbit.direction = direction[i];
+        getStateAtTime(orbit, t, out);
+
+        x[i] = out.x;
+        y[i] = out.y;
+        vx[i] = out.vx;
+        vy[i] = out.vy;
+        time[i] = t;
+    }
+}
+
+/**
+ * Workers to use by default: one per spare core, none where workers aren't available
+ */
+function defaultWorkerCount() {
+    if (typeof Worker === 'undefined') return 0;
+    const cores = (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 2;
+    return Math.max(1, Math.min(PROPAGATION_MAX_WORKERS, cores - 1));
+}
+
+/**
+ * Start a browser module worker running propagation-worker.js
+ */
+function createBrowserWorker() {
+    return new Worker(new URL('./propagation-worker.js', import.meta.url), { type: 'module' });
+}
+
+/**
+ * Kepler propagation of the belt
+ * The asteroids' state lives in one BeltState (see Asteroid's accessors), in slot order. Belts
+ * of at least PROPAGATION_WORKER_MIN asteroids are split into ranges, one per worker. Each
+ * worker holds a copy of its range's elements, sent again when an orbit in it changes, and
+ * returns the propagated state in a transferred buffer, which is copied into the belt and then
+ * sent back for the next frame. The main thread never waits: each frame shows the latest
+ * results, a frame behind the clock. Smaller belts are propagated on the main thread.
+ *
+ * Asteroids whose orbit changes over time (a timeline with burns or collisions) are always
+ * propagated on the main thread, where the timeline is.
+ */
+export class Propagator {
+    /**
+     * @param workerCount - Workers to start (0 propagates on the main thread)
+     * @param createWorker - Factory for one worker
+     */
+    constructor(workerCount = defaultWorkerCount(), createWorker = createBrowserWorker) {
+        // State the asteroids are attached to, the asteroids in slot order and the orbit each
+        // slot's elements were taken from
+        this.belt = null;
+        this.asteroids = [];
+        this.orbits = [];
+
+        // Asteroids with a timeline, in slot order, propagated on the main thread
+        this.timelined = [];
+
+        // Bumped whenever slots are reassigned, so results for the old layout are dropped
+        this.generation = 0;
+
+        // { worker, start, end, busy, version, sentVersion, buffer }
+        this.workers = [];
+
+        // Callbacks of whenIdle()
+        this.idleCallbacks = [];
+        try {
+            for (let i = 0; i < workerCount; i++) {
+                this.addWorker(createWorker());
+            }
+        } catch (error) {
+            console.warn('Propagation workers unavailable, propagating on the main thread:', error);
+            this.dispose();
+        }
+    }
+
+    /**
+     * Start using a worker
+     */
+    addWorker(worker) {
+        const entry = { worker, start: 0, end: 0, busy: false, version: 0, sentVersion: -1, buffer: null };
+        worker.addEventListener('message', (event) => this.receive(entry, event.data));
+        worker.addEventListener('error', (event) => {
+            console.warn('Propagation worker failed, propagating on the main thread:', event.message);
+            this.dispose();
+        });
+        this.workers.push(entry);
+    }
+
+    /**
+     * Whether the current belt is propagated in workers
+     */
+    usesWorkers() {
+        return this.workers.length > 0 && this.asteroids.length >= PROPAGATION_WORKER_MIN;
+    }
+
+    /**
+     * Attach the asteroids to the belt state and pick up changed orbits
+     * Slots are reassigned (copying each asteroid's current state) whenever the array no longer
+     * matches them, e.g. after asteroids were added or removed.
+     * @param asteroids - Asteroids of the belt
+     * @returns Whether the slots were reassigned
+     */
+    attach(asteroids) {
+        let rebuilt = false;
+        if (asteroids.length !== this.asteroids.length ||
+            asteroids.some((asteroid, i) => asteroid.belt !== this.belt || asteroid.slot !== i)) {
+            this.rebuild(asteroids);
+            rebuilt = true;
+        }
+
+        this.timelined.length = 0;
+        for (let i = 0; i < asteroids.length; i++) {
+            const asteroid = asteroids[i];
+            if (asteroid.segments.length > 1) this.timelined.push(asteroid);
+            if (asteroid.orbit === this.orbits[i]) continue;
+
+            this.orbits[i] = asteroid.orbit;
+            this.belt.setElements(i, asteroid.orbit);
+            const entry = this.workers.find(w => i >= w.start && i < w.end);
+            if (entry) entry.version++;
+        }
+        return rebuilt;
+    }
+
+    /**
+     * Give every asteroid a slot in a new belt state
+     */
+    rebuild(asteroids) {
+        const belt = new BeltState(asteroids.length);
+        asteroids.forEach((asteroid, slot) => {
+            for (const field of STATE_FIELDS) {
+                belt[field][slot] = asteroid[field];
+            }
+            asteroid.belt = belt;
+            asteroid.slot = slot;
+        });
+
+        this.belt = belt;
+        this.asteroids = asteroids.slice();
+        this.orbits = new Array(asteroids.length).fill(null);
+        this.generation++;
+
+        // Equal ranges, one per worker
+        const count = this.workers.length;
+        this.workers.forEach((entry, k) => {
+            entry.start = Math.floor(k * asteroids.length / count);
+            entry.end = Math.floor((k + 1) * asteroids.length / count);
+            entry.version++;
+        });
+    }
+
+    /**
+     * Propagate the belt to a time
+     * With workers, the state is that of the latest results and new work is handed out for t;
+     * otherwise every asteroid is propagated to t before this returns.
+     * @param asteroids - Asteroids of the belt
+     * @param t - Time
+     */
+    propagate(asteroids, t) {
+        const rebuilt = this.attach(asteroids);
+
+        // Smaller belts, and a new layout until the workers' first results arrive, are
+        // propagated here; timelined asteroids always are
+        for (const asteroid of !this.usesWorkers() || rebuilt ? asteroids : this.timelined) {
+            asteroid.update(t);
+        }
+
+        if (this.usesWorkers()) {
+            for (const entry of this.workers) {
+                if (!entry.busy) this.dispatch(entry, t);
+            }
+        }
+    }
+
+    /**
+     * Hand a worker its range to propagate (and its elements, if they changed)
+     */
+    dispatch(entry, t) {
+        const count = entry.end - entry.start;
+        if (entry.sentVersion !== entry.version) {
+            const elements = this.belt.sliceElements(entry.start, entry.end);
+            entry.worker.postMessage({ type: 'elements', count, buffer: elements.buffer }, [elements.buffer]);
+            entry.sentVersion = entry.version;
+        }
+
+        const bytes = STATE_FIELDS.length * count * 8;
+        const buffer = entry.buffer && entry.buffer.byteLength === bytes ? entry.buffer : new ArrayBuffer(bytes);
+        entry.buffer = null;
+        entry.busy = true;
+        entry.worker.postMessage(
+            { type: 'propagate', t, count, generation: this.generation, version: entry.version, buffer },
+            [buffer]
+        );
+    }
+
+    /**
+     * Copy a worker's results into the belt
+     * Results for an old layout, or computed from elements that have changed since, are dropped.
+     * Timelined asteroids are skipped: they are already up to date, from their timeline.
+     */
+    receive(entry, { generation, version, count, buffer }) {
+        entry.busy = false;
+        entry.buffer = buffer;
+        if (generation === this.generation && version === entry.version) {
+            const state = createFieldArrays(STATE_FIELDS, count, buffer);
+            let from = entry.start;
+            for (const asteroid of this.timelined) {
+                if (asteroid.slot < entry.start || asteroid.slot >= entry.end) continue;
+                this.copyResults(state, entry.start, from, asteroid.slot);
+                from = asteroid.slot + 1;
+            }
+            this.copyResults(state, entry.start, from, entry.end);
+        }
+
+        if (!this.workers.some(w => w.busy)) this.notifyIdle();
+    }
+
+    /**
+     * Copy part of a worker's results into the belt
+     * @param state - State arrays of the worker's range
+     * @param start - Slot of the range's first asteroid
+     * @param from - First slot to copy
+     * @param to - Slot after the last one to copy
+     */
+    copyResults(state, start, from, to) {
+        if (to <= from) return;
+        for (const field of STATE_FIELDS) {
+            this.belt[field].set(state[field].subarray(from - start, to - start), from);
+        }
+    }
+
+    /**
+     * Wait for the results handed out so far (used headless, e.g. by the benchmark)
+     * @returns Promise resolved once no worker is busy
+     */
+    whenIdle() {
+        if (!this.workers.some(w => w.busy)) return Promise.resolve();
+        return new Promise(resolve => this.idleCallbacks.push(resolve));
+    }
+
+    /**
+     * Resolve pending whenIdle() promises
+     */
+    notifyIdle() {
+        const callbacks = this.idleCallbacks;
+        this.idleCallbacks = [];
+        for (const callback of callbacks) {
+            callback();
+        }
+    }
+
+    /**
+     * Drop results still on their way, e.g. when the state is about to be integrated instead
+     */
+    invalidate() {
+        this.generation++;
+    }
+
+    /**
+     * Stop the workers; propagation continues on the main thread
+     */
+    dispose() {
+        for (const entry of this.workers) {
+            entry.worker.terminate();
+        }
+        this.workers = [];
+        this.notifyIdle();
+    }
+}
@@ -1,15 +1,34 @@
-// Canvas rendering with LOD and performance optimizations
-
-import { COLORS, AU_TO_PIXELS, BELT_INNER_RADIUS, BELT_OUTER_RADIUS } from './constants.js';
+// Canvas rendering with LOD and performance optimizations; asteroids go through a pluggable backend
+
+import {
+    COLORS, AU_TO_PIXELS, BELT_INNER_RADIUS, BELT_OUTER_RADIUS,
+    HISTOGRAM_MIN_AU, HISTOGRAM_MAX_AU, HISTOGRAM_BINS, IMPACT_EFFECT_DURATION, FILTER_DIM_ALPHA,
+    TRAIL_FADE_STEPS, TRAIL_ALPHA, RENDER_BACKEND, SPATIAL_CULL_FRACTION
+} from './constants.js';
+import { formatDate, formatElapsed } from './clock.js';
+import { rotate } from './utils.js';
+import { CanvasAsteroidLayer } from './asteroid-layer.js';
+import { WebGLAsteroidLayer } from './webgl-layer.js';
 
 export class Renderer {
-    constructor(canvas) {
+    /**
+     * @param canvas - Main canvas
+     * @param backend - Backend the asteroids are drawn with: 'webgl' or 'canvas'
+     */
+    constructor(canvas, backend = RENDER_BACKEND) {
         this.canvas = canvas;
         this.ctx = canvas.getContext('2d');
 
+        // Active collision flashes
+        this.impactEffects = [];
+
         // Handle high DPI displays
         this.setupHighDPI();
 
+        // Asteroid layer of the chosen backend
+        this.asteroidLayer = null;
+        this.setBackend(backend);
+
         // Handle window resize
         window.addEventListener('resize', () => this.resize());
         this.resize();
@@ -35,6 +54,28 @@ export class Renderer {
         // Store logical dimensions
         this.width = rect.width;
         this.height = rect.height;
+        this.asteroidLayer.resize(this.width, this.height, this.dpr);
+    }
+
+    /**
+     * Switch the backend the asteroids are drawn with
+     * WebGL falls back to the 2D canvas where hardware WebGL2 isn't available.
+     * @param backend - 'webgl' or 'canvas'
+     * @returns Name of the backend now in use
+     */
+    setBackend(backend) {
+        const layer = (backend === 'webgl' && WebGLAsteroidLayer.create()) || new CanvasAsteroidLayer();
+        if (this.asteroidLayer) this.asteroidLayer.dispose();
+        this.asteroidLayer = layer;
+        if (this.width !== undefined) layer.resize(this.width, this.height, this.dpr);
+        return layer.name;
+    }
+
+    /**
+     * Name of the backend in use: 'webgl' or 'canvas'
+     */
+    getBackend() {
+        return this.asteroidLayer.name;
     }
 
     /**
@@ -78,26 +119,46 @@ export class Renderer {
      * @param asteroids - Array of asteroids
      * @param camera - Camera for transforms
      * @param selectedAsteroid - Currently selected asteroid (or null)
+     * @param targetAsteroid - Current transfer target (or null)
+     * @param group - Every selected asteroid (the primary one included)
+     * @param matches - Set of asteroids matching the filter, or null without one; the rest are dimmed
+     * @param index - Spatial index of the asteroids (optional), used to cull when zoomed in
      */
-    renderAsteroids(asteroids, camera, selectedAsteroid) {
+    renderAsteroids(asteroids, camera, selectedAsteroid, targetAsteroid = null, group = [], matches = null, index = null) {
         const ctx = this.ctx;
-        const bounds = camera.getVisibleBounds();
 
-        // Sort by size for better layering (smaller first)
-        const visible = asteroids.filter(a => {
-            const margin = a.radius + 20;
-            return a.x >= bounds.minX - margin &&
-                   a.x <= bounds.maxX + margin &&
-                   a.y >= bounds.minY - margin &&
-                   a.y <= bounds.maxY + margin;
-        });
+        // Zoomed in, the index finds the few asteroids on screen without a pass over the belt.
+        // Otherwise the whole belt is handed over, which keeps the layer's draw order incremental.
+        let drawn = asteroids;
+        if (index) {
+            const view = camera.getVisibleBounds();
+            const margin = 1 / camera.zoom; // Dots are at least a pixel wide
+            const minX = view.minX - margin;
+            const minY = view.minY - margin;
+            const maxX = view.maxX + margin;
+            const maxY = view.maxY + margin;
+            if (index.coverage(minX, minY, maxX, maxY) < SPATIAL_CULL_FRACTION) {
+                drawn = index.queryRect(minX, minY, maxX, maxY);
+            }
+        }
 
-        visible.sort((a, b) => a.radius - b.radius);
+        // The whole belt in one pass; a lost WebGL context falls back to the 2D canvas
+        if (!this.asteroidLayer.draw(ctx, drawn, camera, selectedAsteroid, matches)) {
+            this.setBackend('canvas');
+            this.asteroidLayer.draw(ctx, drawn, camera, selectedAsteroid, matches);
+        }
 
-        // Render non-selected asteroids
-        for (const asteroid of visible) {
+        // Rings around filter matches
+        if (matches) {
+            for (const asteroid of matches) {
+                this.renderFilterRing(asteroid, camera);
+            }
+        }
+
+        // Rings around the rest of a multi-selection
+        for (const asteroid of group) {
             if (asteroid !== selectedAsteroid) {
-                asteroid.render(ctx, camera, false);
+                this.renderGroupRing(asteroid, camera);
             }
         }
 
@@ -105,6 +166,186 @@ export class Renderer {
         if (selectedAsteroid) {
             selectedAsteroid.render(ctx, camera, true);
         }
+
+        if (targetAsteroid) {
+            this.renderTargetMarker(targetAsteroid, camera);
+        }
+    }
+
+    /**
+     * Render fading trails of where asteroids have been
+     * Each trail is drawn in TRAIL_FADE_STEPS bands, faintest at the tail, ending at the
+     * asteroid's current position. Trails whose bounds are off screen are skipped.
+     * @param asteroids - Asteroids (those without a trail are skipped)
+     * @param camera - Camera
+     * @param time - Current simulation time
+     * @param length - Trail length (time); older samples aren't drawn
+     * @param frameRate - Angular rate of a rotating view frame (0 if inertial). Past samples are
+     *        turned with the frame, so trails show the path relative to the frame.
+     */
+    renderTrails(asteroids, camera, time, length, frameRate = 0) {
+        const ctx = this.ctx;
+        const view = camera.getVisibleBounds();
+        ctx.lineWidth = 1;
+
+        for (const asteroid of asteroids) {
+            const trail = asteroid.trail;
+            if (!trail || trail.count === 0) continue;
+
+            // Bounds are inertial, so they can't cull trails drawn in a rotating frame
+            const bounds = trail.getBounds();
+            if (frameRate === 0 && (Math.max(bounds.maxX, asteroid.x) < view.minX ||
+                Math.min(bounds.minX, asteroid.x) > view.maxX ||
+                Math.max(bounds.maxY, asteroid.y) < view.minY ||
+                Math.min(bounds.minY, asteroid.y) > view.maxY)) {
+                continue;
+            }
+
+            // Segment j joins sample first + j to the next one; the last ends at the asteroid
+            const first = trail.firstIndexAfter(time - length);
+            const segments = trail.count - first;
+            if (segments === 0) continue;
+            const point = (i) => {
+                if (i === trail.count) return camera.worldToScreen(asteroid.x, asteroid.y);
+                if (frameRate === 0) return camera.worldToScreen(trail.x(i), trail.y(i));
+                const turned = rotate(trail.x(i), trail.y(i), frameRate * (time - trail.time(i)));
+                return camera.worldToScreen(turned.x, turned.y);
+            };
+
+            ctx.strokeStyle = asteroid.color;
+            for (let band = 0; band < TRAIL_FADE_STEPS; band++) {
+                const from = first + Math.floor(band * segments / TRAIL_FADE_STEPS);
+                const to = first + Math.floor((band + 1) * segments / TRAIL_FADE_STEPS);
+                if (to === from) continue;
+
+                ctx.globalAlpha = TRAIL_ALPHA * (band + 1) / TRAIL_FADE_STEPS;
+                ctx.beginPath();
+                const start = point(from);
+                ctx.moveTo(start.x, start.y);
+                for (let i = from + 1; i <= to; i++) {
+                    const p = point(i);
+                    ctx.lineTo(p.x, p.y);
+                }
+                ctx.stroke();
+            }
+        }
+
+        ctx.globalAlpha = 1;
+    }
+
+    /**
+     * Render predicted close approaches: both bodies' positions at closest approach, joined by a line
+     * @param encounters - Encounters from predictEncounters
+     * @param camera - Camera
+     * @param active - Encounter picked in the list (highlighted and labelled), or null
+     */
+    renderEncounters(encounters, camera, active = null) {
+        const ctx = this.ctx;
+
+        for (const encounter of encounters) {
+            const a = camera.worldToScreen(encounter.pointA.x, encounter.pointA.y);
+            const b = camera.worldToScreen(encounter.pointB.x, encounter.pointB.y);
+            const isActive = encounter === active;
+            const color = isActive ? COLORS.encounterActive : COLORS.encounterLine;
+
+            ctx.beginPath();
+            ctx.moveTo(a.x, a.y);
+            ctx.lineTo(b.x, b.y);
+            ctx.strokeStyle = color;
+            ctx.lineWidth = isActive ? 2 : 1;
+            ctx.stroke();
+
+            for (const point of [a, b]) {
+                ctx.beginPath();
+                ctx.arc(point.x, point.y, isActive ? 4 : 2.5, 0, Math.PI * 2);
+                ctx.stroke();
+            }
+
+            if (isActive) {
+                ctx.fillStyle = color;
+                ctx.font = '11px monospace';
+                ctx.fillText(
+                    `${formatDate(encounter.time)}  ${(encounter.distance / AU_TO_PIXELS).toFixed(4)} AU`,
+                    Math.max(a.x, b.x) + 8,
+                    Math.min(a.y, b.y) - 6
+                );
+            }
+        }
+    }
+
+    /**
+     * Render the ring marking a member of a multi-selection
+     * @param asteroid - Selected asteroid
+     * @param camera - Camera
+     */
+    renderGroupRing(asteroid, camera) {
+        const ctx = this.ctx;
+        const screen = camera.worldToScreen(asteroid.x, asteroid.y);
+        const screenRadius = Math.max(1, asteroid.radius * camera.zoom);
+        if (!camera.isVisible(screen.x, screen.y, screenRadius + 6)) return;
+
+        ctx.beginPath();
+        ctx.arc(screen.x, screen.y, screenRadius + 6, 0, Math.PI * 2);
+        ctx.strokeStyle = COLORS.groupRing;
+        ctx.lineWidth = 1.5;
+        ctx.stroke();
+    }
+
+    /**
+     * Render the ring marking an asteroid that matches the filter
+     * @param asteroid - Matching asteroid
+     * @param camera - Camera
+     */
+    renderFilterRing(asteroid, camera) {
+        const ctx = this.ctx;
+        const screen = camera.worldToScreen(asteroid.x, asteroid.y);
+        const screenRadius = Math.max(2, asteroid.radius * camera.zoom) + 3;
+        if (!camera.isVisible(screen.x, screen.y, screenRadius)) return;
+
+        ctx.beginPath();
+        ctx.arc(screen.x, screen.y, screenRadius, 0, Math.PI * 2);
+        ctx.strokeStyle = COLORS.filterMatch;
+        ctx.lineWidth = 1;
+        ctx.stroke();
+    }
+
+    /**
+     * Render the rubber-band selection box
+     * @param box - { x1, y1, x2, y2 } in screen coordinates
+     */
+    renderSelectionBox(box) {
+        const ctx = this.ctx;
+        const x = Math.min(box.x1, box.x2);
+        const y = Math.min(box.y1, box.y2);
+        const width = Math.abs(box.x2 - box.x1);
+        const height = Math.abs(box.y2 - box.y1);
+
+        ctx.fillStyle = COLORS.selectionBoxFill;
+        ctx.fillRect(x, y, width, height);
+        ctx.strokeStyle = COLORS.selectionBox;
+        ctx.lineWidth = 1;
+        ctx.setLineDash([4, 3]);
+        ctx.strokeRect(x, y, width, height);
+        ctx.setLineDash([]);
+    }
+
+    /**
+     * Render the transfer target marker (dashed ring)
+     * @param asteroid - Target asteroid
+     * @param camera - Camera
+     */
+    renderTargetMarker(asteroid, camera) {
+        const ctx = this.ctx;
+        const screen = camera.worldToScreen(asteroid.x, asteroid.y);
+        const screenRadius = Math.max(1, asteroid.radius * camera.zoom);
+
+        ctx.beginPath();
+        ctx.arc(screen.x, screen.y, screenRadius + 8, 0, Math.PI * 2);
+        ctx.strokeStyle = COLORS.targetRing;
+        ctx.lineWidth = 2;
+        ctx.setLineDash([4, 3]);
+        ctx.stroke();
+        ctx.setLineDash([]);
     }
 
     /**
@@ -151,10 +392,12 @@ export class Renderer {
 
         const ctx = this.ctx;
         const screen = camera.worldToScreen(asteroid.x, asteroid.y);
+        // The view may be rotated
+        const screenAngle = angle - camera.rotation;
 
         const arrowLength = 30 + magnitude * 20;
-        const endX = screen.x + Math.cos(angle) * arrowLength;
-        const endY = screen.y + Math.sin(angle) * arrowLength;
+        const endX = screen.x + Math.cos(screenAngle) * arrowLength;
+        const endY = screen.y + Math.sin(screenAngle) * arrowLength;
 
         // Arrow line
         ctx.beginPath();
@@ -171,17 +414,172 @@ export class Renderer {
         ctx.beginPath();
         ctx.moveTo(endX, endY);
         ctx.lineTo(
-            endX - headLength * Math.cos(angle - headAngle),
-            endY - headLength * Math.sin(angle - headAngle)
+            endX - headLength * Math.cos(screenAngle - headAngle),
+            endY - headLength * Math.sin(screenAngle - headAngle)
         );
         ctx.moveTo(endX, endY);
         ctx.lineTo(
-            endX - headLength * Math.cos(angle + headAngle),
-            endY - headLength * Math.sin(angle + headAngle)
+            endX - headLength * Math.cos(screenAngle + headAngle),
+            endY - headLength * Math.sin(screenAngle + headAngle)
         );
         ctx.stroke();
     }
 
+    /**
+     * Render maneuver node markers and their burn directions
+     * @param plan - ManeuverPlan whose nodes to draw
+     * @param camera - Camera
+     */
+    renderManeuverNodes(plan, camera) {
+        const ctx = this.ctx;
+
+        plan.nodes.forEach((node, index) => {
+            if (!node.position) return;
+
+            const screen = camera.worldToScreen(node.position.x, node.position.y);
+            const color = plan.legs[index + 1].color;
+            const size = 6;
+
+            // Diamond marker
+            ctx.beginPath();
+            ctx.moveTo(screen.x, screen.y - size);
+            ctx.lineTo(screen.x + size, screen.y);
+            ctx.lineTo(screen.x, screen.y + size);
+            ctx.lineTo(screen.x - size, screen.y);
+            ctx.closePath();
+            ctx.fillStyle = color;
+            ctx.fill();
+            ctx.strokeStyle = COLORS.maneuverNode;
+            ctx.lineWidth = 1;
+            ctx.stroke();
+
+            // Burn direction
+            const burnMagnitude = Math.hypot(node.burn.dvx, node.burn.dvy);
+            if (burnMagnitude > 0) {
+                const length = 15 + burnMagnitude * 200;
+                const direction = camera.directionToScreen(node.burn.dvx, node.burn.dvy);
+                ctx.beginPath();
+                ctx.moveTo(screen.x, screen.y);
+                ctx.lineTo(
+                    screen.x + direction.x / burnMagnitude * length,
+                    screen.y + direction.y / burnMagnitude * length
+                );
+                ctx.strokeStyle = color;
+                ctx.lineWidth = 2;
+                ctx.stroke();
+            }
+
+            // Label
+            ctx.fillStyle = COLORS.maneuverNode;
+            ctx.font = '11px monospace';
+            ctx.fillText(`N${index + 1}`, screen.x + size + 3, screen.y - size);
+        });
+    }
+
+    /**
+     * Render a histogram of semi-major axes with resonance markers (bottom centre)
+     * @param values - Semi-major axes in AU
+     * @param resonances - [{ label, a }] with a in AU
+     */
+    renderSemiMajorAxisHistogram(values, resonances) {
+        const ctx = this.ctx;
+        const width = 380;
+        const height = 130;
+        const x0 = (this.width - width) / 2;
+        const y0 = this.height - height - 10;
+        const plotLeft = x0 + 10;
+        const plotWidth = width - 20;
+        const plotBottom = y0 + height - 20;
+        const plotHeight = height - 45;
+        const span = HISTOGRAM_MAX_AU - HISTOGRAM_MIN_AU;
+
+        const counts = new Array(HISTOGRAM_BINS).fill(0);
+        for (const a of values) {
+            const bin = Math.floor((a - HISTOGRAM_MIN_AU) / span * HISTOGRAM_BINS);
+            if (bin >= 0 && bin < HISTOGRAM_BINS) counts[bin]++;
+        }
+        const maxCount = Math.max(1, ...counts);
+
+        ctx.fillStyle = 'rgba(20, 25, 40, 0.85)';
+        ctx.fillRect(x0, y0, width, height);
+        ctx.strokeStyle = 'rgba(100, 150, 255, 0.3)';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(x0, y0, width, height);
+
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+        ctx.font = '11px monospace';
+        ctx.fillText('Semi-major axis distribution (AU)', x0 + 10, y0 + 14);
+
+        // Bars
+        const barWidth = plotWidth / HISTOGRAM_BINS;
+        ctx.fillStyle = COLORS.histogramBar;
+        counts.forEach((count, i) => {
+            const h = count / maxCount * plotHeight;
+            ctx.fillRect(plotLeft + i * barWidth, plotBottom - h, Math.max(1, barWidth - 1), h);
+        });
+
+        // Resonance markers
+        ctx.strokeStyle = COLORS.resonanceMarker;
+        ctx.fillStyle = COLORS.resonanceMarker;
+        ctx.setLineDash([3, 3]);
+        for (const resonance of resonances) {
+            if (resonance.a < HISTOGRAM_MIN_AU || resonance.a > HISTOGRAM_MAX_AU) continue;
+            const x = plotLeft + (resonance.a - HISTOGRAM_MIN_AU) / span * plotWidth;
+            ctx.beginPath();
+            ctx.moveTo(x, plotBottom);
+            ctx.lineTo(x, plotBottom - plotHeight);
+            ctx.stroke();
+            ctx.fillText(resonance.label, x - 10, plotBottom - plotHeight - 3);
+        }
+        ctx.setLineDash([]);
+
+        // Axis labels
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+        ctx.fillText(HISTOGRAM_MIN_AU.toFixed(1), plotLeft, plotBottom + 13);
+        const maxLabel = HISTOGRAM_MAX_AU.toFixed(1);
+        ctx.fillText(maxLabel, plotLeft + plotWidth - ctx.measureText(maxLabel).width, plotBottom + 13);
+    }
+
+    /**
+     * Start a brief impact flash at a collision site
+     * @param x - World X
+     * @param y - World Y
+     * @param radius - Size of the colliding bodies (world units)
+     * @param type - 'merge' or 'fragment'
+     * @param now - Wall-clock time in ms (effects play even while paused)
+     */
+    addImpactEffect(x, y, radius, type, now) {
+        this.impactEffects.push({ x, y, radius, type, start: now });
+    }
+
+    /**
+     * Render expanding, fading rings for recent impacts
+     * @param camera - Camera
+     * @param now - Wall-clock time in ms
+     */
+    renderImpactEffects(camera, now) {
+        this.impactEffects = this.impactEffects.filter(e => now - e.start < IMPACT_EFFECT_DURATION);
+
+        const ctx = this.ctx;
+        for (const effect of this.impactEffects) {
+            const progress = (now - effect.start) / IMPACT_EFFECT_DURATION;
+            const screen = camera.worldToScreen(effect.x, effect.y);
+            const radius = Math.max(4, effect.radius * camera.zoom) * (1 + 2 * progress);
+            const rgb = effect.type === 'merge' ? COLORS.impactMerge : COLORS.impactFragment;
+
+            ctx.beginPath();
+            ctx.arc(screen.x, screen.y, radius, 0, Math.PI * 2);
+            ctx.strokeStyle = `rgba(${rgb}, ${1 - progress})`;
+            ctx.lineWidth = 2;
+            ctx.stroke();
+
+            ctx.beginPath();
+            ctx.arc(screen.x, screen.y, radius * 0.5, 0, Math.PI * 2);
+            ctx.fillStyle = `rgba(${rgb}, ${0.5 * (1 - progress)})`;
+            ctx.fill();
+        }
+    }
+
     /**
      * Render help text
      */
@@ -192,7 +590,21 @@ export class Renderer {
             '  Scroll: Zoom',
             '  Drag: Pan',
             '  Click: Select asteroid',
+            '  Shift-click / shift-drag: Add to selection',
+            '  Click orbit: Add maneuver node',
+            '  Right-click: Set transfer target',
             '  R: Reset view',
+            '  N: Toggle N-body mode',
+            '  H: Semi-major axis histogram',
+            '  , / .: Step back / forward one frame',
+            '  < / >: Step back / forward one day',
+            '  Ctrl+Z / Ctrl+Shift+Z: Undo / redo burn',
+            '  C: Toggle collisions',
+            '  P: Populations',
+            '  F: Filter, [ / ]: Previous / next match',
+            '  T: Toggle trails',
+            '  L: Follow selected asteroid',
+            '  `: Scripting console',
             '  Esc: Deselect'
         ];
 
@@ -211,13 +623,46 @@ export class Renderer {
     /**
      * Render simulation info
      */
-    renderInfo(asteroidCount, fps) {
+    renderInfo(asteroidCount, fps, propagationMode = 'kepler') {
         const ctx = this.ctx;
 
         ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
         ctx.font = '14px monospace';
         ctx.fillText(`Asteroids: ${asteroidCount}`, 10, 20);
         ctx.fillText(`FPS: ${fps.toFixed(0)}`, 10, 38);
+        ctx.fillText(`Propagation: ${propagationMode === 'nbody' ? 'N-body' : 'Kepler'}`, 10, 56);
+        ctx.fillText(`Renderer: ${this.asteroidLayer.label}`, 10, 74);
+    }
+
+    /**
+     * Render the simulation clock at the bottom centre of the view
+     * @param time - Simulation time
+     * @param timeScale - Current time scale (0 when paused, negative when running backwards)
+     * @param rewindBlocker - Why the clock can't run backwards, or null (see SimulationCore.timeTravelBlocker)
+     */
+    renderTimeHud(time, timeScale, rewindBlocker) {
+        const ctx = this.ctx;
+        const x = this.width / 2;
+        const y = this.height - 30;
+
+        let state;
+        if (timeScale === 0) {
+            state = 'Paused';
+        } else if (timeScale > 0) {
+            state = '▶';
+        } else {
+            state = rewindBlocker ? `◀ (${rewindBlocker})` : '◀';
+        }
+
+        ctx.save();
+        ctx.textAlign = 'center';
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+        ctx.font = '16px monospace';
+        ctx.fillText(`${formatDate(time)}  ${state}`, x, y);
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
+        ctx.font = '12px monospace';
+        ctx.fillText(formatElapsed(time), x, y + 18);
+        ctx.restore();
     }
 
     /**
@@ -0,0 +1,386 @@
+// Scripting API: drive the simulation from the browser console or the in-page console panel
+//
+// Exposed as window.belt. Units are the ones the panels show: distances in AU, delta-v in km/s,
+// angles in degrees and times in days since J2000 (the HUD's "Day").
+
+import { AU_TO_PIXELS, DELTA_V_SCALE } from './constants.js';
+import { isClosedOrbit, orbitalPeriod, timeAtTrueAnomaly } from './orbital.js';
+import { burnVectorFromComponents } from './maneuver.js';
+import { applyFilter, FILTER_FIELDS } from './filter.js';
+import { TIME_UNITS_PER_DAY, daysFromTime, timeFromDays, formatDate } from './clock.js';
+import { magnitude, normalizeAngle, radToDeg } from './utils.js';
+
+// One line per command, listed by help()
+const COMMANDS = [
+    ['asteroid(id)', 'The Asteroid object itself'],
+    ['asteroids(filter)', 'Ids of asteroids matching ranges, e.g. { a: [2.5, 2.8], e: [null, 0.1] }'],
+    ['elements(id)', 'a (AU), e, ω (°), period (days), position (AU) and speed (km/s)'],
+    ['nearest(x, y, k)', 'Ids of the k asteroids nearest to a point (AU)'],
+    ['select(id | ids)', 'Select one asteroid or several (null deselects); returns the selection'],
+    ['target(id)', 'Set the transfer target (null clears); returns it'],
+    ['time()', 'Current day'],
+    ['setTime(day)', 'Jump to a day (Kepler mode, collisions off)'],
+    ['run(days)', 'Advance the simulation now, burning any nodes on the way'],
+    ['pause() / resume()', 'Stop or restart the clock'],
+    ['mode(name)', "Get or set propagation: 'kepler' or 'nbody'"],
+    ['burn(id, prograde, radial)', 'Burn now (km/s)'],
+    ['node(id, day, prograde, radial)', 'Add a maneuver node (km/s)'],
+    ['periapsis(id) / apoapsis(id)', 'Day of the next periapsis / apoapsis'],
+    ['preview(prograde, radial)', "Show a burn on the selection's orbit panel"],
+    ['apply()', 'Apply the burn shown on the orbit panel'],
+    ['undo() / redo() / revert(id)', 'Orbit change history'],
+    ['center(id | x, y)', 'Centre the view on an asteroid or a point (AU)'],
+    ['zoom(z)', 'Get or set the zoom'],
+    ['follow(id)', 'Select and follow an asteroid (null stops)'],
+    ['frame(mode, years)', "'inertial', 'body' or 'period' (one turn every years)"],
+    ['on(type, listener)', 'Listen to an event; returns a function that stops listening'],
+    ['help()', 'This list']
+];
+
+// Events of the API itself; the others come from the simulation core (see SimulationCore.on)
+const API_EVENTS = ['select', 'target', 'frame'];
+
+/**
+ * Scripting API over a browser Simulation
+ * Commands take and return plain ids and numbers, so they can be typed in a console.
+ */
+export class ScriptingApi {
+    /**
+     * @param simulation - Browser Simulation (with its SelectionManager, DeltaVPanel and Camera)
+     */
+    constructor(simulation) {
+        this.simulation = simulation;
+        this.core = simulation.core;
+
+        // Listeners by API event type
+        this.listeners = new Map();
+    }
+
+    /**
+     * Names of the commands, bound as plain functions by evaluate()
+     */
+    static commandNames() {
+        return Object.getOwnPropertyNames(ScriptingApi.prototype)
+            .filter(name => name !== 'constructor' && !['notify', 'evaluate'].includes(name));
+    }
+
+    /**
+     * Asteroid by id
+     * @throws If there is none
+     */
+    asteroid(id) {
+        const asteroid = this.core.getAsteroid(id);
+        if (!asteroid) throw new Error(`No asteroid #${id}`);
+        return asteroid;
+    }
+
+    /**
+     * Ids of the asteroids matching ranges of the filter panel's fields
+     * @param filter - { [field]: [min, max] } with null for an open bound (fields: a, e, omega,
+     *        period in years, radius, id); omitted matches every asteroid
+     */
+    asteroids(filter = {}) {
+        const ranges = {};
+        for (const [key, range] of Object.entries(filter)) {
+            if (!FILTER_FIELDS.some(field => field.key === key)) throw new Error(`Unknown field '${key}'`);
+            const [min = null, max = null] = Array.isArray(range) ? range : [range.min, range.max];
+            ranges[key] = { min, max };
+        }
+        return applyFilter(this.core.asteroids, ranges).map(asteroid => asteroid.id);
+    }
+
+    /**
+     * Osculating elements and state of an asteroid
+     */
+    elements(id) {
+        const asteroid = this.asteroid(id);
+        const orbit = this.core.currentOrbit(asteroid);
+        const closed = isClosedOrbit(orbit);
+        return {
+            id: asteroid.id,
+            a: closed ? orbit.a / AU_TO_PIXELS : Infinity,
+            e: orbit.e,
+            omega: radToDeg(normalizeAngle(orbit.omega)),
+            period: closed ? orbitalPeriod(orbit.a) / TIME_UNITS_PER_DAY : Infinity,
+            x: asteroid.x / AU_TO_PIXELS,
+            y: asteroid.y / AU_TO_PIXELS,
+            speed: magnitude(asteroid.vx, asteroid.vy) / DELTA_V_SCALE,
+            radius: asteroid.radius,
+            population: asteroid.population,
+            designation: asteroid.designation,
+            modified: asteroid.isModified()
+        };
+    }
+
+    /**
+     * Ids of the asteroids nearest to a point, nearest first
+     * @param x - X in AU
+     * @param y - Y in AU
+     * @param k - Number of asteroids
+     */
+    nearest(x, y, k = 1) {
+        return this.simulation.selectionManager
+            .nearest(x * AU_TO_PIXELS, y * AU_TO_PIXELS, k)
+            .map(asteroid => asteroid.id);
+    }
+
+    /**
+     * Select asteroids
+     * @param ids - An id, an array of ids (the first is shown in the orbit panel) or null
+     * @returns Ids of the selection
+     */
+    select(ids) {
+        const selection = this.simulation.selectionManager;
+        if (ids === undefined) return selection.getGroup().map(asteroid => asteroid.id);
+
+        const list = ids === null ? [] : (Array.isArray(ids) ? ids : [ids]);
+        selection.selectMany(list.map(id => this.asteroid(id)));
+        return selection.getGroup().map(asteroid => asteroid.id);
+    }
+
+    /**
+     * Set the transfer target
+     * @param id - Asteroid id, null to clear, or omitted to only ask
+     * @returns Id of the target, or null
+     */
+    target(id) {
+        const selection = this.simulation.selectionManager;
+        if (id !== undefined) selection.setTarget(id === null ? null : this.asteroid(id));
+        const target = selection.getTarget();
+        return target ? target.id : null;
+    }
+
+    time() {
+        return daysFromTime(this.core.time);
+    }
+
+    /**
+     * Jump to a day (see SimulationCore.timeTravelBlocker for when the clock can't jump)
+     * @returns Date of the new time
+     */
+    setTime(day) {
+        const t = timeFromDays(day);
+        if (!this.simulation.jumpToTime(t)) {
+            throw new Error(`Can't jump in time (${this.core.timeTravelBlocker(t)})`);
+        }
+        return formatDate(this.core.time);
+    }
+
+    /**
+     * Advance the simulation by a number of days before returning
+     * Kepler orbits get there in one step, with maneuver nodes on the way burning at their own
+     * times; integrated orbits are stepped until they arrive.
+     * @returns The new day
+     */
+    run(days) {
+        const core = this.core;
+        if (days < 0 && !core.canSetTime()) throw new Error(`Can't run backwards (${core.timeTravelBlocker()})`);
+
+        const end = core.time + timeFromDays(days);
+        const selection = this.simulation.selectionManager;
+        const focus = [selection.getSelected(), selection.getTarget(), ...selection.getGroup()];
+        do {
+            const from = core.time;
+            core.step(end - from, focus);
+            if (core.time === from) break;
+        } while (core.propagationMode === 'nbody' && core.time < end);
+
+        return this.time();
+    }
+
+    pause() {
+        this.simulation.paused = true;
+    }
+
+    resume() {
+        this.simulation.paused = false;
+    }
+
+    /**
+     * Get or set the propagation mode
+     * @param name - 'kepler' or 'nbody', or omitted to only ask
+     */
+    mode(name) {
+        if (name !== undefined) {
+            if (name !== 'kepler' && name !== 'nbody') throw new Error(`Unknown mode '${name}'`);
+            this.simulation.setPropagationMode(name);
+        }
+        return this.core.propagationMode;
+    }
+
+    /**
+     * Burn now, as an undoable history entry
+     * @param prograde - Prograde delta-v in km/s
+     * @param radial - Radial-out delta-v in km/s
+     * @returns Elements after the burn
+     */
+    burn(id, prograde, radial = 0) {
+        const asteroid = this.asteroid(id);
+        // Propagated in workers, the asteroid may be a frame behind the clock
+        if (this.core.propagationMode === 'kepler') asteroid.update(this.core.time);
+        this.core.applyGroupManeuver([asteroid], prograde * DELTA_V_SCALE, radial * DELTA_V_SCALE, 'Burn');
+        return this.elements(id);
+    }
+
+    /**
+     * Add a maneuver node, burned when the clock reaches it
+     * @param day - Day of the burn
+     * @param prograde - Prograde delta-v in km/s
+     * @param radial - Radial-out delta-v in km/s
+     * @returns Days of the asteroid's pending nodes
+     */
+    node(id, day, prograde, radial = 0) {
+        const plan = this.simulation.getManeuverPlan(this.asteroid(id));
+        plan.addNode(timeFromDays(day), prograde * DELTA_V_SCALE, radial * DELTA_V_SCALE);
+        this.simulation.maneuverPanel.refresh();
+        return plan.nodes.map(node => daysFromTime(node.time));
+    }
+
+    /**
+     * Day of an asteroid's next periapsis, or null if it is leaving on an open orbit
+     */
+    periapsis(id) {
+        const orbit = this.core.currentOrbit(this.asteroid(id));
+        const time = timeAtTrueAnomaly(orbit, 0, this.core.time);
+        return time === null ? null : daysFromTime(time);
+    }
+
+    /**
+     * Day of an asteroid's next apoapsis, or null on an open orbit
+     */
+    apoapsis(id) {
+        const orbit = this.core.currentOrbit(this.asteroid(id));
+        if (!isClosedOrbit(orbit)) return null;
+        return daysFromTime(timeAtTrueAnomaly(orbit, Math.PI, this.core.time));
+    }
+
+    /**
+     * Show a burn of the selected asteroid on the orbit panel without applying it
+     * @param prograde - Prograde delta-v in km/s
+     * @param radial - Radial-out delta-v in km/s
+     */
+    preview(prograde, radial = 0) {
+        const asteroid = this.simulation.selectionManager.getSelected();
+        if (!asteroid) throw new Error('Nothing selected');
+
+        const burn = burnVectorFromComponents(asteroid, prograde, radial);
+        this.simulation.deltaVPanel.setDeltaV(magnitude(burn.dvx, burn.dvy), Math.atan2(burn.dvy, burn.dvx));
+        return this.simulation.deltaVPanel.projectedOrbit ? 'Press apply() to burn' : 'No orbit for this burn';
+    }
+
+    /**
+     * Apply the burn shown on the orbit panel
+     * @returns Elements after the burn, or null if no burn was shown
+     */
+    apply() {
+        const asteroid = this.simulation.deltaVPanel.asteroid;
+        return this.simulation.deltaVPanel.apply() ? this.elements(asteroid.id) : null;
+    }
+
+    undo() {
+        this.simulation.undo();
+    }
+
+    redo() {
+        this.simulation.redo();
+    }
+
+    /**
+     * Put an asteroid back on the orbit it was created with (undoable)
+     */
+    revert(id) {
+        return this.core.revertAsteroid(this.asteroid(id));
+    }
+
+    /**
+     * Centre the view
+     * @param args - An asteroid id, or x and y in AU
+     */
+    center(...args) {
+        const camera = this.simulation.camera;
+        if (args.length === 1) {
+            const asteroid = this.asteroid(args[0]);
+            camera.centerOn(asteroid.x, asteroid.y);
+        } else {
+            camera.centerOn(args[0] * AU_TO_PIXELS, args[1] * AU_TO_PIXELS);
+        }
+    }
+
+    /**
+     * Get or set the zoom (clamped to the camera's range)
+     */
+    zoom(z) {
+        if (z !== undefined) this.simulation.camera.setZoom(z);
+        return this.simulation.camera.getZoom();
+    }
+
+    /**
+     * Select and follow an asteroid, or stop following with null
+     */
+    follow(id) {
+        if (id !== null && id !== undefined) this.select(id);
+        this.simulation.setFollow(id !== null && id !== undefined);
+    }
+
+    /**
+     * Switch the view's reference frame
+     * @param mode - 'inertial', 'body' (co-rotating with the selection) or 'period'
+     * @param years - Period of the 'period' frame
+     */
+    frame(mode, years) {
+        if (years !== undefined) this.simulation.framePeriodInput.value = years;
+        this.simulation.setFrame(mode);
+        return this.simulation.frameSelect.value;
+    }
+
+    /**
+     * Listen to an event
+     * API events: select (id or null), target (id or null), and frame (day) after every frame's
+     * update. Every other type is a simulation core event (see SimulationCore.on).
+     * @returns Function that removes the listener
+     */
+    on(type, listener) {
+        if (!API_EVENTS.includes(type)) return this.core.on(type, listener);
+
+        if (!this.listeners.has(type)) this.listeners.set(type, new Set());
+        this.listeners.get(type).add(listener);
+        return () => this.listeners.get(type).delete(listener);
+    }
+
+    /**
+     * Call the listeners of an API event
+     */
+    notify(type, ...args) {
+        const listeners = this.listeners.get(type);
+        if (!listeners) return;
+        for (const listener of listeners) {
+            listener(...args);
+        }
+    }
+
+    help() {
+        const width = Math.max(...COMMANDS.map(([usage]) => usage.length));
+        return COMMANDS.map(([usage, text]) => `${usage.padEnd(width)}  ${text}`).join('\n');
+    }
+
+    /**
+     * Evaluate a console command
+     * Commands are JavaScript with the API's commands in scope as plain functions (and the API
+     * itself as belt): an expression returns its value, statements need an explicit return.
+     * @param source - Command text
+     * @returns Its value (a promise is returned as is)
+     */
+    evaluate(source) {
+        const names = ScriptingApi.commandNames();
+        const commands = names.map(name => this[name].bind(this));
+
+        let run;
+        try {
+            run = new Function('belt', ...names, `return (${source}\n);`);
+        } catch {
+            // Not an expression: a sequence of statements
+            run = new Function('belt', ...names, source);
+        }
+        return run(this, ...commands);
+    }
+}
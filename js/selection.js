@@ -1,149 +1,55 @@
-// Selection system with quadtree for efficient click detection
+// Selection system with a spatial index for efficient click detection
 
 import { CLICK_TOLERANCE } from './constants.js';
+import { SpatialIndex } from './spatial-index.js';
 
 /**
- * Simple quadtree for spatial partitioning
+ * Selection manager for handling asteroid selection
  */
-class QuadTree {
-    constructor(bounds, capacity = 4) {
-        this.bounds = bounds; // { x, y, width, height }
-        this.capacity = capacity;
-        this.objects = [];
-        this.divided = false;
-        this.northeast = null;
-        this.northwest = null;
-        this.southeast = null;
-        this.southwest = null;
-    }
-
+export class SelectionManager {
     /**
-     * Check if a point is within bounds
+     * @param index - Spatial index of the asteroids (shared with whatever else queries them)
      */
-    containsPoint(x, y) {
-        return x >= this.bounds.x &&
-               x < this.bounds.x + this.bounds.width &&
-               y >= this.bounds.y &&
-               y < this.bounds.y + this.bounds.height;
+    constructor(index = new SpatialIndex()) {
+        this.index = index;
+        this.selectedAsteroid = null;
+        this.group = new Set(); // Every selected asteroid; the primary selection is one of them
+        this.targetAsteroid = null; // Transfer target
+        this.onSelectionChange = null; // Callback
+        this.onGroupChange = null; // Callback
+        this.onTargetChange = null; // Callback
     }
 
     /**
-     * Check if bounds intersect with a circle
+     * All asteroids overlapping a circle
+     * @param x - Circle centre X
+     * @param y - Circle centre Y
+     * @param radius - Circle radius in world units
      */
-    intersectsCircle(cx, cy, radius) {
-        // Find closest point on rectangle to circle center
-        const closestX = Math.max(this.bounds.x, Math.min(cx, this.bounds.x + this.bounds.width));
-        const closestY = Math.max(this.bounds.y, Math.min(cy, this.bounds.y + this.bounds.height));
-
-        const dx = cx - closestX;
-        const dy = cy - closestY;
-
-        return dx * dx + dy * dy <= radius * radius;
+    queryCircle(x, y, radius) {
+        return this.index.queryCircle(x, y, radius);
     }
 
     /**
-     * Subdivide this node into 4 children
+     * All asteroids overlapping a rectangle
+     * @param minX - Left edge in world units
+     * @param minY - Top edge
+     * @param maxX - Right edge
+     * @param maxY - Bottom edge
      */
-    subdivide() {
-        const x = this.bounds.x;
-        const y = this.bounds.y;
-        const w = this.bounds.width / 2;
-        const h = this.bounds.height / 2;
-
-        this.northeast = new QuadTree({ x: x + w, y: y, width: w, height: h }, this.capacity);
-        this.northwest = new QuadTree({ x: x, y: y, width: w, height: h }, this.capacity);
-        this.southeast = new QuadTree({ x: x + w, y: y + h, width: w, height: h }, this.capacity);
-        this.southwest = new QuadTree({ x: x, y: y + h, width: w, height: h }, this.capacity);
-
-        this.divided = true;
+    queryRect(minX, minY, maxX, maxY) {
+        return this.index.queryRect(minX, minY, maxX, maxY);
     }
 
     /**
-     * Insert an object into the quadtree
-     * @param obj - Object with x, y, radius properties
+     * The k asteroids nearest to a point, measured to their edges
+     * @param x - Point X
+     * @param y - Point Y
+     * @param k - Number of asteroids
+     * @param maxDistance - Asteroids further than this are left out
      */
-    insert(obj) {
-        if (!this.containsPoint(obj.x, obj.y)) {
-            return false;
-        }
-
-        if (this.objects.length < this.capacity && !this.divided) {
-            this.objects.push(obj);
-            return true;
-        }
-
-        if (!this.divided) {
-            this.subdivide();
-
-            // Move existing objects to children
-            for (const existing of this.objects) {
-                this.northeast.insert(existing) ||
-                this.northwest.insert(existing) ||
-                this.southeast.insert(existing) ||
-                this.southwest.insert(existing);
-            }
-            this.objects = [];
-        }
-
-        return this.northeast.insert(obj) ||
-               this.northwest.insert(obj) ||
-               this.southeast.insert(obj) ||
-               this.southwest.insert(obj);
-    }
-
-    /**
-     * Query all objects within a circular range
-     */
-    queryCircle(cx, cy, radius, found = []) {
-        if (!this.intersectsCircle(cx, cy, radius)) {
-            return found;
-        }
-
-        for (const obj of this.objects) {
-            const dx = obj.x - cx;
-            const dy = obj.y - cy;
-            if (dx * dx + dy * dy <= radius * radius) {
-                found.push(obj);
-            }
-        }
-
-        if (this.divided) {
-            this.northeast.queryCircle(cx, cy, radius, found);
-            this.northwest.queryCircle(cx, cy, radius, found);
-            this.southeast.queryCircle(cx, cy, radius, found);
-            this.southwest.queryCircle(cx, cy, radius, found);
-        }
-
-        return found;
-    }
-}
-
-/**
- * Selection manager for handling asteroid selection
- */
-export class SelectionManager {
-    constructor() {
-        this.quadtree = null;
-        this.selectedAsteroid = null;
-        this.onSelectionChange = null; // Callback
-    }
-
-    /**
-     * Rebuild the quadtree with current asteroid positions
-     * @param asteroids - Array of asteroids
-     * @param bounds - World bounds { minX, minY, width, height }
-     */
-    rebuildQuadtree(asteroids, bounds) {
-        this.quadtree = new QuadTree({
-            x: bounds.minX,
-            y: bounds.minY,
-            width: bounds.width,
-            height: bounds.height
-        }, 8);
-
-        for (const asteroid of asteroids) {
-            this.quadtree.insert(asteroid);
-        }
+    nearest(x, y, k, maxDistance = Infinity) {
+        return this.index.nearest(x, y, k, maxDistance);
     }
 
     /**
@@ -153,22 +59,13 @@ export class SelectionManager {
      * @param tolerance - Click tolerance in world units
      */
     findAsteroidAt(worldX, worldY, tolerance) {
-        if (!this.quadtree) return null;
-
-        // Query nearby objects
-        const candidates = this.quadtree.queryCircle(worldX, worldY, tolerance + 50);
-
-        // Find the closest one that contains the point
+        // Asteroids within the tolerance of their edge; the one with the closest centre wins
         let closest = null;
         let closestDist = Infinity;
 
-        for (const asteroid of candidates) {
-            const dx = worldX - asteroid.x;
-            const dy = worldY - asteroid.y;
-            const dist = Math.sqrt(dx * dx + dy * dy);
-            const hitRadius = asteroid.radius + tolerance;
-
-            if (dist <= hitRadius && dist < closestDist) {
+        for (const asteroid of this.index.queryCircle(worldX, worldY, tolerance)) {
+            const dist = Math.hypot(worldX - asteroid.x, worldY - asteroid.y);
+            if (dist < closestDist) {
                 closest = asteroid;
                 closestDist = dist;
             }
@@ -183,13 +80,66 @@ export class SelectionManager {
      * @param screenY - Screen Y coordinate
      * @param camera - Camera for coordinate transformation
      */
-    handleClick(screenX, screenY, camera) {
+    handleClick(screenX, screenY, camera, additive = false) {
         const world = camera.screenToWorld(screenX, screenY);
         const tolerance = CLICK_TOLERANCE / camera.zoom;
 
         const asteroid = this.findAsteroidAt(world.x, world.y, tolerance);
 
-        this.select(asteroid);
+        if (additive) {
+            if (asteroid) this.toggle(asteroid);
+        } else {
+            this.select(asteroid);
+        }
+    }
+
+    /**
+     * Select every asteroid inside a rectangle drawn on screen
+     * @param x1 - Screen X of one corner
+     * @param y1 - Screen Y of one corner
+     * @param x2 - Screen X of the opposite corner
+     * @param y2 - Screen Y of the opposite corner
+     * @param camera - Camera for coordinate transformation
+     * @param additive - Add to the current selection instead of replacing it
+     */
+    handleBoxSelect(x1, y1, x2, y2, camera, additive = false) {
+        // A rotated view turns the box in world space: query the box around all four corners,
+        // then keep what falls inside it on screen
+        const corners = [
+            camera.screenToWorld(x1, y1),
+            camera.screenToWorld(x2, y1),
+            camera.screenToWorld(x2, y2),
+            camera.screenToWorld(x1, y2)
+        ];
+        const xs = corners.map(c => c.x);
+        const ys = corners.map(c => c.y);
+        const minX = Math.min(x1, x2);
+        const maxX = Math.max(x1, x2);
+        const minY = Math.min(y1, y2);
+        const maxY = Math.max(y1, y2);
+        const found = this.queryRect(Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys))
+            .filter(asteroid => {
+                const screen = camera.worldToScreen(asteroid.x, asteroid.y);
+                return screen.x >= minX && screen.x <= maxX && screen.y >= minY && screen.y <= maxY;
+            });
+
+        this.selectMany(additive ? [...this.group, ...found] : found);
+    }
+
+    /**
+     * Handle target-picking click (right click) at screen coordinates
+     * Clicking empty space or a selected asteroid clears the target.
+     * @param screenX - Screen X coordinate
+     * @param screenY - Screen Y coordinate
+     * @param camera - Camera for coordinate transformation
+     */
+    handleTargetClick(screenX, screenY, camera) {
+        const world = camera.screenToWorld(screenX, screenY);
+        const tolerance = CLICK_TOLERANCE / camera.zoom;
+
+        const asteroid = this.findAsteroidAt(world.x, world.y, tolerance);
+
+        this.setTarget(asteroid && this.group.has(asteroid) ? null : asteroid);
     }
 
     /**
@@ -197,11 +147,67 @@ export class SelectionManager {
      * @param asteroid - Asteroid to select, or null to deselect
      */
     select(asteroid) {
-        const changed = this.selectedAsteroid !== asteroid;
-        this.selectedAsteroid = asteroid;
+        this.setGroup(asteroid ? [asteroid] : [], asteroid);
+    }
+
+    /**
+     * Select several asteroids; the first becomes the primary selection
+     * @param asteroids - Asteroids to select (empty to deselect)
+     */
+    selectMany(asteroids) {
+        const primary = asteroids.includes(this.selectedAsteroid) ? this.selectedAsteroid : (asteroids[0] || null);
+        this.setGroup(asteroids, primary);
+    }
+
+    /**
+     * Add an asteroid to the selection (making it primary), or remove it if already selected
+     */
+    toggle(asteroid) {
+        if (!this.group.has(asteroid)) {
+            this.setGroup([...this.group, asteroid], asteroid);
+            return;
+        }
+
+        const rest = [...this.group].filter(a => a !== asteroid);
+        const primary = asteroid === this.selectedAsteroid ? (rest[rest.length - 1] || null) : this.selectedAsteroid;
+        this.setGroup(rest, primary);
+    }
+
+    /**
+     * Drop removed asteroids from the selection and target
+     * @param gone - Set of removed asteroids
+     */
+    forget(gone) {
+        if (gone.has(this.targetAsteroid)) {
+            this.setTarget(null);
+        }
+        if ([...this.group].some(a => gone.has(a))) {
+            this.selectMany([...this.group].filter(a => !gone.has(a)));
+        }
+    }
+
+    /**
+     * Replace the selection
+     * @param asteroids - Selected asteroids
+     * @param primary - The one shown in the orbit panel (one of asteroids, or null)
+     */
+    setGroup(asteroids, primary) {
+        const group = new Set(asteroids);
+        const groupChanged = group.size !== this.group.size || asteroids.some(a => !this.group.has(a));
+        const changed = this.selectedAsteroid !== primary;
+        this.group = group;
+        this.selectedAsteroid = primary;
+
+        // A source can't also be the target
+        if (this.targetAsteroid && group.has(this.targetAsteroid)) {
+            this.setTarget(null);
+        }
 
         if (changed && this.onSelectionChange) {
-            this.onSelectionChange(asteroid);
+            this.onSelectionChange(primary);
+        }
+        if (groupChanged && this.onGroupChange) {
+            this.onGroupChange([...group]);
         }
     }
 
@@ -220,9 +226,43 @@ export class SelectionManager {
     }
 
     /**
-     * Check if an asteroid is selected
+     * Check if an asteroid is the primary selection
      */
     isSelected(asteroid) {
         return this.selectedAsteroid === asteroid;
     }
+
+    /**
+     * Get every selected asteroid
+     */
+    getGroup() {
+        return [...this.group];
+    }
+
+    /**
+     * Check if an asteroid is part of the selection
+     */
+    isInGroup(asteroid) {
+        return this.group.has(asteroid);
+    }
+
+    /**
+     * Set the transfer target
+     * @param asteroid - Target asteroid, or null to clear
+     */
+    setTarget(asteroid) {
+        const changed = this.targetAsteroid !== asteroid;
+        this.targetAsteroid = asteroid;
+
+        if (changed && this.onTargetChange) {
+            this.onTargetChange(asteroid);
+        }
+    }
+
+    /**
+     * Get current transfer target
+     */
+    getTarget() {
+        return this.targetAsteroid;
+    }
 }
@@ -0,0 +1,611 @@
+// Simulation core: the belt, its clock, propagation, maneuvers, history and collisions, without any DOM
+//
+// The browser UI (main.js) wraps one; in Node it runs on its own, e.g. from a script:
+//
+//   import { SimulationCore } from './js/simulation-core.js';
+//   import { TIME_UNITS_PER_DAY } from './js/clock.js';
+//
+//   const core = new SimulationCore({ seed: 'ceres' });
+//   core.step(365 * TIME_UNITS_PER_DAY);
+//
+// Changes the UI has to follow are announced as events (see on()).
+
+import { DEFAULT_POPULATIONS, PLANETS } from './constants.js';
+import { Planet } from './planet.js';
+import { Asteroid } from './asteroid.js';
+import { ManeuverPlan, burnVectorFromComponents } from './maneuver.js';
+import { OrbitHistory } from './history.js';
+import { computeOrbitFromStateVectors, getStateAtTime } from './orbital.js';
+import { NBodyIntegrator } from './nbody.js';
+import { Propagator } from './propagation.js';
+import { SpatialIndex } from './spatial-index.js';
+import { CollisionSystem } from './collisions.js';
+import { generateBelt } from './populations.js';
+import { createRng, seedFromString, randomSeed } from './utils.js';
+
+export class SimulationCore {
+    /**
+     * @param options - { seed, populations }: the belt is generated from the seed (random by
+     *        default) and population configs (DEFAULT_POPULATIONS by default)
+     */
+    constructor({ seed = randomSeed(), populations = DEFAULT_POPULATIONS } = {}) {
+        // Listeners by event type (see on())
+        this.listeners = new Map();
+
+        this.time = 0;
+        // Earliest time the clock may go back to: the last collision (see timeTravelBlocker())
+        this.rewindLimit = -Infinity;
+        this.planets = PLANETS.map(definition => new Planet(definition));
+
+        // Propagation: 'kepler' (analytic) or 'nbody' (integrated with perturbations)
+        this.propagationMode = 'kepler';
+        this.integrator = new NBodyIntegrator();
+        for (const planet of this.planets) {
+            this.integrator.addBody(planet);
+        }
+        this.propagator = new Propagator();
+
+        // Asteroid collisions (off by default), found through the spatial index
+        this.collisions = new CollisionSystem();
+        this.index = new SpatialIndex();
+
+        // Maneuver nodes (one plan per asteroid with pending burns) and the undo history
+        this.maneuverPlans = new Map();
+        this.history = new OrbitHistory();
+
+        this.asteroids = [];
+        this.nextAsteroidId = 0;
+        this.populations = structuredClone(populations);
+        this.generate(seed);
+    }
+
+    /**
+     * Listen to an event
+     * Events and their arguments:
+     *   reset       - The belt was replaced
+     *   orbitchange - (asteroid) An asteroid's orbit changed (burn, node, undo, merge...)
+     *   nodes       - Maneuver nodes were executed
+     *   history     - The undo history changed
+     *   collision   - (event, result, reach) Two asteroids collided; reach is their summed radii
+     *   remove      - (removed, gone) Asteroids were removed: an array and a Set of them
+     * @param type - Event type
+     * @param listener - Called with the event's arguments
+     * @returns Function that removes the listener
+     */
+    on(type, listener) {
+        if (!this.listeners.has(type)) this.listeners.set(type, new Set());
+        this.listeners.get(type).add(listener);
+        return () => this.listeners.get(type).delete(listener);
+    }
+
+    /**
+     * Call the listeners of an event
+     */
+    emit(type, ...args) {
+        const listeners = this.listeners.get(type);
+        if (!listeners) return;
+        for (const listener of listeners) {
+            listener(...args);
+        }
+    }
+
+    /**
+     * Replace the belt with one generated from a seed and the current population configs
+     * @param seed - Seed string; the same seed and populations always give the same belt
+     */
+    generate(seed) {
+        this.seed = seed;
+        // Collisions draw from the same stream after generation, so a seeded run repeats exactly
+        this.rng = createRng(seedFromString(seed));
+        this.replaceAsteroids(generateBelt(this.populations, this.rng), 0);
+    }
+
+    /**
+     * Swap in a new set of asteroids at a given time, dropping everything tied to the old ones
+     * New ids continue after the highest id among the asteroids.
+     * @param asteroids - New asteroids
+     * @param time - Simulation time to continue from
+     */
+    replaceAsteroids(asteroids, time) {
+        this.time = time;
+        this.rewindLimit = -Infinity;
+        this.asteroids = asteroids;
+        this.nextAsteroidId = asteroids.reduce((next, a) => Math.max(next, a.id + 1), 0);
+        for (const asteroid of asteroids) {
+            asteroid.update(time);
+        }
+        for (const planet of this.planets) {
+            planet.update(time);
+        }
+
+        this.maneuverPlans.clear();
+        this.history.clear();
+        this.collisions.clearLog();
+        this.collisions.resetContacts();
+        this.index.update(this.asteroids);
+        this.emit('reset');
+        this.emit('history');
+    }
+
+    /**
+     * Replace the belt, clock and settings with a validated snapshot
+     * Camera, selection and time scale are the page's (see Simulation.loadSnapshot in main.js).
+     * @param snapshot - Result of deserializeSnapshot
+     */
+    load(snapshot) {
+        this.populations = snapshot.populations ?? structuredClone(DEFAULT_POPULATIONS);
+
+        // Switched before the belt is replaced: switching to Kepler mode restarts each asteroid's
+        // timeline from its osculating orbit, which would drop the loaded timelines
+        this.setPropagationMode(snapshot.propagationMode === 'nbody' ? 'nbody' : 'kepler');
+
+        this.replaceAsteroids(snapshot.asteroids.map(data => {
+            const [first, ...changes] = data.segments;
+            const asteroid = Asteroid.fromOrbit(data.id, first.orbit, data.radius, data.color);
+            asteroid.designation = data.designation;
+            asteroid.magnitude = data.magnitude;
+            asteroid.population = data.population;
+            // Unchanged asteroids keep sharing their orbit object, so they don't count as modified
+            if (JSON.stringify(data.originalOrbit) !== JSON.stringify(first.orbit)) {
+                asteroid.originalOrbit = data.originalOrbit;
+            }
+            // Later segments are in time order; replaceAsteroids brings each to its current one
+            for (const segment of changes) {
+                asteroid.changeOrbit(segment.orbit, segment.start);
+            }
+            return asteroid;
+        }), snapshot.time);
+        this.seed = snapshot.seed;
+        // Older snapshots don't say where the stream had got to; start it over from the seed
+        this.rng = createRng(snapshot.rngState ?? seedFromString(snapshot.seed ?? randomSeed()));
+        this.nextAsteroidId = snapshot.nextAsteroidId;
+        this.rewindLimit = snapshot.rewindLimit;
+
+        for (const maneuver of snapshot.maneuvers) {
+            const plan = this.getManeuverPlan(this.getAsteroid(maneuver.asteroidId));
+            for (const node of maneuver.nodes) {
+                plan.addNode(node.time, node.prograde, node.radial);
+            }
+        }
+
+        this.collisions.setEnabled(!!snapshot.collisionsEnabled);
+    }
+
+    /**
+     * Find an asteroid by id
+     * @returns The asteroid, or null
+     */
+    getAsteroid(id) {
+        return this.asteroids.find(a => a.id === id) || null;
+    }
+
+    /**
+     * Why the clock can't be moved to a time, or null if it can
+     * Kepler propagation is analytic, so any time can be computed exactly; integrated
+     * N-body states only move forward, one step at a time. Collisions remove and create
+     * asteroids, which orbit timelines can't undo: the clock only runs forward while they are
+     * on, and never goes back before the last one (rewindLimit).
+     * @param t - Time wanted (defaults to now, to ask about the mode alone)
+     * @returns 'Kepler only', 'collisions on', 'before last collision' or null
+     */
+    timeTravelBlocker(t = this.time) {
+        if (this.propagationMode !== 'kepler') return 'Kepler only';
+        if (this.collisions.enabled) return 'collisions on';
+        if (t < this.rewindLimit) return 'before last collision';
+        return null;
+    }
+
+    /**
+     * Whether the clock may move backwards or skip ahead (see timeTravelBlocker())
+     */
+    canSetTime() {
+        return this.timeTravelBlocker() === null;
+    }
+
+    /**
+     * Move the clock to an arbitrary time
+     * Burns recorded in each asteroid's orbit timeline are undone or replayed along the way,
+     * and maneuver nodes passed on the way forward are executed at their scheduled times.
+     * Takes effect at the next update().
+     * @param t - Simulation time
+     * @returns Whether the clock was set (see timeTravelBlocker())
+     */
+    setTime(t) {
+        if (this.timeTravelBlocker(t) !== null) return false;
+        this.time = t;
+        return true;
+    }
+
+    /**
+     * Advance the clock and update everything
+     * @param dt - Simulation time to advance (negative runs backwards, when canSetTime(), and
+     *        stops at rewindLimit)
+     * @param focus - Asteroids that must be exactly up to date (see update())
+     */
+    step(dt, focus = []) {
+        if (dt > 0) {
+            this.time += dt;
+        } else if (this.canSetTime()) {
+            this.time = Math.max(this.time + dt, this.rewindLimit);
+        }
+        this.update(focus);
+    }
+
+    /**
+     * Bring the belt up to the clock: propagate, execute due maneuver nodes, remove escaped
+     * asteroids and resolve collisions
+     * @param focus - Asteroids that must be exactly up to date even when the rest of the belt
+     *        is propagated in workers, a frame behind; in N-body mode their osculating orbits
+     *        and maneuver plans are refreshed (e.g. the selected asteroids, for display)
+     */
+    update(focus = []) {
+        if (this.propagationMode === 'nbody') {
+            // The integrator may fall behind at high time scales; simulation time follows it
+            const from = this.asteroids.length > 0 ? this.asteroids[0].time : this.time;
+            this.time = this.integrator.advance(this.asteroids, from, this.time);
+
+            // Osculating elements are only needed for what is in focus
+            for (const asteroid of focus) {
+                if (!asteroid) continue;
+                asteroid.refreshOsculatingOrbit();
+                const plan = this.maneuverPlans.get(asteroid);
+                if (plan) plan.recompute();
+            }
+        } else {
+            this.propagator.propagate(this.asteroids, this.time);
+
+            // Propagated in workers, the belt is a frame behind; what is in focus isn't
+            if (this.propagator.usesWorkers()) {
+                for (const asteroid of [...focus, ...this.maneuverPlans.keys()]) {
+                    if (asteroid) asteroid.update(this.time);
+                }
+            }
+
+            // Replan when the clock crossed a recorded burn or moved back before a plan's start
+            for (const plan of this.maneuverPlans.values()) {
+                const leg = plan.legs[0];
+                if (leg.orbit !== plan.asteroid.orbit || leg.startTime > this.time) plan.recompute();
+            }
+        }
+
+        // Planets follow fixed Kepler orbits in both modes
+        for (const planet of this.planets) {
+            planet.update(this.time);
+        }
+
+        // Carry out any scheduled burns
+        this.executeManeuverNodes();
+
+        // Remove asteroids that have been flung out of the sun's sphere of influence
+        this.removeEscapedAsteroids();
+
+        // Positions changed: the spatial index catches up at its next query
+        this.index.update(this.asteroids);
+
+        // Collisions use the same index; it follows bodies being replaced
+        if (this.collisions.enabled && this.handleCollisions()) {
+            this.index.update(this.asteroids);
+        }
+    }
+
+    /**
+     * Switch between analytic Kepler propagation and N-body integration
+     * @param mode - 'kepler' or 'nbody'
+     */
+    setPropagationMode(mode) {
+        if (mode === this.propagationMode) return;
+        this.propagationMode = mode;
+
+        if (mode === 'nbody') {
+            // Worker results still on their way must not overwrite integrated states, and the
+            // integration starts with the whole belt at the same time
+            this.propagator.invalidate();
+            for (const asteroid of this.asteroids) {
+                asteroid.update(this.time);
+            }
+        } else {
+            // Continue analytically from wherever the integration left each asteroid
+            for (const asteroid of this.asteroids) {
+                asteroid.refreshOsculatingOrbit();
+            }
+            for (const plan of this.maneuverPlans.values()) {
+                plan.recompute();
+            }
+        }
+    }
+
+    /**
+     * An asteroid's orbit as it is now: osculating in N-body mode, where the stored orbit
+     * is only refreshed for asteroids in focus
+     */
+    currentOrbit(asteroid) {
+        if (this.propagationMode !== 'nbody') return asteroid.orbit;
+        return computeOrbitFromStateVectors(
+            { x: asteroid.x, y: asteroid.y },
+            { vx: asteroid.vx, vy: asteroid.vy },
+            asteroid.time
+        ) || asteroid.orbit;
+    }
+
+    /**
+     * Detect collisions through the spatial index and replace the bodies involved
+     * @returns Whether any collision happened
+     */
+    handleCollisions() {
+        const pairs = this.collisions.detect(this.asteroids, this.index);
+        if (pairs.length === 0) return false;
+
+        const removed = [];
+        const added = [];
+
+        // Nothing before now can be replayed without the bodies this removes
+        this.rewindLimit = this.time;
+
+        for (const [a, b] of pairs) {
+            // The belt may be a frame behind (see Propagator); resolve from the exact states
+            if (this.propagationMode === 'kepler') {
+                a.update(this.time);
+                b.update(this.time);
+            }
+            const result = this.collisions.resolve(a, b, this.time, () => this.nextAsteroidId++, this.rng);
+            this.emit('collision', this.collisions.log[0], result, a.radius + b.radius);
+
+            if (result.type === 'merge') {
+                result.survivor.radius = result.radius;
+                this.applyOrbitChange(result.survivor, result.orbit);
+                // Undoing an earlier change would drop the merge from the survivor's timeline
+                this.history.forgetAsteroids(new Set([result.survivor.id]));
+            } else {
+                added.push(...result.fragments);
+            }
+            removed.push(...result.removed);
+        }
+
+        this.removeAsteroids(removed);
+        this.asteroids.push(...added);
+        return true;
+    }
+
+    /**
+     * Remove asteroids on open orbits that are past the sphere of influence
+     */
+    removeEscapedAsteroids() {
+        // Integrated asteroids need fresh elements to tell whether they are still bound
+        if (this.propagationMode === 'nbody') {
+            for (const asteroid of this.asteroids) {
+                if (asteroid.isOutsideSphereOfInfluence()) asteroid.refreshOsculatingOrbit();
+            }
+        }
+
+        const escaped = this.asteroids.filter(a => a.hasEscaped());
+        if (escaped.length > 0) this.removeAsteroids(escaped);
+    }
+
+    /**
+     * Remove asteroids along with their maneuver plans and history
+     * @param removed - Asteroids to remove
+     */
+    removeAsteroids(removed) {
+        const gone = new Set(removed);
+        this.asteroids = this.asteroids.filter(a => !gone.has(a));
+
+        for (const asteroid of removed) {
+            this.maneuverPlans.delete(asteroid);
+        }
+        this.history.forgetAsteroids(new Set(removed.map(a => a.id)));
+
+        this.emit('remove', removed, gone);
+        this.emit('history');
+    }
+
+    /**
+     * Apply an orbit change to an asteroid
+     * @param asteroid - Asteroid to change
+     * @param newOrbit - Orbit from the change on
+     * @param time - Time of the change (defaults to now); the earlier orbit is kept for rewinding
+     */
+    applyOrbitChange(asteroid, newOrbit, time = this.time) {
+        asteroid.changeOrbit(newOrbit, time);
+        this.afterOrbitChange(asteroid);
+    }
+
+    /**
+     * Bring an asteroid's state and maneuver plan up to date after its orbit changed
+     */
+    afterOrbitChange(asteroid) {
+        asteroid.update(this.time);
+
+        // Pending nodes now start from the new orbit
+        const plan = this.maneuverPlans.get(asteroid);
+        if (plan) plan.recompute();
+
+        this.emit('orbitchange', asteroid);
+    }
+
+    /**
+     * Apply a burn and record it in the undo history
+     * @param asteroid - Asteroid making the burn
+     * @param newOrbit - Orbit after the burn
+     * @param burn - World-space delta-v { dvx, dvy }
+     * @param label - How the change is listed in the history
+     * @param time - Time of the burn (defaults to now)
+     */
+    applyManeuver(asteroid, newOrbit, burn, label, time = this.time) {
+        const change = this.trackOrbitChange(asteroid, burn, time, () => {
+            this.applyOrbitChange(asteroid, newOrbit, time);
+        });
+        this.history.record(label, time, [change]);
+        this.emit('history');
+    }
+
+    /**
+     * Apply the same prograde/radial burn to several asteroids now, as one undoable entry
+     * Each asteroid burns in its own frame at its current state.
+     * @param asteroids - Asteroids making the burn
+     * @param prograde - Prograde delta-v (velocity units)
+     * @param radial - Radial-out delta-v (velocity units)
+     * @param label - How the change is listed in the history
+     */
+    applyGroupManeuver(asteroids, prograde, radial, label = 'Group burn') {
+        if (asteroids.length === 0) return;
+
+        const changes = asteroids.map(asteroid => {
+            const burn = burnVectorFromComponents(asteroid, prograde, radial);
+            const orbit = this.orbitAfterBurn(asteroid, asteroid.time, burn, asteroid.orbit);
+            return this.trackOrbitChange(asteroid, burn, this.time, () => {
+                this.applyOrbitChange(asteroid, orbit);
+            });
+        });
+
+        this.history.record(label, this.time, changes);
+        this.emit('history');
+    }
+
+    /**
+     * Put an asteroid back on the orbit it was created with (undoable)
+     * @returns Whether there was anything to revert
+     */
+    revertAsteroid(asteroid) {
+        if (!asteroid.isModified()) return false;
+
+        const change = this.trackOrbitChange(asteroid, null, this.time, () => {
+            asteroid.revertToOriginal();
+            this.afterOrbitChange(asteroid);
+        });
+        this.history.record('Revert', this.time, [change]);
+        this.emit('history');
+        return true;
+    }
+
+    /**
+     * Make an orbit change and describe it for the undo history
+     * @param asteroid - Asteroid being changed
+     * @param burn - World-space delta-v behind the change, or null
+     * @param time - Time of the change
+     * @param apply - Makes the change
+     * @returns { asteroidId, oldOrbit, newOrbit, burn, before, after }
+     */
+    trackOrbitChange(asteroid, burn, time, apply) {
+        const before = asteroid.getTimeline();
+        const oldOrbit = asteroid.orbitAt(time);
+        apply();
+        return {
+            asteroidId: asteroid.id,
+            oldOrbit,
+            newOrbit: asteroid.orbitAt(time),
+            burn,
+            before,
+            after: asteroid.getTimeline()
+        };
+    }
+
+    /**
+     * Undo the most recent history entry
+     * @returns The undone entry, or null if there was none
+     */
+    undo() {
+        const entry = this.history.undo();
+        if (entry) this.restoreTimelines(entry, 'before');
+        return entry;
+    }
+
+    /**
+     * Redo the most recently undone history entry
+     * @returns The redone entry, or null if there was none
+     */
+    redo() {
+        const entry = this.history.redo();
+        if (entry) this.restoreTimelines(entry, 'after');
+        return entry;
+    }
+
+    /**
+     * Put the orbit timelines of every asteroid in a history entry back to a recorded state
+     * Changes to removed asteroids have already been dropped from the history.
+     * @param entry - History entry
+     * @param which - 'before' (undo) or 'after' (redo)
+     */
+    restoreTimelines(entry, which) {
+        const byId = new Map(this.asteroids.map(a => [a.id, a]));
+        for (const change of entry.changes) {
+            const asteroid = byId.get(change.asteroidId);
+            asteroid.setTimeline(change[which]);
+            this.afterOrbitChange(asteroid);
+        }
+        this.emit('history');
+    }
+
+    /**
+     * Get an asteroid's maneuver plan, creating an empty one if needed
+     */
+    getManeuverPlan(asteroid) {
+        let plan = this.maneuverPlans.get(asteroid);
+        if (!plan) {
+            plan = new ManeuverPlan(asteroid);
+            this.maneuverPlans.set(asteroid, plan);
+        }
+        return plan;
+    }
+
+    /**
+     * Drop empty plans
+     * @param keep - Asteroid whose plan is kept even when empty (e.g. one being edited), or null
+     */
+    pruneManeuverPlans(keep = null) {
+        for (const [asteroid, plan] of this.maneuverPlans) {
+            if (plan.isEmpty() && asteroid !== keep) {
+                this.maneuverPlans.delete(asteroid);
+            }
+        }
+    }
+
+    /**
+     * Execute maneuver nodes whose time has come
+     * Each node's burn happens exactly at its scheduled time, even if the frame overshoots it.
+     */
+    executeManeuverNodes() {
+        let executed = false;
+
+        for (const plan of this.maneuverPlans.values()) {
+            const asteroid = plan.asteroid;
+            let node = plan.nodes[0];
+            while (node && node.time <= this.time) {
+                plan.removeNode(node);
+
+                if (this.propagationMode === 'nbody') {
+                    // Integrated trajectories drift from the predicted leg, so burn from the actual state
+                    const burn = burnVectorFromComponents(asteroid, node.prograde, node.radial);
+                    const orbit = this.orbitAfterBurn(asteroid, asteroid.time, burn, asteroid.orbit);
+                    this.applyManeuver(asteroid, orbit, burn, 'Node');
+                } else {
+                    // Burn from the orbit the asteroid was on at the node: after a jump across a
+                    // replayed burn, that isn't necessarily its current one
+                    const before = asteroid.orbitAt(node.time);
+                    const state = getStateAtTime(before, node.time);
+                    const burn = burnVectorFromComponents(state, node.prograde, node.radial);
+                    const orbit = this.orbitAfterBurn(state, node.time, burn, before);
+                    this.applyManeuver(asteroid, orbit, burn, 'Node', node.time);
+                }
+                executed = true;
+                node = plan.nodes[0];
+            }
+        }
+
+        if (executed) this.emit('nodes');
+    }
+
+    /**
+     * Orbit resulting from a burn
+     * @param state - { x, y, vx, vy } just before the burn
+     * @param time - Time of the burn
+     * @param burn - World-space delta-v { dvx, dvy }
+     * @param fallback - Orbit to keep if the burn leaves a radial trajectory
+     */
+    orbitAfterBurn(state, time, burn, fallback) {
+        return computeOrbitFromStateVectors(
+            { x: state.x, y: state.y },
+            { vx: state.vx + burn.dvx, vy: state.vy + burn.dvy },
+            time
+        ) || fallback;
+    }
+}
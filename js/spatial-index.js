@@ -0,0 +1,292 @@
+// Spatial index: a hierarchical grid over the bodies' centres, updated incrementally
+
+import { SPATIAL_CELL_SIZE } from './constants.js';
+
+// Cells per axis on either side of the origin that get a key of their own; bodies further out
+// share the outermost cells (queries still test their exact positions)
+const CELL_LIMIT = 32767;
+const KEY_STRIDE = 2 * CELL_LIMIT + 1;
+const LEVEL_STRIDE = KEY_STRIDE * KEY_STRIDE;
+
+// Levels of cells doubling in size; bodies wider than the coarsest cell share it
+const MAX_LEVEL = 15;
+
+/**
+ * Spatial index of bodies with x, y and radius (asteroids)
+ * Each body is bucketed by the cell of its centre in the finest level whose cells are at least
+ * as wide as its radius, so a query only has to widen its search by one cell per level to find
+ * every body it overlaps, however large a few bodies grow.
+ *
+ * The index follows an array of bodies: update() only marks it stale, and the next query moves
+ * the bodies whose cell (or whose place in the array) changed. Frames without queries cost
+ * nothing, and unmoved bodies are never re-bucketed.
+ */
+export class SpatialIndex {
+    /**
+     * @param cellSize - Cell width of the finest level, in world units
+     */
+    constructor(cellSize = SPATIAL_CELL_SIZE) {
+        this.cellSize = cellSize;
+
+        // Bodies array followed, the bodies as last indexed and the cell key of each
+        this.source = [];
+        this.items = [];
+        this.keys = [];
+
+        // Positions in items by cell key
+        this.cells = new Map();
+
+        // Occupied levels: { size, count, minX, minY, maxX, maxY } with the range in cells
+        this.levels = [];
+
+        // Box around every body's centre
+        this.bounds = null;
+
+        this.stale = false;
+    }
+
+    /**
+     * Follow an array of bodies whose positions (or members) have changed
+     * The index is brought up to date by the next query.
+     * @param bodies - Bodies to index
+     */
+    update(bodies) {
+        this.source = bodies;
+        this.stale = true;
+    }
+
+    /**
+     * Level a body of a given radius is bucketed in
+     */
+    levelOf(radius) {
+        let level = 0;
+        let size = this.cellSize;
+        while (radius > size && level < MAX_LEVEL) {
+            size *= 2;
+            level++;
+        }
+        return level;
+    }
+
+    /**
+     * Cell coordinate of a world coordinate, for cells of a size
+     */
+    cellOf(value, size) {
+        const cell = Math.floor(value / size);
+        return cell < -CELL_LIMIT ? -CELL_LIMIT : (cell > CELL_LIMIT ? CELL_LIMIT : cell);
+    }
+
+    /**
+     * Key of a cell
+     */
+    keyOf(level, cellX, cellY) {
+        return level * LEVEL_STRIDE + (cellX + CELL_LIMIT) * KEY_STRIDE + (cellY + CELL_LIMIT);
+    }
+
+    /**
+     * Bring the index up to date with its bodies
+     */
+    refresh() {
+        if (!this.stale) return;
+        this.stale = false;
+
+        const bodies = this.source;
+        const items = this.items;
+        const keys = this.keys;
+
+        // Positions past the end of the array are gone
+        for (let i = items.length - 1; i >= bodies.length; i--) {
+            this.removeFromCell(keys[i], i);
+        }
+        items.length = Math.min(items.length, bodies.length);
+        keys.length = items.length;
+
+        const levels = [];
+        let minX = Infinity;
+        let minY = Infinity;
+        let maxX = -Infinity;
+        let maxY = -Infinity;
+
+        for (let i = 0; i < bodies.length; i++) {
+            const body = bodies[i];
+            const level = this.levelOf(body.radius);
+            const size = this.cellSize * 2 ** level;
+            const cellX = this.cellOf(body.x, size);
+            const cellY = this.cellOf(body.y, size);
+            const key = this.keyOf(level, cellX, cellY);
+
+            if (i >= items.length) {
+                items.push(body);
+                keys.push(key);
+                this.addToCell(key, i);
+            } else if (items[i] !== body || keys[i] !== key) {
+                items[i] = body;
+                this.removeFromCell(keys[i], i);
+                keys[i] = key;
+                this.addToCell(key, i);
+            }
+
+            const range = levels[level] ??= {
+                size, count: 0, minX: cellX, minY: cellY, maxX: cellX, maxY: cellY
+            };
+            range.count++;
+            if (cellX < range.minX) range.minX = cellX;
+            if (cellX > range.maxX) range.maxX = cellX;
+            if (cellY < range.minY) range.minY = cellY;
+            if (cellY > range.maxY) range.maxY = cellY;
+
+            if (body.x < minX) minX = body.x;
+            if (body.x > maxX) maxX = body.x;
+            if (body.y < minY) minY = body.y;
+            if (body.y > maxY) maxY = body.y;
+        }
+
+        this.levels = levels;
+        this.bounds = bodies.length > 0 ? { minX, minY, maxX, maxY } : null;
+    }
+
+    addToCell(key, position) {
+        const cell = this.cells.get(key);
+        if (cell) {
+            cell.push(position);
+        } else {
+            this.cells.set(key, [position]);
+        }
+    }
+
+    removeFromCell(key, position) {
+        const cell = this.cells.get(key);
+        const index = cell.indexOf(position);
+        cell[index] = cell[cell.length - 1];
+        cell.pop();
+        if (cell.length === 0) this.cells.delete(key);
+    }
+
+    /**
+     * Call a function for every body that might overlap a rectangle
+     * In each level the rectangle is widened by a cell, the largest radius bucketed there. A level
+     * whose widened rectangle spans more cells than it has bodies goes through its occupied cells
+     * instead.
+     */
+    forEachCandidate(minX, minY, maxX, maxY, callback) {
+        const items = this.items;
+
+        this.levels.forEach((range, level) => {
+            const size = range.size;
+            const x0 = Math.max(this.cellOf(minX - size, size), range.minX);
+            const y0 = Math.max(this.cellOf(minY - size, size), range.minY);
+            const x1 = Math.min(this.cellOf(maxX + size, size), range.maxX);
+            const y1 = Math.min(this.cellOf(maxY + size, size), range.maxY);
+            if (x0 > x1 || y0 > y1) return;
+
+            if ((x1 - x0 + 1) * (y1 - y0 + 1) > range.count) {
+                const first = level * LEVEL_STRIDE;
+                for (const [key, cell] of this.cells) {
+                    if (key < first || key >= first + LEVEL_STRIDE) continue;
+                    for (const position of cell) {
+                        callback(items[position]);
+                    }
+                }
+                return;
+            }
+
+            for (let cellX = x0; cellX <= x1; cellX++) {
+                for (let cellY = y0; cellY <= y1; cellY++) {
+                    const cell = this.cells.get(this.keyOf(level, cellX, cellY));
+                    if (!cell) continue;
+                    for (const position of cell) {
+                        callback(items[position]);
+                    }
+                }
+            }
+        });
+    }
+
+    /**
+     * Share of the box around all bodies that a rectangle covers (1 without bodies)
+     * A cheap estimate of how many bodies a rectangle query would return; the box is the one of
+     * the last query, so asking doesn't bring the index up to date.
+     */
+    coverage(minX, minY, maxX, maxY) {
+        if (!this.bounds) this.refresh();
+        const bounds = this.bounds;
+        if (!bounds) return 1;
+
+        const width = Math.max(0, Math.min(maxX, bounds.maxX) - Math.max(minX, bounds.minX));
+        const height = Math.max(0, Math.min(maxY, bounds.maxY) - Math.max(minY, bounds.minY));
+        const area = (bounds.maxX - bounds.minX) * (bounds.maxY - bounds.minY);
+        return area > 0 ? width * height / area : 1;
+    }
+
+    /**
+     * All bodies overlapping an axis-aligned rectangle
+     * @param minX - Left edge in world units
+     * @param minY - Top edge
+     * @param maxX - Right edge
+     * @param maxY - Bottom edge
+     */
+    queryRect(minX, minY, maxX, maxY) {
+        this.refresh();
+        const found = [];
+
+        this.forEachCandidate(minX, minY, maxX, maxY, (body) => {
+            // Distance from the centre to the nearest point of the rectangle
+            const dx = body.x - Math.max(minX, Math.min(body.x, maxX));
+            const dy = body.y - Math.max(minY, Math.min(body.y, maxY));
+            if (dx * dx + dy * dy <= body.radius * body.radius) found.push(body);
+        });
+        return found;
+    }
+
+    /**
+     * All bodies overlapping a circle
+     * @param x - Circle centre X
+     * @param y - Circle centre Y
+     * @param radius - Circle radius in world units (0 for the bodies covering a point)
+     */
+    queryCircle(x, y, radius) {
+        this.refresh();
+        const found = [];
+
+        this.forEachCandidate(x - radius, y - radius, x + radius, y + radius, (body) => {
+            const dx = body.x - x;
+            const dy = body.y - y;
+            const limit = radius + body.radius;
+            if (dx * dx + dy * dy <= limit * limit) found.push(body);
+        });
+        return found;
+    }
+
+    /**
+     * The k bodies nearest to a point, measured to their edges (0 for bodies covering the point)
+     * Circles around the point are doubled until they overlap k bodies: no body outside the
+     * circle can be nearer than one inside.
+     * @param x - Point X
+     * @param y - Point Y
+     * @param k - Number of bodies
+     * @param maxDistance - Bodies further than this are left out
+     * @returns Up to k bodies, nearest first
+     */
+    nearest(x, y, k, maxDistance = Infinity) {
+        this.refresh();
+        if (k <= 0 || !this.bounds) return [];
+
+        // No body is further than the farthest corner of the box around them all
+        const { minX, minY, maxX, maxY } = this.bounds;
+        const farthest = Math.hypot(Math.max(x - minX, maxX - x), Math.max(y - minY, maxY - y));
+        const limit = Math.min(maxDistance, farthest);
+
+        let found;
+        for (let radius = this.cellSize; ; radius *= 2) {
+            found = this.queryCircle(x, y, Math.min(radius, limit));
+            if (found.length >= k || radius >= limit) break;
+        }
+
+        const distance = body => Math.max(0, Math.hypot(body.x - x, body.y - y) - body.radius);
+        return found
+            .map(body => ({ body, distance: distance(body) }))
+            .sort((a, b) => a.distance - b.distance)
+            .slice(0, k)
+            .map(entry => entry.body);
+    }
+}
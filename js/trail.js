@@ -0,0 +1,133 @@
+// Orbit trails: where an asteroid actually travelled, kept in a fixed-size ring buffer
+
+import { TRAIL_CAPACITY } from './constants.js';
+
+export class Trail {
+    /**
+     * @param capacity - Most samples kept; the oldest are overwritten
+     */
+    constructor(capacity = TRAIL_CAPACITY) {
+        this.capacity = capacity;
+        // x, y, t of each sample; sample i (0 = oldest) is at slot (start + i) % capacity
+        this.data = new Float64Array(capacity * 3);
+        this.start = 0;
+        this.count = 0;
+
+        // Bounding box of the samples, for culling. Dropping old samples doesn't shrink it
+        // straight away, so it can be larger than needed until the next recompute.
+        this.bounds = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+        this.droppedSinceBounds = 0;
+    }
+
+    /**
+     * Index into data of sample i
+     */
+    slot(i) {
+        return ((this.start + i) % this.capacity) * 3;
+    }
+
+    x(i) {
+        return this.data[this.slot(i)];
+    }
+
+    y(i) {
+        return this.data[this.slot(i) + 1];
+    }
+
+    time(i) {
+        return this.data[this.slot(i) + 2];
+    }
+
+    /**
+     * Record the position at a time
+     * Samples are taken at most once per interval. If time ran backwards, samples after t are
+     * discarded so a replay draws the same trail again; after a jump forward longer than the
+     * trail, the old samples are discarded so no straight line spans the gap.
+     * @param x - World x
+     * @param y - World y
+     * @param t - Simulation time
+     * @param interval - Minimum time between samples
+     * @param length - Trail length (time)
+     */
+    record(x, y, t, interval, length) {
+        while (this.count > 0 && this.time(this.count - 1) > t) {
+            this.count--;
+            this.droppedSinceBounds++;
+        }
+        if (this.count > 0) {
+            const last = this.time(this.count - 1);
+            if (t - last > length) {
+                this.clear();
+            } else if (t - last < interval) {
+                return;
+            }
+        }
+
+        if (this.count === this.capacity) {
+            this.start = (this.start + 1) % this.capacity;
+            this.count--;
+            this.droppedSinceBounds++;
+        }
+        const slot = this.slot(this.count);
+        this.data[slot] = x;
+        this.data[slot + 1] = y;
+        this.data[slot + 2] = t;
+        this.count++;
+
+        const bounds = this.bounds;
+        bounds.minX = Math.min(bounds.minX, x);
+        bounds.minY = Math.min(bounds.minY, y);
+        bounds.maxX = Math.max(bounds.maxX, x);
+        bounds.maxY = Math.max(bounds.maxY, y);
+    }
+
+    /**
+     * Index of the oldest sample at or after a time
+     * @returns count if every sample is older
+     */
+    firstIndexAfter(t) {
+        let lo = 0;
+        let hi = this.count;
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            if (this.time(mid) < t) {
+                lo = mid + 1;
+            } else {
+                hi = mid;
+            }
+        }
+        return lo;
+    }
+
+    /**
+     * Bounding box of the samples
+     * Recomputed once a quarter of the buffer has been dropped since the last time.
+     * @returns { minX, minY, maxX, maxY }
+     */
+    getBounds() {
+        if (this.droppedSinceBounds > this.capacity / 4) {
+            const bounds = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+            for (let i = 0; i < this.count; i++) {
+                const x = this.x(i);
+                const y = this.y(i);
+                bounds.minX = Math.min(bounds.minX, x);
+                bounds.minY = Math.min(bounds.minY, y);
+                bounds.maxX = Math.max(bounds.maxX, x);
+                bounds.maxY = Math.max(bounds.maxY, y);
+            }
+            this.bounds = bounds;
+            this.droppedSinceBounds = 0;
+        }
+        return this.bounds;
+    }
+
+    /**
+     * Forget every sample
+     */
+    clear() {
+        this.start = 0;
+        this.count = 0;
+        this.bounds = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+        this.droppedSinceBounds = 0;
+    }
+}
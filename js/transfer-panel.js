@@ -0,0 +1,152 @@
+// Transfer calculator UI (source = selected asteroid, target = right-clicked asteroid)
+
+import { AU_TO_PIXELS, DELTA_V_SCALE } from './constants.js';
+import { isClosedOrbit } from './orbital.js';
+import { ManeuverPlan } from './maneuver.js';
+import { planHohmannTransfer, planBiEllipticTransfer, summarizeTransfer } from './transfer.js';
+import { magnitude } from './utils.js';
+
+export class TransferPanel {
+    /**
+     * @param sectionElement - Container shown only while a target is set
+     * @param onPlan - Called with ('hohmann' | 'bielliptic', intermediateRadius)
+     * @param onShowWindows - Called when the rendezvous windows (porkchop plot) are requested
+     */
+    constructor(sectionElement, onPlan, onShowWindows) {
+        this.section = sectionElement;
+        this.onPlan = onPlan;
+        this.onShowWindows = onShowWindows;
+
+        this.source = null;
+        this.target = null;
+
+        this.infoSection = document.getElementById('transfer-info');
+        this.apsisInput = document.getElementById('transfer-apsis');
+        this.hohmannBtn = document.getElementById('btn-plan-hohmann');
+        this.biEllipticBtn = document.getElementById('btn-plan-bielliptic');
+        this.windowsBtn = document.getElementById('btn-porkchop');
+
+        this.hohmannBtn.addEventListener('click', () => {
+            if (this.canPlan()) {
+                this.onPlan('hohmann', null);
+            }
+        });
+
+        this.biEllipticBtn.addEventListener('click', () => {
+            if (this.canPlan()) {
+                this.onPlan('bielliptic', this.getIntermediateRadius());
+            }
+        });
+
+        this.windowsBtn.addEventListener('click', () => {
+            if (this.canPlan() && isClosedOrbit(this.source.orbit) && this.onShowWindows) {
+                this.onShowWindows(this.source, this.target);
+            }
+        });
+
+        this.apsisInput.addEventListener('input', () => this.update());
+
+        this.section.hidden = true;
+    }
+
+    /**
+     * Set the asteroids to transfer between
+     * @param source - Selected asteroid (or null)
+     * @param target - Target asteroid (or null)
+     */
+    setAsteroids(source, target) {
+        this.source = source;
+        this.target = target;
+        this.section.hidden = !(source && target);
+        this.update();
+    }
+
+    /**
+     * Transfers end on the target's orbit, so it must be a closed one
+     */
+    canPlan() {
+        return this.source && this.target && isClosedOrbit(this.target.orbit);
+    }
+
+    /**
+     * Departure radius: where the source asteroid is now
+     */
+    getSourceRadius() {
+        return magnitude(this.source.x, this.source.y);
+    }
+
+    /**
+     * Intermediate apsis for the bi-elliptic transfer (never inside the source's position or the
+     * target's apoapsis)
+     */
+    getIntermediateRadius() {
+        const rb = (parseFloat(this.apsisInput.value) || 0) * AU_TO_PIXELS;
+        const targetApoapsis = this.target.orbit.a * (1 + this.target.orbit.e);
+        return Math.max(rb, this.getSourceRadius(), targetApoapsis);
+    }
+
+    /**
+     * Delta-v and duration of a transfer planned from the source's current state
+     * The transfer is planned exactly as the plan buttons would, on a scratch plan.
+     * @param kind - 'hohmann' or 'bielliptic'
+     */
+    previewTransfer(kind) {
+        const plan = new ManeuverPlan(this.source);
+        if (kind === 'hohmann') {
+            planHohmannTransfer(plan, this.target.orbit, this.source.time);
+        } else {
+            planBiEllipticTransfer(plan, this.target.orbit, this.getIntermediateRadius(), this.source.time);
+        }
+        return summarizeTransfer(plan);
+    }
+
+    /**
+     * Refresh the transfer figures
+     */
+    update() {
+        if (this.section.hidden) return;
+
+        if (!this.canPlan()) {
+            this.infoSection.innerHTML = `
+                <div class="info-row escape">
+                    <span class="info-value">Target is not on a closed orbit</span>
+                </div>
+            `;
+            this.hohmannBtn.disabled = true;
+            this.biEllipticBtn.disabled = true;
+            this.windowsBtn.disabled = true;
+            return;
+        }
+
+        const a2 = this.target.orbit.a;
+        const hohmann = this.previewTransfer('hohmann');
+        const biElliptic = this.previewTransfer('bielliptic');
+
+        this.infoSection.innerHTML = `
+            <div class="info-row">
+                <span class="info-label">Target:</span>
+                <span class="info-value">#${this.target.id} (a ${(a2 / AU_TO_PIXELS).toFixed(2)} AU, e ${this.target.orbit.e.toFixed(2)})</span>
+            </div>
+            <div class="info-row">
+                <span class="info-label">Hohmann:</span>
+                <span class="info-value">${this.formatTransfer(hohmann)}</span>
+            </div>
+            <div class="info-row">
+                <span class="info-label">Bi-elliptic:</span>
+                <span class="info-value">${this.formatTransfer(biElliptic)}</span>
+            </div>
+        `;
+        this.hohmannBtn.disabled = false;
+        this.biEllipticBtn.disabled = false;
+        this.windowsBtn.disabled = !isClosedOrbit(this.source.orbit);
+    }
+
+    /**
+     * Format total delta-v (km/s) and transfer time
+     */
+    formatTransfer(transfer) {
+        const dv = (transfer.totalDeltaV / DELTA_V_SCALE).toFixed(2);
+        const time = (transfer.transferTime / 1000).toFixed(2);
+        return `${dv} km/s, ${time} units`;
+    }
+}
@@ -0,0 +1,153 @@
+// Hohmann and bi-elliptic transfer calculations between two orbits
+
+import {
+    getPositionAtTime,
+    getPositionFromTrueAnomaly,
+    getStateAtTime,
+    getVelocityAtTime,
+    orbitalPeriod,
+    orbitalSpeed,
+    orbitDirection,
+    timeAtTrueAnomaly,
+    trueAnomalyFromPosition
+} from './orbital.js';
+import { burnComponentsFromVector } from './maneuver.js';
+import { magnitude } from './utils.js';
+
+/**
+ * Hohmann transfer between circular orbits
+ * @param r1 - Departure radius
+ * @param r2 - Arrival radius
+ * @returns { burns: [dv1, dv2], totalDeltaV, transferTime }
+ */
+export function hohmannTransfer(r1, r2) {
+    const aTransfer = (r1 + r2) / 2;
+
+    const dv1 = Math.abs(orbitalSpeed(r1, aTransfer) - orbitalSpeed(r1, r1));
+    const dv2 = Math.abs(orbitalSpeed(r2, r2) - orbitalSpeed(r2, aTransfer));
+
+    return {
+        burns: [dv1, dv2],
+        totalDeltaV: dv1 + dv2,
+        transferTime: orbitalPeriod(aTransfer) / 2
+    };
+}
+
+/**
+ * Burn that makes the current position an apsis of a new orbit whose other apsis is at a given radius
+ * (a purely tangential velocity at the burn point)
+ * @param orbit - Orbit before the burn
+ * @param time - Burn time
+ * @param otherApsis - Radius of the opposite apsis of the new orbit
+ * @returns { prograde, radial } burn components
+ */
+function apsisBurn(orbit, time, otherApsis) {
+    const pos = getPositionAtTime(orbit, time);
+    const vel = getVelocityAtTime(orbit, time);
+    const r = magnitude(pos.x, pos.y);
+
+    const speed = orbitalSpeed(r, (r + otherApsis) / 2);
+    const direction = orbitDirection(orbit);
+    const tx = -pos.y / r * direction;
+    const ty = pos.x / r * direction;
+
+    return burnComponentsFromVector(
+        { x: pos.x, y: pos.y, vx: vel.vx, vy: vel.vy },
+        tx * speed - vel.vx,
+        ty * speed - vel.vy
+    );
+}
+
+/**
+ * Distance from the sun of an orbit's point in a given direction
+ * @param orbit - Closed orbit
+ * @param x - Direction X (any length)
+ * @param y - Direction Y
+ */
+function radiusInDirection(orbit, x, y) {
+    const point = getPositionFromTrueAnomaly(orbit, trueAnomalyFromPosition(orbit, x, y));
+    return magnitude(point.x, point.y);
+}
+
+/**
+ * Burn that puts a body crossing an orbit's path onto that orbit
+ * @param orbit - Orbit before the burn, reaching the target orbit's path at the burn
+ * @param time - Burn time
+ * @param targetOrbit - Closed orbit to join
+ * @returns { prograde, radial } burn components
+ */
+function matchOrbitBurn(orbit, time, targetOrbit) {
+    const state = getStateAtTime(orbit, time);
+
+    // The target orbit's velocity where it passes through the same point
+    const theta = trueAnomalyFromPosition(targetOrbit, state.x, state.y);
+    const target = getStateAtTime(targetOrbit, timeAtTrueAnomaly(targetOrbit, theta, targetOrbit.t0 || 0));
+
+    return burnComponentsFromVector(state, target.vx - state.vx, target.vy - state.vy);
+}
+
+/**
+ * Replace a maneuver plan's nodes with a transfer onto another orbit
+ * Each apsis burn makes the burn point an apsis of the next leg, which is flown for half a period
+ * to its far apsis, on the opposite side of the sun. The far apsis of the last leg lies on the
+ * target orbit's path, where a final burn matches the target orbit's velocity.
+ * @param plan - ManeuverPlan for the source asteroid
+ * @param startTime - Time of the first burn
+ * @param targetOrbit - Closed orbit to end on
+ * @param intermediateRadius - Far apsis of a first leg (bi-elliptic), or null (Hohmann)
+ */
+function planTransferBurns(plan, startTime, targetOrbit, intermediateRadius) {
+    plan.clear();
+
+    // The departure point; legs alternate between its direction and the opposite one
+    const departure = getPositionAtTime(plan.legs[0].orbit, startTime);
+    const apsides = intermediateRadius === null
+        ? [radiusInDirection(targetOrbit, -departure.x, -departure.y)]
+        : [intermediateRadius, radiusInDirection(targetOrbit, departure.x, departure.y)];
+
+    let time = startTime;
+    for (const apsis of apsides) {
+        const burn = apsisBurn(plan.legs[plan.legs.length - 1].orbit, time, apsis);
+        const node = plan.addNode(time, burn.prograde, burn.radial);
+        time += orbitalPeriod(node.orbit.a) / 2;
+    }
+
+    const burn = matchOrbitBurn(plan.legs[plan.legs.length - 1].orbit, time, targetOrbit);
+    plan.addNode(time, burn.prograde, burn.radial);
+}
+
+/**
+ * Plan a Hohmann-style transfer onto a target orbit
+ * @param plan - ManeuverPlan for the source asteroid
+ * @param targetOrbit - Closed orbit to end on
+ * @param startTime - Time of the departure burn
+ */
+export function planHohmannTransfer(plan, targetOrbit, startTime) {
+    planTransferBurns(plan, startTime, targetOrbit, null);
+}
+
+/**
+ * Plan a bi-elliptic transfer onto a target orbit
+ * @param plan - ManeuverPlan for the source asteroid
+ * @param targetOrbit - Closed orbit to end on
+ * @param intermediateRadius - Far apsis of the first leg
+ * @param startTime - Time of the departure burn
+ */
+export function planBiEllipticTransfer(plan, targetOrbit, intermediateRadius, startTime) {
+    planTransferBurns(plan, startTime, targetOrbit, intermediateRadius);
+}
+
+/**
+ * Delta-v and duration of a planned transfer, from its nodes
+ * @param plan - ManeuverPlan holding only the transfer's nodes
+ * @returns { burns, totalDeltaV, transferTime }
+ */
+export function summarizeTransfer(plan) {
+    const burns = plan.nodes.map(node => magnitude(node.prograde, node.radial));
+    const nodes = plan.nodes;
+    return {
+        burns,
+        totalDeltaV: burns.reduce((sum, dv) => sum + dv, 0),
+        transferTime: nodes.length > 0 ? nodes[nodes.length - 1].time - nodes[0].time : 0
+    };
+}
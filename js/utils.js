@@ -14,11 +14,52 @@ export function lerp(a, b, t) {
     return a + (b - a) * t;
 }
 
+/**
+ * Seedable pseudo-random number generator (mulberry32)
+ * @param seed - 32-bit integer seed
+ * @returns Function returning floats in [0, 1), a drop-in for Math.random; its state() is the
+ *          position in the stream, and createRng(rng.state()) continues from there
+ */
+export function createRng(seed) {
+    let state = seed >>> 0;
+    const rng = function () {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    rng.state = () => state;
+    return rng;
+}
+
+/**
+ * Convert a seed string to a 32-bit integer
+ * Every string is hashed (FNV-1a), digits included, so distinct seeds such as '7' and '007'
+ * give distinct belts.
+ */
+export function seedFromString(text) {
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Random seed string for a fresh belt
+ */
+export function randomSeed() {
+    return String(Math.floor(Math.random() * 4294967296));
+}
+
 /**
  * Random float between min and max
+ * @param rng - Random source returning [0, 1)
  */
-export function randomRange(min, max) {
-    return min + Math.random() * (max - min);
+export function randomRange(min, max, rng = Math.random) {
+    return min + rng() * (max - min);
 }
 
 /**
@@ -26,12 +67,24 @@ export function randomRange(min, max) {
  * @param min - Minimum value
  * @param max - Maximum value
  * @param power - Power exponent (higher = more small values)
+ * @param rng - Random source returning [0, 1)
  */
-export function randomPowerLaw(min, max, power = 2) {
-    const u = Math.random();
+export function randomPowerLaw(min, max, power = 2, rng = Math.random) {
+    const u = rng();
     return min + (max - min) * Math.pow(u, power);
 }
 
+/**
+ * Normally distributed random number (Box–Muller)
+ * @param rng - Random source returning [0, 1)
+ * @returns Sample with mean 0 and standard deviation 1
+ */
+export function randomGaussian(rng = Math.random) {
+    const u = 1 - rng(); // (0, 1] so the log is finite
+    const v = rng();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
 /**
  * Convert degrees to radians
  */
@@ -116,3 +169,77 @@ export function generateAsteroidColor(seed) {
     const lightness = 40 + (seed * 91.731) % 30; // Medium lightness
     return `hsl(${baseHue}, ${saturation}%, ${lightness}%)`;
 }
+
+/**
+ * Convert a '#rrggbb' colour to integer HSL components
+ * @returns { h (0-359), s (0-100), l (0-100) }
+ */
+export function hexToHsl(hex) {
+    const r = parseInt(hex.slice(1, 3), 16) / 255;
+    const g = parseInt(hex.slice(3, 5), 16) / 255;
+    const b = parseInt(hex.slice(5, 7), 16) / 255;
+
+    const max = Math.max(r, g, b);
+    const min = Math.min(r, g, b);
+    const l = (max + min) / 2;
+    let h = 0;
+    let s = 0;
+
+    if (max !== min) {
+        const d = max - min;
+        s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+        if (max === r) {
+            h = ((g - b) / d + (g < b ? 6 : 0)) * 60;
+        } else if (max === g) {
+            h = ((b - r) / d + 2) * 60;
+        } else {
+            h = ((r - g) / d + 4) * 60;
+        }
+    }
+
+    return { h: Math.round(h) % 360, s: Math.round(s * 100), l: Math.round(l * 100) };
+}
+
+/**
+ * Parse a '#rrggbb' or 'hsl(h, s%, l%)' colour into 0-255 RGB components
+ * @returns { r, g, b }, or null for any other format
+ */
+export function parseColor(color) {
+    if (/^#[0-9a-f]{6}$/i.test(color)) {
+        return {
+            r: parseInt(color.slice(1, 3), 16),
+            g: parseInt(color.slice(3, 5), 16),
+            b: parseInt(color.slice(5, 7), 16)
+        };
+    }
+
+    const match = color.match(/^hsl\(\s*([\d.]+),\s*([\d.]+)%,\s*([\d.]+)%\s*\)$/);
+    if (!match) return null;
+
+    const h = parseFloat(match[1]) % 360 / 60;
+    const s = parseFloat(match[2]) / 100;
+    const l = parseFloat(match[3]) / 100;
+    const chroma = (1 - Math.abs(2 * l - 1)) * s;
+    const x = chroma * (1 - Math.abs(h % 2 - 1));
+    const [r, g, b] = [
+        [chroma, x, 0], [x, chroma, 0], [0, chroma, x],
+        [0, x, chroma], [x, 0, chroma], [chroma, 0, x]
+    ][Math.floor(h) % 6];
+    const m = l - chroma / 2;
+    return {
+        r: Math.round((r + m) * 255),
+        g: Math.round((g + m) * 255),
+        b: Math.round((b + m) * 255)
+    };
+}
+
+/**
+ * Escape text for insertion into HTML
+ */
+export function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
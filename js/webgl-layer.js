@@ -0,0 +1,281 @@
+// WebGL2 asteroid layer: every asteroid as one instance of a quad, drawn in a single call
+
+import { FILTER_DIM_ALPHA, DETAIL_RADIUS } from './constants.js';
+import { DrawOrder, asteroidShades, createCanvas } from './asteroid-layer.js';
+
+// Per-instance data: offset from the camera (x, y), radius, then flat, light and dark RGBA colours
+const INSTANCE_FLOATS = 6;
+const INSTANCE_BYTES = INSTANCE_FLOATS * 4;
+
+const VERTEX_SHADER = `#version 300 es
+layout(location = 0) in vec2 a_corner;
+layout(location = 1) in vec2 a_offset;
+layout(location = 2) in float a_radius;
+layout(location = 3) in vec4 a_color;
+layout(location = 4) in vec4 a_light;
+layout(location = 5) in vec4 a_dark;
+
+uniform vec2 u_rotation;   // cos and sin of the turn from world to screen
+uniform float u_zoom;
+uniform vec2 u_centre;     // Screen position of the camera centre
+uniform vec2 u_size;       // Logical size of the view
+
+out vec2 v_local;          // Position within the disc, in radii
+out float v_radius;        // Screen radius
+flat out vec4 v_color;
+flat out vec3 v_light;
+flat out vec3 v_dark;
+
+void main() {
+    float radius = max(1.0, a_radius * u_zoom);
+    vec2 view = vec2(
+        a_offset.x * u_rotation.x - a_offset.y * u_rotation.y,
+        a_offset.x * u_rotation.y + a_offset.y * u_rotation.x
+    ) * u_zoom;
+    // One pixel of margin for the antialiased edge
+    vec2 extent = a_corner * (radius + 1.0);
+    vec2 screen = u_centre + view + extent;
+    gl_Position = vec4(screen.x / u_size.x * 2.0 - 1.0, 1.0 - screen.y / u_size.y * 2.0, 0.0, 1.0);
+
+    v_local = extent / radius;
+    v_radius = radius;
+    v_color = a_color;
+    v_light = a_light.rgb;
+    v_dark = a_dark.rgb;
+}
+`;
+
+const FRAGMENT_SHADER = `#version 300 es
+precision mediump float;
+
+uniform float u_detailRadius;
+
+in vec2 v_local;
+in float v_radius;
+flat in vec4 v_color;
+flat in vec3 v_light;
+flat in vec3 v_dark;
+
+out vec4 fragColor;
+
+void main() {
+    float coverage = clamp((1.0 - length(v_local)) * v_radius + 0.5, 0.0, 1.0);
+    if (coverage <= 0.0) discard;
+
+    vec3 color = v_color.rgb;
+    if (v_radius >= u_detailRadius) {
+        // The 2D radial gradient: from the light colour at a highlight 0.3 radii up and left
+        // to the dark colour at the rim, t solving |q - t d| = t for q from the highlight
+        vec2 q = v_local + 0.3;
+        float qd = dot(q, vec2(0.3));
+        float a = 0.18 - 1.0;
+        float t = (qd - sqrt(qd * qd - a * dot(q, q))) / a;
+        color = mix(v_light, v_dark, clamp(t, 0.0, 1.0));
+    }
+
+    // Premultiplied, like the canvas the layer is composited from
+    float alpha = v_color.a * coverage;
+    fragColor = vec4(color * alpha, alpha);
+}
+`;
+
+/**
+ * Compile and link a shader program
+ * @throws Error with the compiler log if either stage fails
+ */
+function createProgram(gl, vertexSource, fragmentSource) {
+    const program = gl.createProgram();
+    for (const [type, source] of [[gl.VERTEX_SHADER, vertexSource], [gl.FRAGMENT_SHADER, fragmentSource]]) {
+        const shader = gl.createShader(type);
+        gl.shaderSource(shader, source);
+        gl.compileShader(shader);
+        if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+            throw new Error(`Shader compilation failed: ${gl.getShaderInfoLog(shader)}`);
+        }
+        gl.attachShader(program, shader);
+    }
+    gl.linkProgram(program);
+    if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+        throw new Error(`Shader linking failed: ${gl.getProgramInfoLog(program)}`);
+    }
+    return program;
+}
+
+/**
+ * RGBA packed into a 32-bit word, byte order r, g, b, a in memory (little-endian)
+ */
+function packColor({ r, g, b }, alpha) {
+    return (r | (g << 8) | (b << 16) | (Math.round(alpha * 255) << 24)) >>> 0;
+}
+
+/**
+ * WebGL2 backend
+ * Renders into its own off-screen canvas, which is then composited into the 2D view, so the
+ * asteroids keep their place between the layers drawn before and after them. Positions are sent
+ * relative to the camera centre, which keeps float32 precise where the view is.
+ */
+export class WebGLAsteroidLayer {
+    /**
+     * Create the layer, if the browser has hardware-accelerated WebGL2
+     * Software-only WebGL is refused, since the 2D backend is faster there.
+     * @returns WebGLAsteroidLayer or null
+     */
+    static create() {
+        try {
+            const canvas = createCanvas(1, 1);
+            const gl = canvas.getContext('webgl2', {
+                alpha: true,
+                premultipliedAlpha: true,
+                antialias: false,
+                depth: false,
+                failIfMajorPerformanceCaveat: true
+            });
+            return gl ? new WebGLAsteroidLayer(canvas, gl) : null;
+        } catch (error) {
+            console.warn('WebGL2 asteroid layer unavailable:', error);
+            return null;
+        }
+    }
+
+    constructor(canvas, gl) {
+        this.name = 'webgl';
+        this.label = 'WebGL2';
+        this.canvas = canvas;
+        this.gl = gl;
+        this.order = new DrawOrder();
+        this.width = 1;
+        this.height = 1;
+
+        this.program = createProgram(gl, VERTEX_SHADER, FRAGMENT_SHADER);
+        this.uniforms = {};
+        for (const name of ['u_rotation', 'u_zoom', 'u_centre', 'u_size', 'u_detailRadius']) {
+            this.uniforms[name] = gl.getUniformLocation(this.program, name);
+        }
+
+        this.vao = gl.createVertexArray();
+        gl.bindVertexArray(this.vao);
+
+        // Unit quad shared by every instance
+        this.quadBuffer = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.quadBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]), gl.STATIC_DRAW);
+        gl.enableVertexAttribArray(0);
+        gl.vertexAttribPointer(0, 2, gl.FLOAT, false, 0, 0);
+
+        this.instanceBuffer = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.instanceBuffer);
+        const attributes = [
+            [1, 2, gl.FLOAT, false, 0],
+            [2, 1, gl.FLOAT, false, 8],
+            [3, 4, gl.UNSIGNED_BYTE, true, 12],
+            [4, 4, gl.UNSIGNED_BYTE, true, 16],
+            [5, 4, gl.UNSIGNED_BYTE, true, 20]
+        ];
+        for (const [location, size, type, normalized, offset] of attributes) {
+            gl.enableVertexAttribArray(location);
+            gl.vertexAttribPointer(location, size, type, normalized, INSTANCE_BYTES, offset);
+            gl.vertexAttribDivisor(location, 1);
+        }
+        gl.bindVertexArray(null);
+
+        // Instance data, grown as the belt does
+        this.capacity = 0;
+        this.floats = null;
+        this.words = null;
+    }
+
+    /**
+     * @param width - Logical width of the view
+     * @param height - Logical height of the view
+     * @param dpr - Device pixels per logical pixel
+     */
+    resize(width, height, dpr) {
+        this.width = Math.max(1, width);
+        this.height = Math.max(1, height);
+        this.canvas.width = Math.max(1, Math.round(width * dpr));
+        this.canvas.height = Math.max(1, Math.round(height * dpr));
+    }
+
+    /**
+     * Make room for a number of instances
+     */
+    reserve(count) {
+        if (count <= this.capacity) return;
+        this.capacity = Math.max(count, Math.ceil(this.capacity * 1.5), 1024);
+        const data = new ArrayBuffer(this.capacity * INSTANCE_BYTES);
+        this.floats = new Float32Array(data);
+        this.words = new Uint32Array(data);
+    }
+
+    /**
+     * Draw every asteroid in one instanced call and composite the result
+     * @param ctx - Canvas context to composite into
+     * @param asteroids - Asteroids
+     * @param camera - Camera
+     * @param skip - Asteroid left out (drawn separately on top), or null
+     * @param matches - Set of asteroids matching the filter, or null; the rest are dimmed
+     * @returns false if the WebGL context has been lost, so nothing was drawn
+     */
+    draw(ctx, asteroids, camera, skip = null, matches = null) {
+        const gl = this.gl;
+        if (gl.isContextLost()) return false;
+
+        const order = this.order.update(asteroids);
+        this.reserve(order.length);
+        const floats = this.floats;
+        const words = this.words;
+
+        let count = 0;
+        for (const asteroid of order) {
+            if (asteroid === skip) continue;
+
+            const shades = asteroidShades(asteroid);
+            const alpha = matches !== null && !matches.has(asteroid) ? FILTER_DIM_ALPHA : 1;
+            const i = count * INSTANCE_FLOATS;
+            floats[i] = asteroid.x - camera.x;
+            floats[i + 1] = asteroid.y - camera.y;
+            floats[i + 2] = asteroid.radius;
+            words[i + 3] = packColor(shades.rgb, alpha);
+            words[i + 4] = packColor(shades.lightRgb, 1);
+            words[i + 5] = packColor(shades.darkRgb, 1);
+            count++;
+        }
+
+        gl.viewport(0, 0, this.canvas.width, this.canvas.height);
+        gl.clearColor(0, 0, 0, 0);
+        gl.clear(gl.COLOR_BUFFER_BIT);
+        if (count === 0) return true;
+
+        gl.useProgram(this.program);
+        gl.uniform2f(this.uniforms.u_rotation, Math.cos(-camera.rotation), Math.sin(-camera.rotation));
+        gl.uniform1f(this.uniforms.u_zoom, camera.zoom);
+        gl.uniform2f(this.uniforms.u_centre, camera.canvas.width / 2, camera.canvas.height / 2);
+        gl.uniform2f(this.uniforms.u_size, this.width, this.height);
+        gl.uniform1f(this.uniforms.u_detailRadius, DETAIL_RADIUS);
+
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.instanceBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, floats.subarray(0, count * INSTANCE_FLOATS), gl.STREAM_DRAW);
+
+        gl.enable(gl.BLEND);
+        gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+        gl.bindVertexArray(this.vao);
+        gl.drawArraysInstanced(gl.TRIANGLE_STRIP, 0, 4, count);
+        gl.bindVertexArray(null);
+
+        ctx.drawImage(this.canvas, 0, 0, this.width, this.height);
+        return true;
+    }
+
+    /**
+     * Free the GPU resources
+     */
+    dispose() {
+        const gl = this.gl;
+        gl.deleteBuffer(this.quadBuffer);
+        gl.deleteBuffer(this.instanceBuffer);
+        gl.deleteVertexArray(this.vao);
+        gl.deleteProgram(this.program);
+        const loseContext = gl.getExtension('WEBGL_lose_context');
+        if (loseContext) loseContext.loseContext();
+    }
+}
@@ -0,0 +1,39 @@
+// Asteroids: lazily generated orbit paths and shared state slots
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Asteroid } from '../js/asteroid.js';
+import { getPositionAtTime } from '../js/orbital.js';
+
+const ORBIT = { a: 400, e: 0.1, omega: 1, M0: 2, t0: 0, direction: 1 };
+
+test('the orbit path is generated on first use and follows orbit changes', () => {
+    const asteroid = Asteroid.fromOrbit(1, ORBIT, 2, '#888899');
+    assert.equal(asteroid.path, null);
+
+    const path = asteroid.orbitPath;
+    assert.ok(path.length > 1);
+    assert.equal(asteroid.orbitPath, path, 'kept until the orbit changes');
+
+    asteroid.changeOrbit({ ...ORBIT, a: 500 }, 10);
+    asteroid.update(20);
+    const raised = asteroid.orbitPath;
+    assert.notEqual(raised, path);
+    assert.ok(Math.abs(Math.hypot(raised[0].x, raised[0].y) - Math.hypot(path[0].x, path[0].y)) > 50);
+
+    // Back before the change, the path is the first orbit's again
+    asteroid.update(5);
+    assert.deepEqual(asteroid.orbitPath, path);
+});
+
+test('new asteroids share state blocks without sharing slots', () => {
+    const a = Asteroid.fromOrbit(1, ORBIT, 2, '#888899');
+    const b = Asteroid.fromOrbit(2, { ...ORBIT, M0: 3 }, 2, '#888899');
+    a.update(0);
+    b.update(0);
+
+    assert.equal(a.belt, b.belt);
+    assert.notEqual(a.slot, b.slot);
+    const expected = getPositionAtTime(ORBIT, 0);
+    assert.ok(Math.abs(a.x - expected.x) < 1e-9 && Math.abs(a.y - expected.y) < 1e-9);
+});
@@ -0,0 +1,94 @@
+// Applied burns: the new orbit's epoch is the burn time, so the state is continuous across it,
+// and a burn reversing the velocity turns a prograde orbit retrograde
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_POPULATIONS } from '../js/constants.js';
+import { Asteroid } from '../js/asteroid.js';
+import { burnVectorFromComponents } from '../js/maneuver.js';
+import { computeOrbitFromStateVectors, getStateAtTime } from '../js/orbital.js';
+import { SimulationCore } from '../js/simulation-core.js';
+
+const POPULATIONS = DEFAULT_POPULATIONS.map(population => ({ ...population, count: 5 }));
+
+const ORBIT = { a: 420, e: 0.15, omega: 0.7, M0: 1.2, t0: 0, direction: 1 };
+
+/**
+ * Assert a state matches another: position to 1e-8, velocity to 1e-10
+ */
+function assertSameState(actual, expected, message) {
+    for (const key of ['x', 'y']) {
+        assert.ok(Math.abs(actual[key] - expected[key]) < 1e-8, `${message}: ${key}`);
+    }
+    for (const key of ['vx', 'vy']) {
+        assert.ok(Math.abs(actual[key] - expected[key]) < 1e-10, `${message}: ${key}`);
+    }
+}
+
+test('a burn long after the epoch does not move the asteroid', () => {
+    const asteroid = Asteroid.fromOrbit(1, ORBIT, 2, '#888899');
+    const t = 1234.5;
+    asteroid.update(t);
+    const before = { x: asteroid.x, y: asteroid.y, vx: asteroid.vx, vy: asteroid.vy };
+
+    assert.ok(asteroid.applyDeltaV(0.02, -0.01, t));
+    assert.equal(asteroid.orbit.t0, t);
+
+    // Propagated from its own epoch, the new orbit starts where the old one was
+    asteroid.update(t);
+    assertSameState(asteroid, { ...before, vx: before.vx + 0.02, vy: before.vy - 0.01 }, 'at the burn');
+
+    // Just after the burn the asteroid has barely moved
+    asteroid.update(t + 1e-3);
+    assert.ok(Math.hypot(asteroid.x - before.x, asteroid.y - before.y) < 1e-2);
+});
+
+test('an immediate burn keeps the position and changes the velocity by exactly the delta-v', () => {
+    const core = new SimulationCore({ seed: 'burn-tests', populations: POPULATIONS });
+    core.step(50);
+    const asteroid = core.asteroids[0];
+    asteroid.update(core.time);
+    const before = { x: asteroid.x, y: asteroid.y, vx: asteroid.vx, vy: asteroid.vy };
+
+    core.applyGroupManeuver([asteroid], 0.05, 0.01, 'Burn');
+    const burn = burnVectorFromComponents(before, 0.05, 0.01);
+
+    const after = getStateAtTime(asteroid.orbit, core.time);
+    assertSameState(after, { ...before, vx: before.vx + burn.dvx, vy: before.vy + burn.dvy }, 'after');
+
+    // A prograde burn raises the orbit
+    assert.ok(asteroid.orbit.a > asteroid.orbitAt(core.time - 1).a);
+});
+
+test('a burn reversing the velocity makes the orbit retrograde', () => {
+    const core = new SimulationCore({ seed: 'burn-tests', populations: POPULATIONS });
+    core.step(30);
+    const asteroid = core.asteroids[1];
+    asteroid.update(core.time);
+    const t = core.time;
+    const before = { x: asteroid.x, y: asteroid.y, vx: asteroid.vx, vy: asteroid.vy };
+    assert.equal(asteroid.orbit.direction, 1);
+
+    const burn = { dvx: -2 * before.vx, dvy: -2 * before.vy };
+    const orbit = computeOrbitFromStateVectors(before, { vx: -before.vx, vy: -before.vy }, t);
+    core.applyManeuver(asteroid, orbit, burn, 'Reverse');
+
+    const prograde = asteroid.orbitAt(t - 1);
+    assert.equal(asteroid.orbit.direction, -1);
+    assert.ok(Math.abs(asteroid.orbit.a - prograde.a) < 1e-6 * prograde.a, 'same size');
+    assert.ok(Math.abs(asteroid.orbit.e - prograde.e) < 1e-9, 'same shape');
+    assertSameState(getStateAtTime(asteroid.orbit, t), { ...before, vx: -before.vx, vy: -before.vy }, 'at the burn');
+
+    // The same path, flown the other way: clockwise, with the polar angle decreasing
+    let angle = Math.atan2(before.y, before.x);
+    for (let i = 1; i <= 10; i++) {
+        core.step(5);
+        asteroid.update(core.time);
+        assert.ok(asteroid.x * asteroid.vy - asteroid.y * asteroid.vx < 0, 'angular momentum');
+
+        const next = Math.atan2(asteroid.y, asteroid.x);
+        const turned = Math.atan2(Math.sin(next - angle), Math.cos(next - angle));
+        assert.ok(turned < 0, `clockwise at step ${i}`);
+        angle = next;
+    }
+});
@@ -0,0 +1,138 @@
+// Collisions: only new contacts at physical size are impacts, outcomes follow the seeded random
+// stream, a default belt is not ground down, and the clock never rewinds past a collision
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AU_TO_PIXELS, COLLISION_SIZE_SCALE, DEFAULT_POPULATIONS } from '../js/constants.js';
+import { CollisionSystem } from '../js/collisions.js';
+import { computeOrbitFromStateVectors, orbitalPeriod } from '../js/orbital.js';
+import { SimulationCore } from '../js/simulation-core.js';
+import { SpatialIndex } from '../js/spatial-index.js';
+import { createRng } from '../js/utils.js';
+
+// Centre distance at which two bodies of the default test radius touch
+const REACH = COLLISION_SIZE_SCALE * 4;
+
+/**
+ * A bare body with what detection and resolution read
+ */
+function body(id, x, y, vx, vy, radius = 2) {
+    return { id, x, y, vx, vy, radius };
+}
+
+test('pairs overlapping when collisions are turned on are not impacts', () => {
+    const collisions = new CollisionSystem();
+    const index = new SpatialIndex();
+
+    // Already touching and approaching each other
+    const a = body(1, 300, 0, 0, 1);
+    const b = body(2, 300 + REACH / 2, 0, -0.1, 1);
+    const bodies = [a, b];
+    index.update(bodies);
+
+    collisions.setEnabled(true);
+    assert.deepEqual(collisions.detect(bodies, index), []);
+    index.update(bodies);
+    assert.deepEqual(collisions.detect(bodies, index), [], 'still the same contact');
+
+    // Once apart, touching again is a new impact
+    b.x = 320;
+    index.update(bodies);
+    assert.deepEqual(collisions.detect(bodies, index), []);
+    b.x = 300 + REACH * 0.9;
+    index.update(bodies);
+    assert.deepEqual(collisions.detect(bodies, index), [[a, b]]);
+});
+
+test('contacts that begin after turning collisions on are impacts', () => {
+    const collisions = new CollisionSystem();
+    const index = new SpatialIndex();
+    const a = body(1, 300, 0, 0, 1);
+    const b = body(2, 310, 0, -0.1, 1);
+    const bodies = [a, b];
+
+    collisions.setEnabled(true);
+    index.update(bodies);
+    assert.deepEqual(collisions.detect(bodies, index), []);
+
+    // Drawn discs overlapping is not contact
+    b.x = 303;
+    index.update(bodies);
+    assert.deepEqual(collisions.detect(bodies, index), []);
+
+    b.x = 300 + REACH * 0.9;
+    index.update(bodies);
+    assert.deepEqual(collisions.detect(bodies, index), [[a, b]]);
+});
+
+test('fragmentation is reproducible from the random source', () => {
+    const shatter = () => {
+        const collisions = new CollisionSystem();
+        let id = 10;
+        const a = body(1, 400, 0, 0, 1.6, 8);
+        const b = body(2, 401, 0, -0.5, -1.6, 8);
+        a.color = b.color = '#888899';
+        return collisions.resolve(a, b, 0, () => id++, createRng(42));
+    };
+
+    const first = shatter();
+    const second = shatter();
+    assert.equal(first.type, 'fragment');
+    assert.ok(first.fragments.length > 1);
+    assert.deepEqual(
+        first.fragments.map(f => ({ ...f.orbit, radius: f.radius })),
+        second.fragments.map(f => ({ ...f.orbit, radius: f.radius }))
+    );
+});
+
+test('a default belt stays mostly intact over a few orbits', () => {
+    const core = new SimulationCore({ seed: 'collision-tests' });
+    const count = core.asteroids.length;
+    let collisions = 0;
+    core.on('collision', () => collisions++);
+    core.collisions.setEnabled(true);
+
+    const end = 3 * orbitalPeriod(2.7 * AU_TO_PIXELS);
+    while (core.time < end) core.step(10);
+
+    assert.ok(collisions > 0, 'some collisions');
+    assert.ok(core.asteroids.length > 0.9 * count, `${core.asteroids.length} of ${count} left`);
+});
+
+test('the clock only runs forward with collisions on, and never back before the last one', () => {
+    const core = new SimulationCore({ seed: 'collision-tests', populations: [{ ...DEFAULT_POPULATIONS[0], count: 10 }] });
+    const [a, b] = core.asteroids;
+    core.step(20);
+    core.applyGroupManeuver([a, b], 0.01, 0, 'Burn');
+    assert.ok(core.history.canUndo());
+
+    core.collisions.setEnabled(true);
+    assert.equal(core.timeTravelBlocker(), 'collisions on');
+    assert.equal(core.setTime(0), false);
+    core.step(-10);
+    assert.equal(core.time, 20, 'no running backwards');
+    core.step(1);
+
+    // Put b just behind a, closing in on it
+    a.update(core.time);
+    const orbit = computeOrbitFromStateVectors(
+        { x: a.x + REACH / 2, y: a.y },
+        { vx: a.vx - 0.01, vy: a.vy },
+        core.time
+    );
+    core.applyOrbitChange(b, orbit);
+    let impacts = 0;
+    core.on('collision', () => impacts++);
+    core.step(0);
+
+    assert.equal(impacts, 1);
+    assert.equal(core.rewindLimit, 21);
+    assert.ok(!core.history.canUndo(), 'burns on the merged bodies are forgotten');
+
+    core.collisions.setEnabled(false);
+    assert.equal(core.timeTravelBlocker(15), 'before last collision');
+    assert.equal(core.setTime(15), false);
+    assert.ok(core.setTime(30));
+    core.step(-50);
+    assert.equal(core.time, 21, 'stops at the collision');
+});
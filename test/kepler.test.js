@@ -0,0 +1,55 @@
+// Kepler equation solvers: residuals across mean anomaly, up to nearly parabolic eccentricities
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    solveBarkerEquation,
+    solveHyperbolicKeplerEquation,
+    solveKeplerEquation
+} from '../js/orbital.js';
+import { normalizeAngle } from '../js/utils.js';
+
+// Mean anomalies sampled over a whole orbit, including the hard cases near periapsis
+const MEAN_ANOMALIES = [
+    0, 1e-6, 1e-3, 0.01, 0.1, 0.5, 1, 2, 3, Math.PI, 3.5, 5, 6, 2 * Math.PI - 1e-3, -0.2, 20
+];
+
+test('elliptic residuals stay below 1e-9', () => {
+    for (const e of [0, 0.1, 0.5, 0.9, 0.97, 0.99, 0.999]) {
+        for (const M of MEAN_ANOMALIES) {
+            const E = solveKeplerEquation(M, e);
+            const residual = E - e * Math.sin(E) - normalizeAngle(M);
+            assert.ok(Math.abs(residual) < 1e-9, `e=${e} M=${M}: residual ${residual}`);
+        }
+    }
+});
+
+test('solution at e = 0.99 near periapsis is in the right branch', () => {
+    // Small M at high e: E is far larger than M but still below π
+    const E = solveKeplerEquation(0.001, 0.99);
+    assert.ok(E > 0.001 && E < Math.PI, `E = ${E}`);
+    assert.ok(Math.abs(E - 0.99 * Math.sin(E) - 0.001) < 1e-12);
+});
+
+test('circular orbits have E = M', () => {
+    for (const M of [0.3, 1.7, 4.2]) {
+        assert.ok(Math.abs(solveKeplerEquation(M, 0) - M) < 1e-12);
+    }
+});
+
+test('hyperbolic residuals stay small relative to M', () => {
+    for (const e of [1.01, 1.5, 3, 10]) {
+        for (const M of [-50, -2, -1e-3, 0, 1e-3, 0.5, 2, 50, 500]) {
+            const H = solveHyperbolicKeplerEquation(M, e);
+            const residual = e * Math.sinh(H) - H - M;
+            assert.ok(Math.abs(residual) < 1e-9 * Math.max(1, Math.abs(M)), `e=${e} M=${M}: residual ${residual}`);
+        }
+    }
+});
+
+test('Barker solution satisfies M = D + D³/3', () => {
+    for (const M of [-10, -1, 0, 0.2, 1, 10, 1000]) {
+        const D = solveBarkerEquation(M);
+        assert.ok(Math.abs(D + D ** 3 / 3 - M) < 1e-9 * Math.max(1, Math.abs(M)), `M=${M}`);
+    }
+});
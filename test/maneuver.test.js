@@ -0,0 +1,74 @@
+// Burns: delta-v, frame and continuity of position through the simulation core
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_POPULATIONS } from '../js/constants.js';
+import { burnComponentsFromVector, burnVectorFromComponents, getBurnFrame } from '../js/maneuver.js';
+import { getStateAtTime } from '../js/orbital.js';
+import { SimulationCore } from '../js/simulation-core.js';
+
+// A small belt keeps the tests quick; the seed keeps them reproducible
+const POPULATIONS = DEFAULT_POPULATIONS.map(population => ({ ...population, count: 5 }));
+
+function createCore() {
+    return new SimulationCore({ seed: 'maneuver-tests', populations: POPULATIONS });
+}
+
+test('burn frame is orthonormal with radial pointing away from the sun', () => {
+    const state = { x: 300, y: 200, vx: -0.8, vy: 1.1 };
+    const { prograde, radial } = getBurnFrame(state.x, state.y, state.vx, state.vy);
+    assert.ok(Math.abs(Math.hypot(prograde.x, prograde.y) - 1) < 1e-12);
+    assert.ok(Math.abs(Math.hypot(radial.x, radial.y) - 1) < 1e-12);
+    assert.ok(Math.abs(prograde.x * radial.x + prograde.y * radial.y) < 1e-12);
+    assert.ok(radial.x * state.x + radial.y * state.y > 0);
+});
+
+test('burn components convert to a world vector and back', () => {
+    const state = { x: -250, y: 410, vx: 1.3, vy: 0.4 };
+    const burn = burnVectorFromComponents(state, 0.03, -0.02);
+    assert.ok(Math.abs(Math.hypot(burn.dvx, burn.dvy) - Math.hypot(0.03, 0.02)) < 1e-12);
+
+    const back = burnComponentsFromVector(state, burn.dvx, burn.dvy);
+    assert.ok(Math.abs(back.prograde - 0.03) < 1e-12);
+    assert.ok(Math.abs(back.radial + 0.02) < 1e-12);
+});
+
+test('a maneuver node burns at its own time even when a step overshoots it', () => {
+    const core = createCore();
+    const asteroid = core.asteroids[1];
+    const original = asteroid.orbit;
+    const nodeTime = 123.4;
+
+    core.getManeuverPlan(asteroid).addNode(nodeTime, 0.04, 0);
+    let executed = 0;
+    core.on('nodes', () => executed++);
+    core.step(400);
+    assert.equal(executed, 1);
+
+    // Before the node the asteroid is on its original orbit, after it on the new one
+    const coasting = getStateAtTime(original, nodeTime);
+    const burned = getStateAtTime(asteroid.orbitAt(nodeTime), nodeTime);
+    assert.ok(Math.abs(burned.x - coasting.x) < 1e-8 && Math.abs(burned.y - coasting.y) < 1e-8, 'position continuous');
+
+    const burn = burnVectorFromComponents(coasting, 0.04, 0);
+    assert.ok(Math.abs(burned.vx - coasting.vx - burn.dvx) < 1e-10, 'dvx');
+    assert.ok(Math.abs(burned.vy - coasting.vy - burn.dvy) < 1e-10, 'dvy');
+    assert.equal(asteroid.orbitAt(nodeTime - 1e-3), original);
+});
+
+test('undo and redo restore the orbit timeline', () => {
+    const core = createCore();
+    const asteroid = core.asteroids[2];
+    const original = asteroid.orbit;
+
+    core.applyGroupManeuver([asteroid], -0.03, 0, 'Burn');
+    const burned = asteroid.orbit;
+    assert.notEqual(burned, original);
+
+    assert.equal(core.undo().label, 'Burn');
+    assert.deepEqual(asteroid.orbit, original);
+    assert.ok(!asteroid.isModified());
+
+    core.redo();
+    assert.deepEqual(asteroid.orbit, burned);
+});
@@ -0,0 +1,87 @@
+// N-body integrator: the energy error of the symplectic steps stays bounded over many orbits
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AU_TO_PIXELS, MU, PLANETS } from '../js/constants.js';
+import { Asteroid } from '../js/asteroid.js';
+import { NBodyIntegrator } from '../js/nbody.js';
+import { orbitalPeriod } from '../js/orbital.js';
+import { Planet } from '../js/planet.js';
+
+// Orbits of the outermost asteroid to integrate for
+const ORBITS = 20;
+
+function createBelt() {
+    return [2.2, 2.5, 2.8, 3.1].map((aAU, i) => {
+        const asteroid = Asteroid.fromOrbit(i, {
+            a: aAU * AU_TO_PIXELS,
+            e: 0.05 + 0.05 * i,
+            omega: i,
+            M0: 2 * i,
+            t0: 0,
+            direction: 1
+        }, 2, '#888899');
+        asteroid.update(0);
+        return asteroid;
+    });
+}
+
+/**
+ * Conserved energy of an asteroid
+ * Without planets this is the Kepler energy. A planet on a circular orbit makes the potential
+ * steady in the frame turning with it, so the conserved quantity is the Jacobi integral
+ * E - Ω·h, with the planet's direct and indirect potential included in E.
+ * @param planet - Planet on a circular orbit, or null
+ */
+function energy(asteroid, t, planet) {
+    const { x, y, vx, vy } = asteroid;
+    let value = (vx * vx + vy * vy) / 2 - MU / Math.hypot(x, y);
+
+    if (planet) {
+        const p = planet.getPosition(t);
+        const rp3 = Math.hypot(p.x, p.y) ** 3;
+        const rate = 2 * Math.PI / planet.period;
+        value += -planet.mu / Math.hypot(p.x - x, p.y - y) + planet.mu * (x * p.x + y * p.y) / rp3;
+        value -= rate * (x * vy - y * vx);
+    }
+    return value;
+}
+
+/**
+ * Integrate a belt with advance() and track the largest relative energy error in each quarter
+ * @returns Largest error in each quarter of the run
+ */
+function integrate(planet) {
+    const integrator = new NBodyIntegrator();
+    if (planet) integrator.addBody(planet);
+
+    const belt = createBelt();
+    const initial = belt.map(asteroid => energy(asteroid, 0, planet));
+    const end = ORBITS * orbitalPeriod(3.1 * AU_TO_PIXELS);
+    const quarters = [0, 0, 0, 0];
+
+    let t = 0;
+    while (t < end) {
+        t = integrator.advance(belt, t, Math.min(end, t + 200));
+        const quarter = Math.min(3, Math.floor(4 * t / end));
+        belt.forEach((asteroid, i) => {
+            const error = Math.abs((energy(asteroid, t, planet) - initial[i]) / initial[i]);
+            quarters[quarter] = Math.max(quarters[quarter], error);
+        });
+    }
+    return quarters;
+}
+
+test('without planets the energy is kept to rounding error', () => {
+    const quarters = integrate(null);
+    assert.ok(Math.max(...quarters) < 1e-10, `largest error ${Math.max(...quarters)}`);
+});
+
+test('with Jupiter the energy error stays bounded instead of growing', () => {
+    // Jupiter with the simulation's mass, on a circular orbit so the Jacobi integral is conserved
+    const jupiter = new Planet({ ...PLANETS.find(p => p.name === 'Jupiter'), e: 0 });
+    const quarters = integrate(jupiter);
+
+    assert.ok(Math.max(...quarters) < 1e-6, `largest error ${Math.max(...quarters)}`);
+    assert.ok(quarters[3] < 2 * quarters[0], `error grew from ${quarters[0]} to ${quarters[3]}`);
+});
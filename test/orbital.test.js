@@ -0,0 +1,99 @@
+// Orbital mechanics: state vectors ↔ orbital elements round-trips
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AU_TO_PIXELS, MU } from '../js/constants.js';
+import {
+    computeOrbitFromStateVectors,
+    getPositionAtTime,
+    getStateAtTime,
+    getVelocityAtTime,
+    isClosedOrbit,
+    orbitalPeriod
+} from '../js/orbital.js';
+
+/**
+ * Assert two numbers agree to a relative tolerance (absolute near zero)
+ */
+function assertClose(actual, expected, tolerance, message) {
+    const scale = Math.max(1, Math.abs(expected));
+    assert.ok(
+        Math.abs(actual - expected) <= tolerance * scale,
+        `${message}: ${actual} vs ${expected}`
+    );
+}
+
+function assertSameState(actual, expected, tolerance) {
+    for (const key of ['x', 'y', 'vx', 'vy']) {
+        assertClose(actual[key], expected[key], tolerance, key);
+    }
+}
+
+// Circular speed at 2.5 AU, the scale velocities are given relative to
+const R = 2.5 * AU_TO_PIXELS;
+const V_CIRCULAR = Math.sqrt(MU / R);
+
+// States covering circular, eccentric, nearly parabolic, hyperbolic and retrograde motion
+const STATES = [
+    { name: 'circular', x: R, y: 0, vx: 0, vy: V_CIRCULAR },
+    { name: 'eccentric', x: R * 0.6, y: R * 0.8, vx: -0.9 * V_CIRCULAR, vy: 0.5 * V_CIRCULAR },
+    { name: 'high eccentricity', x: 0, y: -R, vx: 1.4 * V_CIRCULAR, vy: 0.02 * V_CIRCULAR },
+    { name: 'hyperbolic', x: -R, y: 0.3 * R, vx: 0.2 * V_CIRCULAR, vy: -1.6 * V_CIRCULAR },
+    { name: 'retrograde', x: R, y: R, vx: 0.4 * V_CIRCULAR, vy: -0.6 * V_CIRCULAR }
+];
+
+test('state → orbit → state reproduces the state at the epoch', () => {
+    for (const state of STATES) {
+        const orbit = computeOrbitFromStateVectors(state, state, 42);
+        assert.ok(orbit, state.name);
+        assertSameState(getStateAtTime(orbit, 42), state, 1e-9);
+    }
+});
+
+test('elements of known orbits', () => {
+    const circular = computeOrbitFromStateVectors(STATES[0], STATES[0]);
+    assertClose(circular.a, R, 1e-12, 'a');
+    assertClose(circular.e, 0, 1e-12, 'e');
+    assert.equal(circular.direction, 1);
+
+    // Vis-viva: a = 1 / (2/r - v²/μ)
+    const state = STATES[1];
+    const r = Math.hypot(state.x, state.y);
+    const v2 = state.vx ** 2 + state.vy ** 2;
+    const orbit = computeOrbitFromStateVectors(state, state);
+    assertClose(orbit.a, 1 / (2 / r - v2 / MU), 1e-12, 'a');
+
+    assert.ok(!isClosedOrbit(computeOrbitFromStateVectors(STATES[3], STATES[3])), 'hyperbolic is open');
+    assert.equal(computeOrbitFromStateVectors(STATES[4], STATES[4]).direction, -1);
+});
+
+test('orbit → state → orbit reproduces the elements at any later time', () => {
+    for (const state of STATES) {
+        const orbit = computeOrbitFromStateVectors(state, state, 0);
+        for (const t of [13.7, 250, 1234.5]) {
+            const later = getStateAtTime(orbit, t);
+            const again = computeOrbitFromStateVectors(later, later, t);
+            assertClose(again.a, orbit.a, 1e-9, `${state.name} a`);
+            assertClose(again.e, orbit.e, 1e-9, `${state.name} e`);
+            assert.equal(again.direction, orbit.direction);
+            assertSameState(getStateAtTime(again, t + 100), getStateAtTime(orbit, t + 100), 1e-7);
+        }
+    }
+});
+
+test('closed orbits return to the same state after one period', () => {
+    for (const state of STATES.filter(s => s.name !== 'hyperbolic')) {
+        const orbit = computeOrbitFromStateVectors(state, state, 0);
+        assertSameState(getStateAtTime(orbit, orbitalPeriod(orbit.a)), state, 1e-8);
+    }
+});
+
+test('getStateAtTime matches the separate position and velocity solves', () => {
+    for (const state of STATES) {
+        const orbit = computeOrbitFromStateVectors(state, state, 0);
+        const combined = getStateAtTime(orbit, 321);
+        const position = getPositionAtTime(orbit, 321);
+        const velocity = getVelocityAtTime(orbit, 321);
+        assertSameState(combined, { ...position, ...velocity }, 1e-12);
+    }
+});
@@ -0,0 +1,195 @@
+// Snapshots: the simulation and orbit timelines survive a save and load, older versions migrate
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_POPULATIONS } from '../js/constants.js';
+import { SCHEMA_VERSION, deserializeSnapshot, migrate, parseSnapshot, serializeSimulation } from '../js/persistence.js';
+import { SimulationCore } from '../js/simulation-core.js';
+
+const POPULATIONS = DEFAULT_POPULATIONS.map(population => ({ ...population, count: 5 }));
+
+const ORBIT = { a: 400, e: 0.1, omega: 1, M0: 2, t0: 0, direction: 1 };
+
+/**
+ * What serializeSimulation reads from the page's Simulation, around a core
+ * @param view - Page state: { camera, selected, group, target }
+ */
+function pageFor(core, { camera = { x: 0, y: 0, zoom: 1 }, selected = null, group = [], target = null } = {}) {
+    return {
+        asteroids: core.asteroids,
+        maneuverPlans: core.maneuverPlans,
+        propagationMode: core.propagationMode,
+        collisions: core.collisions,
+        seed: core.seed,
+        rng: core.rng,
+        populations: core.populations,
+        time: core.time,
+        rewindLimit: core.rewindLimit,
+        nextAsteroidId: core.nextAsteroidId,
+        paused: false,
+        timeScaleSlider: { value: '0' },
+        camera,
+        selectionManager: { getSelected: () => selected, getGroup: () => group, getTarget: () => target }
+    };
+}
+
+/**
+ * Save a core to JSON text and load it into a fresh one
+ * @returns { snapshot, loaded }: the parsed snapshot and the core it was loaded into
+ */
+function roundTrip(core, view) {
+    const text = JSON.stringify(serializeSimulation(pageFor(core, view)));
+    const snapshot = parseSnapshot(text);
+    const loaded = new SimulationCore({ seed: 'something else', populations: POPULATIONS });
+    loaded.load(snapshot);
+    return { snapshot, loaded };
+}
+
+/**
+ * Every asteroid's id, radius and state, in belt order
+ */
+function states(core) {
+    return core.asteroids.map(a => ({ id: a.id, radius: a.radius, x: a.x, y: a.y, vx: a.vx, vy: a.vy }));
+}
+
+test('orbit timelines are saved and loaded segment by segment', () => {
+    const core = new SimulationCore({ seed: 'persistence-tests', populations: POPULATIONS });
+    const asteroid = core.asteroids[0];
+    core.step(20);
+    core.applyGroupManeuver([asteroid], 0.05, 0, 'Burn');
+    core.step(30);
+    core.applyGroupManeuver([asteroid], 0, -0.02, 'Burn');
+
+    const snapshot = deserializeSnapshot(JSON.parse(JSON.stringify(serializeSimulation(pageFor(core)))));
+    const saved = snapshot.asteroids.find(a => a.id === asteroid.id);
+    const timeline = asteroid.getTimeline();
+
+    assert.equal(snapshot.version, SCHEMA_VERSION);
+    assert.equal(saved.segments.length, 3);
+    saved.segments.forEach((segment, i) => {
+        assert.equal(segment.start, timeline[i].start);
+        assert.deepEqual(segment.orbit, { ...timeline[i].orbit, t0: timeline[i].orbit.t0 || 0 });
+    });
+    assert.equal(saved.segments[0].start, -Infinity);
+});
+
+test('version 5 snapshots migrate to a single segment per asteroid', () => {
+    const migrated = migrate({
+        version: 5,
+        time: 0,
+        asteroids: [{ id: 1, radius: 2, orbit: ORBIT, originalOrbit: ORBIT }]
+    });
+
+    assert.equal(migrated.version, SCHEMA_VERSION);
+    assert.deepEqual(migrated.asteroids[0].segments, [{ start: null, orbit: ORBIT }]);
+    assert.ok(!('orbit' in migrated.asteroids[0]));
+
+    const snapshot = deserializeSnapshot(migrated);
+    assert.equal(snapshot.asteroids[0].segments[0].start, -Infinity);
+});
+
+test('selection groups keep only asteroids in the snapshot, the primary selection included', () => {
+    const snapshot = deserializeSnapshot({
+        version: SCHEMA_VERSION,
+        time: 0,
+        asteroids: [1, 2, 3].map(id => ({ id, radius: 2, segments: [{ start: null, orbit: ORBIT }], originalOrbit: ORBIT })),
+        selectedId: 3,
+        groupIds: [1, 7, 'x', 2, 1]
+    });
+    assert.deepEqual(snapshot.groupIds, [1, 2, 3]);
+
+    assert.deepEqual(migrate({ version: 8, time: 0, asteroids: [], selectedId: 4 }).groupIds, [4]);
+    assert.deepEqual(migrate({ version: 8, time: 0, asteroids: [], selectedId: null }).groupIds, []);
+});
+
+test('timelines out of order are rejected', () => {
+    const asteroid = (segments) => ({
+        version: SCHEMA_VERSION,
+        time: 0,
+        asteroids: [{ id: 1, radius: 2, segments, originalOrbit: ORBIT }]
+    });
+
+    assert.throws(() => deserializeSnapshot(asteroid([])), /missing orbit timeline/);
+    assert.throws(() => deserializeSnapshot(asteroid([{ start: 5, orbit: ORBIT }])), /out of order/);
+    assert.throws(() => deserializeSnapshot(asteroid([
+        { start: null, orbit: ORBIT },
+        { start: 10, orbit: ORBIT },
+        { start: 10, orbit: ORBIT }
+    ])), /out of order/);
+});
+
+test('parabolic orbits need a positive semi-latus rectum', () => {
+    const parabola = (orbit) => deserializeSnapshot({
+        version: SCHEMA_VERSION,
+        time: 0,
+        asteroids: [{ id: 1, radius: 2, segments: [{ start: null, orbit }], originalOrbit: ORBIT }]
+    });
+    const orbit = { ...ORBIT, a: null, e: 1, p: 300 };
+
+    assert.equal(parabola(orbit).asteroids[0].segments[0].orbit.a, Infinity);
+    assert.throws(() => parabola({ ...orbit, p: undefined }), /'p' is not a positive number/);
+    assert.throws(() => parabola({ ...orbit, p: null }), /'p' is not a positive number/);
+    assert.throws(() => parabola({ ...orbit, p: -300 }), /'p' is not a positive number/);
+});
+
+test('a saved simulation loads back the same', () => {
+    const core = new SimulationCore({ seed: 'persistence-tests', populations: POPULATIONS });
+    const [first, second, third] = core.asteroids;
+    core.step(40);
+    core.applyGroupManeuver([first, second], 0.03, -0.01, 'Burn');
+    core.step(15);
+    core.getManeuverPlan(third).addNode(core.time + 100, 0.02, 0.005);
+    core.getManeuverPlan(third).addNode(core.time + 250, -0.01, 0);
+    core.rewindLimit = 30;
+    core.collisions.setEnabled(true);
+
+    const camera = { x: 120.5, y: -42, zoom: 2.5 };
+    const group = [first, second, core.asteroids[4]];
+    const { snapshot, loaded } = roundTrip(core, { camera, selected: second, group, target: third });
+
+    assert.equal(loaded.time, core.time);
+    assert.equal(loaded.rewindLimit, 30);
+    assert.equal(loaded.seed, 'persistence-tests');
+    assert.equal(loaded.propagationMode, 'kepler');
+    assert.ok(loaded.collisions.enabled);
+    assert.equal(loaded.nextAsteroidId, core.nextAsteroidId);
+    assert.deepEqual(snapshot.camera, camera);
+    assert.equal(snapshot.selectedId, second.id);
+    assert.deepEqual(snapshot.groupIds, group.map(a => a.id));
+    assert.equal(snapshot.targetId, third.id);
+
+    assert.deepEqual(states(loaded), states(core));
+    for (const asteroid of core.asteroids) {
+        const copy = loaded.getAsteroid(asteroid.id);
+        assert.equal(copy.getTimeline().length, asteroid.getTimeline().length);
+        assert.equal(copy.isModified(), asteroid.isModified());
+    }
+
+    const plans = (c) => [...c.maneuverPlans].map(([asteroid, plan]) => ({
+        id: asteroid.id,
+        nodes: plan.nodes.map(n => ({ time: n.time, prograde: n.prograde, radial: n.radial }))
+    }));
+    assert.deepEqual(plans(loaded), plans(core));
+
+    // Both carry on identically, burning at the same nodes and drawing the same random numbers
+    core.step(300);
+    loaded.step(300);
+    assert.deepEqual(states(loaded), states(core));
+    assert.equal(loaded.rng(), core.rng());
+});
+
+test('an integrated belt loads back in N-body mode from its osculating orbits', () => {
+    const core = new SimulationCore({ seed: 'persistence-tests', populations: POPULATIONS });
+    core.setPropagationMode('nbody');
+    core.step(200);
+
+    const { loaded } = roundTrip(core);
+    assert.equal(loaded.propagationMode, 'nbody');
+    assert.equal(loaded.time, core.time);
+    states(loaded).forEach((state, i) => {
+        const expected = states(core)[i];
+        assert.equal(state.id, expected.id);
+        assert.ok(Math.hypot(state.x - expected.x, state.y - expected.y) < 1e-6, `position of ${state.id}`);
+        assert.ok(Math.hypot(state.vx - expected.vx, state.vy - expected.vy) < 1e-9, `velocity of ${state.id}`);
+    });
+});
@@ -0,0 +1,32 @@
+// Belt generation: a seed always gives the same belt, and distinct seed strings distinct belts
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_POPULATIONS } from '../js/constants.js';
+import { generateBelt } from '../js/populations.js';
+import { createRng, seedFromString } from '../js/utils.js';
+
+/**
+ * Everything generation decides about each asteroid, as JSON
+ */
+function generate(seed) {
+    const belt = generateBelt(DEFAULT_POPULATIONS, createRng(seedFromString(seed)));
+    return JSON.stringify(belt.map(asteroid => ({
+        id: asteroid.id,
+        orbit: asteroid.orbit,
+        radius: asteroid.radius,
+        color: asteroid.color,
+        population: asteroid.population
+    })));
+}
+
+test('the same seed generates an identical belt', () => {
+    assert.equal(generate('ceres'), generate('ceres'));
+    assert.equal(generate('1234'), generate('1234'));
+});
+
+test('seeds that differ as text generate different belts', () => {
+    assert.notEqual(generate('7'), generate('007'));
+    assert.notEqual(generate('1'), generate('4294967297'), 'no wrapping at 2^32');
+    assert.notEqual(generate('ceres'), generate('vesta'));
+});
@@ -0,0 +1,89 @@
+// Belt propagation: main-thread belts in step with the clock, worker results never overwriting
+// asteroids that follow a timeline
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PROPAGATION_WORKER_MIN } from '../js/constants.js';
+import { Asteroid } from '../js/asteroid.js';
+import { getStateAtTime } from '../js/orbital.js';
+import { Propagator } from '../js/propagation.js';
+
+const ORBIT = { a: 400, e: 0.1, omega: 1, M0: 2, t0: 0, direction: 1 };
+const RAISED = { ...ORBIT, a: 450, t0: 5 };
+
+// What the fake worker writes into every field of its results
+const MARKER = 12345;
+
+function createBelt(count) {
+    return Array.from({ length: count }, (_, i) => Asteroid.fromOrbit(i, { ...ORBIT, M0: i * 0.001 }, 2, '#888899'));
+}
+
+/**
+ * Stand-in for a propagation worker that keeps its requests until answered with deliver()
+ */
+function createFakeWorker() {
+    const listeners = [];
+    const requests = [];
+    return {
+        requests,
+        postMessage(message) {
+            if (message.type === 'propagate') requests.push(message);
+        },
+        addEventListener(type, listener) {
+            if (type === 'message') listeners.push(listener);
+        },
+        terminate() {},
+        deliver() {
+            const { generation, version, count, buffer } = requests.shift();
+            new Float64Array(buffer).fill(MARKER);
+            for (const listener of listeners) {
+                listener({ data: { generation, version, count, buffer } });
+            }
+        }
+    };
+}
+
+function assertStateOf(asteroid, orbit, t) {
+    const expected = getStateAtTime(orbit, t);
+    for (const key of ['x', 'y', 'vx', 'vy']) {
+        assert.ok(Math.abs(asteroid[key] - expected[key]) < 1e-9, `#${asteroid.id} ${key}`);
+    }
+    assert.equal(asteroid.time, t);
+}
+
+test('without workers every asteroid is propagated to the clock, along its timeline', () => {
+    const asteroids = createBelt(50);
+    const first = asteroids[7].orbit;
+    asteroids[7].changeOrbit(RAISED, 5);
+    const propagator = new Propagator(0);
+
+    for (const t of [10, 3, 20]) {
+        propagator.propagate(asteroids, t);
+        assertStateOf(asteroids[0], asteroids[0].orbit, t);
+        assertStateOf(asteroids[7], t < 5 ? first : RAISED, t);
+    }
+});
+
+test('worker results skip asteroids with a timeline', () => {
+    const asteroids = createBelt(PROPAGATION_WORKER_MIN);
+    const timelined = [asteroids[10], asteroids[PROPAGATION_WORKER_MIN - 1]];
+    for (const asteroid of timelined) {
+        asteroid.changeOrbit({ ...RAISED, M0: asteroid.orbit.M0 }, 5);
+    }
+
+    const worker = createFakeWorker();
+    const propagator = new Propagator(1, () => worker);
+
+    // The first frame is propagated here and handed out; the next one waits for the worker
+    propagator.propagate(asteroids, 10);
+    assert.ok(propagator.usesWorkers());
+    propagator.propagate(asteroids, 11);
+    assert.equal(worker.requests.length, 1);
+    worker.deliver();
+
+    assert.equal(asteroids[0].x, MARKER);
+    assert.equal(asteroids[PROPAGATION_WORKER_MIN - 2].time, MARKER);
+    for (const asteroid of timelined) {
+        assertStateOf(asteroid, asteroid.orbit, 11);
+    }
+});
@@ -0,0 +1,161 @@
+// Spatial index: rectangle, circle and nearest queries agree with a brute-force scan
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SpatialIndex } from '../js/spatial-index.js';
+import { createRng } from '../js/utils.js';
+
+const CELL_SIZE = 16;
+
+/**
+ * Seeded random bodies around the origin, most small, some wider than several cells
+ */
+function createBodies(rng, count) {
+    const bodies = [];
+    for (let i = 0; i < count; i++) {
+        const large = rng() < 0.05;
+        bodies.push({
+            id: i,
+            x: (rng() - 0.5) * 800,
+            y: (rng() - 0.5) * 800,
+            radius: large ? CELL_SIZE * (1 + rng() * 6) : rng() * 4
+        });
+    }
+    return bodies;
+}
+
+/**
+ * Ids of the bodies found, sorted
+ */
+function ids(bodies) {
+    return bodies.map(body => body.id).sort((a, b) => a - b);
+}
+
+function bruteRect(bodies, minX, minY, maxX, maxY) {
+    return bodies.filter(body => {
+        const dx = body.x - Math.max(minX, Math.min(body.x, maxX));
+        const dy = body.y - Math.max(minY, Math.min(body.y, maxY));
+        return dx * dx + dy * dy <= body.radius * body.radius;
+    });
+}
+
+function bruteCircle(bodies, x, y, radius) {
+    return bodies.filter(body => {
+        const dx = body.x - x;
+        const dy = body.y - y;
+        return dx * dx + dy * dy <= (radius + body.radius) ** 2;
+    });
+}
+
+/**
+ * Distances to the edges of the k nearest bodies, nearest first (ties make the ids ambiguous)
+ */
+function bruteNearest(bodies, x, y, k, maxDistance = Infinity) {
+    return bodies
+        .map(body => Math.max(0, Math.hypot(body.x - x, body.y - y) - body.radius))
+        .filter(distance => distance <= maxDistance)
+        .sort((a, b) => a - b)
+        .slice(0, k);
+}
+
+/**
+ * Query points: random, and on or next to cell borders of the finer levels
+ */
+function queryPoints(rng) {
+    const points = [];
+    for (let i = 0; i < 40; i++) {
+        points.push({ x: (rng() - 0.5) * 900, y: (rng() - 0.5) * 900 });
+    }
+    for (const size of [CELL_SIZE, 2 * CELL_SIZE, 4 * CELL_SIZE]) {
+        for (let i = 0; i < 10; i++) {
+            const x = Math.round((rng() - 0.5) * 800 / size) * size;
+            const y = Math.round((rng() - 0.5) * 800 / size) * size;
+            points.push({ x, y }, { x: x - 1e-9, y: y + 1e-9 });
+        }
+    }
+    return points;
+}
+
+/**
+ * Check every kind of query against the brute-force scan
+ */
+function assertMatchesBruteForce(index, bodies, rng) {
+    for (const { x, y } of queryPoints(rng)) {
+        const width = rng() * 3 * CELL_SIZE;
+        const height = rng() * 3 * CELL_SIZE;
+        assert.deepEqual(
+            ids(index.queryRect(x - width, y - height, x + width, y + height)),
+            ids(bruteRect(bodies, x - width, y - height, x + width, y + height)),
+            `rect around ${x}, ${y}`
+        );
+
+        for (const radius of [0, rng() * CELL_SIZE, 5 * CELL_SIZE]) {
+            assert.deepEqual(
+                ids(index.queryCircle(x, y, radius)),
+                ids(bruteCircle(bodies, x, y, radius)),
+                `circle of ${radius} around ${x}, ${y}`
+            );
+        }
+
+        const distance = body => Math.max(0, Math.hypot(body.x - x, body.y - y) - body.radius);
+        for (const k of [1, 7]) {
+            assert.deepEqual(
+                index.nearest(x, y, k).map(distance),
+                bruteNearest(bodies, x, y, k),
+                `${k} nearest to ${x}, ${y}`
+            );
+        }
+        assert.deepEqual(
+            index.nearest(x, y, 5, 20).map(distance),
+            bruteNearest(bodies, x, y, 5, 20),
+            `nearest within 20 of ${x}, ${y}`
+        );
+    }
+}
+
+test('queries match a brute-force scan, with bodies wider than a cell', () => {
+    const rng = createRng(1234);
+    const bodies = createBodies(rng, 600);
+    const index = new SpatialIndex(CELL_SIZE);
+    index.update(bodies);
+
+    assert.ok(bodies.some(body => body.radius > 4 * CELL_SIZE), 'some bodies span several cells');
+    assertMatchesBruteForce(index, bodies, rng);
+});
+
+test('queries still match after bodies move, grow and leave', () => {
+    const rng = createRng(99);
+    const bodies = createBodies(rng, 400);
+    const index = new SpatialIndex(CELL_SIZE);
+    index.update(bodies);
+    index.queryRect(0, 0, 1, 1);
+
+    for (const body of bodies) {
+        if (rng() < 0.5) {
+            body.x += (rng() - 0.5) * 3 * CELL_SIZE;
+            body.y += (rng() - 0.5) * 3 * CELL_SIZE;
+        }
+        if (rng() < 0.05) body.radius = CELL_SIZE * 10 * rng();
+    }
+    const remaining = bodies.filter(() => rng() < 0.8);
+    index.update(remaining);
+
+    assertMatchesBruteForce(index, remaining, rng);
+});
+
+test('nearest returns the whole population when k is larger', () => {
+    const rng = createRng(7);
+    const bodies = createBodies(rng, 25);
+    const index = new SpatialIndex(CELL_SIZE);
+    index.update(bodies);
+
+    const found = index.nearest(1000, -1000, 100);
+    assert.equal(found.length, bodies.length);
+    assert.deepEqual(ids(found), ids(bodies));
+
+    const distance = body => Math.max(0, Math.hypot(body.x - 1000, body.y + 1000) - body.radius);
+    assert.deepEqual(found.map(distance), bruteNearest(bodies, 1000, -1000, 100));
+
+    index.update([]);
+    assert.deepEqual(index.nearest(0, 0, 3), []);
+});
@@ -0,0 +1,53 @@
+// Transfers: planned burns end on the target's orbit and the summary matches the nodes
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AU_TO_PIXELS } from '../js/constants.js';
+import { Asteroid } from '../js/asteroid.js';
+import { ManeuverPlan } from '../js/maneuver.js';
+import { getPositionAtTime } from '../js/orbital.js';
+import { planBiEllipticTransfer, planHohmannTransfer, summarizeTransfer } from '../js/transfer.js';
+import { magnitude } from '../js/utils.js';
+
+const SOURCE = { a: 2.2 * AU_TO_PIXELS, e: 0.25, omega: 0.3, M0: 1.0, t0: 0, direction: 1 };
+const TARGET = { a: 3.1 * AU_TO_PIXELS, e: 0.12, omega: 2.0, M0: 0, t0: 0, direction: 1 };
+const START = 50;
+
+function planTransfer(kind) {
+    const asteroid = Asteroid.fromOrbit(1, SOURCE, 3, null);
+    asteroid.update(START);
+    const plan = new ManeuverPlan(asteroid);
+    if (kind === 'hohmann') {
+        planHohmannTransfer(plan, TARGET, START);
+    } else {
+        planBiEllipticTransfer(plan, TARGET, 6 * AU_TO_PIXELS, START);
+    }
+    return plan;
+}
+
+for (const kind of ['hohmann', 'bielliptic']) {
+    test(`${kind} transfer ends on the target's orbit`, () => {
+        const plan = planTransfer(kind);
+        assert.equal(plan.nodes.length, kind === 'hohmann' ? 2 : 3);
+        assert.equal(plan.nodes[0].time, START);
+
+        // The first burn is where the source is, so the path is continuous from it
+        const departure = getPositionAtTime(SOURCE, START);
+        const burnPoint = getPositionAtTime(plan.nodes[0].orbit, START);
+        assert.ok(magnitude(burnPoint.x - departure.x, burnPoint.y - departure.y) < 1e-6);
+
+        const final = plan.nodes[plan.nodes.length - 1].orbit;
+        assert.ok(Math.abs(final.a - TARGET.a) / TARGET.a < 1e-9, 'a');
+        assert.ok(Math.abs(final.e - TARGET.e) < 1e-9, 'e');
+        assert.ok(Math.abs(final.omega - TARGET.omega) < 1e-9, 'omega');
+        assert.equal(final.direction, TARGET.direction);
+    });
+
+    test(`${kind} summary is the planned burns' delta-v and duration`, () => {
+        const plan = planTransfer(kind);
+        const summary = summarizeTransfer(plan);
+        const total = plan.nodes.reduce((sum, node) => sum + magnitude(node.prograde, node.radial), 0);
+        assert.ok(Math.abs(summary.totalDeltaV - total) < 1e-12);
+        assert.equal(summary.transferTime, plan.nodes[plan.nodes.length - 1].time - START);
+    });
+}